@@ -0,0 +1,27 @@
+/**
+ * Focus-mode site blocking for FlexiFocus
+ * Replaces the extension's dynamic declarativeNetRequest rules to match the timer
+ */
+
+import { BLOCKED_PAGE } from '../shared/constants.js';
+import { getActiveBlockRules } from '../services/blocklist.js';
+
+/**
+ * Turn blocking rules on or off to match the given state
+ * Rules are derived entirely from state and settings, so calling this is idempotent.
+ * @param {Object} currentState - Application state (timer and tasks)
+ * @param {Object} settings - User settings
+ * @returns {Promise<number>} Number of active rules
+ */
+export async function syncBlocking(currentState, settings) {
+  if (!chrome.declarativeNetRequest) {
+    return 0;
+  }
+  const addRules = getActiveBlockRules(currentState, settings, `/${BLOCKED_PAGE}`);
+  const existing = await chrome.declarativeNetRequest.getDynamicRules();
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: existing.map((rule) => rule.id),
+    addRules,
+  });
+  return addRules.length;
+}
@@ -0,0 +1,144 @@
+/**
+ * Break enforcement for FlexiFocus
+ * Opens the break page, keeps it open for locked levels, and redirects new tabs in strict mode.
+ * The open break tab is tracked in chrome.storage.session so it survives worker restarts.
+ */
+
+import { BREAK_PAGE } from '../shared/constants.js';
+import * as storage from '../services/storage.js';
+import * as timer from '../services/timer.js';
+import { getBreakStatus, getEnforcementLevel, shouldRedirectTab } from '../services/breaks.js';
+
+const SESSION_KEY = 'breakEnforcement';
+
+/**
+ * Read the active enforcement record
+ * @returns {Promise<{tabId: number, level: string}|null>}
+ */
+async function getRecord() {
+  const stored = await chrome.storage.session.get(SESSION_KEY);
+  return stored[SESSION_KEY] ?? null;
+}
+
+/**
+ * Persist the active enforcement record
+ * @param {{tabId: number, level: string}} record - Break tab and level
+ * @returns {Promise<void>}
+ */
+async function setRecord(record) {
+  await chrome.storage.session.set({ [SESSION_KEY]: record });
+}
+
+/**
+ * Load the current break status from storage
+ * @returns {Promise<Object|null>} Break status, or null before first initialization
+ */
+export async function loadBreakStatus() {
+  const { state: currentState, settings } = await storage.loadStateAndSettings();
+  if (!currentState?.timer || !settings) {
+    return null;
+  }
+  const method = timer.getMethodConfig(
+    currentState.timer.methodKey,
+    settings,
+    currentState.history
+  );
+  return getBreakStatus(currentState.timer, method, settings);
+}
+
+/**
+ * Open the break page if enforcement is enabled and the page is not already tracked
+ * Called when a break comes up and again when it starts running, since an unlocked page may
+ * have been closed in between.
+ * @param {string} phase - Phase about to start
+ * @param {Object} settings - User settings
+ * @param {Object} method - Method configuration
+ * @returns {Promise<void>}
+ */
+export async function enforceBreak(phase, settings, method) {
+  const level = getEnforcementLevel(settings);
+  if (!level || !timer.isBreakPhase(phase, method) || (await getRecord())) {
+    return;
+  }
+  try {
+    const tab = await chrome.tabs.create({ url: chrome.runtime.getURL(BREAK_PAGE), active: true });
+    await setRecord({ tabId: tab.id, level });
+  } catch (error) {
+    console.error('Break enforcement failed', error);
+  }
+}
+
+/**
+ * Stop enforcing the current break (break ended, reset, or emergency skip)
+ * @returns {Promise<void>}
+ */
+export async function releaseBreakEnforcement() {
+  await chrome.storage.session.remove(SESSION_KEY);
+}
+
+/**
+ * Redirect a tab to the break page while a strict break is locked
+ * @param {number} tabId - Tab to redirect
+ * @param {string} url - Tab URL or pending URL
+ * @returns {Promise<boolean>} True if redirected
+ */
+async function redirectIfLocked(tabId, url) {
+  if (!shouldRedirectTab(url, chrome.runtime.getURL(''))) {
+    return false;
+  }
+  const status = await loadBreakStatus();
+  if (!status?.strict) {
+    return false;
+  }
+  await chrome.tabs.update(tabId, { url: chrome.runtime.getURL(BREAK_PAGE) });
+  return true;
+}
+
+/**
+ * chrome.tabs.onCreated handler: strict mode sends new tabs to the break page
+ * @param {Object} tab - Created tab
+ * @returns {Promise<void>}
+ */
+export async function handleTabCreated(tab) {
+  const record = await getRecord();
+  if (!record || tab.id === record.tabId) {
+    return;
+  }
+  await redirectIfLocked(tab.id, tab.pendingUrl || tab.url);
+}
+
+/**
+ * chrome.tabs.onUpdated handler: strict mode also catches navigations in existing tabs
+ * @param {number} tabId - Updated tab ID
+ * @param {Object} changeInfo - Changed properties
+ * @returns {Promise<void>}
+ */
+export async function handleTabUpdated(tabId, changeInfo) {
+  if (!changeInfo.url) {
+    return;
+  }
+  const record = await getRecord();
+  if (!record) {
+    return;
+  }
+  await redirectIfLocked(tabId, changeInfo.url);
+}
+
+/**
+ * chrome.tabs.onRemoved handler: reopen the break page if it was closed while locked
+ * @param {number} tabId - Removed tab ID
+ * @returns {Promise<void>}
+ */
+export async function handleTabRemoved(tabId) {
+  const record = await getRecord();
+  if (!record || record.tabId !== tabId) {
+    return;
+  }
+  const status = await loadBreakStatus();
+  if (!status?.locked) {
+    await releaseBreakEnforcement();
+    return;
+  }
+  const tab = await chrome.tabs.create({ url: chrome.runtime.getURL(BREAK_PAGE), active: true });
+  await setRecord({ ...record, tabId: tab.id });
+}
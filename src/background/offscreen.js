@@ -0,0 +1,113 @@
+/**
+ * Offscreen document bridge for FlexiFocus
+ * MV3 service workers have no Web Audio API, so playback runs in an offscreen
+ * document that the worker creates on demand and drives by message
+ */
+
+import { OFFSCREEN_DOCUMENT } from '../shared/constants.js';
+import { buildSoundMessage } from '../services/audio.js';
+
+let creating = null;
+
+/**
+ * Check whether the offscreen document is already open
+ * @returns {Promise<boolean>} True if it exists
+ */
+export async function hasOffscreenDocument() {
+  if (chrome.runtime.getContexts) {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT)],
+    });
+    return contexts.length > 0;
+  }
+  return (await chrome.offscreen.hasDocument?.()) ?? false;
+}
+
+/**
+ * Create the offscreen document if it is not open yet
+ * Concurrent callers share a single creation request.
+ * @returns {Promise<void>}
+ */
+export async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) {
+    return;
+  }
+  if (!creating) {
+    creating = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_DOCUMENT,
+        reasons: ['AUDIO_PLAYBACK'],
+        justification: 'Play timer completion sounds',
+      })
+      .finally(() => {
+        creating = null;
+      });
+  }
+  await creating;
+}
+
+/**
+ * Send a message to the offscreen document, opening it first if needed
+ * @param {Object} message - Message payload (type plus data)
+ * @returns {Promise<boolean>} False when the offscreen API is unavailable
+ */
+export async function sendToOffscreen(message) {
+  if (!chrome.offscreen) {
+    return false;
+  }
+  await ensureOffscreenDocument();
+  await chrome.runtime.sendMessage({ target: 'offscreen', ...message });
+  return true;
+}
+
+/**
+ * Play a SOUNDS profile through the offscreen document
+ * Failures are logged, never thrown, so timer flow is not interrupted.
+ * @param {string} soundKey - Key in SOUNDS
+ * @param {number} volume - Volume 0-1
+ * @returns {Promise<boolean>} True if a sound was sent for playback
+ */
+export async function playSound(soundKey, volume) {
+  const message = buildSoundMessage(soundKey, volume);
+  if (!message) {
+    return false;
+  }
+  try {
+    return await sendToOffscreen(message);
+  } catch (error) {
+    console.error('Sound playback failed', error);
+    return false;
+  }
+}
+
+/**
+ * Start (or retune) the looping ambient soundscape
+ * @param {string} sound - Key in AMBIENT_SOUNDS
+ * @param {number} volume - Ambient volume 0-1
+ * @returns {Promise<void>}
+ */
+export async function startAmbient(sound, volume) {
+  try {
+    await sendToOffscreen({ type: 'startAmbient', sound, volume });
+  } catch (error) {
+    console.error('Ambient playback failed', error);
+  }
+}
+
+/**
+ * Fade out the ambient soundscape
+ * Skips opening the offscreen document when nothing can be playing.
+ * @param {number} fadeSeconds - Fade-out length
+ * @returns {Promise<void>}
+ */
+export async function stopAmbient(fadeSeconds) {
+  try {
+    if (!chrome.offscreen || !(await hasOffscreenDocument())) {
+      return;
+    }
+    await chrome.runtime.sendMessage({ target: 'offscreen', type: 'stopAmbient', fadeSeconds });
+  } catch (error) {
+    console.error('Ambient stop failed', error);
+  }
+}
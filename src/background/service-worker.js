@@ -4,11 +4,37 @@
  * Delegates to: state.js, timer.js, storage.js, messages/handlers.js
  */
 
-import { ALARM_NAME, BADGE_ALARM, DEFAULT_METHODS, SOUNDS } from '../shared/constants.js';
-import { formatDuration, capitalize } from '../shared/utils.js';
+import {
+  ALARM_NAME,
+  BADGE_ALARM,
+  ABANDON_ALARM,
+  AMBIENT_FADE,
+  NEXT_TASK_NOTIFICATION,
+  PHASE_EXTENSION,
+  PHASE_NOTIFICATION,
+  REFLECTION_NOTIFICATION,
+  REFLECTION_QUICK_RATINGS,
+  SKIP_LIMITS,
+} from '../shared/constants.js';
+import { formatDuration } from '../shared/utils.js';
 import * as state from '../services/state.js';
 import * as timer from '../services/timer.js';
 import * as storage from '../services/storage.js';
+import * as historyStore from '../services/history.js';
+import { addToStatistics } from '../services/statistics.js';
+import { addDays, getWeekStart, toZonedDayKey } from '../services/calendar.js';
+import { getNewlyMetGoals } from '../services/goals.js';
+import { getPhaseSequence, resolveMethodsForState } from '../services/methods.js';
+import { resolvePhaseSound, resolveAmbient } from '../services/audio.js';
+import { playSound, startAmbient, stopAmbient } from './offscreen.js';
+import {
+  enforceBreak,
+  releaseBreakEnforcement,
+  handleTabCreated,
+  handleTabUpdated,
+  handleTabRemoved,
+} from './break-enforcement.js';
+import { syncBlocking } from './blocking.js';
 import { dispatchMessage } from '../services/api/handlers.js';
 
 /**
@@ -19,40 +45,44 @@ import { dispatchMessage } from '../services/api/handlers.js';
  */
 async function startTimer(methodKey, phaseOverride) {
   const { state: currentState, settings } = await storage.loadStateAndSettings();
-  const method = timer.getMethodConfig(methodKey ?? currentState.timer.methodKey, settings);
-  const phase = phaseOverride ?? currentState.timer.phase ?? 'work';
-
-  if (method.flexible) {
-    const newTimer = {
-      ...currentState.timer,
-      methodKey: method.key,
-      phase: 'flow',
-      isRunning: true,
-      startTime: Date.now(),
-      endTime: 0,
-      remainingMs: 0,
-    };
-    await chrome.alarms.clear(ALARM_NAME);
-    await saveAndBroadcast({ ...currentState, timer: newTimer }, settings);
-    await ensureBadgeUpdates(newTimer, settings);
-    return { timer: newTimer, settings };
-  }
-
-  const durationMs = timer.computePhaseDuration(method, phase);
-  const endTime = Date.now() + durationMs;
+  const method = timer.getMethodConfig(
+    methodKey ?? currentState.timer.methodKey,
+    settings,
+    currentState.history
+  );
+  const phaseIndex = timer.getPhaseIndex(
+    { ...currentState.timer, phase: phaseOverride ?? currentState.timer.phase },
+    method
+  );
+  const phase = getPhaseSequence(method)[phaseIndex].id;
+  const openEnded = timer.isOpenEndedPhase(method, phase, phaseIndex);
+  const now = Date.now();
+  const endTime = openEnded ? 0 : now + timer.computePhaseDuration(method, phase, phaseIndex);
   const newTimer = {
     ...currentState.timer,
     methodKey: method.key,
     phase,
+    phaseIndex,
     isRunning: true,
-    startTime: Date.now(),
+    startTime: now,
     endTime,
     remainingMs: 0,
+    extendedMs: 0,
+    pauseCount: 0,
+    interruptions: [],
   };
 
-  await chrome.alarms.create(ALARM_NAME, { when: endTime });
+  if (openEnded) {
+    await chrome.alarms.clear(ALARM_NAME);
+  } else {
+    await chrome.alarms.create(ALARM_NAME, { when: endTime });
+  }
+  await chrome.alarms.clear(ABANDON_ALARM);
   await saveAndBroadcast({ ...currentState, timer: newTimer }, settings);
   await ensureBadgeUpdates(newTimer, settings);
+  await syncAmbient(newTimer, settings);
+  await syncBlocking({ ...currentState, timer: newTimer }, settings);
+  await enforceBreak(phase, settings, method);
   return { timer: newTimer, settings };
 }
 
@@ -68,11 +98,13 @@ async function pauseTimer() {
   }
 
   const method = timer.getMethodConfig(currentState.timer.methodKey, settings);
-  if (settings.lockIn && currentState.timer.phase === 'work' && !method.flexible) {
+  const { phase, phaseIndex } = currentState.timer;
+  const openEnded = timer.isOpenEndedPhase(method, phase, phaseIndex);
+  if (settings.lockIn && timer.isWorkPhase(phase, method) && !openEnded) {
     throw new Error('Lock-In Mode is enabled; pause is blocked during focus.');
   }
 
-  const remainingMs = method.flexible
+  const remainingMs = openEnded
     ? Math.max(0, Date.now() - (currentState.timer.startTime || Date.now()))
     : Math.max(0, currentState.timer.endTime - Date.now());
 
@@ -82,12 +114,18 @@ async function pauseTimer() {
     remainingMs,
     startTime: 0,
     endTime: 0,
+    pauseCount: (currentState.timer.pauseCount ?? 0) + 1,
   };
 
   await chrome.alarms.clear(ALARM_NAME);
   await chrome.alarms.clear(BADGE_ALARM);
+  if (settings.abandonAfterMinutes > 0) {
+    await chrome.alarms.create(ABANDON_ALARM, { delayInMinutes: settings.abandonAfterMinutes });
+  }
   await chrome.action.setBadgeText({ text: '' });
   await saveAndBroadcast({ ...currentState, timer: newTimer }, settings);
+  await syncAmbient(newTimer, settings);
+  await syncBlocking({ ...currentState, timer: newTimer }, settings);
   return { timer: newTimer, settings };
 }
 
@@ -97,8 +135,14 @@ async function pauseTimer() {
  */
 async function resumeTimer() {
   const { state: currentState, settings } = await storage.loadStateAndSettings();
-  const method = timer.getMethodConfig(currentState.timer.methodKey, settings);
-  if (method.flexible) {
+  const method = timer.getMethodConfig(
+    currentState.timer.methodKey,
+    settings,
+    currentState.history
+  );
+  const { phase, phaseIndex } = currentState.timer;
+  await chrome.alarms.clear(ABANDON_ALARM);
+  if (timer.isOpenEndedPhase(method, phase, phaseIndex)) {
     const elapsed = Math.max(0, currentState.timer.remainingMs || 0);
     const newTimer = {
       ...currentState.timer,
@@ -109,10 +153,13 @@ async function resumeTimer() {
     };
     await saveAndBroadcast({ ...currentState, timer: newTimer }, settings);
     await ensureBadgeUpdates(newTimer, settings);
+    await syncAmbient(newTimer, settings);
+    await syncBlocking({ ...currentState, timer: newTimer }, settings);
+    await enforceBreak(phase, settings, method);
     return { timer: newTimer, settings };
   }
   const baseDuration =
-    currentState.timer.remainingMs || timer.computePhaseDuration(method, currentState.timer.phase);
+    currentState.timer.remainingMs || timer.computePhaseDuration(method, phase, phaseIndex);
   const endTime = Date.now() + baseDuration;
   const newTimer = {
     ...currentState.timer,
@@ -124,73 +171,306 @@ async function resumeTimer() {
   await chrome.alarms.create(ALARM_NAME, { when: endTime });
   await saveAndBroadcast({ ...currentState, timer: newTimer }, settings);
   await ensureBadgeUpdates(newTimer, settings);
+  await syncAmbient(newTimer, settings);
+  await syncBlocking({ ...currentState, timer: newTimer }, settings);
+  await enforceBreak(phase, settings, method);
   return { timer: newTimer, settings };
 }
 
 /**
  * Reset timer to initial state (may be blocked by lock-in setting)
- * @returns {Promise<{timer: Object, settings: Object}>}
+ * A phase in progress is logged to history as abandoned.
+ * @returns {Promise<{timer: Object, settings: Object, entry: Object|null}>}
  * @throws {Error} If lock-in mode prevents resetting
  */
 async function resetTimer() {
   const { state: currentState, settings } = await storage.loadStateAndSettings();
-  if (settings.lockIn && currentState.timer.phase === 'work' && currentState.timer.isRunning) {
+  const method = timer.getMethodConfig(currentState.timer.methodKey, settings);
+  if (
+    settings.lockIn &&
+    timer.isWorkPhase(currentState.timer.phase, method) &&
+    currentState.timer.isRunning
+  ) {
     throw new Error('Lock-In Mode is enabled; reset is blocked during focus.');
   }
+  return resetToStart(currentState, settings);
+}
+
+/**
+ * Abandon a phase left paused past the abandonAfterMinutes setting, then reset the timer
+ * @returns {Promise<void>}
+ */
+async function abandonPausedTimer() {
+  const { state: currentState, settings } = await storage.loadStateAndSettings();
+  const current = currentState.timer;
+  if (current.isRunning || !current.remainingMs) {
+    return;
+  }
+  await resetToStart(currentState, settings);
+  await maybeNotify(
+    settings,
+    'Session abandoned',
+    `Paused for over ${settings.abandonAfterMinutes} minutes, so it was logged as abandoned`
+  );
+}
+
+/**
+ * Log the phase in progress (if any) as abandoned and return the timer to the start of the
+ * selected method's sequence
+ * @param {Object} currentState - Application state
+ * @param {Object} settings - User settings
+ * @returns {Promise<{timer: Object, settings: Object, entry: Object|null}>}
+ */
+async function resetToStart(currentState, settings) {
+  const current = currentState.timer;
+  const method = timer.getMethodConfig(current.methodKey, settings, currentState.history);
+  const elapsedMs =
+    current.isRunning || current.remainingMs ? timer.computeElapsed(current, method) : 0;
+  let recorded = {};
+  let entry = null;
+  if (elapsedMs > 0) {
+    const now = Date.now();
+    entry = state.createHistoryEntry(
+      crypto.randomUUID(),
+      method.key,
+      current.phase,
+      elapsedMs,
+      now - elapsedMs,
+      now,
+      current.activeTaskId,
+      { ...sessionDetails(current, method), status: 'abandoned' }
+    );
+    const { history, statistics } = await recordHistory(currentState, settings, entry);
+    recorded = { history, statistics };
+  }
   const newTimer = {
     ...state.initializeTimerState(),
+    ...timer.getSequenceStart(timer.getMethodConfig(settings.selectedMethod, settings)),
     methodKey: settings.selectedMethod,
   };
   await chrome.alarms.clear(ALARM_NAME);
   await chrome.alarms.clear(BADGE_ALARM);
+  await chrome.alarms.clear(ABANDON_ALARM);
+  await chrome.action.setBadgeText({ text: '' });
+  await releaseBreakEnforcement();
+  await saveAndBroadcast({ ...currentState, ...recorded, timer: newTimer }, settings);
+  await syncAmbient(newTimer, settings);
+  await syncBlocking({ ...currentState, timer: newTimer }, settings);
+  return { timer: newTimer, settings, entry };
+}
+
+/**
+ * Log the current phase as skipped and move the timer on to the next phase
+ * A phase that has not started yet is passed over without a history entry.
+ * @param {Object} currentState - Application state
+ * @param {Object} settings - User settings
+ * @param {Object} method - Method configuration
+ * @param {Object} details - Extra history entry fields (optional, e.g. skipReason)
+ * @returns {Promise<{entry: Object|null, timer: Object}>} Skipped entry and the timer afterwards
+ */
+async function skipCurrentPhase(currentState, settings, method, details = {}) {
+  const current = currentState.timer;
+  const elapsedMs = timer.computeElapsed(current, method);
+  let recorded = {};
+  let entry = null;
+  if (elapsedMs > 0) {
+    const now = Date.now();
+    entry = state.createHistoryEntry(
+      crypto.randomUUID(),
+      method.key,
+      current.phase,
+      elapsedMs,
+      now - elapsedMs,
+      now,
+      current.activeTaskId,
+      { ...sessionDetails(current, method), status: 'skipped', ...details }
+    );
+    const { history, statistics } = await recordHistory(currentState, settings, entry);
+    recorded = { history, statistics };
+  }
+  const ended = timer.getCurrentPhase(current, method);
+  const next = timer.nextPhase(current, method);
+  const newTimer = {
+    ...current,
+    isRunning: false,
+    startTime: 0,
+    endTime: 0,
+    remainingMs: 0,
+    extendedMs: 0,
+    pauseCount: 0,
+    phase: next.phase,
+    phaseIndex: next.phaseIndex,
+    cycleCount: next.cycleCount,
+    interruptions: [],
+  };
+
+  await chrome.alarms.clear(ALARM_NAME);
+  await chrome.alarms.clear(BADGE_ALARM);
+  await chrome.alarms.clear(ABANDON_ALARM);
   await chrome.action.setBadgeText({ text: '' });
+  if (ended.kind === 'rest') {
+    await releaseBreakEnforcement();
+  }
+  await saveAndBroadcast({ ...currentState, ...recorded, timer: newTimer }, settings);
+  await syncAmbient(newTimer, settings);
+  await syncBlocking({ ...currentState, timer: newTimer }, settings);
+  await enforceBreak(next.phase, settings, method);
+
+  if (shouldAutoStart(ended, next, settings)) {
+    await startTimer(method.key, newTimer.phase);
+  }
+  return { entry, timer: newTimer };
+}
+
+/**
+ * Skip the current phase (Lock-In mode blocks skipping a running focus phase)
+ * @returns {Promise<{entry: Object|null, timer: Object}>}
+ * @throws {Error} If lock-in mode prevents skipping
+ */
+async function skipPhase() {
+  const { state: currentState, settings } = await storage.loadStateAndSettings();
+  const current = currentState.timer;
+  const method = timer.getMethodConfig(current.methodKey, settings, currentState.history);
+  if (settings.lockIn && timer.isWorkPhase(current.phase, method) && current.isRunning) {
+    throw new Error('Lock-In Mode is enabled; skipping is blocked during focus.');
+  }
+  return skipCurrentPhase(currentState, settings, method);
+}
+
+/**
+ * Add time to the timed phase in progress and reschedule its alarm
+ * Allowed in Lock-In mode, which only stops focus from being cut short.
+ * @param {Object} message - Message with minutes
+ * @returns {Promise<{timer: Object}>}
+ * @throws {Error} If the minutes are invalid or no timed phase is in progress
+ */
+async function extendPhase(message) {
+  const validation = state.validateExtension({ minutes: message.minutes });
+  if (!validation.valid) {
+    throw new Error(`Extension validation failed: ${validation.errors.join(', ')}`);
+  }
+  const { state: currentState, settings } = await storage.loadStateAndSettings();
+  const current = currentState.timer;
+  const method = timer.getMethodConfig(current.methodKey, settings, currentState.history);
+  if (timer.isOpenEndedPhase(method, current.phase, current.phaseIndex)) {
+    throw new Error('Open-ended phases have no end to extend');
+  }
+  if (!current.isRunning && !current.remainingMs) {
+    throw new Error('Start the phase before extending it');
+  }
+  const addedMs = timer.msFromMinutes(message.minutes);
+  const newTimer = {
+    ...current,
+    extendedMs: (current.extendedMs ?? 0) + addedMs,
+    ...(current.isRunning
+      ? { endTime: current.endTime + addedMs }
+      : { remainingMs: current.remainingMs + addedMs }),
+  };
+
+  if (newTimer.isRunning) {
+    await chrome.alarms.create(ALARM_NAME, { when: newTimer.endTime });
+  }
   await saveAndBroadcast({ ...currentState, timer: newTimer }, settings);
-  return { timer: newTimer, settings };
+  await updateBadge(newTimer, settings);
+  return { timer: newTimer };
+}
+
+/**
+ * Skip the current break early, logging the skip and its reason to history
+ * Always available, even when the break page is locked
+ * @param {Object} message - Message with optional reason
+ * @returns {Promise<{skipped: boolean, entry?: Object}>}
+ */
+async function emergencySkipBreak(message) {
+  const { state: currentState, settings } = await storage.loadStateAndSettings();
+  const current = currentState.timer;
+  const method = timer.getMethodConfig(current.methodKey, settings, currentState.history);
+  if (!timer.isBreakPhase(current.phase, method)) {
+    return { skipped: false };
+  }
+  const reason =
+    typeof message.reason === 'string'
+      ? message.reason.trim().slice(0, SKIP_LIMITS.reasonMaxLength)
+      : '';
+  const { entry } = await skipCurrentPhase(currentState, settings, method, {
+    skipReason: reason || null,
+  });
+  await maybeNotify(settings, 'Break skipped', 'Emergency skip logged to history');
+  return { skipped: true, entry };
 }
 
 /**
- * Complete a flowtime session and transition to break phase
+ * End an open-ended phase (such as a flowtime session) and move on to the next phase
  * @returns {Promise<{timer: Object, history: Array, settings: Object}>}
  */
 async function completeFlowtime() {
   const { state: currentState, settings } = await storage.loadStateAndSettings();
-  if (!currentState.timer.isRunning || currentState.timer.methodKey !== 'flowtime') {
+  const current = currentState.timer;
+  const method = timer.getMethodConfig(current.methodKey, settings);
+  if (!current.isRunning || !timer.isOpenEndedPhase(method, current.phase, current.phaseIndex)) {
     return { state: currentState, settings };
   }
 
-  const durationMs = Math.max(1, Date.now() - currentState.timer.startTime);
+  const durationMs = Math.max(1, Date.now() - current.startTime);
   const entry = state.createHistoryEntry(
     crypto.randomUUID(),
-    'flowtime',
-    'flow',
+    method.key,
+    current.phase,
     durationMs,
-    currentState.timer.startTime,
+    current.startTime,
     Date.now(),
-    currentState.timer.activeTaskId
+    current.activeTaskId,
+    sessionDetails(current, method)
   );
-  const history = [entry, ...(currentState.history ?? [])].slice(0, 200);
+  const { history, statistics, goalsMet } = await recordHistory(currentState, settings, entry);
+  const planned = timer.adaptMethod(method, history);
+  const next = timer.nextPhase(current, planned);
   const newTimer = {
-    ...currentState.timer,
+    ...current,
     isRunning: false,
     startTime: 0,
     endTime: 0,
     remainingMs: 0,
-    phase: 'break',
+    extendedMs: 0,
+    pauseCount: 0,
+    phase: next.phase,
+    phaseIndex: next.phaseIndex,
+    cycleCount: next.cycleCount,
+    interruptions: [],
+    pendingReflectionId: pendingReflection(current, settings, entry),
   };
+  const label = timer.getPhaseLabel(current.phase, method, current.phaseIndex);
+  const breakMs =
+    next.kind === 'rest' ? timer.computePhaseDuration(planned, next.phase, next.phaseIndex) : 0;
+  const summary = breakMs
+    ? `${formatDuration(durationMs)} of focus. Suggested break: ${formatDuration(breakMs)}`
+    : formatDuration(durationMs);
 
   await chrome.alarms.clear(BADGE_ALARM);
   await chrome.action.setBadgeText({ text: '' });
-  await saveAndBroadcast({ ...currentState, timer: newTimer, history }, settings);
-  await maybeNotify(settings, 'Flow session saved', formatDuration(durationMs));
+  await saveAndBroadcast({ ...currentState, timer: newTimer, history, statistics }, settings);
+  await syncAmbient(newTimer, settings, AMBIENT_FADE.breakSeconds);
+  await syncBlocking({ ...currentState, timer: newTimer }, settings);
+  await maybeNotify(settings, `${label} session saved`, summary);
+  await promptReflection(settings, entry);
+  await notifyGoalsMet(settings, goalsMet);
+  await playPhaseEndSound(settings, current.phase, method);
+  if (shouldAutoStart(timer.getCurrentPhase(current, method), next, settings)) {
+    await startTimer(method.key, newTimer.phase);
+  }
   return { timer: newTimer, history, settings };
 }
 
 /**
- * Handle alarm trigger (timer completion or badge update)
+ * Handle alarm trigger (timer completion, badge update or the paused-idle timeout)
  * @param {string} name - Alarm name
  * @returns {Promise<void>}
  */
 async function handleAlarm(name) {
+  if (name === ABANDON_ALARM) {
+    await abandonPausedTimer();
+    return;
+  }
   if (name !== ALARM_NAME && name !== BADGE_ALARM) {
     return;
   }
@@ -213,35 +493,12 @@ async function handleAlarm(name) {
     durationMs,
     currentState.timer.startTime,
     Date.now(),
-    currentState.timer.activeTaskId
+    currentState.timer.activeTaskId,
+    sessionDetails(currentState.timer, method)
   );
-  const history = [entry, ...(currentState.history ?? [])].slice(0, 200);
-
-  // Update statistics
-  const stats = currentState.statistics || {};
-  const now = new Date();
-  const todayDateStr = now.toDateString();
-  const yesterdayDateStr = new Date(now.getTime() - 86400000).toDateString();
-  const lastSessionDateStr = stats.lastSessionDate ? new Date(stats.lastSessionDate).toDateString() : null;
-  
-  // Check if this is a consecutive day (today or yesterday was the last session)
-  const isConsecutiveDay = lastSessionDateStr === todayDateStr || lastSessionDateStr === yesterdayDateStr;
-  const isNewDay = lastSessionDateStr !== todayDateStr;
-  
-  const updatedStats = {
-    totalSessions: (stats.totalSessions || 0) + 1,
-    totalFocusTime: (stats.totalFocusTime || 0) + (currentState.timer.phase === 'work' ? durationMs : 0),
-    totalBreakTime: (stats.totalBreakTime || 0) + (currentState.timer.phase !== 'work' ? durationMs : 0),
-    longestSession: Math.max(stats.longestSession || 0, currentState.timer.phase === 'work' ? durationMs : 0),
-    currentStreak: isConsecutiveDay && isNewDay ? (stats.currentStreak || 0) + 1 : isNewDay ? 1 : (stats.currentStreak || 0),
-    longestStreak: Math.max(stats.longestStreak || 0, isConsecutiveDay && isNewDay ? (stats.currentStreak || 0) + 1 : isNewDay ? 1 : (stats.currentStreak || 0)),
-    lastSessionDate: Date.now(),
-  };
+  const { history, statistics, goalsMet } = await recordHistory(currentState, settings, entry);
 
-  const incrementedCycle =
-    currentState.timer.phase === 'work'
-      ? currentState.timer.cycleCount + 1
-      : currentState.timer.cycleCount;
+  const ended = timer.getCurrentPhase(currentState.timer, method);
   const next = timer.nextPhase(currentState.timer, method);
   const newTimer = {
     ...currentState.timer,
@@ -249,63 +506,274 @@ async function handleAlarm(name) {
     startTime: 0,
     endTime: 0,
     remainingMs: 0,
+    extendedMs: 0,
+    pauseCount: 0,
     phase: next.phase,
-    cycleCount: next.phase === 'work' ? incrementedCycle : currentState.timer.cycleCount,
+    phaseIndex: next.phaseIndex,
+    cycleCount: next.cycleCount,
+    interruptions: [],
+    pendingReflectionId: pendingReflection(currentState.timer, settings, entry),
     completedSessions:
-      currentState.timer.phase === 'work'
+      ended.kind === 'focus'
         ? currentState.timer.completedSessions + 1
         : currentState.timer.completedSessions,
   };
 
-  let newState = { ...currentState, timer: newTimer, history, statistics: updatedStats };
+  const tasks = countTaskSession(currentState, method);
+  const queue = advanceTaskQueue(currentState, tasks, settings);
+  newTimer.activeTaskId = queue.activeTaskId;
+  newTimer.nextTaskId = queue.nextTaskId;
+  const newState = { ...currentState, timer: newTimer, tasks, history, statistics };
   await chrome.action.setBadgeText({ text: '' });
   await chrome.alarms.clear(ALARM_NAME);
+  await syncAmbient(
+    newTimer,
+    settings,
+    next.kind === 'rest' ? AMBIENT_FADE.breakSeconds : AMBIENT_FADE.stopSeconds
+  );
+  await syncBlocking(newState, settings);
 
+  const autoStart = shouldAutoStart(ended, next, settings);
+  const nextLabel = timer.getPhaseLabel(next.phase, method, next.phaseIndex);
   await maybeNotify(
     settings,
-    `${capitalize(currentState.timer.phase)} done`,
-    `Next: ${next.phase === 'work' ? 'Focus' : 'Break'}`
+    `${timer.getPhaseLabel(currentState.timer.phase, method, currentState.timer.phaseIndex)} done`,
+    `Next: ${nextLabel}`,
+    autoStart ? phaseButtons(next, nextLabel, settings) : {}
   );
-  await enforceBreak(next.phase, settings);
-  await updateTaskProgress(currentState, newTimer);
-
-  const shouldStart =
-    (newTimer.phase === 'work' && settings.autoStartWork) ||
-    (newTimer.phase !== 'work' && settings.autoStartBreaks);
+  await notifyTaskFinished(settings, queue);
+  await promptReflection(settings, entry);
+  await notifyGoalsMet(settings, goalsMet);
+  await playPhaseEndSound(settings, currentState.timer.phase, method);
+  if (ended.kind === 'rest') {
+    await releaseBreakEnforcement();
+  }
+  await enforceBreak(next.phase, settings, method);
 
-  if (shouldStart && !method.flexible) {
-    await saveAndBroadcast(newState, settings);
+  await saveAndBroadcast(newState, settings);
+  if (autoStart) {
     await startTimer(method.key, newTimer.phase);
-    return;
   }
+}
 
-  newState = { ...newState, timer: newTimer };
-  await saveAndBroadcast(newState, settings);
+/**
+ * Extend and skip buttons for the phase-end notification when the next phase starts on its own
+ * Skip is left out when Lock-In mode would refuse it for the focus phase about to run.
+ * @param {Object} next - Next phase from timer.nextPhase
+ * @param {string} nextLabel - Display label of the next phase
+ * @param {Object} settings - User settings
+ * @returns {Object} Options for maybeNotify
+ */
+function phaseButtons(next, nextLabel, settings) {
+  const buttons = [{ title: `+${PHASE_EXTENSION.shortcutMinutes} min` }];
+  if (!(settings.lockIn && next.kind === 'focus')) {
+    buttons.push({ title: `Skip ${nextLabel}` });
+  }
+  return { id: PHASE_NOTIFICATION, buttons, requireInteraction: false };
 }
 
 /**
- * Update task progress when a work session completes
- * @param {Object} previousState - State before session
- * @param {Object} timerState - Updated timer state
+ * Whether the next phase starts on its own, following the end behavior of the phase that ended
+ * @param {Object} ended - Declaration of the phase that ended
+ * @param {Object} next - Next phase from timer.nextPhase
+ * @param {Object} settings - User settings
+ * @returns {boolean}
+ */
+function shouldAutoStart(ended, next, settings) {
+  if (ended.end === 'continue' || ended.end === 'wait') {
+    return ended.end === 'continue';
+  }
+  return next.kind === 'focus' ? !!settings.autoStartWork : !!settings.autoStartBreaks;
+}
+
+/**
+ * History entry fields carried over from the timer: the kind of the phase, and for a focus
+ * phase the interruptions logged and the pauses taken while it ran
+ * @param {Object} timerState - Timer at the end of the phase
+ * @param {Object} method - Method configuration
+ * @returns {Object} Details for createHistoryEntry
+ */
+function sessionDetails(timerState, method) {
+  const kind = timer.getPhaseKind(timerState.phase, method);
+  if (kind === 'focus') {
+    return {
+      kind,
+      interruptions: timerState.interruptions ?? [],
+      pauses: timerState.pauseCount ?? 0,
+    };
+  }
+  return kind ? { kind } : {};
+}
+
+/**
+ * Pick the session awaiting a reflection after a phase ends
+ * With prompts enabled, a finished focus session replaces any unanswered one; a finished
+ * break leaves the pending session in place.
+ * @param {Object} timerState - Timer at the end of the phase
+ * @param {Object} settings - User settings
+ * @param {Object} entry - History entry of the phase
+ * @returns {string|null} History entry ID, or null
+ */
+function pendingReflection(timerState, settings, entry) {
+  if (settings.reflectionPrompt && timer.isFocusEntry(entry)) {
+    return entry.id;
+  }
+  return timerState.pendingReflectionId ?? null;
+}
+
+/**
+ * Ask for a focus rating and a note after a focus session, when enabled
+ * The notification offers quick ratings; the popup asks for any rating and a note while the
+ * session is pending.
+ * @param {Object} settings - User settings
+ * @param {Object} entry - History entry of the phase that ended
  * @returns {Promise<void>}
  */
-async function updateTaskProgress(previousState, timerState) {
-  if (!previousState.timer.activeTaskId || previousState.timer.phase !== 'work') {
+async function promptReflection(settings, entry) {
+  if (!settings.reflectionPrompt || !timer.isFocusEntry(entry)) {
     return;
   }
-  const { state: currentState, settings } = await storage.loadStateAndSettings();
-  const tasks = (currentState.tasks ?? []).map((task) => {
+  await maybeNotify(
+    settings,
+    'How focused were you?',
+    'Rate the session here, or open FlexiFocus to rate it 1-5 and note what got done',
+    {
+      id: `${REFLECTION_NOTIFICATION}${entry.id}`,
+      buttons: REFLECTION_QUICK_RATINGS.map(({ title }) => ({ title })),
+    }
+  );
+}
+
+/**
+ * Count a completed work session toward the active task
+ * The result goes into the state saved at the end of the phase, so the count is not
+ * overwritten by that save.
+ * @param {Object} previousState - State before session
+ * @param {Object} method - Method configuration
+ * @returns {Array} Updated task list
+ */
+function countTaskSession(previousState, method) {
+  const tasks = previousState.tasks ?? [];
+  if (
+    !previousState.timer.activeTaskId ||
+    !timer.isWorkPhase(previousState.timer.phase, method)
+  ) {
+    return tasks;
+  }
+  return tasks.map((task) => {
     if (task.id !== previousState.timer.activeTaskId) {
       return task;
     }
+    const completedSessions = (task.completedSessions ?? 0) + 1;
     return {
       ...task,
-      completedSessions: (task.completedSessions ?? 0) + 1,
-      done: task.done || (task.completedSessions ?? 0) + 1 >= (task.estimate ?? 1),
+      ...state.prepareTaskUpdates(task, {
+        completedSessions,
+        done: task.done || completedSessions >= (task.estimate ?? 1),
+      }),
     };
   });
-  await storage.saveState({ ...currentState, tasks });
-  await broadcastState();
+}
+
+/**
+ * Move the task queue on when the counted session finished the active task
+ * 'auto' makes the next undone task active; 'ask' leaves no task active and keeps the next
+ * one as a suggestion until it is answered
+ * @param {Object} previousState - State before session
+ * @param {Array} tasks - Task list from countTaskSession
+ * @param {Object} settings - User settings
+ * @returns {{activeTaskId: string|null, nextTaskId: string|null, finished: Object|null,
+ *   next: Object|null}} Timer task fields, plus the finished and next tasks when it moved
+ */
+function advanceTaskQueue(previousState, tasks, settings) {
+  const { activeTaskId, nextTaskId = null } = previousState.timer;
+  const before = (previousState.tasks ?? []).find((task) => task.id === activeTaskId);
+  const finished = tasks.find((task) => task.id === activeTaskId);
+  if (!before || before.done || !finished?.done) {
+    return { activeTaskId, nextTaskId, finished: null, next: null };
+  }
+  const next = state.getNextTask(tasks, activeTaskId);
+  if (settings.taskAdvance === 'ask' && next) {
+    return { activeTaskId: null, nextTaskId: next.id, finished, next };
+  }
+  return { activeTaskId: next?.id ?? null, nextTaskId: null, finished, next };
+}
+
+/**
+ * Notify that the active task was finished, naming the task that comes next
+ * In 'ask' mode the notification carries buttons to accept or decline the next task
+ * @param {Object} settings - User settings
+ * @param {Object} queue - Result of advanceTaskQueue
+ * @returns {Promise<void>}
+ */
+async function notifyTaskFinished(settings, queue) {
+  if (!queue.finished) {
+    return;
+  }
+  const done = `${queue.finished.title} is done.`;
+  if (!queue.next) {
+    await maybeNotify(settings, 'Task complete', `${done} No tasks left in the queue`);
+    return;
+  }
+  if (queue.nextTaskId) {
+    await maybeNotify(settings, 'Task complete', `${done} Switch to ${queue.next.title}?`, {
+      id: NEXT_TASK_NOTIFICATION,
+      buttons: [{ title: 'Switch' }, { title: 'Not now' }],
+    });
+    return;
+  }
+  await maybeNotify(settings, 'Task complete', `${done} Next task: ${queue.next.title}`);
+}
+
+/**
+ * Store a finished entry, refresh the recent-history cache, fold the entry into statistics,
+ * and find the goals the entry completed
+ * Only recent days are read: the current week for goals, and as far back as streaks need
+ * (the window doubles until addToStatistics can measure them, or holds the whole history).
+ * Entries are filed under the local day they start on, so each read starts a day early.
+ * @param {Object} currentState - Application state
+ * @param {Object} settings - User settings
+ * @param {Object} entry - History entry
+ * @returns {Promise<{history: Array, statistics: Object, goalsMet: Array}>} Recent history
+ *   (newest first) and statistics for state, plus evaluations of newly met goals
+ */
+async function recordHistory(currentState, settings, entry) {
+  await historyStore.appendHistoryEntry(entry);
+  const options = { goals: settings.goals, includeAbandoned: settings.countAbandoned };
+  const today = toZonedDayKey(Date.now());
+  const days = await historyStore.getHistoryDays();
+  const oldest = days.at(-1)?.day ?? today;
+  let span = Math.max(7, 2 * ((currentState.statistics?.currentStreak ?? 0) + 1));
+  let recent;
+  let statistics = null;
+  while (!statistics) {
+    const from = [addDays(today, -span), getWeekStart(today)].sort()[0];
+    const whole = from <= oldest;
+    recent = await historyStore.getAllHistory({ from: whole ? undefined : addDays(from, -1) });
+    statistics = addToStatistics(currentState.statistics, entry, recent, {
+      ...options,
+      from: whole ? null : from,
+    });
+    span *= 2;
+  }
+  const before = recent.filter((item) => item.id !== entry.id);
+  return {
+    history: state.trimHistory([entry, ...(currentState.history ?? [])]),
+    statistics,
+    goalsMet: getNewlyMetGoals(settings.goals, before, recent, { settings }),
+  };
+}
+
+/**
+ * Notify about goals a session just completed
+ * @param {Object} settings - User settings
+ * @param {Array} goalsMet - Goal evaluations from recordHistory
+ * @returns {Promise<void>}
+ */
+async function notifyGoalsMet(settings, goalsMet) {
+  for (const goal of goalsMet) {
+    await maybeNotify(settings, 'Goal reached', goal.label);
+  }
 }
 
 /**
@@ -313,60 +781,72 @@ async function updateTaskProgress(previousState, timerState) {
  * @param {Object} settings - User settings
  * @param {string} title - Notification title
  * @param {string} message - Notification message
+ * @param {Object} [options] - Interactive notifications
+ * @param {string} [options.id] - Fixed notification id, so button clicks can be routed
+ * @param {Array<{title: string}>} [options.buttons] - Notification buttons
+ * @param {boolean} [options.requireInteraction] - Keep the notification open until answered
  * @returns {Promise<void>}
  */
-async function maybeNotify(settings, title, message) {
+async function maybeNotify(
+  settings,
+  title,
+  message,
+  { id, buttons, requireInteraction = true } = {}
+) {
   if (!settings.notifications) {
     return;
   }
-  await chrome.notifications.create({
+  const notification = {
     type: 'basic',
     title,
     message,
     iconUrl: chrome.runtime.getURL('src/assets/icon-128.png'),
-  });
-  await playSound(settings);
+  };
+  if (!id) {
+    await chrome.notifications.create(notification);
+    return;
+  }
+  await chrome.notifications.create(id, { ...notification, buttons, requireInteraction });
 }
 
 /**
- * Open break enforcement tab if enabled
- * @param {string} phase - Current phase ('break', 'longBreak')
+ * Play the completion sound configured for the phase that just ended
+ * Independent of notifications so audible cues work with notifications off
  * @param {Object} settings - User settings
+ * @param {string} endedPhase - Phase that finished
+ * @param {Object} method - Method configuration
  * @returns {Promise<void>}
  */
-async function enforceBreak(phase, settings) {
-  if (!settings.breakEnforcement) {
-    return;
-  }
-  if (phase !== 'break' && phase !== 'longBreak') {
-    return;
-  }
-  try {
-    await chrome.tabs.create({ url: chrome.runtime.getURL('src/break.html'), active: true });
-  } catch (error) {
-    console.error('Break enforcement failed', error);
-  }
+async function playPhaseEndSound(settings, endedPhase, method) {
+  await playSound(resolvePhaseSound(settings, endedPhase, method), settings.volume);
+}
+
+/**
+ * Play a sound on request (options page "Test" buttons)
+ * @param {Object} message - Message with sound key and optional volume
+ * @returns {Promise<{played: boolean}>}
+ */
+async function testSound(message) {
+  const { settings } = await storage.loadStateAndSettings();
+  const played = await playSound(message.sound, message.volume ?? settings?.volume);
+  return { played };
 }
 
 /**
- * Play notification sound using Web Audio API
- * @param {Object} settings - User settings with sound profile
+ * Start or stop the ambient soundscape to match the timer
+ * @param {Object} timerState - Timer state after the transition
+ * @param {Object} settings - User settings
+ * @param {number} fadeSeconds - Fade-out length when ambient should stop
  * @returns {Promise<void>}
  */
-async function playSound(settings) {
-  const profile = SOUNDS[settings.sound];
-  if (!profile || typeof AudioContext === 'undefined') {
-    return;
+async function syncAmbient(timerState, settings, fadeSeconds = AMBIENT_FADE.stopSeconds) {
+  const method = timer.getMethodConfig(timerState.methodKey, settings);
+  const ambient = resolveAmbient(timerState, method, settings);
+  if (ambient) {
+    await startAmbient(ambient.sound, ambient.volume);
+  } else {
+    await stopAmbient(fadeSeconds);
   }
-  const ctx = new AudioContext();
-  const oscillator = ctx.createOscillator();
-  const gain = ctx.createGain();
-  oscillator.type = profile.type;
-  oscillator.frequency.value = profile.frequency;
-  gain.gain.value = settings.volume ?? 0.7;
-  oscillator.connect(gain).connect(ctx.destination);
-  oscillator.start();
-  oscillator.stop(ctx.currentTime + profile.duration);
 }
 
 /**
@@ -386,24 +866,25 @@ async function ensureBadgeUpdates(timer, settings) {
 
 /**
  * Update icon badge with remaining time
- * @param {Object} timer - Timer state
+ * @param {Object} timerState - Timer state
  * @param {Object} settings - User settings
  * @returns {Promise<void>}
  */
-async function updateBadge(timer, settings) {
-  if (!settings.badge || !timer.isRunning) {
+async function updateBadge(timerState, settings) {
+  if (!settings.badge || !timerState.isRunning) {
     await chrome.action.setBadgeText({ text: '' });
     return;
   }
-  const remaining = timer.endTime ? Math.max(0, timer.endTime - Date.now()) : 0;
-  if (remaining === 0 && timer.methodKey !== 'flowtime') {
+  const method = timer.getMethodConfig(timerState.methodKey, settings);
+  const remaining = timer.computeRemaining(timerState, method);
+  const openEnded = timer.isOpenEndedPhase(method, timerState.phase, timerState.phaseIndex);
+  if (remaining === 0 && !openEnded) {
     await chrome.action.setBadgeText({ text: '' });
     return;
   }
-  const minutes =
-    timer.methodKey === 'flowtime' ? 'FL' : Math.max(0, Math.ceil(remaining / 60000)).toString();
+  const minutes = openEnded ? 'FL' : Math.max(0, Math.ceil(remaining / 60000)).toString();
   await chrome.action.setBadgeBackgroundColor({
-    color: timer.phase === 'work' ? '#2563eb' : '#10b981',
+    color: timer.isWorkPhase(timerState.phase, method) ? '#2563eb' : '#10b981',
   });
   await chrome.action.setBadgeText({ text: minutes.slice(0, 4) });
 }
@@ -428,41 +909,78 @@ async function saveAndBroadcast(currentState, settings) {
  */
 async function broadcastState() {
   const { state: currentState, settings } = await storage.loadStateAndSettings();
-  const payload = { type: 'stateUpdated', state: currentState, settings, methods: DEFAULT_METHODS };
+  const payload = {
+    type: 'stateUpdated',
+    state: currentState,
+    settings,
+    methods: timer.adaptMethods(
+      resolveMethodsForState(currentState, settings),
+      currentState?.history ?? []
+    ),
+  };
   await chrome.runtime.sendMessage(payload).catch(() => {});
 }
 
+/**
+ * Commands owned by the service worker
+ * They schedule alarms, badge updates, and audio, so they are not routed through handlers.js
+ */
+const WORKER_COMMANDS = {
+  startTimer: (message) => startTimer(message.methodKey, message.phase),
+  pauseTimer: () => pauseTimer(),
+  resumeTimer: () => resumeTimer(),
+  resetTimer: () => resetTimer(),
+  completeFlowtime: () => completeFlowtime(),
+  emergencySkipBreak: (message) => emergencySkipBreak(message),
+  extendPhase: (message) => extendPhase(message),
+  skipPhase: () => skipPhase(),
+  testSound: (message) => testSound(message),
+};
+
+/**
+ * Handler messages that can change which sites are blocked during a running focus phase
+ */
+const BLOCKLIST_INPUTS = new Set([
+  'updateBlocklist',
+  'updateSettings',
+  'updateTask',
+  'deleteTask',
+  'setActiveTask',
+  'skipTask',
+  'answerNextTask',
+  'savePreset',
+  'restoreBackup',
+]);
+
+/**
+ * Re-apply blocking rules from the stored state
+ * @returns {Promise<void>}
+ */
+async function resyncBlocking() {
+  const { state: currentState, settings } = await storage.loadStateAndSettings();
+  if (currentState && settings) {
+    await syncBlocking(currentState, settings);
+  }
+}
+
 /**
  * Message handler for all runtime requests
- * Routes to centralized handler dispatcher
+ * Routes timer commands locally and everything else to the centralized handler dispatcher
  * See src/shared/messages.json for message type documentation
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   const handler = async () => {
     try {
-      // Special case: getState needs to compute remaining time
-      if (message.type === 'getState') {
-        const { state: currentState, settings } = await storage.loadStateAndSettings();
-        const remainingMs =
-          message.type === 'getState'
-            ? currentState.timer.isRunning
-              ? currentState.timer.endTime
-                ? Math.max(0, currentState.timer.endTime - Date.now())
-                : currentState.timer.startTime
-                  ? Math.max(0, Date.now() - currentState.timer.startTime)
-                  : 0
-              : (currentState.timer.remainingMs ?? 0)
-            : 0;
-        sendResponse({
-          state: currentState,
-          settings,
-          methods: DEFAULT_METHODS,
-          remaining: remainingMs,
-        });
+      const command = WORKER_COMMANDS[message.type];
+      if (command) {
+        const result = await command(message);
+        sendResponse({ ok: true, ...result });
         return;
       }
-      // Delegate all other messages to the centralized handler
       const result = await dispatchMessage(message);
+      if (BLOCKLIST_INPUTS.has(message.type)) {
+        await resyncBlocking();
+      }
       sendResponse({ ok: true, ...result });
     } catch (err) {
       console.error(err);
@@ -485,6 +1003,58 @@ chrome.alarms.onAlarm.addListener((alarm) => {
   handleAlarm(alarm.name).catch(console.error);
 });
 
+/**
+ * Map a notification button click to a handler message
+ * @param {string} notificationId - Notification ID
+ * @param {number} buttonIndex - Clicked button
+ * @returns {Object|null} Runtime message, or null for other notifications
+ */
+function notificationButtonMessage(notificationId, buttonIndex) {
+  if (notificationId === PHASE_NOTIFICATION) {
+    return buttonIndex === 0
+      ? { type: 'extendPhase', minutes: PHASE_EXTENSION.shortcutMinutes }
+      : { type: 'skipPhase' };
+  }
+  if (notificationId === NEXT_TASK_NOTIFICATION) {
+    return { type: 'answerNextTask', accept: buttonIndex === 0 };
+  }
+  if (notificationId.startsWith(REFLECTION_NOTIFICATION)) {
+    return {
+      type: 'rateSession',
+      id: notificationId.slice(REFLECTION_NOTIFICATION.length),
+      rating: REFLECTION_QUICK_RATINGS[buttonIndex]?.rating,
+    };
+  }
+  return null;
+}
+
+/**
+ * Notification button listener: extending or skipping the phase that just started, the next-task
+ * suggestion (0 switches, 1 declines) and quick focus ratings after a session
+ */
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  const message = notificationButtonMessage(notificationId, buttonIndex);
+  if (!message) {
+    return;
+  }
+  const command = WORKER_COMMANDS[message.type];
+  const run = command ? command(message) : dispatchMessage(message).then(() => resyncBlocking());
+  run.then(() => chrome.notifications.clear(notificationId)).catch(console.error);
+});
+
+/**
+ * Tab listeners for break enforcement (strict redirects and reopening the break page)
+ */
+chrome.tabs.onCreated.addListener((tab) => {
+  handleTabCreated(tab).catch(console.error);
+});
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  handleTabUpdated(tabId, changeInfo).catch(console.error);
+});
+chrome.tabs.onRemoved.addListener((tabId) => {
+  handleTabRemoved(tabId).catch(console.error);
+});
+
 /**
  * Command listener for keyboard shortcuts
  */
@@ -501,6 +1071,22 @@ chrome.commands.onCommand.addListener(async (command) => {
     if (command === 'flexifocus-reset') {
       await resetTimer();
     }
+    if (command === 'flexifocus-skip-task') {
+      await dispatchMessage({ type: 'skipTask' });
+      await resyncBlocking();
+    }
+    if (command === 'flexifocus-extend') {
+      await extendPhase({ minutes: PHASE_EXTENSION.shortcutMinutes });
+    }
+    if (command === 'flexifocus-skip-phase') {
+      await skipPhase();
+    }
+    if (command === 'flexifocus-interruption-internal') {
+      await dispatchMessage({ type: 'logInterruption', kind: 'internal' });
+    }
+    if (command === 'flexifocus-interruption-external') {
+      await dispatchMessage({ type: 'logInterruption', kind: 'external' });
+    }
     if (command === 'flexifocus-quick-5') {
       await resetTimer();
       await startTimer('quick5', 'work');
@@ -519,9 +1105,12 @@ chrome.commands.onCommand.addListener(async (command) => {
 });
 
 /**
- * Extension installation hook - initialize state
+ * Extension installation/update hook - migrate stored data, then initialize state
  */
 chrome.runtime.onInstalled.addListener(async () => {
-  const { state, settings } = await storage.loadStateAndSettings();
-  await saveAndBroadcast(state, settings);
+  await storage.ensureSchema();
+  const { state: loadedState, settings: loadedSettings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, loadedSettings);
+  await saveAndBroadcast(defaults.state, defaults.settings);
+  await resyncBlocking();
 });
@@ -0,0 +1,67 @@
+/**
+ * Blocked-site page for FlexiFocus
+ * Shown when the focus blocklist redirects a navigation; displays the task and time left
+ */
+
+import { computeRemaining, getPhaseLabel, isOpenEndedPhase } from './services/timer.js';
+import { isBlockingPhase } from './services/blocklist.js';
+import { formatTime } from './shared/utils.js';
+
+const els = {
+  eyebrow: document.getElementById('eyebrow'),
+  task: document.getElementById('task'),
+  remaining: document.getElementById('remaining'),
+  message: document.getElementById('message'),
+  back: document.getElementById('backBtn'),
+};
+
+let snapshot = null;
+
+init();
+
+/**
+ * Load state, listen for updates, and tick the countdown
+ * @returns {Promise<void>}
+ */
+async function init() {
+  els.back.addEventListener('click', () => history.back());
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type === 'stateUpdated' && message.state) {
+      snapshot = { state: message.state, methods: message.methods ?? snapshot?.methods ?? {} };
+      render();
+    }
+  });
+  const response = await chrome.runtime.sendMessage({ type: 'getState' });
+  if (response?.state) {
+    snapshot = { state: response.state, methods: response.methods ?? {} };
+    render();
+  }
+  setInterval(render, 1000);
+}
+
+/**
+ * Render the active task and remaining focus time
+ * @returns {void}
+ */
+function render() {
+  if (!snapshot) {
+    return;
+  }
+  const { state, methods } = snapshot;
+  const timer = state.timer;
+  const method = methods[timer.methodKey];
+  const task = (state.tasks ?? []).find((item) => item.id === timer.activeTaskId);
+  els.task.textContent = task ? `Current task: ${task.title}` : 'No task selected';
+
+  if (!isBlockingPhase(timer, method)) {
+    els.eyebrow.textContent = 'Focus block over';
+    els.remaining.textContent = formatTime(0);
+    els.message.textContent = 'Blocking is off. Go back and reload the page to continue.';
+    return;
+  }
+  els.eyebrow.textContent = `Blocked during ${getPhaseLabel(timer.phase, method, timer.phaseIndex)}`;
+  els.remaining.textContent = formatTime(computeRemaining(timer, method));
+  els.message.textContent = isOpenEndedPhase(method, timer.phase, timer.phaseIndex)
+    ? 'This site is on your focus blocklist. It opens again when you end the flow session.'
+    : 'This site is on your focus blocklist. It opens again when the focus block ends.';
+}
@@ -0,0 +1,143 @@
+/**
+ * Break page for FlexiFocus
+ * Shows the live break countdown and honours the configured enforcement level
+ */
+
+import { capitalize, formatTime } from './shared/utils.js';
+
+const els = {
+  eyebrow: document.getElementById('eyebrow'),
+  countdown: document.getElementById('countdown'),
+  message: document.getElementById('message'),
+  start: document.getElementById('startBtn'),
+  close: document.getElementById('closeBtn'),
+  emergency: document.getElementById('emergency'),
+  reason: document.getElementById('skipReason'),
+  skip: document.getElementById('skipBtn'),
+};
+
+const MESSAGES = {
+  gentle: 'Hydrate, stretch, and let your mind reset. This tab will stay until you close it.',
+  countdown: 'Hydrate, stretch, and let your mind reset. This tab unlocks when the break ends.',
+  strict: 'New tabs open here until the break ends. Hydrate, stretch, and let your mind reset.',
+  done: 'Break complete. Close this tab and get back to it.',
+};
+
+let status = null;
+
+init();
+
+/**
+ * Wire up listeners and start the countdown
+ * @returns {Promise<void>}
+ */
+async function init() {
+  els.close.addEventListener('click', dismiss);
+  els.start.addEventListener('click', () => chrome.runtime.sendMessage({ type: 'resumeTimer' }));
+  els.skip.addEventListener('click', emergencySkip);
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      dismiss();
+    }
+  });
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type === 'stateUpdated') {
+      refresh();
+    }
+  });
+  await refresh();
+  setInterval(tick, 1000);
+}
+
+/**
+ * Fetch the break status from the service worker
+ * @returns {Promise<void>}
+ */
+async function refresh() {
+  const response = await chrome.runtime.sendMessage({ type: 'getBreakStatus' });
+  if (!response || response.error) {
+    return;
+  }
+  status = response;
+  render();
+}
+
+/**
+ * Remaining break time, counting down locally between refreshes
+ * @returns {number} Milliseconds remaining
+ */
+function currentRemaining() {
+  if (!status?.onBreak) {
+    return 0;
+  }
+  if (status.isRunning && status.endTime) {
+    return Math.max(0, status.endTime - Date.now());
+  }
+  return status.remainingMs;
+}
+
+/**
+ * Whether the page may be closed right now
+ * @returns {boolean}
+ */
+function isLocked() {
+  return !!status?.locked && currentRemaining() > 0;
+}
+
+/**
+ * Update the countdown once a second and re-check the lock when it hits zero
+ * @returns {void}
+ */
+function tick() {
+  if (!status?.onBreak) {
+    return;
+  }
+  els.countdown.textContent = formatTime(currentRemaining());
+  if (status.locked && !isLocked()) {
+    refresh();
+  }
+}
+
+/**
+ * Render the page for the current status
+ * @returns {void}
+ */
+function render() {
+  const locked = isLocked();
+  const level = status.level ?? 'gentle';
+  els.eyebrow.textContent = status.onBreak ? `${capitalize(level)} break` : 'Break over';
+  els.countdown.classList.toggle('hidden', !status.onBreak);
+  els.countdown.textContent = formatTime(currentRemaining());
+  els.message.textContent = status.onBreak ? MESSAGES[level] : MESSAGES.done;
+  els.start.classList.toggle('hidden', !status.onBreak || status.isRunning);
+  els.close.disabled = locked;
+  els.close.textContent = locked ? 'Locked until the break ends' : "I'm rested";
+  els.emergency.classList.toggle('hidden', !status.locked);
+}
+
+/**
+ * Close the tab unless the break is locked
+ * @returns {void}
+ */
+function dismiss() {
+  if (isLocked()) {
+    return;
+  }
+  window.close();
+}
+
+/**
+ * Skip the break and log the reason to history
+ * @returns {Promise<void>}
+ */
+async function emergencySkip() {
+  els.skip.disabled = true;
+  const response = await chrome.runtime.sendMessage({
+    type: 'emergencySkipBreak',
+    reason: els.reason.value,
+  });
+  els.skip.disabled = false;
+  if (response?.ok) {
+    window.close();
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * FlexiFocus offscreen audio engine
+ * Receives note schedules and ambient requests from the service worker and plays them with Web Audio
+ */
+
+import { generateAmbient } from './noise.js';
+
+const ATTACK_SECONDS = 0.01;
+const RELEASE_SECONDS = 0.05;
+const SILENCE = 0.0001;
+const AMBIENT_LOOP_SECONDS = 6;
+const AMBIENT_FADE_IN_SECONDS = 1.5;
+const AMBIENT_RETUNE_SECONDS = 0.3;
+
+let context = null;
+let ambient = null;
+const ambientBuffers = new Map();
+
+/**
+ * Get (or lazily create) the shared audio context
+ * @returns {AudioContext} Running audio context
+ */
+function getContext() {
+  if (!context) {
+    context = new AudioContext();
+  }
+  if (context.state === 'suspended') {
+    context.resume();
+  }
+  return context;
+}
+
+/**
+ * Play a sequence of oscillator notes
+ * @param {Array<{type: string, frequency: number, duration: number, offset: number, gain: number}>} notes
+ * @param {number} volume - Master volume 0-1
+ */
+function playNotes(notes, volume) {
+  const ctx = getContext();
+  const start = ctx.currentTime + 0.02;
+
+  notes.forEach((note) => {
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+    const noteStart = start + note.offset;
+    const noteEnd = noteStart + note.duration;
+    const peak = Math.max(SILENCE, volume * note.gain);
+
+    oscillator.type = note.type;
+    oscillator.frequency.value = note.frequency;
+    gain.gain.setValueAtTime(SILENCE, noteStart);
+    gain.gain.exponentialRampToValueAtTime(peak, noteStart + ATTACK_SECONDS);
+    gain.gain.exponentialRampToValueAtTime(SILENCE, noteEnd);
+
+    oscillator.connect(gain).connect(ctx.destination);
+    oscillator.start(noteStart);
+    oscillator.stop(noteEnd + RELEASE_SECONDS);
+  });
+}
+
+/**
+ * Get (or build and cache) the loop buffer for an ambient sound
+ * @param {AudioContext} ctx - Audio context
+ * @param {string} kind - Ambient sound key
+ * @returns {AudioBuffer} Loopable buffer
+ */
+function getAmbientBuffer(ctx, kind) {
+  if (!ambientBuffers.has(kind)) {
+    const samples = generateAmbient(kind, ctx.sampleRate * AMBIENT_LOOP_SECONDS, ctx.sampleRate);
+    const buffer = ctx.createBuffer(1, samples.length, ctx.sampleRate);
+    buffer.copyToChannel(samples, 0);
+    ambientBuffers.set(kind, buffer);
+  }
+  return ambientBuffers.get(kind);
+}
+
+/**
+ * Ramp a gain node to a target level from its current value
+ * @param {GainNode} gain - Gain node
+ * @param {number} target - Target level
+ * @param {number} seconds - Ramp length
+ */
+function rampGain(gain, target, seconds) {
+  const now = getContext().currentTime;
+  gain.gain.cancelScheduledValues(now);
+  gain.gain.setValueAtTime(gain.gain.value, now);
+  gain.gain.linearRampToValueAtTime(target, now + seconds);
+}
+
+/**
+ * Start a looping ambient soundscape, or retune the one already playing
+ * @param {string} kind - Ambient sound key
+ * @param {number} volume - Ambient volume 0-1
+ */
+function startAmbient(kind, volume) {
+  if (ambient && !ambient.fading && ambient.kind === kind) {
+    rampGain(ambient.gain, volume, AMBIENT_RETUNE_SECONDS);
+    return;
+  }
+  stopAmbient(AMBIENT_RETUNE_SECONDS);
+
+  const ctx = getContext();
+  const source = ctx.createBufferSource();
+  const gain = ctx.createGain();
+  source.buffer = getAmbientBuffer(ctx, kind);
+  source.loop = true;
+  gain.gain.setValueAtTime(0, ctx.currentTime);
+  gain.gain.linearRampToValueAtTime(volume, ctx.currentTime + AMBIENT_FADE_IN_SECONDS);
+  source.connect(gain).connect(ctx.destination);
+  source.start();
+  ambient = { kind, source, gain, fading: false };
+}
+
+/**
+ * Fade out the ambient soundscape; repeated calls while fading are ignored
+ * @param {number} fadeSeconds - Fade-out length
+ */
+function stopAmbient(fadeSeconds) {
+  if (!ambient || ambient.fading) {
+    return;
+  }
+  const current = ambient;
+  const fade = Math.max(0.05, fadeSeconds);
+  current.fading = true;
+  rampGain(current.gain, 0, fade);
+  current.source.stop(getContext().currentTime + fade + RELEASE_SECONDS);
+  current.source.onended = () => {
+    if (ambient === current) {
+      ambient = null;
+    }
+  };
+}
+
+/**
+ * Message listener for playback requests addressed to the offscreen document
+ */
+chrome.runtime.onMessage.addListener((message) => {
+  if (message?.target !== 'offscreen') {
+    return;
+  }
+  if (message.type === 'playSound') {
+    playNotes(message.notes ?? [], message.volume ?? 0.7);
+  }
+  if (message.type === 'startAmbient') {
+    startAmbient(message.sound, message.volume ?? 0.3);
+  }
+  if (message.type === 'stopAmbient') {
+    stopAmbient(message.fadeSeconds ?? 0);
+  }
+});
@@ -0,0 +1,150 @@
+/**
+ * Procedural noise generators for ambient soundscapes
+ * Pure functions over Float32Array so buffers are built locally with no network assets
+ */
+
+const PEAK_LEVEL = 0.8;
+const LOOP_CROSSFADE_SECONDS = 0.25;
+
+/**
+ * Generate uniform white noise
+ * @param {number} length - Sample count
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {Float32Array} Samples in [-1, 1]
+ */
+export function generateWhite(length, random = Math.random) {
+  const data = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    data[i] = random() * 2 - 1;
+  }
+  return data;
+}
+
+/**
+ * Generate pink (1/f) noise using Paul Kellet's economy filter
+ * @param {number} length - Sample count
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {Float32Array} Unnormalized samples
+ */
+export function generatePink(length, random = Math.random) {
+  const data = new Float32Array(length);
+  let b0 = 0;
+  let b1 = 0;
+  let b2 = 0;
+  for (let i = 0; i < length; i++) {
+    const white = random() * 2 - 1;
+    b0 = 0.99765 * b0 + white * 0.099046;
+    b1 = 0.963 * b1 + white * 0.2965164;
+    b2 = 0.57 * b2 + white * 1.0526913;
+    data[i] = b0 + b1 + b2 + white * 0.1848;
+  }
+  return data;
+}
+
+/**
+ * Generate brown (1/f^2) noise as leaky integrated white noise
+ * @param {number} length - Sample count
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {Float32Array} Unnormalized samples
+ */
+export function generateBrown(length, random = Math.random) {
+  const data = new Float32Array(length);
+  let last = 0;
+  for (let i = 0; i < length; i++) {
+    const white = random() * 2 - 1;
+    last = (last + 0.02 * white) / 1.02;
+    data[i] = last;
+  }
+  return data;
+}
+
+/**
+ * Generate rain: a soft pink-noise bed with scattered decaying droplets
+ * @param {number} length - Sample count
+ * @param {number} sampleRate - Samples per second
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {Float32Array} Unnormalized samples
+ */
+export function generateRain(length, sampleRate, random = Math.random) {
+  const bed = generatePink(length, random);
+  const data = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    data[i] = bed[i] * 0.06;
+  }
+
+  const drops = Math.round((length / sampleRate) * 60);
+  for (let d = 0; d < drops; d++) {
+    const start = Math.floor(random() * length);
+    const decay = sampleRate * (0.002 + random() * 0.008);
+    const amplitude = 0.15 + random() * 0.35;
+    const dropLength = Math.min(length - start, Math.ceil(decay * 5));
+    for (let i = 0; i < dropLength; i++) {
+      data[start + i] += (random() * 2 - 1) * amplitude * Math.exp(-i / decay);
+    }
+  }
+  return data;
+}
+
+/**
+ * Scale samples so the loudest sample hits the target peak
+ * @param {Float32Array} data - Samples (modified in place)
+ * @param {number} peak - Target absolute peak
+ * @returns {Float32Array} Normalized samples
+ */
+export function normalizePeak(data, peak = PEAK_LEVEL) {
+  let max = 0;
+  for (let i = 0; i < data.length; i++) {
+    max = Math.max(max, Math.abs(data[i]));
+  }
+  if (max > 0) {
+    const scale = peak / max;
+    for (let i = 0; i < data.length; i++) {
+      data[i] *= scale;
+    }
+  }
+  return data;
+}
+
+/**
+ * Crossfade the tail into the head so the buffer loops without a click
+ * @param {Float32Array} data - Samples
+ * @param {number} fadeSamples - Crossfade length
+ * @returns {Float32Array} Shorter buffer that loops seamlessly
+ */
+export function makeLoopable(data, fadeSamples) {
+  const fade = Math.min(fadeSamples, Math.floor(data.length / 2));
+  if (fade <= 0) {
+    return data;
+  }
+  const length = data.length - fade;
+  const looped = data.slice(0, length);
+  for (let i = 0; i < fade; i++) {
+    const t = i / fade;
+    looped[i] = data[i] * t + data[length + i] * (1 - t);
+  }
+  return looped;
+}
+
+/**
+ * Build a loopable ambient buffer
+ * @param {string} kind - Key in AMBIENT_SOUNDS ('white', 'pink', 'brown', 'rain')
+ * @param {number} length - Sample count before loop crossfade
+ * @param {number} sampleRate - Samples per second
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {Float32Array} Normalized, loopable samples
+ * @throws {Error} If kind is unknown
+ */
+export function generateAmbient(kind, length, sampleRate, random = Math.random) {
+  const generators = {
+    white: () => generateWhite(length, random),
+    pink: () => generatePink(length, random),
+    brown: () => generateBrown(length, random),
+    rain: () => generateRain(length, sampleRate, random),
+  };
+  const generate = generators[kind];
+  if (!generate) {
+    throw new Error(`Unknown ambient sound: ${kind}`);
+  }
+  const fadeSamples = Math.round(sampleRate * LOOP_CROSSFADE_SECONDS);
+  return makeLoopable(normalizePeak(generate()), fadeSamples);
+}
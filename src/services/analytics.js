@@ -0,0 +1,263 @@
+/**
+ * History analytics for FlexiFocus
+ * Extends getHistoryStats with calendar time buckets, per-method and per-task breakdowns,
+ * an hour-of-day heatmap and completion rates for the reports page
+ */
+
+import { REPORT_GRANULARITIES } from '../shared/constants.js';
+import { getHistoryStats } from './state.js';
+import { isFocusEntry } from './timer.js';
+import { getMethodLabel } from './methods.js';
+import { toDayKey, fromDayKey, getEntryDay } from './history.js';
+
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate report options
+ * @param {Object} options - { granularity, from, to }
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateReportOptions(options = {}) {
+  const errors = [];
+  if (options.granularity !== undefined && !REPORT_GRANULARITIES.includes(options.granularity)) {
+    errors.push(`Report.granularity must be one of: ${REPORT_GRANULARITIES.join(', ')}`);
+  }
+  ['from', 'to'].forEach((field) => {
+    if (options[field] !== undefined && !DAY_KEY.test(options[field])) {
+      errors.push(`Report.${field} must be a date (YYYY-MM-DD)`);
+    }
+  });
+  if (!errors.length && options.from && options.to && options.from > options.to) {
+    errors.push('Report.from must not be after Report.to');
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Get the first local day of the period containing a day
+ * @param {string} day - Day key
+ * @param {string} granularity - 'day', 'week' (Monday start) or 'month'
+ * @returns {Date} Local midnight starting the period
+ */
+function periodStart(day, granularity) {
+  const date = fromDayKey(day);
+  if (granularity === 'week') {
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  } else if (granularity === 'month') {
+    date.setDate(1);
+  }
+  return date;
+}
+
+/**
+ * Get the key of the period containing a day
+ * @param {string} day - Day key
+ * @param {string} granularity - 'day', 'week' or 'month'
+ * @returns {string} 'YYYY-MM-DD' (day, or the Monday of the week) or 'YYYY-MM' (month)
+ */
+export function periodKey(day, granularity) {
+  const key = toDayKey(periodStart(day, granularity).getTime());
+  return granularity === 'month' ? key.slice(0, 7) : key;
+}
+
+/**
+ * List every period touching a day range, oldest first
+ * @param {string} from - First day key
+ * @param {string} to - Last day key
+ * @param {string} granularity - 'day', 'week' or 'month'
+ * @returns {string[]} Period keys
+ */
+export function listPeriods(from, to, granularity) {
+  const periods = [];
+  const cursor = periodStart(from, granularity);
+  while (toDayKey(cursor.getTime()) <= to) {
+    periods.push(periodKey(toDayKey(cursor.getTime()), granularity));
+    if (granularity === 'month') {
+      cursor.setMonth(cursor.getMonth() + 1);
+    } else {
+      cursor.setDate(cursor.getDate() + (granularity === 'week' ? 7 : 1));
+    }
+  }
+  return periods;
+}
+
+/**
+ * Whether an entry counts toward time totals (skipped sessions only count toward completion)
+ * @param {Object} entry - History entry
+ * @returns {boolean}
+ */
+function isCounted(entry) {
+  return entry.status !== 'skipped';
+}
+
+/**
+ * Sum focus and break time per period
+ * @param {Array} entries - History entries
+ * @param {Object} options - { granularity, from, to } (range defaults to the entries' span)
+ * @returns {Array<{period: string, focusMs: number, breakMs: number, sessions: number}>}
+ */
+export function bucketHistory(entries, options = {}) {
+  const granularity = options.granularity ?? 'day';
+  const days = entries.map(getEntryDay).sort();
+  const from = options.from ?? days[0];
+  const to = options.to ?? days[days.length - 1];
+  if (!from || !to || from > to) {
+    return [];
+  }
+  const buckets = new Map(
+    listPeriods(from, to, granularity).map((period) => [
+      period,
+      { period, focusMs: 0, breakMs: 0, sessions: 0 },
+    ])
+  );
+  entries.filter(isCounted).forEach((entry) => {
+    const bucket = buckets.get(periodKey(getEntryDay(entry), granularity));
+    if (!bucket) {
+      return;
+    }
+    if (isFocusEntry(entry)) {
+      bucket.focusMs += entry.durationMs;
+      bucket.sessions += 1;
+    } else {
+      bucket.breakMs += entry.durationMs;
+    }
+  });
+  return [...buckets.values()];
+}
+
+/**
+ * Focus sessions and time per method, most time first
+ * @param {Array} entries - History entries
+ * @param {Object} settings - User settings (for labels)
+ * @returns {Array<{methodKey: string, label: string, sessions: number, focusMs: number}>}
+ */
+export function getMethodBreakdown(entries, settings) {
+  const byMethod = new Map();
+  entries
+    .filter((entry) => isCounted(entry) && isFocusEntry(entry))
+    .forEach((entry) => {
+      const row = byMethod.get(entry.methodKey) ?? {
+        methodKey: entry.methodKey,
+        label: getMethodLabel(entry.methodKey, settings),
+        sessions: 0,
+        focusMs: 0,
+      };
+      row.sessions += 1;
+      row.focusMs += entry.durationMs;
+      byMethod.set(entry.methodKey, row);
+    });
+  return [...byMethod.values()].sort((a, b) => b.focusMs - a.focusMs);
+}
+
+/**
+ * Focus time per task, most time first
+ * Sessions without a task, or whose task was deleted, are grouped under taskId null.
+ * @param {Array} entries - History entries
+ * @param {Array} tasks - Current tasks (for titles)
+ * @returns {Array<{taskId: string|null, title: string|null, sessions: number, focusMs: number}>}
+ */
+export function getTaskBreakdown(entries, tasks = []) {
+  const titles = new Map(tasks.map((task) => [task.id, task.title]));
+  const byTask = new Map();
+  entries
+    .filter((entry) => isCounted(entry) && isFocusEntry(entry))
+    .forEach((entry) => {
+      const taskId = titles.has(entry.taskId) ? entry.taskId : null;
+      const row = byTask.get(taskId) ?? {
+        taskId,
+        title: taskId ? titles.get(taskId) : null,
+        sessions: 0,
+        focusMs: 0,
+      };
+      row.sessions += 1;
+      row.focusMs += entry.durationMs;
+      byTask.set(taskId, row);
+    });
+  return [...byTask.values()].sort((a, b) => b.focusMs - a.focusMs);
+}
+
+/**
+ * Focus time by weekday and local hour, splitting sessions across the hours they span
+ * (paused time is spread evenly, so each session adds up to its durationMs)
+ * @param {Array} entries - History entries
+ * @returns {number[][]} 7 rows (Monday first) of 24 hourly totals in milliseconds
+ */
+export function getHourHeatmap(entries) {
+  const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  entries
+    .filter((entry) => isCounted(entry) && isFocusEntry(entry))
+    .forEach((entry) => {
+      let cursor = entry.startedAt;
+      const end = Math.max(cursor, entry.endedAt);
+      const scale = end > cursor ? entry.durationMs / (end - cursor) : 0;
+      while (cursor < end) {
+        const date = new Date(cursor);
+        const hourEnd = Math.max(new Date(date).setMinutes(60, 0, 0), cursor + 1);
+        const sliceEnd = Math.min(end, hourEnd);
+        grid[(date.getDay() + 6) % 7][date.getHours()] += (sliceEnd - cursor) * scale;
+        cursor = sliceEnd;
+      }
+    });
+  return grid;
+}
+
+/**
+ * Share of focus sessions that ran to completion, abandoned sessions included in the total
+ * @param {Array} entries - History entries
+ * @returns {{completed: number, abandoned: number, total: number, rate: number|null}} rate is
+ *   0-1 (null if empty)
+ */
+export function getCompletionRate(entries) {
+  const focus = entries.filter((entry) => isFocusEntry(entry));
+  const completed = focus.filter((entry) => (entry.status ?? 'completed') === 'completed').length;
+  const abandoned = focus.filter((entry) => entry.status === 'abandoned').length;
+  return {
+    completed,
+    abandoned,
+    total: focus.length,
+    rate: focus.length ? completed / focus.length : null,
+  };
+}
+
+/**
+ * Build everything the reports page shows for a range
+ * Abandoned sessions are left out of the time totals when settings.countAbandoned is false,
+ * but always count against the completion rate.
+ * @param {Array} entries - History entries in the range
+ * @param {Object} options - { granularity, from, to, tasks, settings }
+ * @returns {Object} { granularity, from, to, summary, periods, methods, tasks, heatmap, completion }
+ *   summary extends getHistoryStats with focusMs, breakMs and breakToFocusRatio
+ */
+export function buildReport(entries, options = {}) {
+  const included =
+    options.settings?.countAbandoned === false
+      ? entries.filter((entry) => entry.status !== 'abandoned')
+      : entries;
+  const counted = included.filter(isCounted);
+  const focusMs = counted
+    .filter((entry) => isFocusEntry(entry))
+    .reduce((total, entry) => total + entry.durationMs, 0);
+  const breakMs = counted
+    .filter((entry) => !isFocusEntry(entry))
+    .reduce((total, entry) => total + entry.durationMs, 0);
+  const days = entries.map(getEntryDay).sort();
+  const granularity = options.granularity ?? 'day';
+  const from = options.from ?? days[0] ?? null;
+  const to = options.to ?? days[days.length - 1] ?? null;
+  return {
+    granularity,
+    from,
+    to,
+    summary: {
+      ...getHistoryStats(counted),
+      focusMs,
+      breakMs,
+      breakToFocusRatio: focusMs ? breakMs / focusMs : null,
+    },
+    periods: bucketHistory(included, { granularity, from, to }),
+    methods: getMethodBreakdown(included, options.settings),
+    tasks: getTaskBreakdown(included, options.tasks),
+    heatmap: getHourHeatmap(included),
+    completion: getCompletionRate(entries),
+  };
+}
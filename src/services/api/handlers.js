@@ -3,10 +3,29 @@
  * Each handler is isolated and testable
  */
 
+import { INTERRUPTION_LIMITS } from '../../shared/constants.js';
 import * as storage from '../storage.js';
 import * as state from '../state.js';
 import * as timerLogic from '../timer.js';
-import { DEFAULT_METHODS } from '../../shared/constants.js';
+import { resolveMethodsForState } from '../methods.js';
+import { getBreakStatus } from '../breaks.js';
+import { isBlocklistLocked, normalizeBlocklist } from '../blocklist.js';
+import {
+  queryHistory,
+  getHistoryDays,
+  getAllHistory,
+  appendHistoryEntries,
+  clearHistory,
+  replaceHistoryEntry,
+  toDayKey,
+} from '../history.js';
+import { createBackup, parseBackup, planRestore } from '../backup.js';
+import { buildHistoryExport } from '../exporter.js';
+import { importSessions } from '../importer.js';
+import { buildReport, validateReportOptions } from '../analytics.js';
+import { computeStatistics } from '../statistics.js';
+import { addDays } from '../calendar.js';
+import { createGoal, validateGoalList, evaluateGoals, getGoalRange } from '../goals.js';
 
 /**
  * Broadcast state update to all listeners
@@ -18,11 +37,42 @@ async function broadcastStateUpdate() {
     type: 'stateUpdated',
     state: loadedState,
     settings,
-    methods: DEFAULT_METHODS,
+    methods: timerLogic.adaptMethods(
+      resolveMethodsForState(loadedState, settings),
+      loadedState?.history ?? []
+    ),
   };
   await chrome.runtime.sendMessage(payload).catch(() => {});
 }
 
+/**
+ * Reject blocklist changes while Lock-In mode holds a running focus phase
+ * @param {Object} defaults - Initialized state and settings
+ * @param {*} current - Current blocklist value
+ * @param {*} next - Requested blocklist value
+ * @throws {Error} If the value changes while locked
+ */
+function assertBlocklistEditable(defaults, current, next) {
+  if (JSON.stringify(current ?? null) === JSON.stringify(next ?? null)) {
+    return;
+  }
+  if (isBlocklistLocked(defaults.settings, defaults.state.timer)) {
+    throw new Error('Lock-In Mode is enabled; the blocklist cannot be edited during focus.');
+  }
+}
+
+/**
+ * Throw when a validation result has errors
+ * @param {{valid: boolean, errors: string[]}} validation - Validation result
+ * @param {string} label - What was validated
+ * @throws {Error} If validation failed
+ */
+function assertValid(validation, label) {
+  if (!validation.valid) {
+    throw new Error(`${label} validation failed: ${validation.errors.join(', ')}`);
+  }
+}
+
 /**
  * Handler for 'getState' message
  * @param {Object} _message - Message object (unused)
@@ -31,55 +81,82 @@ async function broadcastStateUpdate() {
 export async function handleGetState(_message) {
   const { state: loadedState, settings } = await storage.loadStateAndSettings();
   const defaults = state.initializeState(loadedState, settings);
+  const methods = timerLogic.adaptMethods(
+    resolveMethodsForState(defaults.state, defaults.settings),
+    defaults.state.history
+  );
   const remaining = loadedState?.timer
     ? timerLogic.computeRemaining(
-        loadedState.timer,
-        DEFAULT_METHODS[loadedState.timer.methodKey] || DEFAULT_METHODS.pomodoro
+        defaults.state.timer,
+        timerLogic.getMethodConfig(
+          defaults.state.timer.methodKey,
+          defaults.settings,
+          defaults.state.history
+        )
       )
     : 0;
 
   return {
     state: defaults.state,
     settings: defaults.settings,
-    methods: DEFAULT_METHODS,
+    methods,
     remaining,
   };
 }
 
 /**
  * Handler for 'addTask' message
+ * New tasks go to the top of the manual order.
  * @param {Object} message - Message with task data
  * @param {string} message.title - Task title
  * @param {number} message.estimate - Estimated sessions
+ * @param {string} message.notes - Optional notes
+ * @param {string[]} message.tags - Optional tags
+ * @param {string} message.project - Optional project
+ * @param {string} message.dueDate - Optional due date (YYYY-MM-DD)
+ * @param {string} message.priority - Optional priority
  * @returns {Promise<{ok: boolean, task: Object}>}
+ * @throws {Error} If a field is invalid
  */
 export async function handleAddTask(message) {
   const { state: loadedState, settings } = await storage.loadStateAndSettings();
   const defaults = state.initializeState(loadedState, settings);
 
-  const newTask = state.createTask(message.title, message.estimate);
+  const created = state.createTask(message.title, message.estimate, message);
+  assertValid(state.validateTask(created), 'Task');
+  const tasks = state.orderTasks([{ ...created, order: -1 }, ...defaults.state.tasks]);
   const updatedState = {
     ...defaults.state,
-    tasks: [newTask, ...defaults.state.tasks],
+    tasks,
   };
 
   await storage.saveState(updatedState);
   await broadcastStateUpdate();
-  return { ok: true, task: newTask };
+  return { ok: true, task: tasks[0] };
 }
 
 /**
  * Handler for 'updateTask' message
+ * Setting done stamps (or clears) completedAt.
  * @param {Object} message - Message with task updates
  * @param {string} message.id - Task ID
  * @param {Object} message.updates - Partial updates
  * @returns {Promise<{ok: boolean}>}
+ * @throws {Error} If an update targets an unknown or read-only field or has the wrong shape
  */
 export async function handleUpdateTask(message) {
   const { state: loadedState, settings } = await storage.loadStateAndSettings();
   const defaults = state.initializeState(loadedState, settings);
+  assertValid(state.validateTaskUpdates(message.updates), 'Task');
+  const task = defaults.state.tasks.find((item) => item.id === message.id);
+  const updates = state.prepareTaskUpdates(task, message.updates);
 
-  const updatedTasks = state.updateTaskInList(defaults.state.tasks, message.id, message.updates);
+  if ('blocklist' in updates) {
+    updates.blocklist = normalizeBlocklist(updates.blocklist, 'Task.blocklist');
+    assertBlocklistEditable(defaults, task?.blocklist, updates.blocklist);
+  }
+
+  const updatedTasks = state.updateTaskInList(defaults.state.tasks, message.id, updates);
   const updatedState = {
     ...defaults.state,
     tasks: updatedTasks,
@@ -90,6 +167,92 @@ export async function handleUpdateTask(message) {
   return { ok: true };
 }
 
+/**
+ * Handler for 'reorderTasks' message
+ * @param {Object} message - Message with the new order
+ * @param {string[]} message.ids - Every task id in display order
+ * @returns {Promise<{ok: boolean, tasks: Array}>}
+ * @throws {Error} If ids is not a permutation of the task ids
+ */
+export async function handleReorderTasks(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+
+  const tasks = state.reorderTasks(defaults.state.tasks, message.ids);
+  await storage.saveState({ ...defaults.state, tasks });
+  await broadcastStateUpdate();
+  return { ok: true, tasks };
+}
+
+/**
+ * Save an updated task list and notify listeners
+ * @param {Object} defaults - Initialized state and settings
+ * @param {Array} tasks - Updated tasks
+ * @returns {Promise<void>}
+ */
+async function saveTasks(defaults, tasks) {
+  await storage.saveState({ ...defaults.state, tasks });
+  await broadcastStateUpdate();
+}
+
+/**
+ * Handler for 'addSubtask' message
+ * @param {Object} message - Message with the parent task and subtask fields
+ * @param {string} message.taskId - Parent task ID
+ * @param {string} message.title - Subtask title
+ * @param {number} message.estimate - Optional estimated sessions
+ * @returns {Promise<{ok: boolean, subtask: Object}>}
+ * @throws {Error} If the task does not exist or the subtask is invalid
+ */
+export async function handleAddSubtask(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+
+  const added = state.addSubtask(defaults.state.tasks, message.taskId, message);
+  await saveTasks(defaults, added.tasks);
+  return { ok: true, subtask: added.subtask };
+}
+
+/**
+ * Handler for 'updateSubtask' message
+ * The parent task is not marked done automatically; completesTask tells the UI to offer it.
+ * @param {Object} message - Message with subtask updates
+ * @param {string} message.taskId - Parent task ID
+ * @param {string} message.id - Subtask ID
+ * @param {Object} message.updates - Partial { title, done, estimate }
+ * @returns {Promise<{ok: boolean, subtask: Object, completesTask: boolean}>}
+ * @throws {Error} If the task or subtask does not exist, or the update is invalid
+ */
+export async function handleUpdateSubtask(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+
+  const updated = state.updateSubtask(
+    defaults.state.tasks,
+    message.taskId,
+    message.id,
+    message.updates
+  );
+  await saveTasks(defaults, updated.tasks);
+  return { ok: true, subtask: updated.subtask, completesTask: updated.completesTask };
+}
+
+/**
+ * Handler for 'deleteSubtask' message
+ * @param {Object} message - Message with subtask ID
+ * @param {string} message.taskId - Parent task ID
+ * @param {string} message.id - Subtask ID
+ * @returns {Promise<{ok: boolean}>}
+ * @throws {Error} If the task does not exist
+ */
+export async function handleDeleteSubtask(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+
+  await saveTasks(defaults, state.deleteSubtask(defaults.state.tasks, message.taskId, message.id));
+  return { ok: true };
+}
+
 /**
  * Handler for 'deleteTask' message
  * @param {Object} message - Message with task ID
@@ -101,8 +264,13 @@ export async function handleDeleteTask(message) {
   const defaults = state.initializeState(loadedState, settings);
 
   const updatedTasks = state.removeTaskFromList(defaults.state.tasks, message.id);
+  const { nextTaskId } = defaults.state.timer;
   const updatedState = {
     ...defaults.state,
+    timer: {
+      ...defaults.state.timer,
+      nextTaskId: nextTaskId === message.id ? null : nextTaskId,
+    },
     tasks: updatedTasks,
   };
 
@@ -126,6 +294,7 @@ export async function handleSetActiveTask(message) {
     timer: {
       ...defaults.state.timer,
       activeTaskId: message.id,
+      nextTaskId: null,
     },
   };
 
@@ -134,6 +303,150 @@ export async function handleSetActiveTask(message) {
   return { ok: true };
 }
 
+/**
+ * Handler for 'skipTask' message
+ * Moves on to the next undone task in the queue without counting or completing the active one
+ * @returns {Promise<{ok: boolean, task: Object}>} The task that became active
+ * @throws {Error} If there is no other undone task
+ */
+export async function handleSkipTask() {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+
+  const next = state.getNextTask(defaults.state.tasks, defaults.state.timer.activeTaskId);
+  if (!next) {
+    throw new Error('No other task to skip to');
+  }
+  await storage.saveState({
+    ...defaults.state,
+    timer: { ...defaults.state.timer, activeTaskId: next.id, nextTaskId: null },
+  });
+  await broadcastStateUpdate();
+  return { ok: true, task: next };
+}
+
+/**
+ * Handler for 'answerNextTask' message
+ * Answers the suggestion made when the active task finished with task advance set to 'ask'
+ * @param {Object} message - Message with the answer
+ * @param {boolean} message.accept - Make the suggested task active
+ * @returns {Promise<{ok: boolean, activeTaskId: string|null}>}
+ */
+export async function handleAnswerNextTask(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+  const { activeTaskId, nextTaskId } = defaults.state.timer;
+
+  const accepted =
+    message.accept === true && defaults.state.tasks.some((task) => task.id === nextTaskId);
+  const timer = {
+    ...defaults.state.timer,
+    activeTaskId: accepted ? nextTaskId : activeTaskId,
+    nextTaskId: null,
+  };
+  await storage.saveState({ ...defaults.state, timer });
+  await broadcastStateUpdate();
+  return { ok: true, activeTaskId: timer.activeTaskId };
+}
+
+/**
+ * Handler for 'logInterruption' message
+ * Adds an interruption to the current focus session; the list moves into the session's
+ * history entry when the phase ends
+ * @param {Object} message - Message with the interruption
+ * @param {string} message.kind - 'internal' or 'external'
+ * @param {string} [message.note] - Optional note
+ * @returns {Promise<{ok: boolean, interruption: Object, counts: Object}>} The logged
+ *   interruption and the session's counts by kind
+ * @throws {Error} If no focus session is in progress or the interruption is invalid
+ */
+export async function handleLogInterruption(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+  const current = defaults.state.timer;
+
+  const method = timerLogic.getMethodConfig(current.methodKey, defaults.settings);
+  const inProgress = current.isRunning || current.remainingMs > 0;
+  if (!timerLogic.isWorkPhase(current.phase, method) || !inProgress) {
+    throw new Error('Interruptions can only be logged during a focus session');
+  }
+  const interruption = state.createInterruption(message.kind, message.note ?? null);
+  assertValid(state.validateInterruption(interruption), 'Interruption');
+  if (current.interruptions.length >= INTERRUPTION_LIMITS.maxPerSession) {
+    throw new Error(
+      `A session can have at most ${INTERRUPTION_LIMITS.maxPerSession} interruptions`
+    );
+  }
+
+  const interruptions = [...current.interruptions, interruption];
+  await storage.saveState({ ...defaults.state, timer: { ...current, interruptions } });
+  await broadcastStateUpdate();
+  return { ok: true, interruption, counts: state.countInterruptions(interruptions) };
+}
+
+/**
+ * Handler for 'rateSession' message
+ * Stores a post-session reflection on a recent focus session and refreshes statistics
+ * @param {Object} message - Message with the reflection
+ * @param {string} message.id - History entry ID
+ * @param {number} message.rating - Focus rating 1-5
+ * @param {string} [message.note] - What got done
+ * @returns {Promise<{ok: boolean, entry: Object}>} The updated entry
+ * @throws {Error} If the session is unknown, not a focus session, or the reflection is invalid
+ */
+export async function handleRateSession(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+
+  const reflection = {
+    rating: message.rating,
+    note: typeof message.note === 'string' ? message.note.trim() || null : (message.note ?? null),
+  };
+  assertValid(state.validateReflection(reflection), 'Reflection');
+  const entry = defaults.state.history.find((item) => item.id === message.id);
+  if (!entry) {
+    throw new Error(`Unknown session: ${message.id}`);
+  }
+  if (!timerLogic.isFocusEntry(entry)) {
+    throw new Error('Only focus sessions can be rated');
+  }
+
+  const updated = { ...entry, ...reflection };
+  await replaceHistoryEntry(updated);
+  const { pendingReflectionId } = defaults.state.timer;
+  await storage.saveState({
+    ...defaults.state,
+    timer: {
+      ...defaults.state.timer,
+      pendingReflectionId: pendingReflectionId === entry.id ? null : pendingReflectionId,
+    },
+    history: defaults.state.history.map((item) => (item.id === entry.id ? updated : item)),
+    statistics: computeStatistics(await getAllHistory(), {
+      goals: defaults.settings.goals,
+      includeAbandoned: defaults.settings.countAbandoned,
+    }),
+  });
+  await broadcastStateUpdate();
+  return { ok: true, entry: updated };
+}
+
+/**
+ * Handler for 'dismissReflection' message
+ * Closes the reflection prompt without rating the session
+ * @returns {Promise<{ok: boolean}>}
+ */
+export async function handleDismissReflection() {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+
+  await storage.saveState({
+    ...defaults.state,
+    timer: { ...defaults.state.timer, pendingReflectionId: null },
+  });
+  await broadcastStateUpdate();
+  return { ok: true };
+}
+
 /**
  * Handler for 'setMethod' message
  * @param {Object} message - Message with method key
@@ -144,12 +457,18 @@ export async function handleSetMethod(message) {
   const { state: loadedState, settings } = await storage.loadStateAndSettings();
   const defaults = state.initializeState(loadedState, settings);
 
+  if (!state.hasPreset(defaults.settings, message.methodKey)) {
+    throw new Error(`Unknown method: ${message.methodKey}`);
+  }
+
   const updatedState = {
     ...defaults.state,
     timer: {
       ...defaults.state.timer,
+      ...timerLogic.getSequenceStart(
+        timerLogic.getMethodConfig(message.methodKey, defaults.settings)
+      ),
       methodKey: message.methodKey,
-      phase: 'work',
     },
   };
   const updatedSettings = {
@@ -164,6 +483,7 @@ export async function handleSetMethod(message) {
 
 /**
  * Handler for 'updateSettings' message
+ * Rebuilds statistics when countAbandoned changes, since it decides which sessions they count
  * @param {Object} message - Message with settings updates
  * @param {Object} message.settings - Partial settings to merge
  * @returns {Promise<{ok: boolean}>}
@@ -172,13 +492,437 @@ export async function handleUpdateSettings(message) {
   const { state: loadedState, settings: currentSettings } = await storage.loadStateAndSettings();
   const defaults = state.initializeState(loadedState, currentSettings);
 
+  if (message.settings && 'blocklist' in message.settings) {
+    const blocklist = normalizeBlocklist(message.settings.blocklist);
+    assertBlocklistEditable(defaults, defaults.settings.blocklist, {
+      ...defaults.settings.blocklist,
+      ...blocklist,
+    });
+  }
+
   const updatedSettings = state.mergeDefaults(message.settings, defaults.settings);
 
-  await storage.saveSettings(updatedSettings);
+  if (updatedSettings.countAbandoned !== defaults.settings.countAbandoned) {
+    const statistics = computeStatistics(await getAllHistory(), {
+      goals: updatedSettings.goals,
+      includeAbandoned: updatedSettings.countAbandoned,
+    });
+    await storage.saveStateAndSettings({ ...defaults.state, statistics }, updatedSettings);
+  } else {
+    await storage.saveSettings(updatedSettings);
+  }
   await broadcastStateUpdate();
   return { ok: true };
 }
 
+/**
+ * Persist updated settings and broadcast
+ * @param {Object} loadedState - Current state (may be undefined)
+ * @param {Object} updatedSettings - Settings to save
+ * @returns {Promise<void>}
+ */
+async function savePresetSettings(loadedState, updatedSettings) {
+  const defaults = state.initializeState(loadedState, updatedSettings);
+  const timer = defaults.state.timer;
+  const methodGone = !state.hasPreset(updatedSettings, timer.methodKey);
+
+  if (methodGone && !timer.isRunning) {
+    const updatedState = {
+      ...defaults.state,
+      timer: {
+        ...timer,
+        ...timerLogic.getSequenceStart(
+          timerLogic.getMethodConfig(updatedSettings.selectedMethod, updatedSettings)
+        ),
+        methodKey: updatedSettings.selectedMethod,
+      },
+    };
+    await storage.saveStateAndSettings(updatedState, updatedSettings);
+  } else {
+    await storage.saveSettings(updatedSettings);
+  }
+  await broadcastStateUpdate();
+}
+
+/**
+ * Handler for 'savePreset' message
+ * Creates a preset when no key is given (or the key is new), otherwise updates it
+ * @param {Object} message - Message with preset data
+ * @param {Object} message.preset - Preset fields
+ * @returns {Promise<{ok: boolean, preset: Object}>}
+ */
+export async function handleSavePreset(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+  const { key, ...fields } = message.preset ?? {};
+
+  if ('blocklist' in fields) {
+    fields.blocklist = normalizeBlocklist(fields.blocklist, 'Preset.blocklist');
+    const current = key ? defaults.settings.presets[key]?.blocklist : undefined;
+    assertBlocklistEditable(defaults, current, fields.blocklist);
+  }
+
+  if (key && state.hasPreset(defaults.settings, key)) {
+    const updatedSettings = state.updatePreset(defaults.settings, key, fields);
+    await savePresetSettings(loadedState, updatedSettings);
+    return { ok: true, preset: updatedSettings.presets[key] };
+  }
+
+  const created = state.addPreset(defaults.settings, { ...fields, ...(key ? { key } : {}) });
+  await savePresetSettings(loadedState, created.settings);
+  return { ok: true, preset: created.preset };
+}
+
+/**
+ * Handler for 'clonePreset' message
+ * @param {Object} message - Message with preset key
+ * @param {string} message.key - Preset to clone
+ * @param {string} message.label - Optional label for the copy
+ * @returns {Promise<{ok: boolean, preset: Object}>}
+ */
+export async function handleClonePreset(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+
+  const cloned = state.clonePreset(defaults.settings, message.key, message.label);
+  await savePresetSettings(loadedState, cloned.settings);
+  return { ok: true, preset: cloned.preset };
+}
+
+/**
+ * Handler for 'renamePreset' message
+ * @param {Object} message - Message with preset key and label
+ * @param {string} message.key - Preset to rename
+ * @param {string} message.label - New label
+ * @returns {Promise<{ok: boolean}>}
+ */
+export async function handleRenamePreset(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+
+  const updatedSettings = state.renamePreset(defaults.settings, message.key, message.label);
+  await savePresetSettings(loadedState, updatedSettings);
+  return { ok: true };
+}
+
+/**
+ * Handler for 'reorderPresets' message
+ * @param {Object} message - Message with new order
+ * @param {string[]} message.order - All preset keys in display order
+ * @returns {Promise<{ok: boolean}>}
+ */
+export async function handleReorderPresets(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+
+  const updatedSettings = state.reorderPresets(defaults.settings, message.order);
+  await savePresetSettings(loadedState, updatedSettings);
+  return { ok: true };
+}
+
+/**
+ * Handler for 'deletePreset' message
+ * @param {Object} message - Message with preset key
+ * @param {string} message.key - Preset to delete
+ * @returns {Promise<{ok: boolean}>}
+ * @throws {Error} If the preset is driving the running timer
+ */
+export async function handleDeletePreset(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+  const timer = defaults.state.timer;
+
+  if (timer.isRunning && timer.methodKey === message.key) {
+    throw new Error('Cannot delete the method of a running timer.');
+  }
+
+  const updatedSettings = state.deletePreset(defaults.settings, message.key);
+  await savePresetSettings(loadedState, updatedSettings);
+  return { ok: true };
+}
+
+/**
+ * Handler for 'getBreakStatus' message
+ * @param {Object} _message - Message object (unused)
+ * @returns {Promise<Object>} Break status (phase, remainingMs, endTime, level, locked, strict)
+ */
+export async function handleGetBreakStatus(_message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+  const timer = defaults.state.timer;
+  const method = timerLogic.getMethodConfig(
+    timer.methodKey,
+    defaults.settings,
+    defaults.state.history
+  );
+  return getBreakStatus(timer, method, defaults.settings);
+}
+
+/**
+ * Handler for 'updateBlocklist' message
+ * @param {Object} message - Message with blocklist fields
+ * @param {Object} message.blocklist - { enabled, domains, allowlist } (omitted fields are kept)
+ * @returns {Promise<{ok: boolean, blocklist: Object}>}
+ * @throws {Error} If a site is invalid or Lock-In mode holds a running focus phase
+ */
+export async function handleUpdateBlocklist(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+
+  const blocklist = {
+    ...defaults.settings.blocklist,
+    ...normalizeBlocklist(message.blocklist ?? {}),
+  };
+  assertBlocklistEditable(defaults, defaults.settings.blocklist, blocklist);
+
+  await storage.saveSettings({ ...defaults.settings, blocklist });
+  await broadcastStateUpdate();
+  return { ok: true, blocklist };
+}
+
+/**
+ * Handler for 'updateGoals' message
+ * Replaces the goal list (goals without an id are new) and recomputes statistics, since
+ * daily goals decide which days count toward streaks.
+ * @param {Object} message - Message with goals
+ * @param {Array} message.goals - Complete goal list
+ * @returns {Promise<{ok: boolean, goals: Array, statistics: Object}>}
+ * @throws {Error} If a goal is invalid or there are too many
+ */
+export async function handleUpdateGoals(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+
+  assertValid(validateGoalList(message.goals), 'Goals');
+  const goals = message.goals.map((goal) => (goal?.id ? goal : createGoal(goal ?? {})));
+  goals.forEach((goal, index) => assertValid(state.validateGoal(goal, `Goals[${index}]`), 'Goal'));
+
+  const statistics = computeStatistics(await getAllHistory(), {
+    goals,
+    includeAbandoned: defaults.settings.countAbandoned,
+  });
+  await storage.saveStateAndSettings(
+    { ...defaults.state, statistics },
+    { ...defaults.settings, goals }
+  );
+  await broadcastStateUpdate();
+  return { ok: true, goals, statistics };
+}
+
+/**
+ * Handler for 'getGoalProgress' message
+ * @param {Object} _message - Message object (unused)
+ * @returns {Promise<{goals: Array}>} Each goal's progress in its current day or week
+ */
+export async function handleGetGoalProgress(_message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+  const { goals } = defaults.settings;
+  if (!goals.length) {
+    return { goals: [] };
+  }
+  const week = getGoalRange({ period: 'week' }, toDayKey(Date.now()));
+  const history = await getAllHistory({ from: addDays(week.from, -1), to: week.to });
+  return { goals: evaluateGoals(goals, history, { settings: defaults.settings }) };
+}
+
+/**
+ * Handler for 'getHistory' message
+ * @param {Object} message - Query (day, from, to, methodKey, taskId, phase, limit, cursor)
+ * @returns {Promise<{entries: Array, nextCursor: string|null}>}
+ * @throws {Error} If the cursor is malformed
+ */
+export async function handleGetHistory(message) {
+  return queryHistory(message);
+}
+
+/**
+ * Handler for 'getHistoryDays' message
+ * @param {Object} message - Optional from/to day keys
+ * @returns {Promise<{days: Array<{day: string, count: number}>}>}
+ */
+export async function handleGetHistoryDays(message) {
+  const days = await getHistoryDays({ from: message.from, to: message.to });
+  return { days };
+}
+
+/**
+ * Handler for 'exportHistory' message
+ * @param {Object} message - Export options
+ * @param {string} message.format - 'csv' or 'ics'
+ * @param {string} message.from - Optional first day key (inclusive)
+ * @param {string} message.to - Optional last day key (inclusive)
+ * @param {string} message.phase - Optional phase filter
+ * @returns {Promise<{filename: string, mimeType: string, content: string, count: number}>}
+ * @throws {Error} If the options are invalid
+ */
+export async function handleExportHistory(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+  const options = {
+    format: message.format,
+    from: message.from,
+    to: message.to,
+    phase: message.phase,
+  };
+  const entries = await getAllHistory({ from: message.from, to: message.to });
+  return buildHistoryExport(
+    entries,
+    { tasks: defaults.state.tasks, settings: defaults.settings, exportedAt: Date.now() },
+    options
+  );
+}
+
+/**
+ * Handler for 'getReport' message
+ * @param {Object} message - Report options
+ * @param {string} message.granularity - 'day', 'week' or 'month' (default 'day')
+ * @param {string} message.from - Optional first day key (default: the first stored day)
+ * @param {string} message.to - Optional last day key (default: today)
+ * @returns {Promise<{report: Object}>} Aggregates from analytics.buildReport
+ * @throws {Error} If the options are invalid
+ */
+export async function handleGetReport(message) {
+  const options = {
+    granularity: message.granularity ?? 'day',
+    from: message.from,
+    to: message.to ?? toDayKey(Date.now()),
+  };
+  assertValid(validateReportOptions(options), 'Report');
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+  const entries = await getAllHistory({ from: options.from, to: options.to });
+  return {
+    report: buildReport(entries, {
+      ...options,
+      tasks: defaults.state.tasks,
+      settings: defaults.settings,
+    }),
+  };
+}
+
+/**
+ * Handler for 'importHistory' message
+ * Imported entries are added to the history store (ids already stored are skipped) and the
+ * statistics are recomputed from the whole history.
+ * @param {Object} message - Import request
+ * @param {string} message.format - 'csv' or 'ics'
+ * @param {string} message.content - File contents
+ * @param {Object} message.mapping - CSV field to header name, plus durationUnit (optional)
+ * @param {string} message.methodKey - Method for rows without a recognizable one (optional)
+ * @param {boolean} message.dryRun - Only report what would be imported
+ * @returns {Promise<{report: Object, statistics?: Object}>}
+ * @throws {Error} If the file is unreadable or the CSV mapping is incomplete
+ */
+export async function handleImportHistory(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+  const existing = await getAllHistory();
+  const { entries, report } = importSessions(message, {
+    tasks: defaults.state.tasks,
+    settings: defaults.settings,
+    methodKey: message.methodKey,
+    existingIds: existing.map((entry) => entry.id),
+  });
+  if (message.dryRun) {
+    return { report };
+  }
+  if (report.errors.length) {
+    throw new Error(`Import failed: ${report.errors.join(', ')}`);
+  }
+
+  await appendHistoryEntries(entries);
+  const history = [...entries, ...existing].sort((a, b) => b.startedAt - a.startedAt);
+  const statistics = computeStatistics(history, {
+    goals: defaults.settings.goals,
+    includeAbandoned: defaults.settings.countAbandoned,
+  });
+  await storage.saveState({
+    ...defaults.state,
+    history: state.trimHistory(history),
+    statistics,
+  });
+  await broadcastStateUpdate();
+  return { report, statistics };
+}
+
+/**
+ * Handler for 'rebuildStatistics' message
+ * Recomputes every statistic from the whole history, replacing the stored values.
+ * @param {Object} _message - Message object (unused)
+ * @returns {Promise<{statistics: Object}>} Rebuilt statistics
+ */
+export async function handleRebuildStatistics(_message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+  const statistics = computeStatistics(await getAllHistory(), {
+    goals: defaults.settings.goals,
+    includeAbandoned: defaults.settings.countAbandoned,
+  });
+  await storage.saveState({ ...defaults.state, statistics });
+  await broadcastStateUpdate();
+  return { statistics };
+}
+
+/**
+ * Handler for 'createBackup' message
+ * @param {Object} _message - Message object (unused)
+ * @returns {Promise<{backup: Object}>} Full backup (settings, presets, tasks, history, statistics)
+ */
+export async function handleCreateBackup(_message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+  const history = await getAllHistory();
+  return {
+    backup: createBackup({ ...defaults, history }, chrome.runtime.getManifest().version),
+  };
+}
+
+/**
+ * Parse a backup and plan its restore against the current data
+ * @param {Object} message - Message with backup and mode
+ * @returns {Promise<Object>} Restore plan from planRestore
+ */
+async function loadRestorePlan(message) {
+  const { state: loadedState, settings } = await storage.loadStateAndSettings();
+  const defaults = state.initializeState(loadedState, settings);
+  const backup = await parseBackup(message.backup);
+  const history = await getAllHistory();
+  return planRestore({ ...defaults, history }, backup, message.mode);
+}
+
+/**
+ * Handler for 'previewRestore' message
+ * @param {Object} message - Message with backup and mode
+ * @param {string|Object} message.backup - Backup JSON text or object
+ * @param {string} message.mode - 'merge' or 'replace'
+ * @returns {Promise<{preview: Object}>} What restoring would change; nothing is written
+ * @throws {Error} If the backup is invalid or the restore is not allowed
+ */
+export async function handlePreviewRestore(message) {
+  const plan = await loadRestorePlan(message);
+  return { preview: plan.preview };
+}
+
+/**
+ * Handler for 'restoreBackup' message
+ * @param {Object} message - Message with backup and mode
+ * @param {string|Object} message.backup - Backup JSON text or object
+ * @param {string} message.mode - 'merge' or 'replace'
+ * @returns {Promise<{ok: boolean, preview: Object}>} What was changed
+ * @throws {Error} If the backup is invalid or the restore is not allowed
+ */
+export async function handleRestoreBackup(message) {
+  const plan = await loadRestorePlan(message);
+  if (plan.replaceHistory) {
+    await clearHistory();
+  }
+  await appendHistoryEntries(plan.history);
+  await storage.saveStateAndSettings(plan.state, plan.settings);
+  await broadcastStateUpdate();
+  return { ok: true, preview: plan.preview };
+}
+
 /**
  * Map of message types to handlers
  */
@@ -186,10 +930,37 @@ export const MESSAGE_HANDLERS = {
   getState: handleGetState,
   addTask: handleAddTask,
   updateTask: handleUpdateTask,
+  reorderTasks: handleReorderTasks,
   deleteTask: handleDeleteTask,
+  addSubtask: handleAddSubtask,
+  updateSubtask: handleUpdateSubtask,
+  deleteSubtask: handleDeleteSubtask,
   setActiveTask: handleSetActiveTask,
+  skipTask: handleSkipTask,
+  answerNextTask: handleAnswerNextTask,
+  logInterruption: handleLogInterruption,
+  rateSession: handleRateSession,
+  dismissReflection: handleDismissReflection,
   setMethod: handleSetMethod,
   updateSettings: handleUpdateSettings,
+  savePreset: handleSavePreset,
+  clonePreset: handleClonePreset,
+  renamePreset: handleRenamePreset,
+  reorderPresets: handleReorderPresets,
+  deletePreset: handleDeletePreset,
+  getBreakStatus: handleGetBreakStatus,
+  updateBlocklist: handleUpdateBlocklist,
+  getHistory: handleGetHistory,
+  getHistoryDays: handleGetHistoryDays,
+  exportHistory: handleExportHistory,
+  importHistory: handleImportHistory,
+  rebuildStatistics: handleRebuildStatistics,
+  updateGoals: handleUpdateGoals,
+  getGoalProgress: handleGetGoalProgress,
+  getReport: handleGetReport,
+  createBackup: handleCreateBackup,
+  previewRestore: handlePreviewRestore,
+  restoreBackup: handleRestoreBackup,
 };
 
 /**
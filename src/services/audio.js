@@ -0,0 +1,105 @@
+/**
+ * Sound resolution for FlexiFocus
+ * Pure helpers that turn settings and SOUNDS profiles into playable note schedules
+ * for the offscreen audio document
+ */
+
+import { SOUNDS, AMBIENT_SOUNDS } from '../shared/constants.js';
+import { isWorkPhase } from './timer.js';
+
+const DEFAULT_VOLUME = 0.7;
+
+/**
+ * Look up a sound profile by key
+ * @param {string} soundKey - Key in SOUNDS ('' or 'none' disables sound)
+ * @returns {Object|null} Sound profile, or null when disabled/unknown
+ */
+export function getSoundProfile(soundKey) {
+  if (!soundKey || soundKey === 'none') {
+    return null;
+  }
+  return SOUNDS[soundKey] ?? null;
+}
+
+/**
+ * Expand a profile into notes with start offsets
+ * @param {Object} profile - Sound profile (single note or notes sequence)
+ * @returns {Array<{type: string, frequency: number, duration: number, offset: number, gain: number}>}
+ */
+export function resolveSoundNotes(profile) {
+  if (!profile) {
+    return [];
+  }
+  const notes = Array.isArray(profile.notes) ? profile.notes : [profile];
+  let offset = 0;
+  return notes.map((note) => {
+    const resolved = {
+      type: note.type ?? 'sine',
+      frequency: note.frequency,
+      duration: note.duration,
+      offset,
+      gain: note.gain ?? 1,
+    };
+    offset += note.duration + (note.gap ?? 0);
+    return resolved;
+  });
+}
+
+/**
+ * Get the sound key to play when a phase ends
+ * Per-phase choices of 'default' inherit settings.sound
+ * @param {Object} settings - User settings
+ * @param {string} endedPhase - Phase that just finished
+ * @param {Object} method - Method configuration (optional)
+ * @returns {string} Sound key ('' when silent)
+ */
+export function resolvePhaseSound(settings, endedPhase, method) {
+  const slot = isWorkPhase(endedPhase, method) ? 'workEnd' : 'breakEnd';
+  const choice = settings?.phaseSounds?.[slot] ?? 'default';
+  return choice === 'default' ? (settings?.sound ?? '') : choice;
+}
+
+/**
+ * Clamp a volume value to 0-1
+ * @param {number} volume - Requested volume
+ * @returns {number} Volume between 0 and 1
+ */
+export function normalizeVolume(volume) {
+  const value = Number(volume);
+  if (!Number.isFinite(value)) {
+    return DEFAULT_VOLUME;
+  }
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Build the offscreen message for a sound
+ * @param {string} soundKey - Key in SOUNDS
+ * @param {number} volume - Volume 0-1
+ * @returns {Object|null} Message payload, or null when nothing should play
+ */
+export function buildSoundMessage(soundKey, volume) {
+  const notes = resolveSoundNotes(getSoundProfile(soundKey));
+  const level = normalizeVolume(volume);
+  if (!notes.length || level === 0) {
+    return null;
+  }
+  return { type: 'playSound', notes, volume: level };
+}
+
+/**
+ * Get the ambient soundscape that should be playing for a timer
+ * Ambient audio only runs during a running focus phase whose method opts in
+ * @param {Object} timer - Timer state
+ * @param {Object} method - Resolved method configuration
+ * @param {Object} settings - User settings
+ * @returns {{sound: string, volume: number}|null} Ambient to play, or null for silence
+ */
+export function resolveAmbient(timer, method, settings) {
+  const sound = method?.ambient;
+  if (!timer?.isRunning || !isWorkPhase(timer.phase, method) || !AMBIENT_SOUNDS[sound]) {
+    return null;
+  }
+  const volume = normalizeVolume(settings?.ambientVolume ?? 0.3);
+  return volume > 0 ? { sound, volume } : null;
+}
@@ -0,0 +1,313 @@
+/**
+ * Backup and restore for FlexiFocus
+ * Builds full backups and plans restores (merge or replace) as a preview plus the data to write,
+ * so the UI can show exactly what applying a backup will change before anything is stored
+ */
+
+import {
+  BACKUP_FORMAT,
+  RESTORE_MODES,
+  SCHEMA_VERSION,
+  DEFAULT_STATE,
+  DEFAULT_SETTINGS,
+} from '../shared/constants.js';
+import { MIGRATIONS, runMigrations, normalizeSchemaVersion } from './migrations.js';
+import {
+  validateState,
+  validateSettings,
+  mergeDefaults,
+  hasPreset,
+  initializeTimerState,
+  trimHistory,
+} from './state.js';
+import { computeStatistics } from './statistics.js';
+
+/**
+ * Migrations applied to backup contents
+ * Storage-layout migrations only move data between storage keys, so they are no-ops here.
+ */
+const BACKUP_MIGRATIONS = MIGRATIONS.map((migration) =>
+  migration.storage ? { ...migration, migrate: (data) => data } : migration
+);
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compare two stored records
+ * @param {*} a - First record
+ * @param {*} b - Second record
+ * @returns {boolean} True if both serialize identically
+ */
+function isSameRecord(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Build a full backup
+ * Presets and their order travel inside settings (settings.presets, settings.presetOrder).
+ * @param {Object} data - { state, settings, history } with the complete history
+ * @param {string} appVersion - Extension version (optional)
+ * @returns {Object} Backup object, ready for JSON.stringify
+ */
+export function createBackup({ state, settings, history }, appVersion = null) {
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    appVersion,
+    exportedAt: new Date().toISOString(),
+    settings,
+    tasks: state.tasks,
+    history,
+    statistics: state.statistics,
+  };
+}
+
+/**
+ * Drop records whose id already appeared earlier in the list
+ * @param {Array} records - Tasks or history entries
+ * @param {string} label - Collection name for messages
+ * @param {string[]} skipped - Messages (mutated)
+ * @returns {Array} Records with unique ids
+ */
+function uniqueById(records, label, skipped) {
+  const seen = new Set();
+  return records.filter((record) => {
+    if (seen.has(record.id)) {
+      skipped.push(`Skipped duplicate id in Backup.${label}: ${record.id}`);
+      return false;
+    }
+    seen.add(record.id);
+    return true;
+  });
+}
+
+/**
+ * Parse, migrate and validate a backup
+ * Accepts full backups and the older history exports (tasks, history, statistics only).
+ * Invalid tasks and entries are skipped and listed rather than failing the whole import.
+ * @param {string|Object} input - Backup JSON text or parsed object
+ * @returns {Promise<Object>} { schemaVersion, exportedAt, appVersion, settings, tasks, history,
+ *   statistics, skipped } (settings and statistics are null when the backup has none)
+ * @throws {Error} If the input is not a backup or comes from a newer schema
+ */
+export async function parseBackup(input) {
+  let raw = input;
+  if (typeof input === 'string') {
+    try {
+      raw = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Backup is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!isObject(raw)) {
+    throw new Error('Backup must be a JSON object');
+  }
+  if (raw.format !== undefined && raw.format !== BACKUP_FORMAT) {
+    throw new Error(`Unsupported backup format: ${raw.format}`);
+  }
+  if (raw.format === undefined && !Array.isArray(raw.tasks) && !Array.isArray(raw.history)) {
+    throw new Error('Backup has no tasks or history');
+  }
+  const schemaVersion = normalizeSchemaVersion(raw.schemaVersion);
+  if (schemaVersion > SCHEMA_VERSION) {
+    throw new Error(
+      `Backup schemaVersion ${schemaVersion} is newer than this version supports (${SCHEMA_VERSION})`
+    );
+  }
+
+  const skipped = [];
+  const { data } = await runMigrations(
+    {
+      state: { tasks: raw.tasks ?? [], history: raw.history ?? [] },
+      settings: raw.settings,
+    },
+    schemaVersion,
+    BACKUP_MIGRATIONS
+  );
+
+  const checked = validateState(
+    {
+      timer: DEFAULT_STATE.timer,
+      ...data.state,
+      ...(raw.statistics !== undefined ? { statistics: raw.statistics } : {}),
+    },
+    { repair: true, path: 'Backup' }
+  );
+  if (!checked.valid) {
+    throw new Error(`Backup validation failed: ${checked.errors.join(', ')}`);
+  }
+  skipped.push(...checked.repairs);
+
+  let settings = null;
+  if (isObject(data.settings)) {
+    const checkedSettings = validateSettings(mergeDefaults(data.settings, DEFAULT_SETTINGS), {
+      repair: true,
+      path: 'Backup.settings',
+    });
+    skipped.push(...checkedSettings.repairs, ...checkedSettings.errors);
+    settings = checkedSettings.valid ? checkedSettings.value : null;
+  } else if (data.settings !== undefined) {
+    skipped.push('Backup.settings must be an object');
+  }
+
+  return {
+    schemaVersion,
+    exportedAt: raw.exportedAt ?? null,
+    appVersion: raw.appVersion ?? raw.version ?? null,
+    settings,
+    tasks: uniqueById(checked.value.tasks, 'tasks', skipped),
+    history: uniqueById(checked.value.history, 'history', skipped),
+    statistics: checked.value.statistics ?? null,
+    skipped,
+  };
+}
+
+/**
+ * Compare incoming records with existing ones by key
+ * Merge keeps existing records on conflicts; replace takes the incoming list as-is.
+ * @param {Array} existing - Current records
+ * @param {Array} incoming - Records from the backup
+ * @param {boolean} replace - Replace mode
+ * @param {Function} keyOf - Record key (default: id)
+ * @returns {{counts: Object, items: Array, added: Array}} Change counts, resulting list,
+ *   and records not present before
+ */
+function planCollection(existing, incoming, replace, keyOf = (record) => record.id) {
+  const byKey = new Map(existing.map((record) => [keyOf(record), record]));
+  const incomingKeys = new Set();
+  const counts = { added: 0, updated: 0, unchanged: 0, conflicts: 0, removed: 0 };
+  const added = [];
+
+  incoming.forEach((record) => {
+    const key = keyOf(record);
+    const match = byKey.get(key);
+    incomingKeys.add(key);
+    if (!match) {
+      counts.added += 1;
+      added.push(record);
+    } else if (isSameRecord(match, record)) {
+      counts.unchanged += 1;
+    } else if (replace) {
+      counts.updated += 1;
+    } else {
+      counts.conflicts += 1;
+    }
+  });
+  if (replace) {
+    counts.removed = existing.filter((record) => !incomingKeys.has(keyOf(record))).length;
+  }
+  return { counts, items: replace ? incoming : [...existing, ...added], added };
+}
+
+/**
+ * List the settings fields (other than presets) a restore would change
+ * @param {Object} current - Current settings
+ * @param {Object} next - Settings after restore
+ * @returns {string[]} Changed field names
+ */
+function changedSettings(current, next) {
+  return Object.keys({ ...current, ...next })
+    .filter((key) => key !== 'presets' && key !== 'presetOrder')
+    .filter((key) => !isSameRecord(current[key], next[key]));
+}
+
+/**
+ * Plan a restore
+ * merge: adds tasks, history entries and presets whose id/key is new; existing records
+ *   and settings are kept.
+ * replace: the backup's tasks, history and settings replace the current ones (settings
+ *   only when the backup has them); refused while the timer is running.
+ * Either way statistics are recomputed from the resulting history.
+ * @param {Object} current - { state, settings, history } with initialized state/settings
+ *   and the complete history
+ * @param {Object} backup - Result of parseBackup
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {{preview: Object, state: Object, settings: Object, history: Array,
+ *   replaceHistory: boolean}} Preview plus the data to write (history lists the entries to
+ *   append, after clearing the store when replaceHistory is true)
+ * @throws {Error} If the mode is unknown or replace is requested while the timer runs
+ */
+export function planRestore(current, backup, mode = 'merge') {
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new Error(`Unknown restore mode: ${mode}`);
+  }
+  const replace = mode === 'replace';
+  if (replace && current.state.timer.isRunning) {
+    throw new Error('Stop the timer before replacing your data with a backup.');
+  }
+
+  const tasks = planCollection(current.state.tasks, backup.tasks, replace);
+  const history = planCollection(current.history, backup.history, replace);
+
+  const presetList = (settings) =>
+    Object.entries(settings?.presets ?? {}).map(([key, preset]) => ({ ...preset, key }));
+  const presets = planCollection(
+    presetList(current.settings),
+    presetList(backup.settings),
+    replace && !!backup.settings,
+    (preset) => preset.key
+  );
+
+  let settings;
+  if (replace && backup.settings) {
+    settings = backup.settings;
+  } else {
+    const addedKeys = presets.added.map((preset) => preset.key);
+    settings = {
+      ...current.settings,
+      presets: {
+        ...current.settings.presets,
+        ...Object.fromEntries(presets.added.map((preset) => [preset.key, preset])),
+      },
+      ...(addedKeys.length && Array.isArray(current.settings.presetOrder)
+        ? { presetOrder: [...current.settings.presetOrder, ...addedKeys] }
+        : {}),
+    };
+  }
+
+  const statistics = computeStatistics(history.items, {
+    goals: settings.goals,
+    includeAbandoned: settings.countAbandoned,
+  });
+
+  let timer = current.state.timer;
+  const taskIds = new Set(tasks.items.map((task) => task.id));
+  if (timer.activeTaskId && !taskIds.has(timer.activeTaskId)) {
+    timer = { ...timer, activeTaskId: null };
+  }
+  if (!hasPreset(settings, timer.methodKey)) {
+    timer = initializeTimerState({ methodKey: settings.selectedMethod });
+  }
+
+  const recent = trimHistory(
+    [...history.items].sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0))
+  );
+
+  return {
+    preview: {
+      mode,
+      source: {
+        schemaVersion: backup.schemaVersion,
+        exportedAt: backup.exportedAt,
+        appVersion: backup.appVersion,
+      },
+      tasks: tasks.counts,
+      history: history.counts,
+      presets: presets.counts,
+      settings: { changed: changedSettings(current.settings, settings) },
+      statistics: replace ? 'replaced' : history.added.length ? 'updated' : 'unchanged',
+      skipped: backup.skipped,
+    },
+    state: { ...current.state, timer, tasks: tasks.items, history: recent, statistics },
+    settings,
+    history: replace ? history.items : history.added,
+    replaceHistory: replace,
+  };
+}
@@ -0,0 +1,234 @@
+/**
+ * Focus-mode site blocklist for FlexiFocus
+ * Pure helpers that normalize patterns, resolve per-method and per-task overrides,
+ * and build declarativeNetRequest rules for the running focus phase
+ */
+
+import { BLOCKLIST_LIMITS } from '../shared/constants.js';
+import { isWorkPhase } from './timer.js';
+import { resolveMethod } from './methods.js';
+
+const HOST_PATTERN =
+  /^(\*\.)?([a-z0-9*]([a-z0-9*-]*[a-z0-9*])?\.)*[a-z0-9*]([a-z0-9*-]*[a-z0-9*])?$/;
+const BLOCK_PRIORITY = 1;
+const ALLOW_PRIORITY = 2;
+
+/**
+ * Normalize a user-entered site into a hostname pattern
+ * Accepts full URLs and strips scheme, credentials, port, path and a leading 'www.'.
+ * @param {string} input - Domain, wildcard pattern, or URL
+ * @returns {string|null} Normalized pattern, or null if it is not a valid host pattern
+ */
+export function normalizePattern(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+  let host = input.trim().toLowerCase();
+  host = host.replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+  host = host.split(/[/?#]/)[0];
+  host = host.slice(host.lastIndexOf('@') + 1);
+  host = host.replace(/:\d*$/, '').replace(/\.$/, '');
+  if (host.startsWith('www.')) {
+    host = host.slice(4);
+  }
+  if (!host || host === '*' || host.length > BLOCKLIST_LIMITS.maxPatternLength) {
+    return null;
+  }
+  return HOST_PATTERN.test(host) ? host : null;
+}
+
+/**
+ * Normalize a list of patterns, dropping duplicates
+ * @param {string[]|string} input - Patterns as an array or newline/comma separated text
+ * @returns {{patterns: string[], invalid: string[]}} Valid patterns and rejected entries
+ */
+export function parsePatterns(input) {
+  const entries = Array.isArray(input) ? input : String(input ?? '').split(/[\n,]/);
+  const patterns = [];
+  const invalid = [];
+  entries.forEach((entry) => {
+    if (typeof entry === 'string' && !entry.trim()) {
+      return;
+    }
+    const pattern = normalizePattern(entry);
+    if (!pattern) {
+      invalid.push(String(entry).trim());
+    } else if (!patterns.includes(pattern)) {
+      patterns.push(pattern);
+    }
+  });
+  return { patterns, invalid };
+}
+
+/**
+ * Validate a blocklist or a per-method/per-task override
+ * Overrides may omit fields (inherit) or be null (inherit everything).
+ * @param {Object|null} blocklist - Blocklist to check
+ * @param {string} label - Prefix for error messages
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateBlocklist(blocklist, label = 'Blocklist') {
+  const errors = [];
+  if (blocklist === null || blocklist === undefined) {
+    return { valid: true, errors };
+  }
+  if (typeof blocklist !== 'object' || Array.isArray(blocklist)) {
+    errors.push(`${label} must be an object`);
+    return { valid: false, errors };
+  }
+  if (blocklist.enabled !== undefined && typeof blocklist.enabled !== 'boolean') {
+    errors.push(`${label}.enabled must be boolean`);
+  }
+  ['domains', 'allowlist'].forEach((field) => {
+    const value = blocklist[field];
+    if (value === undefined) {
+      return;
+    }
+    if (!Array.isArray(value)) {
+      errors.push(`${label}.${field} must be an array`);
+      return;
+    }
+    if (value.length > BLOCKLIST_LIMITS.maxPatterns) {
+      errors.push(`${label}.${field} must have at most ${BLOCKLIST_LIMITS.maxPatterns} entries`);
+    }
+    const { invalid } = parsePatterns(value);
+    if (invalid.length) {
+      errors.push(`${label}.${field} has invalid sites: ${invalid.join(', ')}`);
+    }
+  });
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Normalize a blocklist or override for storage
+ * @param {Object|null} blocklist - Blocklist to normalize
+ * @param {string} label - Prefix for error messages
+ * @returns {Object|null} Normalized copy (null stays null)
+ * @throws {Error} If the blocklist is invalid
+ */
+export function normalizeBlocklist(blocklist, label = 'Blocklist') {
+  const validation = validateBlocklist(blocklist, label);
+  if (!validation.valid) {
+    throw new Error(validation.errors.join('; '));
+  }
+  if (blocklist === null || blocklist === undefined) {
+    return null;
+  }
+  const normalized = {};
+  if (blocklist.enabled !== undefined) {
+    normalized.enabled = blocklist.enabled;
+  }
+  ['domains', 'allowlist'].forEach((field) => {
+    if (blocklist[field] !== undefined) {
+      normalized[field] = parsePatterns(blocklist[field]).patterns;
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Resolve the effective blocklist
+ * Fields set on the method override the global list; fields set on the task override both.
+ * @param {Object} settings - User settings
+ * @param {Object} method - Resolved method configuration (optional)
+ * @param {Object} task - Active task (optional)
+ * @returns {{enabled: boolean, domains: string[], allowlist: string[]}}
+ */
+export function resolveBlocklist(settings, method = null, task = null) {
+  const base = settings?.blocklist ?? {};
+  const merged = { ...base, ...(method?.blocklist ?? {}), ...(task?.blocklist ?? {}) };
+  return {
+    enabled: !!merged.enabled,
+    domains: Array.isArray(merged.domains) ? merged.domains : [],
+    allowlist: Array.isArray(merged.allowlist) ? merged.allowlist : [],
+  };
+}
+
+/**
+ * Whether sites should currently be blocked (a running focus phase)
+ * @param {Object} timer - Timer state
+ * @param {Object} method - Method configuration (optional)
+ * @returns {boolean}
+ */
+export function isBlockingPhase(timer, method) {
+  return !!timer?.isRunning && isWorkPhase(timer.phase, method);
+}
+
+/**
+ * Whether Lock-In mode forbids editing the blocklist right now
+ * @param {Object} settings - User settings
+ * @param {Object} timer - Timer state
+ * @returns {boolean}
+ */
+export function isBlocklistLocked(settings, timer) {
+  return !!settings?.lockIn && isBlockingPhase(timer, resolveMethod(timer?.methodKey, settings));
+}
+
+/**
+ * Convert a host pattern into an RE2 regexFilter matching http(s) URLs on that host
+ * @param {string} pattern - Normalized host pattern
+ * @returns {string} Regular expression source
+ */
+export function patternToRegex(pattern) {
+  const subdomainsOnly = pattern.startsWith('*.');
+  const host = (subdomainsOnly ? pattern.slice(2) : pattern)
+    .split('*')
+    .map((part) => part.replace(/\./g, '\\.'))
+    .join('[^/:]*');
+  const prefix = subdomainsOnly ? '[^/:]+\\.' : '([^/:]+\\.)?';
+  return `^https?://([^/@]*@)?${prefix}${host}(:[0-9]+)?([/?#]|$)`;
+}
+
+/**
+ * Build declarativeNetRequest dynamic rules for a blocklist
+ * Blocked top-level navigations redirect to the extension's blocked page.
+ * @param {Object} blocklist - Resolved blocklist
+ * @param {string} redirectPath - Extension path of the blocked page (leading slash)
+ * @returns {Object[]} Rules with ids starting at 1
+ */
+export function buildBlockRules(blocklist, redirectPath) {
+  if (!blocklist?.enabled || !blocklist.domains?.length) {
+    return [];
+  }
+  const rules = [];
+  const addRule = (pattern, action, priority) => {
+    rules.push({
+      id: rules.length + 1,
+      priority,
+      action,
+      condition: {
+        regexFilter: patternToRegex(pattern),
+        isUrlFilterCaseSensitive: false,
+        resourceTypes: ['main_frame'],
+      },
+    });
+  };
+  blocklist.domains.forEach((pattern) =>
+    addRule(
+      pattern,
+      { type: 'redirect', redirect: { extensionPath: redirectPath } },
+      BLOCK_PRIORITY
+    )
+  );
+  (blocklist.allowlist ?? []).forEach((pattern) =>
+    addRule(pattern, { type: 'allow' }, ALLOW_PRIORITY)
+  );
+  return rules;
+}
+
+/**
+ * Build the rules that should be active for the current state
+ * @param {Object} state - Application state
+ * @param {Object} settings - User settings
+ * @param {string} redirectPath - Extension path of the blocked page (leading slash)
+ * @returns {Object[]} Rules (empty outside running focus phases)
+ */
+export function getActiveBlockRules(state, settings, redirectPath) {
+  const timer = state?.timer;
+  const method = resolveMethod(timer?.methodKey, settings);
+  if (!isBlockingPhase(timer, method)) {
+    return [];
+  }
+  const task = (state.tasks ?? []).find((item) => item.id === timer.activeTaskId) ?? null;
+  return buildBlockRules(resolveBlocklist(settings, method, task), redirectPath);
+}
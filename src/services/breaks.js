@@ -0,0 +1,65 @@
+/**
+ * Break enforcement rules for FlexiFocus
+ * Pure helpers deciding whether a break page may be dismissed and which tabs to redirect
+ */
+
+import { BREAK_ENFORCEMENT_LEVELS } from '../shared/constants.js';
+import { computeRemaining, isBreakPhase } from './timer.js';
+
+/**
+ * Get the configured enforcement level, or null when enforcement is off
+ * @param {Object} settings - User settings
+ * @returns {string|null} 'gentle', 'countdown', 'strict', or null
+ */
+export function getEnforcementLevel(settings) {
+  if (!settings?.breakEnforcement) {
+    return null;
+  }
+  const level = settings.breakEnforcementLevel;
+  return BREAK_ENFORCEMENT_LEVELS.includes(level) ? level : 'gentle';
+}
+
+/**
+ * Describe the current break for the break page and tab guards
+ * Only a running break is locked, so a paused or not yet started break can never hold tabs
+ * with no end in sight.
+ * @param {Object} timer - Timer state
+ * @param {Object} method - Resolved method configuration
+ * @param {Object} settings - User settings
+ * @returns {{phase: string, onBreak: boolean, isRunning: boolean, remainingMs: number,
+ *   endTime: number, level: string|null, locked: boolean, strict: boolean}}
+ */
+export function getBreakStatus(timer, method, settings) {
+  const level = getEnforcementLevel(settings);
+  const onBreak = isBreakPhase(timer.phase, method);
+  const remainingMs = onBreak ? computeRemaining(timer, method) : 0;
+  const locked =
+    onBreak &&
+    !!timer.isRunning &&
+    remainingMs > 0 &&
+    (level === 'countdown' || level === 'strict');
+  return {
+    phase: timer.phase,
+    onBreak,
+    isRunning: !!timer.isRunning,
+    remainingMs,
+    endTime: timer.isRunning ? timer.endTime : 0,
+    level,
+    locked,
+    strict: locked && level === 'strict',
+  };
+}
+
+/**
+ * Decide whether strict mode should redirect a tab to the break page
+ * Extension pages (including the break page itself) are never redirected.
+ * @param {string} url - Tab URL or pending URL (may be empty for new tabs)
+ * @param {string} extensionOrigin - chrome.runtime.getURL('')
+ * @returns {boolean} True if the tab should be redirected
+ */
+export function shouldRedirectTab(url, extensionOrigin) {
+  if (!url) {
+    return true;
+  }
+  return !url.startsWith(extensionOrigin);
+}
@@ -0,0 +1,149 @@
+/**
+ * Calendar helpers for FlexiFocus
+ * Day keys and midnight boundaries in an IANA time zone (the local one by default),
+ * with calendar-day arithmetic that is unaffected by DST changes
+ */
+
+const formatters = new Map();
+
+/**
+ * Get a cached date-time formatter for a time zone
+ * @param {string|undefined} timeZone - IANA time zone (undefined for local)
+ * @returns {Intl.DateTimeFormat}
+ */
+function formatterFor(timeZone) {
+  const key = timeZone ?? '';
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Read the wall-clock fields of a timestamp in a time zone
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone (undefined for local)
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number,
+ *   second: number}}
+ */
+function wallClock(timestamp, timeZone) {
+  const parts = Object.fromEntries(
+    formatterFor(timeZone)
+      .formatToParts(timestamp)
+      .filter((part) => part.type !== 'literal')
+      .map((part) => [part.type, Number(part.value)])
+  );
+  return { ...parts, hour: parts.hour % 24 };
+}
+
+/**
+ * Get the wall-clock hour of a timestamp in a time zone
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone (undefined for local)
+ * @returns {number} Hour 0-23
+ */
+export function toZonedHour(timestamp, timeZone) {
+  return wallClock(timestamp, timeZone).hour;
+}
+
+/**
+ * Get the day key of a timestamp in a time zone
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone (undefined for local)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function toZonedDayKey(timestamp, timeZone) {
+  const { year, month, day } = wallClock(timestamp, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Move a day key by whole calendar days (independent of DST)
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {number} count - Days to add (negative to go back)
+ * @returns {string} Day key
+ */
+export function addDays(day, count) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + count)).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the offset of a time zone from UTC at an instant
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone (undefined for local)
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function zoneOffset(timestamp, timeZone) {
+  const { year, month, day, hour, minute, second } = wallClock(timestamp, timeZone);
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallAsUtc - (timestamp - (((timestamp % 1000) + 1000) % 1000));
+}
+
+/**
+ * Get the instant the day after a timestamp begins in a time zone
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone (undefined for local)
+ * @returns {number} Epoch milliseconds of the next midnight
+ */
+function nextMidnight(timestamp, timeZone) {
+  const [year, month, day] = addDays(toZonedDayKey(timestamp, timeZone), 1).split('-').map(Number);
+  const midnightAsUtc = Date.UTC(year, month - 1, day);
+  const guess = midnightAsUtc - zoneOffset(timestamp, timeZone);
+  return Math.max(timestamp + 1, midnightAsUtc - zoneOffset(guess, timeZone));
+}
+
+/**
+ * Split an entry's duration between the days its wall-clock span touches
+ * Paused time is spread evenly, so the parts add up to durationMs.
+ * @param {Object} entry - History entry
+ * @param {string} timeZone - IANA time zone (undefined for local)
+ * @returns {Array<{day: string, ms: number}>} Oldest day first
+ */
+export function splitByDay(entry, timeZone) {
+  const start = entry.startedAt || entry.endedAt || 0;
+  const end = Math.max(start, entry.endedAt || 0);
+  if (end === start) {
+    return [{ day: toZonedDayKey(start, timeZone), ms: entry.durationMs || 0 }];
+  }
+  const scale = (entry.durationMs || 0) / (end - start);
+  const parts = [];
+  let cursor = start;
+  while (cursor < end) {
+    const sliceEnd = Math.min(end, nextMidnight(cursor, timeZone));
+    parts.push({ day: toZonedDayKey(cursor, timeZone), ms: (sliceEnd - cursor) * scale });
+    cursor = sliceEnd;
+  }
+  return parts;
+}
+
+/**
+ * Get the weekday of a day key
+ * @param {string} day - 'YYYY-MM-DD'
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+export function getWeekday(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date)).getUTCDay();
+}
+
+/**
+ * Get the Monday starting the week that contains a day
+ * @param {string} day - 'YYYY-MM-DD'
+ * @returns {string} Day key of the Monday
+ */
+export function getWeekStart(day) {
+  return addDays(day, -((getWeekday(day) + 6) % 7));
+}
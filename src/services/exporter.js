@@ -0,0 +1,245 @@
+/**
+ * Session history export for FlexiFocus
+ * Pure formatters that turn history entries into CSV rows or iCalendar events,
+ * shared by every export entry point through the 'exportHistory' message
+ */
+
+import { EXPORT_FORMATS } from '../shared/constants.js';
+import { getEntryDay, toDayKey } from './history.js';
+import { isFocusEntry } from './timer.js';
+import { getMethodLabel } from './methods.js';
+
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const ICS_LINE_OCTETS = 75;
+const encoder = new TextEncoder();
+
+export const CSV_COLUMNS = [
+  'id',
+  'method',
+  'phase',
+  'start',
+  'end',
+  'duration_minutes',
+  'status',
+  'skip_reason',
+  'task',
+  'rating',
+  'note',
+];
+
+/**
+ * Validate export options
+ * Any phase id is accepted, since custom methods declare their own phases.
+ * @param {Object} options - { format, from, to, phase }
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateExportOptions(options = {}) {
+  const errors = [];
+  if (!EXPORT_FORMATS[options.format]) {
+    errors.push(`Export.format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  ['from', 'to'].forEach((field) => {
+    if (options[field] && !DAY_KEY.test(options[field])) {
+      errors.push(`Export.${field} must be a date (YYYY-MM-DD)`);
+    }
+  });
+  const bothDays = DAY_KEY.test(options.from ?? '') && DAY_KEY.test(options.to ?? '');
+  if (bothDays && options.from > options.to) {
+    errors.push('Export.from must not be after Export.to');
+  }
+  if (options.phase && (typeof options.phase !== 'string' || !options.phase.trim())) {
+    errors.push('Export.phase must be a phase id');
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Keep the entries inside a day range and phase
+ * Calendar exports hold only completed sessions, and only focus sessions unless a phase is
+ * asked for explicitly, so skipped and abandoned phases never show up as calendar blocks.
+ * @param {Array} entries - History entries
+ * @param {Object} options - { format, from, to, phase }
+ * @returns {Array} Matching entries, oldest first
+ */
+export function selectExportEntries(entries, options = {}) {
+  return entries
+    .filter((entry) => {
+      const day = getEntryDay(entry);
+      if ((options.from && day < options.from) || (options.to && day > options.to)) {
+        return false;
+      }
+      if (options.format === 'ics' && (entry.status ?? 'completed') !== 'completed') {
+        return false;
+      }
+      if (options.phase) {
+        return entry.phase === options.phase;
+      }
+      return options.format !== 'ics' || isFocusEntry(entry);
+    })
+    .sort((a, b) => (a.startedAt || 0) - (b.startedAt || 0));
+}
+
+/**
+ * Get the end time of an entry
+ * @param {Object} entry - History entry
+ * @returns {number} Epoch milliseconds
+ */
+function endOf(entry) {
+  return entry.endedAt || (entry.startedAt || 0) + (entry.durationMs || 0);
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote, or line break
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+export function escapeCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format entries as CSV (RFC 4180, CRLF line endings, header row first)
+ * @param {Array} entries - History entries
+ * @param {Object} context - { tasks, settings } for resolving task titles and method labels
+ * @returns {string} CSV text
+ */
+export function toCsv(entries, context = {}) {
+  const titles = new Map((context.tasks ?? []).map((task) => [task.id, task.title]));
+  const rows = entries.map((entry) => [
+    entry.id,
+    getMethodLabel(entry.methodKey, context.settings),
+    entry.phase,
+    new Date(entry.startedAt).toISOString(),
+    new Date(endOf(entry)).toISOString(),
+    Math.round((entry.durationMs || 0) / 600) / 100,
+    entry.status ?? 'completed',
+    entry.skipReason ?? '',
+    titles.get(entry.taskId) ?? '',
+    entry.rating ?? '',
+    entry.note ?? '',
+  ]);
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(escapeCsvField).join(',')).join('\r\n');
+}
+
+/**
+ * Format a timestamp as an iCalendar UTC date-time
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {string} e.g. '20240105T090000Z'
+ */
+export function formatIcsDate(timestamp) {
+  return new Date(timestamp)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape an iCalendar TEXT value
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets, continuing with a leading space
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line (CRLF separated)
+ */
+export function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = parts.length ? ICS_LINE_OCTETS - 1 : ICS_LINE_OCTETS;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format entries as an iCalendar file with one VEVENT per entry
+ * @param {Array} entries - History entries
+ * @param {Object} context - { tasks, settings, exportedAt }
+ * @returns {string} iCalendar text
+ */
+export function toIcs(entries, context = {}) {
+  const titles = new Map((context.tasks ?? []).map((task) => [task.id, task.title]));
+  const stamp = formatIcsDate(context.exportedAt ?? Date.now());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//FlexiFocus//Session History//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:FlexiFocus sessions',
+  ];
+  entries.forEach((entry) => {
+    const method = getMethodLabel(entry.methodKey, context.settings);
+    const title = titles.get(entry.taskId);
+    const summary = title ? `Focus: ${title}` : `${method} (${entry.phase})`;
+    const minutes = Math.round((entry.durationMs || 0) / 60000);
+    const description = [
+      `Method: ${method}`,
+      `Phase: ${entry.phase}`,
+      `Duration: ${minutes} min`,
+      ...(entry.rating ? [`Focus rating: ${entry.rating}/5`] : []),
+      ...(entry.note ? [`Note: ${entry.note}`] : []),
+    ].join('\n');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${escapeIcsText(entry.id)}@flexifocus`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(entry.startedAt)}`,
+      `DTEND:${formatIcsDate(endOf(entry))}`,
+      `SUMMARY:${escapeIcsText(summary)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      `CATEGORIES:${escapeIcsText(method)}`,
+      'TRANSP:OPAQUE',
+      'END:VEVENT'
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Build a history export file
+ * @param {Array} entries - History entries (any order)
+ * @param {Object} context - { tasks, settings, exportedAt }
+ * @param {Object} options - { format, from, to, phase }
+ * @returns {{filename: string, mimeType: string, content: string, count: number}}
+ * @throws {Error} If the options are invalid
+ */
+export function buildHistoryExport(entries, context, options) {
+  const validation = validateExportOptions(options);
+  if (!validation.valid) {
+    throw new Error(`Export validation failed: ${validation.errors.join(', ')}`);
+  }
+  const { extension, mimeType } = EXPORT_FORMATS[options.format];
+  const selected = selectExportEntries(entries, options);
+  const content = options.format === 'ics' ? toIcs(selected, context) : toCsv(selected, context);
+  const today = toDayKey(context?.exportedAt ?? Date.now());
+  const span =
+    options.from || options.to ? `${options.from ?? 'start'}-to-${options.to ?? today}` : today;
+  return {
+    filename: `flexifocus-history-${span}.${extension}`,
+    mimeType,
+    content,
+    count: selected.length,
+  };
+}
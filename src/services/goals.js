@@ -0,0 +1,234 @@
+/**
+ * Focus goals for FlexiFocus
+ * Evaluates daily and weekly targets (focus minutes or sessions, overall or per method)
+ * against the session history, and decides which days count toward goal streaks
+ */
+
+import { GOAL_LIMITS } from '../shared/constants.js';
+import { isFocusEntry } from './timer.js';
+import { getMethodLabel } from './methods.js';
+import { toZonedDayKey, addDays, splitByDay, getWeekday, getWeekStart } from './calendar.js';
+
+const ALL_METHODS = '*';
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Create a goal
+ * @param {Object} fields - { period, metric, target, methodKey, weekdays }
+ * @returns {Object} Goal with a generated id
+ */
+export function createGoal(fields) {
+  return {
+    id: crypto.randomUUID(),
+    period: fields.period,
+    metric: fields.metric,
+    target: fields.target,
+    methodKey: fields.methodKey || null,
+    weekdays: fields.period === 'day' ? [...new Set(fields.weekdays ?? [])].sort() : [],
+  };
+}
+
+/**
+ * Check a goal list's length and ids (field rules live in the settings schema)
+ * @param {Array} goals - Goals
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateGoalList(goals) {
+  const errors = [];
+  if (!Array.isArray(goals)) {
+    return { valid: false, errors: ['Goals must be an array'] };
+  }
+  if (goals.length > GOAL_LIMITS.maxGoals) {
+    errors.push(`Goals are limited to ${GOAL_LIMITS.maxGoals}`);
+  }
+  const ids = goals.map((goal) => goal?.id);
+  if (new Set(ids).size !== ids.length) {
+    errors.push('Goal ids must be unique');
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Whether a goal has a target on a day
+ * Weekly goals always apply; daily goals apply on their weekdays (every day when empty).
+ * @param {Object} goal - Goal
+ * @param {string} day - Day key
+ * @returns {boolean}
+ */
+export function goalAppliesOn(goal, day) {
+  if (goal.period !== 'day' || !goal.weekdays?.length) {
+    return true;
+  }
+  return goal.weekdays.includes(getWeekday(day));
+}
+
+/**
+ * Get the days a goal period covers
+ * @param {Object} goal - Goal
+ * @param {string} day - Any day in the period
+ * @returns {{from: string, to: string}} Day keys (Monday to Sunday for weekly goals)
+ */
+export function getGoalRange(goal, day) {
+  if (goal.period === 'week') {
+    const from = getWeekStart(day);
+    return { from, to: addDays(from, 6) };
+  }
+  return { from: day, to: day };
+}
+
+/**
+ * Describe a goal for display
+ * @param {Object} goal - Goal
+ * @param {Object} settings - User settings (for method labels)
+ * @returns {string} e.g. '4h focus per weekday' or '12 Pomodoro sessions per week'
+ */
+export function describeGoal(goal, settings) {
+  const method = goal.methodKey ? `${getMethodLabel(goal.methodKey, settings)} ` : '';
+  let amount;
+  if (goal.metric === 'sessions') {
+    amount = `${goal.target} ${method}session${goal.target === 1 ? '' : 's'}`;
+  } else {
+    const hours = Math.floor(goal.target / 60);
+    const minutes = goal.target % 60;
+    const time = [hours ? `${hours}h` : '', minutes ? `${minutes}m` : ''].filter(Boolean).join(' ');
+    amount = `${time} ${method}focus`;
+  }
+  let per = goal.period;
+  if (goal.period === 'day' && goal.weekdays?.length && goal.weekdays.length < 7) {
+    const weekdays = [...goal.weekdays].sort();
+    per =
+      weekdays.join() === WEEKDAYS.join()
+        ? 'weekday'
+        : weekdays.map((weekday) => WEEKDAY_NAMES[weekday]).join('/');
+  }
+  return `${amount} per ${per}`;
+}
+
+/**
+ * Add a value to a per-method tally and the all-methods tally
+ * @param {Map} tally - Method key to value
+ * @param {string} methodKey - Method key
+ * @param {number} value - Amount to add
+ */
+function addTo(tally, methodKey, value) {
+  tally.set(methodKey, (tally.get(methodKey) ?? 0) + value);
+  tally.set(ALL_METHODS, (tally.get(ALL_METHODS) ?? 0) + value);
+}
+
+/**
+ * Tally focus time and sessions per day and method
+ * Focus time of sessions crossing midnight is split between days; a session counts on the
+ * day it started. Breaks and skipped entries are ignored.
+ * @param {Array} history - History entries
+ * @param {string} timeZone - IANA time zone (undefined for local)
+ * @returns {Map<string, {focusMs: Map, sessions: Map}>} Day key to tallies by method ('*' for all)
+ */
+export function tallyDays(history, timeZone) {
+  const days = new Map();
+  const dayOf = (day) => {
+    if (!days.has(day)) {
+      days.set(day, { focusMs: new Map(), sessions: new Map() });
+    }
+    return days.get(day);
+  };
+  (history ?? [])
+    .filter((entry) => entry.status !== 'skipped' && isFocusEntry(entry))
+    .forEach((entry) => {
+      const parts = splitByDay(entry, timeZone);
+      parts.forEach(({ day, ms }) => addTo(dayOf(day).focusMs, entry.methodKey, ms));
+      addTo(dayOf(parts[0].day).sessions, entry.methodKey, 1);
+    });
+  return days;
+}
+
+/**
+ * Measure a goal over a day range
+ * @param {Object} goal - Goal
+ * @param {Map} days - Result of tallyDays
+ * @param {{from: string, to: string}} range - Day keys
+ * @returns {number} Focus minutes (whole) or sessions
+ */
+function measure(goal, days, range) {
+  const key = goal.methodKey ?? ALL_METHODS;
+  const field = goal.metric === 'sessions' ? 'sessions' : 'focusMs';
+  let total = 0;
+  for (let day = range.from; day <= range.to; day = addDays(day, 1)) {
+    total += days.get(day)?.[field].get(key) ?? 0;
+  }
+  return goal.metric === 'sessions' ? total : Math.floor(total / 60000);
+}
+
+/**
+ * Evaluate goals for the period containing today
+ * @param {Array} goals - Goals
+ * @param {Array} history - History entries (at least the current week)
+ * @param {Object} options - { timeZone, now, settings }
+ * @returns {Array<Object>} Per goal: { id, label, period, metric, target, methodKey, from, to,
+ *   applies, value, progress (0-1), met }
+ */
+export function evaluateGoals(goals, history, options = {}) {
+  const today = toZonedDayKey(options.now ?? Date.now(), options.timeZone);
+  const days = tallyDays(history, options.timeZone);
+  return (goals ?? []).map((goal) => {
+    const range = getGoalRange(goal, today);
+    const value = measure(goal, days, range);
+    return {
+      id: goal.id,
+      label: describeGoal(goal, options.settings),
+      period: goal.period,
+      metric: goal.metric,
+      target: goal.target,
+      methodKey: goal.methodKey ?? null,
+      ...range,
+      applies: goalAppliesOn(goal, today),
+      value,
+      progress: Math.min(1, value / goal.target),
+      met: value >= goal.target,
+    };
+  });
+}
+
+/**
+ * Find goals that a new session completed
+ * @param {Array} goals - Goals
+ * @param {Array} before - History without the new entry
+ * @param {Array} after - History with the new entry
+ * @param {Object} options - { timeZone, now, settings }
+ * @returns {Array<Object>} Evaluations (as from evaluateGoals) of goals met only after
+ */
+export function getNewlyMetGoals(goals, before, after, options = {}) {
+  const previous = new Map(
+    evaluateGoals(goals, before, options).map((result) => [result.id, result.met])
+  );
+  return evaluateGoals(goals, after, options).filter(
+    (result) => result.applies && result.met && !previous.get(result.id)
+  );
+}
+
+/**
+ * Decide which days count toward goal streaks
+ * With daily goals, a day counts when every daily goal that applies on it is met, and days
+ * where none applies (e.g. weekends for weekday goals) neither extend nor break a streak.
+ * Weekly goals do not affect day streaks.
+ * @param {Array} goals - Goals
+ * @param {Array} history - Every history entry
+ * @param {string} timeZone - IANA time zone (undefined for local)
+ * @returns {{days: string[], isRestDay: function(string): boolean}|null} Null without daily goals
+ */
+export function getGoalStreakDays(goals, history, timeZone) {
+  const daily = (goals ?? []).filter((goal) => goal.period === 'day');
+  if (!daily.length) {
+    return null;
+  }
+  const tallies = tallyDays(history, timeZone);
+  const applying = (day) => daily.filter((goal) => goalAppliesOn(goal, day));
+  const days = [...tallies.keys()].filter((day) => {
+    const goalsToday = applying(day);
+    return (
+      goalsToday.length > 0 &&
+      goalsToday.every((goal) => measure(goal, tallies, { from: day, to: day }) >= goal.target)
+    );
+  });
+  return { days, isRestDay: (day) => applying(day).length === 0 };
+}
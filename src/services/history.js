@@ -0,0 +1,312 @@
+/**
+ * Session history store for FlexiFocus
+ * Keeps every history entry in date-bucketed chrome.storage.local keys with a day index,
+ * so writes touch a single day and reads can page through ranges by day, method, or task
+ */
+
+import { HISTORY_STORE } from '../shared/constants.js';
+
+let writeQueue = Promise.resolve();
+
+/**
+ * Get the local calendar day an entry belongs to
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {string} Day key 'YYYY-MM-DD'
+ */
+export function toDayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get local midnight of a day key
+ * @param {string} day - Day key 'YYYY-MM-DD'
+ * @returns {Date} Local date at 00:00
+ */
+export function fromDayKey(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date);
+}
+
+/**
+ * Get the day key an entry is filed under (its start, falling back to its end)
+ * @param {Object} entry - History entry
+ * @returns {string} Day key
+ */
+export function getEntryDay(entry) {
+  return toDayKey(entry.startedAt || entry.endedAt);
+}
+
+/**
+ * Get the storage key for a day bucket
+ * @param {string} day - Day key
+ * @returns {string} Storage key
+ */
+export function bucketKey(day) {
+  return `${HISTORY_STORE.bucketPrefix}${day}`;
+}
+
+/**
+ * Check an entry against query filters
+ * @param {Object} entry - History entry
+ * @param {Object} filters - { methodKey, taskId, phase } (omitted filters match everything)
+ * @returns {boolean}
+ */
+export function matchesFilters(entry, filters = {}) {
+  if (filters.methodKey && entry.methodKey !== filters.methodKey) {
+    return false;
+  }
+  if (filters.taskId !== undefined && filters.taskId !== null && entry.taskId !== filters.taskId) {
+    return false;
+  }
+  if (filters.phase && entry.phase !== filters.phase) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * List the stored days inside a range, newest first
+ * @param {Object} index - Day index (day key to entry count)
+ * @param {Object} range - { day, from, to } as inclusive day keys
+ * @returns {string[]} Day keys
+ */
+export function selectDays(index, range = {}) {
+  const from = range.day ?? range.from;
+  const to = range.day ?? range.to;
+  return Object.keys(index ?? {})
+    .filter((day) => (!from || day >= from) && (!to || day <= to))
+    .sort()
+    .reverse();
+}
+
+/**
+ * Encode a paging cursor
+ * @param {string} day - Day key to resume from
+ * @param {number} offset - Number of matching entries already returned from that day
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(day, offset) {
+  return `${day}#${offset}`;
+}
+
+/**
+ * Decode a paging cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {{day: string, offset: number}|null} Position, or null for the first page
+ * @throws {Error} If the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  if (!cursor) {
+    return null;
+  }
+  const match = /^(\d{4}-\d{2}-\d{2})#(\d+)$/.exec(cursor);
+  if (!match) {
+    throw new Error(`Invalid history cursor: ${cursor}`);
+  }
+  return { day: match[1], offset: Number(match[2]) };
+}
+
+/**
+ * Run a storage write after all earlier writes finish
+ * Bucket updates are read-modify-write, so concurrent appends must not interleave.
+ * @param {Function} task - Async write
+ * @returns {Promise<*>} Task result
+ */
+function enqueue(task) {
+  const run = writeQueue.then(task, task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Read the day index
+ * @returns {Promise<Object|undefined>} Day key to entry count, or undefined before migration
+ */
+async function readIndex() {
+  const stored = await chrome.storage.local.get(HISTORY_STORE.indexKey);
+  return stored[HISTORY_STORE.indexKey];
+}
+
+/**
+ * Read the entries stored for one day
+ * @param {string} day - Day key
+ * @returns {Promise<Array>} Entries, newest first
+ */
+export async function getEntriesForDay(day) {
+  const key = bucketKey(day);
+  const stored = await chrome.storage.local.get(key);
+  return stored[key] ?? [];
+}
+
+/**
+ * Write entries into their day buckets, skipping ids that are already stored
+ * @param {Array} entries - History entries
+ * @returns {Promise<number>} Number of entries added
+ */
+export function appendHistoryEntries(entries) {
+  return enqueue(async () => {
+    const index = (await readIndex()) ?? {};
+    const byDay = new Map();
+    entries.forEach((entry) => {
+      const day = getEntryDay(entry);
+      byDay.set(day, [...(byDay.get(day) ?? []), entry]);
+    });
+
+    const keys = [...byDay.keys()].map(bucketKey);
+    const stored = keys.length ? await chrome.storage.local.get(keys) : {};
+    const updates = {};
+    let added = 0;
+
+    byDay.forEach((dayEntries, day) => {
+      const existing = stored[bucketKey(day)] ?? [];
+      const ids = new Set(existing.map((entry) => entry.id));
+      const fresh = dayEntries.filter((entry) => {
+        if (ids.has(entry.id)) {
+          return false;
+        }
+        ids.add(entry.id);
+        return true;
+      });
+      if (!fresh.length) {
+        return;
+      }
+      const merged = [...fresh, ...existing].sort(
+        (a, b) => (b.startedAt || 0) - (a.startedAt || 0)
+      );
+      updates[bucketKey(day)] = merged;
+      index[day] = merged.length;
+      added += fresh.length;
+    });
+
+    await chrome.storage.local.set({ ...updates, [HISTORY_STORE.indexKey]: index });
+    return added;
+  });
+}
+
+/**
+ * Write a single entry into its day bucket
+ * @param {Object} entry - History entry
+ * @returns {Promise<number>} 1 if added, 0 if the id was already stored
+ */
+export function appendHistoryEntry(entry) {
+  return appendHistoryEntries([entry]);
+}
+
+/**
+ * Replace a stored entry with an updated copy, matched by id in the entry's day bucket
+ * @param {Object} entry - Updated history entry (same id and start time)
+ * @returns {Promise<boolean>} Whether the entry was stored
+ */
+export function replaceHistoryEntry(entry) {
+  return enqueue(async () => {
+    const key = bucketKey(getEntryDay(entry));
+    const stored = await chrome.storage.local.get(key);
+    const entries = stored[key] ?? [];
+    if (!entries.some((item) => item.id === entry.id)) {
+      return false;
+    }
+    await chrome.storage.local.set({
+      [key]: entries.map((item) => (item.id === entry.id ? entry : item)),
+    });
+    return true;
+  });
+}
+
+/**
+ * Move legacy state.history entries into the store (runs once; later calls are no-ops)
+ * @param {Array} legacyHistory - Entries from state.history
+ * @returns {Promise<number>} Number of entries migrated
+ */
+export async function migrateLegacyHistory(legacyHistory = []) {
+  if (await readIndex()) {
+    return 0;
+  }
+  return appendHistoryEntries(Array.isArray(legacyHistory) ? legacyHistory : []);
+}
+
+/**
+ * Delete every stored entry and reset the day index (for restoring a backup in replace mode)
+ * @returns {Promise<number>} Number of entries removed
+ */
+export function clearHistory() {
+  return enqueue(async () => {
+    const index = (await readIndex()) ?? {};
+    const days = Object.keys(index);
+    if (days.length) {
+      await chrome.storage.local.remove(days.map(bucketKey));
+    }
+    await chrome.storage.local.set({ [HISTORY_STORE.indexKey]: {} });
+    return days.reduce((total, day) => total + index[day], 0);
+  });
+}
+
+/**
+ * List stored days with their entry counts, newest first
+ * @param {Object} range - Optional { from, to } day keys
+ * @returns {Promise<Array<{day: string, count: number}>>}
+ */
+export async function getHistoryDays(range = {}) {
+  const index = (await readIndex()) ?? {};
+  return selectDays(index, range).map((day) => ({ day, count: index[day] }));
+}
+
+/**
+ * Page through history, newest first
+ * @param {Object} query - Query options
+ * @param {string} query.day - Single day key (overrides from/to)
+ * @param {string} query.from - First day key (inclusive)
+ * @param {string} query.to - Last day key (inclusive)
+ * @param {string} query.methodKey - Only entries for this method
+ * @param {string} query.taskId - Only entries for this task
+ * @param {string} query.phase - Only entries for this phase
+ * @param {number} query.limit - Page size (default HISTORY_STORE.pageSize)
+ * @param {string} query.cursor - nextCursor from the previous page
+ * @returns {Promise<{entries: Array, nextCursor: string|null}>}
+ */
+export async function queryHistory(query = {}) {
+  const limit = Math.max(1, Math.floor(query.limit ?? HISTORY_STORE.pageSize));
+  const position = decodeCursor(query.cursor);
+  const index = (await readIndex()) ?? {};
+  let days = selectDays(index, query);
+  if (position) {
+    days = days.filter((day) => day <= position.day);
+  }
+
+  const entries = [];
+  for (let i = 0; i < days.length; i += 1) {
+    const day = days[i];
+    const offset = position && day === position.day ? position.offset : 0;
+    const matching = (await getEntriesForDay(day)).filter((entry) => matchesFilters(entry, query));
+    const room = limit - entries.length;
+    entries.push(...matching.slice(offset, offset + room));
+
+    if (entries.length >= limit) {
+      if (offset + room < matching.length) {
+        return { entries, nextCursor: encodeCursor(day, offset + room) };
+      }
+      const nextDay = days[i + 1];
+      return { entries, nextCursor: nextDay ? encodeCursor(nextDay, 0) : null };
+    }
+  }
+  return { entries, nextCursor: null };
+}
+
+/**
+ * Load every entry matching a query (for exports and statistics)
+ * @param {Object} query - Same filters as queryHistory (limit and cursor are ignored)
+ * @returns {Promise<Array>} Entries, newest first
+ */
+export async function getAllHistory(query = {}) {
+  const index = (await readIndex()) ?? {};
+  const days = selectDays(index, query);
+  if (!days.length) {
+    return [];
+  }
+  const stored = await chrome.storage.local.get(days.map(bucketKey));
+  return days.flatMap((day) =>
+    (stored[bucketKey(day)] ?? []).filter((entry) => matchesFilters(entry, query))
+  );
+}
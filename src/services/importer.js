@@ -0,0 +1,694 @@
+/**
+ * Session history import for FlexiFocus
+ * Parses CSV files (through a column mapping) and iCalendar events into history entries,
+ * and reports which rows were accepted, rejected, or already stored, so imports can be
+ * dry-run before anything is written
+ */
+
+import {
+  DEFAULT_METHODS,
+  HISTORY_STATUSES,
+  IMPORT_LIMITS,
+  REFLECTION_LIMITS,
+} from '../shared/constants.js';
+import { createHistoryEntry, validateHistoryEntry } from './state.js';
+import { getPhaseSequence, resolveMethod } from './methods.js';
+import { getPhaseKind } from './timer.js';
+
+export const MAPPING_FIELDS = [
+  'id',
+  'start',
+  'end',
+  'duration',
+  'phase',
+  'method',
+  'task',
+  'status',
+  'skipReason',
+  'rating',
+  'note',
+];
+export const DURATION_UNITS = { ms: 1, seconds: 1000, minutes: 60000, hours: 3600000 };
+
+/**
+ * Header names recognized for each field, after normalizeKey, in order of preference
+ * (a trailing '*' matches any header starting with the alias)
+ */
+const COLUMN_ALIASES = {
+  id: ['id', 'uid', 'sessionid'],
+  start: ['start', 'started', 'startedat', 'starttime', 'startdate', 'begin', 'date'],
+  end: ['end', 'ended', 'endedat', 'endtime', 'enddate', 'finish', 'stop'],
+  duration: ['durationminutes', 'duration', 'minutes', 'mins', 'length', 'duration*', 'seconds'],
+  phase: ['phase', 'type', 'kind', 'sessiontype'],
+  method: ['method', 'methodkey', 'timer', 'preset', 'mode'],
+  task: ['task', 'tasktitle', 'title', 'activity', 'description', 'name'],
+  status: ['status', 'state'],
+  skipReason: ['skipreason', 'reason'],
+  rating: ['rating', 'focusrating', 'score'],
+  note: ['note', 'notes', 'reflection', 'comment'],
+};
+
+/**
+ * Phase names used by FlexiFocus and other timer apps, after normalizeKey
+ */
+const PHASE_ALIASES = {
+  work: ['', 'work', 'focus', 'pomodoro', 'session', 'worksession', 'focussession'],
+  break: ['break', 'shortbreak', 'rest'],
+  longBreak: ['longbreak'],
+  flow: ['flow', 'flowtime'],
+};
+
+const ICS_DATE_TIME = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/;
+const ICS_DURATION = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+/**
+ * Normalize a header, phase, or method name for matching
+ * @param {*} text - Raw name
+ * @returns {string} Lowercase letters and digits only
+ */
+export function normalizeKey(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Check a normalized header against an alias
+ * @param {string} name - Normalized header
+ * @param {string} alias - Alias, optionally ending with '*'
+ * @returns {boolean}
+ */
+function matchesAlias(name, alias) {
+  return alias.endsWith('*') ? name.startsWith(alias.slice(0, -1)) : name === alias;
+}
+
+/**
+ * Guess the delimiter from the header line (comma, semicolon, or tab)
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+export function detectDelimiter(text) {
+  const header = String(text).split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map((delimiter) => [delimiter, header.split(delimiter).length]);
+  return counts.reduce((best, candidate) => (candidate[1] > best[1] ? candidate : best))[0];
+}
+
+/**
+ * Split CSV text into rows (RFC 4180 quoting; CRLF, LF, or CR line endings)
+ * Blank lines are dropped; each row keeps the line it started on for reports.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter (detected when omitted)
+ * @returns {Array<{line: number, cells: string[]}>} Rows
+ * @throws {Error} If a quoted field is never closed
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let cells = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(field);
+    if (cells.some((cell) => cell.trim() !== '')) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    field = '';
+    rowLine = line;
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+        if (char === '\n') {
+          line += 1;
+        }
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      line += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`CSV has an unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || cells.length) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * Guess the duration unit from a header name (minutes unless it says otherwise)
+ * @param {string} header - Column header
+ * @returns {string} Key of DURATION_UNITS
+ */
+function unitFromHeader(header) {
+  const name = normalizeKey(header);
+  if (name.endsWith('ms') || name.includes('milli')) {
+    return 'ms';
+  }
+  if (name.includes('sec')) {
+    return 'seconds';
+  }
+  if (name.includes('hour') || name === 'hrs') {
+    return 'hours';
+  }
+  return 'minutes';
+}
+
+/**
+ * Resolve a column mapping against the CSV header
+ * Fields missing from the mapping are detected from common header names; mapping a field
+ * to null or '' leaves it unmapped.
+ * @param {string[]} headers - Header cells
+ * @param {Object} mapping - Field to header name, plus an optional durationUnit
+ * @returns {{valid: boolean, errors: string[], columns: Object, mapping: Object}}
+ *   columns maps fields to column indexes; mapping is the resolved field to header name
+ */
+export function resolveCsvMapping(headers, mapping = {}) {
+  const names = headers.map(normalizeKey);
+  const columns = {};
+  const errors = [];
+
+  MAPPING_FIELDS.forEach((field) => {
+    const requested = mapping[field];
+    if (requested === null || requested === '') {
+      return;
+    }
+    if (requested !== undefined) {
+      const index = names.indexOf(normalizeKey(requested));
+      if (index === -1) {
+        errors.push(`Mapping.${field} column not found: ${requested}`);
+      } else {
+        columns[field] = index;
+      }
+      return;
+    }
+    const taken = Object.values(columns);
+    const index = COLUMN_ALIASES[field]
+      .flatMap((alias) => names.flatMap((name, i) => (matchesAlias(name, alias) ? [i] : [])))
+      .find((i) => !taken.includes(i));
+    if (index !== undefined) {
+      columns[field] = index;
+    }
+  });
+
+  if (columns.start === undefined && !errors.some((error) => error.startsWith('Mapping.start'))) {
+    errors.push('Mapping.start is required');
+  }
+  if (columns.end === undefined && columns.duration === undefined) {
+    errors.push('Mapping needs an end or duration column');
+  }
+  const durationUnit =
+    mapping.durationUnit ??
+    (columns.duration === undefined ? 'minutes' : unitFromHeader(headers[columns.duration]));
+  if (!DURATION_UNITS[durationUnit]) {
+    errors.push(`Mapping.durationUnit must be one of: ${Object.keys(DURATION_UNITS).join(', ')}`);
+  }
+
+  const resolved = Object.fromEntries(
+    Object.entries(columns).map(([field, index]) => [field, headers[index]])
+  );
+  return {
+    valid: errors.length === 0,
+    errors,
+    columns,
+    mapping: { ...resolved, durationUnit },
+  };
+}
+
+/**
+ * Parse a date-time cell
+ * Accepts ISO 8601 (with or without offset), 'YYYY-MM-DD HH:MM[:SS]' in local time,
+ * epoch seconds or milliseconds, and anything else Date.parse understands.
+ * @param {string} value - Cell text
+ * @returns {number} Epoch milliseconds, or NaN
+ */
+export function parseTimestamp(value) {
+  const text = String(value ?? '').trim();
+  if (!text) {
+    return NaN;
+  }
+  if (/^\d{9,13}(\.\d+)?$/.test(text)) {
+    const number = Number(text);
+    return number < 1e11 ? Math.round(number * 1000) : number;
+  }
+  const local = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+  if (local) {
+    const [year, month, day, hour, minute, second] = local
+      .slice(1)
+      .map((part) => Number(part ?? 0));
+    return new Date(year, month - 1, day, hour, minute, second).getTime();
+  }
+  return Date.parse(text);
+}
+
+/**
+ * Parse a duration cell
+ * @param {string} value - A number in the given unit, or a clock value 'MM:SS' / 'H:MM:SS'
+ * @param {string} unit - Key of DURATION_UNITS for plain numbers
+ * @returns {number} Milliseconds, or NaN
+ */
+export function parseDuration(value, unit = 'minutes') {
+  const text = String(value ?? '').trim();
+  const clock = /^(?:(\d+):)?(\d{1,2}):(\d{2})$/.exec(text);
+  if (clock) {
+    const [hours, minutes, seconds] = clock.slice(1).map((part) => Number(part ?? 0));
+    return ((hours * 60 + minutes) * 60 + seconds) * 1000;
+  }
+  if (!text || !Number.isFinite(Number(text))) {
+    return NaN;
+  }
+  return Math.round(Number(text) * DURATION_UNITS[unit]);
+}
+
+/**
+ * Build the lookups that turn names into method keys, phase ids and task ids
+ * @param {Object} context - { tasks, settings, methodKey }
+ * @returns {{methods: Map, phases: string[], tasks: Map, defaultMethod: string, settings: Object}}
+ */
+function buildLookup(context) {
+  const methods = new Map();
+  const phases = new Set();
+  Object.entries({ ...DEFAULT_METHODS, ...(context.settings?.presets ?? {}) }).forEach(
+    ([key, method]) => {
+      methods.set(normalizeKey(key), key);
+      if (method?.label && !methods.has(normalizeKey(method.label))) {
+        methods.set(normalizeKey(method.label), key);
+      }
+      getPhaseSequence(resolveMethod(key, context.settings)).forEach((phase) =>
+        phases.add(phase.id)
+      );
+    }
+  );
+  const tasks = new Map();
+  (context.tasks ?? []).forEach((task) => {
+    const title = String(task.title).trim().toLowerCase();
+    if (!tasks.has(title)) {
+      tasks.set(title, task.id);
+    }
+  });
+  return {
+    methods,
+    phases: [...phases],
+    tasks,
+    defaultMethod: context.methodKey ?? 'pomodoro',
+    settings: context.settings,
+  };
+}
+
+/**
+ * Map a phase name to a FlexiFocus phase (blank means work)
+ * Names from other apps are matched first; anything else falls back to the phase ids the
+ * user's methods declare, so custom phases round-trip through export and import.
+ * @param {string} text - Phase name
+ * @param {string[]} phaseIds - Phase ids declared by the resolved methods
+ * @returns {string|null} Phase, or null if unknown
+ */
+export function resolvePhase(text, phaseIds = []) {
+  const name = normalizeKey(text);
+  const match = Object.entries(PHASE_ALIASES).find(([, aliases]) => aliases.includes(name));
+  if (match) {
+    return match[0];
+  }
+  return phaseIds.find((id) => normalizeKey(id) === name) ?? null;
+}
+
+/**
+ * Turn a parsed record into a history entry
+ * The kind (focus or rest) comes from the phase the method declares. A blank status means
+ * completed; the skip reason, rating and note are kept when present.
+ * @param {Object} record - { id, startedAt, endedAt, durationMs, phase, method, task, status,
+ *   skipReason, rating, note }
+ * @param {Object} lookup - From buildLookup
+ * @returns {{entry: Object}|{reason: string}}
+ */
+function toEntry(record, lookup) {
+  const { startedAt } = record;
+  const endedAt = record.endedAt ?? startedAt + record.durationMs;
+  const durationMs = record.durationMs ?? endedAt - startedAt;
+  if (endedAt < startedAt) {
+    return { reason: 'ends before it starts' };
+  }
+  if (!(durationMs > 0)) {
+    return { reason: 'has no duration' };
+  }
+  const phase = resolvePhase(record.phase, lookup.phases);
+  if (!phase) {
+    return { reason: `unknown phase: ${record.phase}` };
+  }
+  const status = record.status ? record.status.toLowerCase() : 'completed';
+  if (!HISTORY_STATUSES.includes(status)) {
+    return { reason: `unknown status: ${record.status}` };
+  }
+  const rating = record.rating ? Number(record.rating) : null;
+  const { minRating, maxRating } = REFLECTION_LIMITS;
+  if (
+    rating !== null &&
+    !(Number.isInteger(rating) && rating >= minRating && rating <= maxRating)
+  ) {
+    return { reason: `rating must be ${minRating}-${maxRating}: ${record.rating}` };
+  }
+  const methodKey = lookup.methods.get(normalizeKey(record.method)) ?? lookup.defaultMethod;
+  const kind = getPhaseKind(phase, resolveMethod(methodKey, lookup.settings));
+  const taskId =
+    lookup.tasks.get(
+      String(record.task ?? '')
+        .trim()
+        .toLowerCase()
+    ) ?? null;
+  const entry = createHistoryEntry(
+    record.id || `import-${phase}-${startedAt}`,
+    methodKey,
+    phase,
+    durationMs,
+    startedAt,
+    endedAt,
+    taskId,
+    {
+      ...(kind ? { kind } : {}),
+      ...(status === 'completed' ? {} : { status }),
+      ...(record.skipReason ? { skipReason: record.skipReason } : {}),
+      ...(rating !== null || record.note ? { rating, note: record.note || null } : {}),
+    }
+  );
+  const validation = validateHistoryEntry(entry);
+  return validation.valid ? { entry } : { reason: validation.errors.join(', ') };
+}
+
+/**
+ * Convert records into entries, counting accepted, rejected, and duplicate rows
+ * @param {Array} records - Parsed records ({ label, reason } for rows that failed to parse)
+ * @param {Object} context - { tasks, settings, methodKey, existingIds }
+ * @param {string} format - 'csv' or 'ics'
+ * @returns {{entries: Array, report: Object}}
+ */
+function collectEntries(records, context, format) {
+  const lookup = buildLookup(context);
+  const seen = new Set(context.existingIds ?? []);
+  const entries = [];
+  const report = {
+    format,
+    total: records.length,
+    accepted: 0,
+    rejected: 0,
+    duplicates: 0,
+    problems: [],
+    errors: [],
+  };
+  const note = (text) => {
+    if (report.problems.length < IMPORT_LIMITS.maxProblems) {
+      report.problems.push(text);
+    }
+  };
+
+  records.forEach((record) => {
+    const result = record.reason ? record : toEntry(record, lookup);
+    if (result.reason) {
+      report.rejected += 1;
+      note(`${record.label}: ${result.reason}`);
+    } else if (seen.has(result.entry.id)) {
+      report.duplicates += 1;
+      note(`${record.label}: already imported (${result.entry.id})`);
+    } else {
+      seen.add(result.entry.id);
+      entries.push(result.entry);
+      report.accepted += 1;
+    }
+  });
+  return { entries, report };
+}
+
+/**
+ * Read one CSV row through a resolved mapping
+ * @param {string[]} cells - Row cells
+ * @param {Object} resolved - From resolveCsvMapping
+ * @param {string} label - Row label for reports
+ * @returns {Object} Record, or { label, reason } when a cell cannot be parsed
+ */
+function csvRecord(cells, resolved, label) {
+  const cell = (field) =>
+    resolved.columns[field] === undefined ? '' : (cells[resolved.columns[field]] ?? '').trim();
+  const startedAt = parseTimestamp(cell('start'));
+  if (!Number.isFinite(startedAt)) {
+    return { label, reason: `start is not a date: ${cell('start') || '(empty)'}` };
+  }
+  const endedAt = cell('end') ? parseTimestamp(cell('end')) : undefined;
+  if (Number.isNaN(endedAt)) {
+    return { label, reason: `end is not a date: ${cell('end')}` };
+  }
+  const durationMs = cell('duration')
+    ? parseDuration(cell('duration'), resolved.mapping.durationUnit)
+    : undefined;
+  if (Number.isNaN(durationMs)) {
+    return { label, reason: `duration is not a number: ${cell('duration')}` };
+  }
+  if (endedAt === undefined && durationMs === undefined) {
+    return { label, reason: 'needs an end time or a duration' };
+  }
+  return {
+    label,
+    id: cell('id'),
+    startedAt,
+    endedAt,
+    durationMs,
+    phase: cell('phase'),
+    method: cell('method'),
+    task: cell('task'),
+    status: cell('status'),
+    skipReason: cell('skipReason'),
+    rating: cell('rating'),
+    note: cell('note'),
+  };
+}
+
+/**
+ * Import sessions from CSV
+ * When the mapping cannot be resolved, no rows are read and report.errors says why;
+ * report.columns and report.mapping let the caller offer a corrected mapping.
+ * @param {string} text - CSV text with a header row
+ * @param {Object} context - { tasks, settings, methodKey, existingIds }
+ * @param {Object} mapping - Field to header name, plus an optional durationUnit
+ * @returns {{entries: Array, report: Object}}
+ * @throws {Error} If the text is not readable CSV
+ */
+export function importCsv(text, context = {}, mapping = {}) {
+  const rows = parseCsv(text);
+  if (!rows.length) {
+    throw new Error('CSV is empty');
+  }
+  const [header, ...data] = rows;
+  const resolved = resolveCsvMapping(header.cells, mapping);
+  const records = resolved.valid
+    ? data.map(({ line, cells }) => csvRecord(cells, resolved, `Line ${line}`))
+    : [];
+  const { entries, report } = collectEntries(records, context, 'csv');
+  return {
+    entries,
+    report: {
+      ...report,
+      total: data.length,
+      columns: header.cells,
+      mapping: resolved.mapping,
+      errors: resolved.errors,
+    },
+  };
+}
+
+/**
+ * Unescape an iCalendar TEXT value
+ * @param {string} text - Escaped text
+ * @returns {string} Raw text
+ */
+function unescapeIcsText(text) {
+  return String(text ?? '').replace(/\\([\\;,nN])/g, (_, char) =>
+    char.toLowerCase() === 'n' ? '\n' : char
+  );
+}
+
+/**
+ * Split iCalendar text into VEVENT property maps
+ * Lines are unfolded first; only the first occurrence of each property is kept.
+ * @param {string} text - iCalendar text
+ * @returns {Array<Object>} Events mapping property names to { params, value }
+ * @throws {Error} If the text is not an iCalendar file
+ */
+export function parseIcsEvents(text) {
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+  if (!/^BEGIN:VCALENDAR\s*$/im.test(input)) {
+    throw new Error('Not an iCalendar file (no BEGIN:VCALENDAR)');
+  }
+  const events = [];
+  let current = null;
+  input
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const match = /^([A-Za-z0-9-]+)((?:;[^:]*)?):(.*)$/.exec(line);
+      if (!match) {
+        return;
+      }
+      const name = match[1].toUpperCase();
+      const value = match[3];
+      if (name === 'BEGIN' && value.trim().toUpperCase() === 'VEVENT') {
+        current = {};
+      } else if (name === 'END' && value.trim().toUpperCase() === 'VEVENT') {
+        if (current) {
+          events.push(current);
+        }
+        current = null;
+      } else if (current && !current[name]) {
+        const params = Object.fromEntries(
+          match[2]
+            .split(';')
+            .filter(Boolean)
+            .map((param) => {
+              const [key, ...rest] = param.split('=');
+              return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+            })
+        );
+        current[name] = { params, value };
+      }
+    });
+  return events;
+}
+
+/**
+ * Parse an iCalendar DATE-TIME property
+ * UTC values ('Z') are exact; floating and TZID values are read as local time.
+ * @param {Object} property - { params, value }
+ * @returns {number|null} Epoch milliseconds, NaN if unparseable, or null for all-day dates
+ */
+export function parseIcsDate(property) {
+  const value = String(property?.value ?? '').trim();
+  if (property?.params?.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    return null;
+  }
+  const match = ICS_DATE_TIME.exec(value);
+  if (!match) {
+    return NaN;
+  }
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  return match[7]
+    ? Date.UTC(year, month - 1, day, hour, minute, second)
+    : new Date(year, month - 1, day, hour, minute, second).getTime();
+}
+
+/**
+ * Parse an iCalendar DURATION value such as 'PT25M' or 'P1DT2H'
+ * @param {string} value - Duration value
+ * @returns {number} Milliseconds, or NaN
+ */
+export function parseIcsDuration(value) {
+  const match = ICS_DURATION.exec(String(value ?? '').trim());
+  if (!match || match.slice(1).every((part) => part === undefined)) {
+    return NaN;
+  }
+  const [weeks, days, hours, minutes, seconds] = match.slice(1).map((part) => Number(part ?? 0));
+  return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+/**
+ * Read one VEVENT as a record
+ * Events exported by FlexiFocus keep their ids, phases, methods and tasks; other events
+ * become work sessions whose summary is matched against task titles.
+ * @param {Object} event - Property map from parseIcsEvents
+ * @param {string} label - Event label for reports
+ * @returns {Object} Record, or { label, reason } when the event cannot be parsed
+ */
+function icsRecord(event, label) {
+  if (!event.DTSTART) {
+    return { label, reason: 'has no DTSTART' };
+  }
+  const startedAt = parseIcsDate(event.DTSTART);
+  if (startedAt === null) {
+    return { label, reason: 'all-day events are not sessions' };
+  }
+  if (Number.isNaN(startedAt)) {
+    return { label, reason: `DTSTART is not a date-time: ${event.DTSTART.value}` };
+  }
+  let endedAt;
+  let durationMs;
+  if (event.DTEND) {
+    endedAt = parseIcsDate(event.DTEND);
+    if (!Number.isFinite(endedAt)) {
+      return { label, reason: `DTEND is not a date-time: ${event.DTEND.value}` };
+    }
+  } else if (event.DURATION) {
+    durationMs = parseIcsDuration(event.DURATION.value);
+    if (Number.isNaN(durationMs)) {
+      return { label, reason: `DURATION is not a duration: ${event.DURATION.value}` };
+    }
+  } else {
+    return { label, reason: 'has no DTEND or DURATION' };
+  }
+
+  const summary = unescapeIcsText(event.SUMMARY?.value).trim();
+  const description = unescapeIcsText(event.DESCRIPTION?.value);
+  const uid = String(event.UID?.value ?? '').trim();
+  return {
+    label,
+    id: uid.replace(/@flexifocus$/, ''),
+    startedAt,
+    endedAt,
+    durationMs,
+    phase: /^Phase: (.+)$/m.exec(description)?.[1] ?? '',
+    method: /^Method: (.+)$/m.exec(description)?.[1] ?? unescapeIcsText(event.CATEGORIES?.value),
+    task: summary.replace(/^Focus: /, ''),
+  };
+}
+
+/**
+ * Import sessions from iCalendar events
+ * @param {string} text - iCalendar text
+ * @param {Object} context - { tasks, settings, methodKey, existingIds }
+ * @returns {{entries: Array, report: Object}}
+ * @throws {Error} If the text is not an iCalendar file
+ */
+export function importIcs(text, context = {}) {
+  const records = parseIcsEvents(text).map((event, index) =>
+    icsRecord(event, `Event ${index + 1}`)
+  );
+  return collectEntries(records, context, 'ics');
+}
+
+/**
+ * Import sessions in either format
+ * @param {Object} options - { format: 'csv'|'ics', content, mapping }
+ * @param {Object} context - { tasks, settings, methodKey, existingIds }
+ * @returns {{entries: Array, report: Object}}
+ * @throws {Error} If the format is unknown or the content unreadable
+ */
+export function importSessions(options, context) {
+  if (typeof options?.content !== 'string') {
+    throw new Error('Import.content must be a string');
+  }
+  if (options.format === 'csv') {
+    return importCsv(options.content, context, options.mapping);
+  }
+  if (options.format === 'ics') {
+    return importIcs(options.content, context);
+  }
+  throw new Error('Import.format must be one of: csv, ics');
+}
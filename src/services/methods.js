@@ -0,0 +1,180 @@
+/**
+ * Method resolution for FlexiFocus
+ * Single source of truth for turning a method key into its effective configuration,
+ * merging built-in DEFAULT_METHODS with the user's presets, and for the phase sequence
+ * a method declares
+ */
+
+import { DEFAULT_METHODS } from '../shared/constants.js';
+
+/**
+ * Timing shorthand accepted in place of a phase list (the original preset fields)
+ */
+export const TIMING_SHORTHAND_FIELDS = [
+  'flexible',
+  'workMinutes',
+  'shortBreakMinutes',
+  'longBreakMinutes',
+  'cyclesBeforeLongBreak',
+];
+
+/**
+ * Whether a preset describes its timing with the shorthand fields
+ * @param {Object} preset - Preset or partial preset
+ * @returns {boolean}
+ */
+export function hasTimingShorthand(preset) {
+  return TIMING_SHORTHAND_FIELDS.some((field) => preset?.[field] !== undefined);
+}
+
+/**
+ * Build the phase sequence described by the timing shorthand
+ * Flexible methods become one open-ended focus phase. Fixed methods alternate focus and
+ * short breaks, with a long break closing every round of cyclesBeforeLongBreak focus phases.
+ * @param {Object} preset - Preset with shorthand fields
+ * @returns {Array} Phase declarations
+ */
+export function derivePhases(preset) {
+  if (preset.flexible) {
+    return [
+      { id: 'flow', label: 'Flowtime', kind: 'focus', minutes: null, repeat: 1, end: 'auto' },
+    ];
+  }
+  const work = {
+    id: 'work',
+    label: 'Focus',
+    kind: 'focus',
+    minutes: preset.workMinutes,
+    repeat: 1,
+    end: 'auto',
+  };
+  const longBreak = {
+    id: 'longBreak',
+    label: 'Long Break',
+    kind: 'rest',
+    minutes: preset.longBreakMinutes,
+    repeat: 1,
+    end: 'auto',
+  };
+  const cycles = preset.cyclesBeforeLongBreak ?? 4;
+  if (cycles <= 1) {
+    return [work, longBreak];
+  }
+  const shortBreak = {
+    id: 'break',
+    label: 'Break',
+    kind: 'rest',
+    minutes: preset.shortBreakMinutes,
+    repeat: cycles - 1,
+    end: 'auto',
+  };
+  return [work, shortBreak, { ...work }, longBreak];
+}
+
+/**
+ * Replace the timing shorthand of a preset with the phase list it describes
+ * Presets that already declare phases, or carry no shorthand, are returned unchanged.
+ * @param {Object} preset - Preset
+ * @returns {Object} Preset declaring phases
+ */
+export function expandTimingShorthand(preset) {
+  if (Array.isArray(preset?.phases) || !hasTimingShorthand(preset)) {
+    return preset;
+  }
+  const expanded = { ...preset, phases: derivePhases(preset) };
+  TIMING_SHORTHAND_FIELDS.forEach((field) => delete expanded[field]);
+  return expanded;
+}
+
+/**
+ * Get the phase sequence of a method
+ * @param {Object} method - Method configuration
+ * @returns {Array} Phase declarations, in order
+ */
+export function getPhaseSequence(method) {
+  return Array.isArray(method?.phases) && method.phases.length
+    ? method.phases
+    : derivePhases(method ?? {});
+}
+
+/**
+ * Resolve the effective configuration for a method
+ * User preset fields override the built-in definition of the same key; a preset using the
+ * timing shorthand replaces the built-in phases with the ones it describes.
+ * Unknown keys fall back to the selected method, then Pomodoro.
+ * @param {string} methodKey - Method identifier
+ * @param {Object} settings - Current user settings
+ * @returns {Object} Method configuration (always has a key)
+ */
+export function resolveMethod(methodKey, settings) {
+  const preset = settings?.presets?.[methodKey];
+  const builtIn = DEFAULT_METHODS[methodKey];
+  if (preset || builtIn) {
+    return { ...builtIn, ...expandTimingShorthand(preset), key: methodKey };
+  }
+  const fallbackKey = settings?.selectedMethod;
+  if (
+    fallbackKey &&
+    fallbackKey !== methodKey &&
+    (settings.presets?.[fallbackKey] || DEFAULT_METHODS[fallbackKey])
+  ) {
+    return resolveMethod(fallbackKey, settings);
+  }
+  return { ...DEFAULT_METHODS.pomodoro };
+}
+
+/**
+ * Get the display label of a method, keeping the key for methods that no longer exist
+ * Unlike resolveMethod there is no fallback, so history from deleted methods stays distinct.
+ * @param {string} methodKey - Method identifier
+ * @param {Object} settings - Current user settings
+ * @returns {string} Label
+ */
+export function getMethodLabel(methodKey, settings) {
+  return settings?.presets?.[methodKey]?.label ?? DEFAULT_METHODS[methodKey]?.label ?? methodKey;
+}
+
+/**
+ * Get the method keys the user has in their list, in display order
+ * @param {Object} settings - Current user settings
+ * @returns {string[]} Ordered method keys
+ */
+export function getMethodOrder(settings) {
+  if (Array.isArray(settings?.presetOrder)) {
+    return settings.presetOrder;
+  }
+  return Object.keys({ ...DEFAULT_METHODS, ...(settings?.presets ?? {}) });
+}
+
+/**
+ * Resolve every method in the user's list
+ * Insertion order of the returned object follows the display order.
+ * @param {Object} settings - Current user settings
+ * @param {string[]} includeKeys - Extra keys to resolve even if hidden (e.g. the running method)
+ * @returns {Object} Map of method key to resolved configuration
+ */
+export function resolveMethods(settings, includeKeys = []) {
+  const keys = [...getMethodOrder(settings)];
+  includeKeys.forEach((key) => {
+    if (key && !keys.includes(key)) {
+      keys.push(key);
+    }
+  });
+  return keys.reduce((acc, key) => {
+    if (settings?.presets?.[key] || DEFAULT_METHODS[key]) {
+      acc[key] = resolveMethod(key, settings);
+    }
+    return acc;
+  }, {});
+}
+
+/**
+ * Resolve the methods to publish alongside a state snapshot
+ * Always includes the method driving the timer so clients can render it.
+ * @param {Object} state - Application state
+ * @param {Object} settings - Current user settings
+ * @returns {Object} Map of method key to resolved configuration
+ */
+export function resolveMethodsForState(state, settings) {
+  return resolveMethods(settings, [state?.timer?.methodKey]);
+}
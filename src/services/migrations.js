@@ -0,0 +1,317 @@
+/**
+ * Storage schema migrations for FlexiFocus
+ * Ordered registry of upgrades from one schemaVersion to the next.
+ * Each migration receives raw stored data ({ state, settings }, either may be undefined
+ * or malformed) and returns the upgraded data; migrations must be safe to re-run.
+ * Migrations flagged `storage` only reorganize chrome.storage keys and are skipped when
+ * upgrading backup contents.
+ */
+
+import { SCHEMA_VERSION, HISTORY_STORE } from '../shared/constants.js';
+import { migrateLegacyHistory } from './history.js';
+import { TIMING_SHORTHAND_FIELDS, expandTimingShorthand, hasTimingShorthand } from './methods.js';
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Rename the pre-0.2 preset field breakMinutes to shortBreakMinutes
+ * @param {Object} preset - Stored preset
+ * @returns {Object} Upgraded preset
+ */
+function renameBreakMinutes(preset) {
+  if (!isObject(preset) || preset.breakMinutes === undefined) {
+    return preset;
+  }
+  const { breakMinutes, ...rest } = preset;
+  return { ...rest, shortBreakMinutes: rest.shortBreakMinutes ?? breakMinutes };
+}
+
+/**
+ * Upgrade a task from the pre-0.2 shape ({ completed, startedAt, completedAt })
+ * @param {Object} task - Stored task
+ * @param {number} index - Position in the list (for generated ids)
+ * @returns {Object} Upgraded task
+ */
+function upgradeTask(task, index) {
+  if (!isObject(task)) {
+    return task;
+  }
+  const { completed, ...rest } = task;
+  return {
+    ...rest,
+    id: rest.id ?? `legacy-task-${index}`,
+    title: rest.title || 'Untitled task',
+    estimate: Math.max(1, Number(rest.estimate) || 1),
+    completedSessions: Number(rest.completedSessions) || 0,
+    done: rest.done ?? !!completed,
+  };
+}
+
+/**
+ * Fill in the task details added in schemaVersion 4
+ * The manual order follows the stored list order; timestamps are unknown for older tasks.
+ * @param {Object} task - Stored task
+ * @param {number} index - Position in the list
+ * @returns {Object} Upgraded task
+ */
+function addTaskDetails(task, index) {
+  if (!isObject(task)) {
+    return task;
+  }
+  return {
+    notes: '',
+    tags: [],
+    project: null,
+    dueDate: null,
+    priority: 'none',
+    ...task,
+    order: Number.isInteger(task.order) ? task.order : index,
+    createdAt: Number.isFinite(task.createdAt) ? task.createdAt : 0,
+    completedAt: Number.isFinite(task.completedAt) ? task.completedAt : null,
+  };
+}
+
+/**
+ * Convert a legacy local day key to a timestamp at local noon (clear of DST transitions)
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {number} Epoch milliseconds, or 0 if unparseable
+ */
+function noonOf(date) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date));
+  if (!match) {
+    return 0;
+  }
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 12).getTime();
+}
+
+/**
+ * Upgrade a history entry
+ * Pre-0.2 history stored one aggregate per day ({ date, totalMinutes, phasesCompleted, ... });
+ * those become a single completed work entry carrying the original counts.
+ * @param {Object} entry - Stored entry
+ * @param {number} index - Position in the list (for generated ids)
+ * @returns {Object} Upgraded entry
+ */
+function upgradeHistoryEntry(entry, index) {
+  if (!isObject(entry)) {
+    return entry;
+  }
+  if (entry.date !== undefined && entry.durationMs === undefined) {
+    const { date, totalMinutes, phasesCompleted, breaksTaken, ...rest } = entry;
+    const startedAt = noonOf(date);
+    const durationMs = Math.max(0, Number(totalMinutes) || 0) * 60000;
+    return {
+      ...rest,
+      id: rest.id ?? `legacy-${date}-${rest.methodKey ?? 'unknown'}-${index}`,
+      methodKey: rest.methodKey ?? 'pomodoro',
+      phase: 'work',
+      durationMs,
+      startedAt,
+      endedAt: startedAt + durationMs,
+      taskId: rest.taskId ?? null,
+      legacy: { date, phasesCompleted: phasesCompleted ?? 0, breaksTaken: breaksTaken ?? 0 },
+    };
+  }
+  return {
+    ...entry,
+    id: entry.id ?? `legacy-${entry.startedAt ?? 0}-${index}`,
+    taskId: entry.taskId ?? null,
+  };
+}
+
+/**
+ * Built-in method timing as stored up to schemaVersion 4
+ */
+const LEGACY_METHOD_TIMING = {
+  pomodoro: {
+    workMinutes: 25,
+    shortBreakMinutes: 5,
+    longBreakMinutes: 15,
+    cyclesBeforeLongBreak: 4,
+  },
+  fiftyTwoSeventeen: {
+    workMinutes: 52,
+    shortBreakMinutes: 17,
+    longBreakMinutes: 17,
+    cyclesBeforeLongBreak: 1,
+  },
+  ultradian: {
+    workMinutes: 90,
+    shortBreakMinutes: 20,
+    longBreakMinutes: 20,
+    cyclesBeforeLongBreak: 1,
+  },
+  flowtime: { flexible: true },
+  quick5: { workMinutes: 5, shortBreakMinutes: 1, longBreakMinutes: 1, cyclesBeforeLongBreak: 1 },
+  quick10: { workMinutes: 10, shortBreakMinutes: 2, longBreakMinutes: 2, cyclesBeforeLongBreak: 1 },
+  quick15: { workMinutes: 15, shortBreakMinutes: 3, longBreakMinutes: 3, cyclesBeforeLongBreak: 1 },
+  custom: { workMinutes: 30, shortBreakMinutes: 5, longBreakMinutes: 15, cyclesBeforeLongBreak: 4 },
+};
+
+/**
+ * Replace the timing shorthand of a stored preset with a phase list
+ * Built-in presets whose timing still matches the old defaults drop the shorthand and pick
+ * up the built-in phases; partial overrides are completed from the old defaults first.
+ * @param {string} key - Preset key
+ * @param {Object} preset - Stored preset
+ * @returns {Object} Upgraded preset
+ */
+function upgradePresetTiming(key, preset) {
+  if (!isObject(preset) || Array.isArray(preset.phases) || !hasTimingShorthand(preset)) {
+    return preset;
+  }
+  const legacy = LEGACY_METHOD_TIMING[key];
+  const timing = { ...legacy, ...preset };
+  if (legacy && Object.keys(legacy).every((field) => timing[field] === legacy[field])) {
+    const upgraded = { ...preset };
+    TIMING_SHORTHAND_FIELDS.forEach((field) => delete upgraded[field]);
+    return upgraded;
+  }
+  return expandTimingShorthand(timing);
+}
+
+/**
+ * Ordered migration registry; version N upgrades data from version N-1
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Rename preset breakMinutes to shortBreakMinutes',
+    migrate(data) {
+      const presets = data.settings?.presets;
+      if (!isObject(presets)) {
+        return data;
+      }
+      const upgraded = Object.fromEntries(
+        Object.entries(presets).map(([key, preset]) => [key, renameBreakMinutes(preset)])
+      );
+      return { ...data, settings: { ...data.settings, presets: upgraded } };
+    },
+  },
+  {
+    version: 2,
+    description: 'Upgrade legacy task and history entry shapes',
+    migrate(data) {
+      if (!isObject(data.state)) {
+        return data;
+      }
+      const { tasks, history } = data.state;
+      return {
+        ...data,
+        state: {
+          ...data.state,
+          ...(Array.isArray(tasks) ? { tasks: tasks.map(upgradeTask) } : {}),
+          ...(Array.isArray(history) ? { history: history.map(upgradeHistoryEntry) } : {}),
+        },
+      };
+    },
+  },
+  {
+    version: 3,
+    description: 'Move state.history into the date-bucketed history store',
+    storage: true,
+    async migrate(data) {
+      const history = Array.isArray(data.state?.history) ? data.state.history : [];
+      await migrateLegacyHistory(history.filter(isObject));
+      if (!isObject(data.state)) {
+        return data;
+      }
+      const recent = [...history]
+        .filter(isObject)
+        .sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0))
+        .slice(0, HISTORY_STORE.recentLimit);
+      return { ...data, state: { ...data.state, history: recent } };
+    },
+  },
+  {
+    version: 4,
+    description: 'Add task notes, tags, project, due date, priority, order and timestamps',
+    migrate(data) {
+      if (!Array.isArray(data.state?.tasks)) {
+        return data;
+      }
+      return { ...data, state: { ...data.state, tasks: data.state.tasks.map(addTaskDetails) } };
+    },
+  },
+  {
+    version: 5,
+    description: 'Express preset timing as phase sequences',
+    migrate(data) {
+      const presets = data.settings?.presets;
+      if (!isObject(presets)) {
+        return data;
+      }
+      const upgraded = Object.fromEntries(
+        Object.entries(presets).map(([key, preset]) => [key, upgradePresetTiming(key, preset)])
+      );
+      return { ...data, settings: { ...data.settings, presets: upgraded } };
+    },
+  },
+  {
+    version: 6,
+    description: 'Add the progressive method to the method list',
+    migrate(data) {
+      const order = data.settings?.presetOrder;
+      if (!Array.isArray(order) || order.includes('progressive')) {
+        return data;
+      }
+      return { ...data, settings: { ...data.settings, presetOrder: [...order, 'progressive'] } };
+    },
+  },
+];
+
+/**
+ * Run every migration newer than fromVersion, in order
+ * @param {Object} data - Raw stored data { state, settings }
+ * @param {number} fromVersion - Stored schemaVersion (0 when missing)
+ * @param {Array} migrations - Registry to run (defaults to MIGRATIONS)
+ * @returns {Promise<{data: Object, version: number, applied: number[]}>}
+ * @throws {Error} If the registry is not contiguous or a migration fails
+ */
+export async function runMigrations(data, fromVersion = 0, migrations = MIGRATIONS) {
+  let current = { ...data };
+  let version = fromVersion;
+  const applied = [];
+  const pending = [...migrations]
+    .sort((a, b) => a.version - b.version)
+    .filter((migration) => migration.version > fromVersion);
+
+  for (const migration of pending) {
+    if (migration.version !== version + 1) {
+      throw new Error(`Missing migration for schemaVersion ${version + 1}`);
+    }
+    try {
+      current = await migration.migrate(current);
+    } catch (error) {
+      throw new Error(`Migration ${migration.version} failed: ${error.message}`);
+    }
+    version = migration.version;
+    applied.push(version);
+  }
+  return { data: current, version, applied };
+}
+
+/**
+ * Read a stored schemaVersion, treating missing or garbage values as 0
+ * @param {*} value - Stored value
+ * @returns {number} Version number
+ */
+export function normalizeSchemaVersion(value) {
+  return Number.isInteger(value) && value >= 0 ? value : 0;
+}
+
+/**
+ * Whether stored data needs migrating
+ * @param {number} storedVersion - Normalized stored version
+ * @returns {boolean}
+ */
+export function needsMigration(storedVersion) {
+  return storedVersion < SCHEMA_VERSION;
+}
@@ -0,0 +1,332 @@
+/**
+ * Declarative schema validation for FlexiFocus
+ * Checks values against nested schema declarations with path-qualified errors, and can
+ * repair them by coercing values, restoring defaults, and dropping bad entries.
+ *
+ * A descriptor is one of:
+ * - a type string: 'string', 'number', 'boolean', 'array', 'object', 'null', or a union
+ *   such as 'string|null'
+ * - a rule object with a string `type` and optional constraints: required, enum, min, max,
+ *   integer, nonEmpty, maxLength, items (array elements), values (object map values),
+ *   shape (object fields) and check(value, path, key) returning extra error messages
+ * - a plain object (shape) mapping field names to descriptors
+ */
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  boolean: 'boolean',
+  array: 'an array',
+  object: 'an object',
+  null: 'null',
+};
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Normalize a descriptor into a rule object
+ * @param {string|Object} descriptor - Type string, rule, or shape
+ * @returns {Object} Rule with a type
+ */
+function toRule(descriptor) {
+  if (typeof descriptor === 'string') {
+    return { type: descriptor };
+  }
+  if (isPlainObject(descriptor) && typeof descriptor.type === 'string') {
+    return descriptor;
+  }
+  return { type: 'object', shape: descriptor };
+}
+
+/**
+ * Get the schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} 'null', 'array', or the typeof result
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Check a value against a list of type names (NaN and Infinity are not numbers here)
+ * @param {*} value - Value to check
+ * @param {string[]} types - Accepted type names
+ * @returns {boolean}
+ */
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  if (actual === 'number' && !Number.isFinite(value)) {
+    return false;
+  }
+  return types.includes(actual);
+}
+
+/**
+ * Describe what a rule accepts, for error messages
+ * @param {Object} rule - Normalized rule
+ * @returns {string} Description such as 'an integer 1-12' or 'one of: light, dark'
+ */
+export function describeRule(rule) {
+  if (rule.enum) {
+    return `one of: ${rule.enum.map((value) => (value === '' ? "''" : value)).join(', ')}`;
+  }
+  const types = rule.type.split('|');
+  const nonNull = types.filter((type) => type !== 'null');
+  let base;
+  if (rule.min !== undefined || rule.max !== undefined) {
+    const kind = rule.integer ? 'an integer' : 'a number';
+    if (rule.max === undefined) {
+      base = `${kind} >= ${rule.min}`;
+    } else if (rule.min === undefined) {
+      base = `${kind} <= ${rule.max}`;
+    } else {
+      base = `${kind} ${rule.min}-${rule.max}`;
+    }
+  } else if (rule.integer) {
+    base = 'an integer';
+  } else if (rule.nonEmpty) {
+    base = 'a non-empty string';
+  } else {
+    base = nonNull.map((type) => TYPE_NAMES[type] ?? type).join(' or ');
+  }
+  return types.includes('null') && nonNull.length ? `${base} or null` : base || 'null';
+}
+
+/**
+ * Coerce a value of the wrong type when the intent is unambiguous
+ * @param {*} value - Stored value
+ * @param {string[]} types - Accepted type names
+ * @returns {*} Coerced value, or undefined if it cannot be coerced
+ */
+function coerceType(value, types) {
+  if (types.includes('number') && typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    if (Number.isFinite(number)) {
+      return number;
+    }
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  if (types.includes('string') && typeof value === 'number' && Number.isFinite(value)) {
+    return String(value);
+  }
+  return undefined;
+}
+
+/**
+ * Check the value-level constraints of a rule (enum, range, length)
+ * @param {*} value - Value of the right type
+ * @param {Object} rule - Normalized rule
+ * @param {string} path - Path for messages
+ * @param {Object} ctx - Validation context
+ * @returns {{value: *, problems: string[]}}
+ */
+function checkConstraints(value, rule, path, ctx) {
+  const message = `${path} must be ${describeRule(rule)}`;
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { value, problems: [message] };
+  }
+  if (typeof value === 'number') {
+    const min = rule.min ?? -Infinity;
+    const max = rule.max ?? Infinity;
+    const outOfRange = value < min || value > max || (rule.integer && !Number.isInteger(value));
+    if (outOfRange) {
+      if (!ctx.repair) {
+        return { value, problems: [message] };
+      }
+      const fixed = Math.min(max, Math.max(min, rule.integer ? Math.round(value) : value));
+      ctx.repairs.push(`Coerced ${path} to ${fixed}: ${message}`);
+      return { value: fixed, problems: [] };
+    }
+  }
+  if (typeof value === 'string') {
+    if (rule.nonEmpty && !value.trim()) {
+      return { value, problems: [message] };
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      const tooLong = `${path} must be at most ${rule.maxLength} characters`;
+      if (!ctx.repair) {
+        return { value, problems: [tooLong] };
+      }
+      ctx.repairs.push(`Truncated ${path}: ${tooLong}`);
+      return { value: value.slice(0, rule.maxLength), problems: [] };
+    }
+  }
+  return { value, problems: [] };
+}
+
+/**
+ * Check array elements, dropping bad ones in repair mode
+ * @param {Array} list - Array value
+ * @param {*} items - Element descriptor
+ * @param {string} path - Path for messages
+ * @param {Object} ctx - Validation context
+ * @returns {{value: Array, problems: string[]}}
+ */
+function checkItems(list, items, path, ctx) {
+  const problems = [];
+  const value = [];
+  list.forEach((item, index) => {
+    const itemPath = `${path}[${index}]`;
+    const result = checkValue(item, items, itemPath, ctx, { key: index });
+    if (!result.problems.length) {
+      value.push(result.value);
+    } else if (ctx.repair) {
+      ctx.repairs.push(`Dropped ${itemPath}: ${result.problems.join(', ')}`);
+    } else {
+      problems.push(...result.problems);
+    }
+  });
+  return { value, problems };
+}
+
+/**
+ * Check a field, resetting it to its default or removing it in repair mode
+ * Missing required fields are never invented; the parent stays invalid.
+ * @param {Object} target - Object being rebuilt (mutated)
+ * @param {string} field - Field name
+ * @param {Object} rule - Normalized field rule
+ * @param {string} path - Field path
+ * @param {Object} ctx - Validation context
+ * @param {Object} scope - { defaults, required }
+ * @returns {string[]} Problems that could not be repaired
+ */
+function checkField(target, field, rule, path, ctx, scope) {
+  if (target[field] === undefined) {
+    return scope.required ? [`${path} is required`] : [];
+  }
+  const fallback = scope.defaults?.[field];
+  const result = checkValue(target[field], rule, path, ctx, { defaults: fallback, key: field });
+  if (!result.problems.length) {
+    target[field] = result.value;
+    return [];
+  }
+  if (!ctx.repair) {
+    return result.problems;
+  }
+  const reason = result.problems.join(', ');
+  if (fallback !== undefined) {
+    target[field] = structuredClone(fallback);
+    ctx.repairs.push(`Reset ${path} to default: ${reason}`);
+    return [];
+  }
+  if (!scope.required) {
+    delete target[field];
+    ctx.repairs.push(`Removed ${path}: ${reason}`);
+    return [];
+  }
+  return result.problems;
+}
+
+/**
+ * Check a value against a descriptor
+ * @param {*} value - Value to check
+ * @param {*} descriptor - Schema descriptor
+ * @param {string} path - Path for messages
+ * @param {Object} ctx - { repair, repairs }
+ * @param {Object} scope - { defaults, key, partial } for this position
+ * @returns {{value: *, problems: string[]}} Possibly repaired value and remaining problems
+ */
+function checkValue(value, descriptor, path, ctx, scope = {}) {
+  const rule = toRule(descriptor);
+  const types = rule.type.split('|');
+  let current = value;
+
+  if (!matchesType(current, types)) {
+    const message = `${path} must be ${describeRule(rule)}`;
+    const coerced = ctx.repair ? coerceType(current, types) : undefined;
+    if (coerced === undefined) {
+      return { value, problems: [message] };
+    }
+    ctx.repairs.push(`Coerced ${path}: ${message}`);
+    current = coerced;
+  }
+
+  const constrained = checkConstraints(current, rule, path, ctx);
+  if (constrained.problems.length) {
+    return constrained;
+  }
+  current = constrained.value;
+  const problems = [];
+
+  if (Array.isArray(current) && rule.items) {
+    const result = checkItems(current, rule.items, path, ctx);
+    current = result.value;
+    problems.push(...result.problems);
+  }
+
+  if (isPlainObject(current) && (rule.shape || rule.values)) {
+    const target = { ...current };
+    if (rule.shape) {
+      Object.entries(rule.shape).forEach(([field, fieldDescriptor]) => {
+        const fieldRule = toRule(fieldDescriptor);
+        const required = !!fieldRule.required && !scope.partial;
+        problems.push(
+          ...checkField(target, field, fieldRule, `${path}.${field}`, ctx, {
+            defaults: scope.defaults,
+            required,
+          })
+        );
+      });
+    }
+    if (rule.values) {
+      const valueRule = toRule(rule.values);
+      Object.keys(current)
+        .filter((field) => !rule.shape || !(field in rule.shape))
+        .forEach((field) => {
+          problems.push(
+            ...checkField(target, field, valueRule, `${path}.${field}`, ctx, {
+              defaults: scope.defaults,
+              required: false,
+            })
+          );
+        });
+    }
+    current = target;
+  }
+
+  if (!problems.length && rule.check) {
+    problems.push(...rule.check(current, path, scope.key));
+  }
+  return { value: current, problems };
+}
+
+/**
+ * Validate (and optionally repair) a value against a schema
+ * In repair mode, wrong types are coerced where unambiguous, out-of-range numbers are clamped,
+ * bad fields are reset from `defaults` (or removed when optional), and bad array or map
+ * entries are dropped. Missing required fields are not filled in. `errors` then lists only
+ * what could not be repaired.
+ * @param {*} value - Value to check
+ * @param {*} schema - Schema descriptor
+ * @param {Object} options - Validation options
+ * @param {string} options.path - Root path for messages (default 'Value')
+ * @param {boolean} options.repair - Return a repaired copy instead of only reporting
+ * @param {Object} options.defaults - Fallback values mirroring the schema (repair mode)
+ * @param {boolean} options.partial - Skip required checks on the top-level fields
+ * @returns {{valid: boolean, errors: string[], value?: *, repairs?: string[]}}
+ */
+export function validateSchema(value, schema, options = {}) {
+  const ctx = { repair: !!options.repair, repairs: [] };
+  const result = checkValue(value, schema, options.path ?? 'Value', ctx, {
+    defaults: options.defaults,
+    partial: !!options.partial,
+  });
+  const output = { valid: result.problems.length === 0, errors: result.problems };
+  if (ctx.repair) {
+    output.value = result.value;
+    output.repairs = ctx.repairs;
+  }
+  return output;
+}
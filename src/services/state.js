@@ -3,39 +3,354 @@
  * Handles state initialization, merging, validation, and mutations
  */
 
-import { DEFAULT_STATE, DEFAULT_SETTINGS, DEFAULT_METHODS } from '../shared/constants.js';
+import {
+  DEFAULT_STATE,
+  DEFAULT_SETTINGS,
+  DEFAULT_METHODS,
+  PRESET_LIMITS,
+  AMBIENT_SOUNDS,
+  SOUNDS,
+  HISTORY_STORE,
+  PHASE_KINDS,
+  PHASE_END_BEHAVIORS,
+  THEMES,
+  HISTORY_STATUSES,
+  BREAK_ENFORCEMENT_LEVELS,
+  GOAL_PERIODS,
+  GOAL_METRICS,
+  GOAL_LIMITS,
+  TASK_PRIORITIES,
+  TASK_LIMITS,
+  TASK_ADVANCE_MODES,
+  INTERRUPTION_KINDS,
+  INTERRUPTION_LIMITS,
+  REFLECTION_LIMITS,
+  SKIP_LIMITS,
+  PHASE_EXTENSION,
+} from '../shared/constants.js';
+import { resolveMethods, expandTimingShorthand, hasTimingShorthand } from './methods.js';
+import { validateBlocklist } from './blocklist.js';
+import { validateSchema } from './schema.js';
+
+const MINUTES = {
+  type: 'number',
+  min: PRESET_LIMITS.minMinutes,
+  max: PRESET_LIMITS.maxMinutes,
+};
+const COUNT = { type: 'number', integer: true, min: 0 };
+const BLOCKLIST = {
+  type: 'object|null',
+  check: (blocklist, path) => validateBlocklist(blocklist, path).errors,
+};
+const SOUND_CHOICES = ['', 'none', ...Object.keys(SOUNDS)];
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const PHASE_ID = {
+  type: 'string',
+  required: true,
+  nonEmpty: true,
+  maxLength: PRESET_LIMITS.labelMaxLength,
+};
+
+const PHASE_SCHEMA = {
+  id: PHASE_ID,
+  label: {
+    type: 'string',
+    required: true,
+    nonEmpty: true,
+    maxLength: PRESET_LIMITS.labelMaxLength,
+  },
+  kind: { type: 'string', required: true, enum: PHASE_KINDS },
+  minutes: { ...MINUTES, type: 'number|null', required: true },
+  repeat: { type: 'number', required: true, integer: true, min: 1, max: PRESET_LIMITS.maxCycles },
+  end: { type: 'string', required: true, enum: PHASE_END_BEHAVIORS },
+};
+
+const ADAPTIVE_SCHEMA = {
+  type: 'object',
+  shape: {
+    stepMinutes: { ...MINUTES, required: true },
+    minMinutes: { ...MINUTES, required: true },
+    maxMinutes: { ...MINUTES, required: true },
+  },
+  check: (adaptive, path) =>
+    adaptive.minMinutes > adaptive.maxMinutes
+      ? [`${path}.minMinutes must not exceed ${path}.maxMinutes`]
+      : [],
+};
+
+const FLOW_BREAK_SCHEMA = {
+  type: 'object',
+  shape: {
+    ratio: { type: 'number', min: PRESET_LIMITS.minBreakRatio, max: PRESET_LIMITS.maxBreakRatio },
+    tiers: {
+      type: 'array',
+      items: {
+        upToMinutes: { ...MINUTES, type: 'number|null', required: true },
+        breakMinutes: { ...MINUTES, required: true },
+      },
+      check: (tiers, path) =>
+        !tiers.length || tiers.length > PRESET_LIMITS.maxBreakTiers
+          ? [`${path} must have 1-${PRESET_LIMITS.maxBreakTiers} tiers`]
+          : [],
+    },
+  },
+  check: (rule, path) =>
+    (rule.ratio === undefined) === (rule.tiers === undefined)
+      ? [`${path} must set either ratio or tiers`]
+      : [],
+};
+
+/**
+ * Preset schema; a preset declares its phases or the timing shorthand they are derived from
+ * (see services/methods.js), and the shorthand fields it needs are checked per preset
+ */
+const PRESET_SCHEMA = {
+  type: 'object',
+  shape: {
+    key: { type: 'string', required: true, nonEmpty: true },
+    label: {
+      type: 'string',
+      required: true,
+      nonEmpty: true,
+      maxLength: PRESET_LIMITS.labelMaxLength,
+    },
+    phases: {
+      type: 'array',
+      items: PHASE_SCHEMA,
+      check: (phases, path) => {
+        if (!phases.length || phases.length > PRESET_LIMITS.maxPhases) {
+          return [`${path} must have 1-${PRESET_LIMITS.maxPhases} phases`];
+        }
+        return phases.some((phase) => phase?.kind === 'focus')
+          ? []
+          : [`${path} must include a focus phase`];
+      },
+    },
+    adaptive: ADAPTIVE_SCHEMA,
+    flowBreak: FLOW_BREAK_SCHEMA,
+    flexible: 'boolean',
+    workMinutes: MINUTES,
+    shortBreakMinutes: MINUTES,
+    longBreakMinutes: MINUTES,
+    suggestedBreakMinutes: MINUTES,
+    cyclesBeforeLongBreak: {
+      type: 'number',
+      integer: true,
+      min: 1,
+      max: PRESET_LIMITS.maxCycles,
+    },
+    ambient: { type: 'string', enum: ['none', ...Object.keys(AMBIENT_SOUNDS)] },
+    blocklist: BLOCKLIST,
+  },
+  check: (preset, path) => {
+    if (Array.isArray(preset.phases)) {
+      return [];
+    }
+    const fields = preset.flexible
+      ? ['suggestedBreakMinutes']
+      : ['workMinutes', 'shortBreakMinutes', 'longBreakMinutes', 'cyclesBeforeLongBreak'];
+    return fields
+      .filter((field) => preset[field] === undefined)
+      .map((field) => `${path}.${field} is required`);
+  },
+};
+
+const SUBTASK_SCHEMA = {
+  id: { type: 'string', required: true, nonEmpty: true },
+  title: { type: 'string', required: true, nonEmpty: true },
+  done: { type: 'boolean', required: true },
+  estimate: { type: 'number|null', integer: true, min: 1 },
+};
+
+const TASK_SCHEMA = {
+  id: { type: 'string', required: true, nonEmpty: true },
+  title: { type: 'string', required: true, nonEmpty: true },
+  estimate: { type: 'number', required: true, integer: true, min: 1 },
+  completedSessions: { ...COUNT, required: true },
+  done: { type: 'boolean', required: true },
+  blocklist: BLOCKLIST,
+  notes: { type: 'string', maxLength: TASK_LIMITS.notesMaxLength },
+  tags: {
+    type: 'array',
+    items: { type: 'string', nonEmpty: true, maxLength: TASK_LIMITS.tagMaxLength },
+    check: (tags, path) =>
+      tags.length > TASK_LIMITS.maxTags
+        ? [`${path} must have at most ${TASK_LIMITS.maxTags} tags`]
+        : [],
+  },
+  project: { type: 'string|null', maxLength: TASK_LIMITS.projectMaxLength },
+  dueDate: {
+    type: 'string|null',
+    check: (day, path) =>
+      day === null || DAY_KEY.test(day) ? [] : [`${path} must be a YYYY-MM-DD date or null`],
+  },
+  priority: { type: 'string', enum: TASK_PRIORITIES },
+  order: COUNT,
+  createdAt: { type: 'number', min: 0 },
+  completedAt: 'number|null',
+  subtasks: {
+    type: 'array',
+    items: SUBTASK_SCHEMA,
+    check: (subtasks, path) =>
+      subtasks.length > TASK_LIMITS.maxSubtasks
+        ? [`${path} must have at most ${TASK_LIMITS.maxSubtasks} subtasks`]
+        : [],
+  },
+};
+
+/**
+ * Task fields kept up to date by the task helpers rather than set through updates
+ * (subtasks change through the subtask helpers)
+ */
+const TASK_READ_ONLY = ['id', 'order', 'createdAt', 'completedAt', 'subtasks'];
+
+const GOAL_SCHEMA = {
+  id: { type: 'string', required: true, nonEmpty: true },
+  period: { type: 'string', required: true, enum: GOAL_PERIODS },
+  metric: { type: 'string', required: true, enum: GOAL_METRICS },
+  target: { type: 'number', required: true, integer: true, min: 1, max: GOAL_LIMITS.maxTarget },
+  methodKey: 'string|null',
+  weekdays: { type: 'array', items: { type: 'number', integer: true, min: 0, max: 6 } },
+};
+
+const INTERRUPTION_SCHEMA = {
+  kind: { type: 'string', required: true, enum: INTERRUPTION_KINDS },
+  at: { type: 'number', required: true, min: 0 },
+  note: { type: 'string|null', maxLength: INTERRUPTION_LIMITS.noteMaxLength },
+};
+
+const INTERRUPTIONS = {
+  type: 'array',
+  items: INTERRUPTION_SCHEMA,
+  check: (interruptions, path) =>
+    interruptions.length > INTERRUPTION_LIMITS.maxPerSession
+      ? [`${path} must have at most ${INTERRUPTION_LIMITS.maxPerSession} interruptions`]
+      : [],
+};
+
+const REFLECTION_SCHEMA = {
+  rating: {
+    type: 'number',
+    required: true,
+    integer: true,
+    min: REFLECTION_LIMITS.minRating,
+    max: REFLECTION_LIMITS.maxRating,
+  },
+  note: { type: 'string|null', maxLength: REFLECTION_LIMITS.noteMaxLength },
+};
+
+const EXTENSION_SCHEMA = {
+  minutes: {
+    type: 'number',
+    required: true,
+    integer: true,
+    min: 1,
+    max: PHASE_EXTENSION.maxMinutes,
+  },
+};
+
+const RATING_TALLY = { type: 'object', values: { rated: COUNT, total: COUNT } };
+
+const HISTORY_ENTRY_SCHEMA = {
+  id: { type: 'string', required: true, nonEmpty: true },
+  methodKey: { type: 'string', required: true },
+  phase: PHASE_ID,
+  kind: { type: 'string', enum: PHASE_KINDS },
+  durationMs: { type: 'number', required: true, min: 0 },
+  startedAt: { type: 'number', required: true, min: 0 },
+  endedAt: { type: 'number', required: true, min: 0 },
+  taskId: 'string|null',
+  status: { type: 'string', enum: HISTORY_STATUSES },
+  skipReason: { type: 'string|null', maxLength: SKIP_LIMITS.reasonMaxLength },
+  note: 'string|null',
+  interruptions: INTERRUPTIONS,
+  pauses: COUNT,
+  rating: {
+    type: 'number|null',
+    integer: true,
+    min: REFLECTION_LIMITS.minRating,
+    max: REFLECTION_LIMITS.maxRating,
+  },
+};
 
 /**
- * State schema definitions for runtime validation
+ * State schema definitions for runtime validation (see services/schema.js for the format)
  */
 const STATE_SCHEMA = {
   timer: {
-    methodKey: 'string',
-    phase: 'string',
-    isRunning: 'boolean',
-    startTime: 'number',
-    endTime: 'number',
-    remainingMs: 'number',
-    cycleCount: 'number',
-    completedSessions: 'number',
-    activeTaskId: 'string|null',
+    type: 'object',
+    required: true,
+    shape: {
+      methodKey: 'string',
+      phase: { type: 'string', nonEmpty: true },
+      phaseIndex: COUNT,
+      isRunning: 'boolean',
+      startTime: 'number',
+      endTime: 'number',
+      remainingMs: 'number',
+      cycleCount: COUNT,
+      pauseCount: COUNT,
+      extendedMs: { type: 'number', min: 0 },
+      completedSessions: COUNT,
+      activeTaskId: 'string|null',
+      nextTaskId: 'string|null',
+      interruptions: INTERRUPTIONS,
+      pendingReflectionId: 'string|null',
+    },
+  },
+  tasks: { type: 'array', required: true, items: TASK_SCHEMA },
+  history: { type: 'array', required: true, items: HISTORY_ENTRY_SCHEMA },
+  statistics: {
+    totalSessions: COUNT,
+    abandonedSessions: COUNT,
+    totalFocusTime: { type: 'number', min: 0 },
+    totalBreakTime: { type: 'number', min: 0 },
+    longestSession: { type: 'number', min: 0 },
+    currentStreak: COUNT,
+    longestStreak: COUNT,
+    lastSessionDate: 'number|null',
+    byMethod: {
+      type: 'object',
+      values: { sessions: COUNT, focusMs: { type: 'number', min: 0 } },
+    },
+    interruptions: { internal: COUNT, external: COUNT, sessions: COUNT },
+    focusQuality: { byMethod: RATING_TALLY, byHour: RATING_TALLY },
   },
-  tasks: 'array',
-  history: 'array',
 };
 
 const SETTINGS_SCHEMA = {
-  selectedMethod: 'string',
-  presets: 'object',
-  autoStartBreaks: 'boolean',
+  selectedMethod: { type: 'string', nonEmpty: true },
+  presets: {
+    type: 'object',
+    values: {
+      type: 'object',
+      check: (preset, path, key) =>
+        validatePreset({ ...mergePresetFields(DEFAULT_METHODS[key], preset), key }, path).errors,
+    },
+  },
+  presetOrder: { type: 'array', items: 'string' },
+  autoStartBreaks: { type: 'boolean', required: true },
   autoStartWork: 'boolean',
+  taskAdvance: { type: 'string', enum: TASK_ADVANCE_MODES },
+  reflectionPrompt: 'boolean',
+  abandonAfterMinutes: { type: 'number', integer: true, min: 0, max: 1440 },
+  countAbandoned: 'boolean',
   lockIn: 'boolean',
-  notifications: 'boolean',
-  sound: 'string',
-  volume: 'number',
+  notifications: { type: 'boolean', required: true },
+  sound: { type: 'string', enum: SOUND_CHOICES },
+  phaseSounds: {
+    workEnd: { type: 'string', enum: ['default', ...SOUND_CHOICES] },
+    breakEnd: { type: 'string', enum: ['default', ...SOUND_CHOICES] },
+  },
+  volume: { type: 'number', required: true, min: 0, max: 1 },
+  ambientVolume: { type: 'number', min: 0, max: 1 },
   breakEnforcement: 'boolean',
+  breakEnforcementLevel: { type: 'string', enum: BREAK_ENFORCEMENT_LEVELS },
+  blocklist: BLOCKLIST,
+  goals: { type: 'array', items: GOAL_SCHEMA },
   badge: 'boolean',
-  theme: 'string',
+  theme: { type: 'string', enum: THEMES },
 };
 
 /**
@@ -91,18 +406,173 @@ export function initializeState(stateOverrides = {}, settingsOverrides = {}) {
  * Create a new task with defaults
  * @param {string} title - Task title
  * @param {number} estimate - Estimated sessions (default 1)
+ * @param {Object} details - Optional { notes, tags, project, dueDate, priority }
  * @returns {Object} New task object
  */
-export function createTask(title, estimate = 1) {
+export function createTask(title, estimate = 1, details = {}) {
   return {
     id: crypto.randomUUID(),
     title,
     estimate: Math.max(1, estimate),
     completedSessions: 0,
     done: false,
+    notes: details.notes ?? '',
+    tags: normalizeTags(details.tags ?? []),
+    project: normalizeProject(details.project),
+    dueDate: details.dueDate || null,
+    priority: details.priority ?? 'none',
+    order: 0,
+    createdAt: Date.now(),
+    completedAt: null,
+    subtasks: [],
   };
 }
 
+/**
+ * Clean up a tag list: trim, drop empties and case-insensitive duplicates
+ * @param {*} tags - Tags (non-arrays are returned unchanged for validation to reject)
+ * @returns {*} Normalized tags
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    return tags;
+  }
+  const seen = new Set();
+  return tags
+    .map((tag) => (typeof tag === 'string' ? tag.trim() : tag))
+    .filter((tag) => {
+      const key = typeof tag === 'string' ? tag.toLowerCase() : tag;
+      if (tag === '' || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Clean up a project name; blank names mean no project
+ * @param {*} project - Project name
+ * @returns {*} Trimmed name, null, or the original value for validation to reject
+ */
+function normalizeProject(project) {
+  if (project === undefined || project === null) {
+    return null;
+  }
+  return typeof project === 'string' ? project.trim() || null : project;
+}
+
+/**
+ * Prepare validated updates for a task
+ * Normalizes tags and project, and stamps completedAt when the done flag changes.
+ * @param {Object} task - Current task
+ * @param {Object} updates - Partial task fields
+ * @param {number} now - Current time (defaults to Date.now())
+ * @returns {Object} Updates to apply
+ */
+export function prepareTaskUpdates(task, updates, now = Date.now()) {
+  const prepared = { ...updates };
+  if ('tags' in prepared) {
+    prepared.tags = normalizeTags(prepared.tags);
+  }
+  if ('project' in prepared) {
+    prepared.project = normalizeProject(prepared.project);
+  }
+  if ('dueDate' in prepared && !prepared.dueDate) {
+    prepared.dueDate = null;
+  }
+  if ('done' in prepared && prepared.done !== !!task?.done) {
+    prepared.completedAt = prepared.done ? now : null;
+  }
+  return prepared;
+}
+
+/**
+ * Sort tasks by their manual order and renumber it from 0
+ * Ties (e.g. tasks added before ordering existed) keep their list position.
+ * @param {Array} tasks - Task list
+ * @returns {Array} Tasks in display order
+ */
+export function orderTasks(tasks) {
+  return tasks
+    .map((task, index) => ({ task, index }))
+    .sort((a, b) => (a.task.order ?? a.index) - (b.task.order ?? b.index) || a.index - b.index)
+    .map(({ task }, order) => ({ ...task, order }));
+}
+
+/**
+ * Put tasks in a new manual order
+ * @param {Array} tasks - Task list
+ * @param {string[]} ids - Every task id in the new order
+ * @returns {Array} Reordered tasks
+ * @throws {Error} If ids is not a permutation of the task ids
+ */
+export function reorderTasks(tasks, ids) {
+  const current = tasks.map((task) => task.id);
+  const isPermutation =
+    Array.isArray(ids) &&
+    ids.length === current.length &&
+    new Set(ids).size === ids.length &&
+    ids.every((id) => current.includes(id));
+  if (!isPermutation) {
+    throw new Error('Task order must list every existing task exactly once');
+  }
+  const byId = new Map(tasks.map((task) => [task.id, task]));
+  return ids.map((id, order) => ({ ...byId.get(id), order }));
+}
+
+/**
+ * Find the next task in the queue
+ * The queue is the manual order; it continues after the given task and wraps around to the
+ * top, skipping done tasks.
+ * @param {Array} tasks - Task list
+ * @param {string|null} currentId - Task to move on from (null starts at the top)
+ * @returns {Object|null} Next undone task other than the current one
+ */
+export function getNextTask(tasks, currentId) {
+  const ordered = orderTasks(tasks);
+  const start = ordered.findIndex((task) => task.id === currentId) + 1;
+  const queue = [...ordered.slice(start), ...ordered.slice(0, start)];
+  return queue.find((task) => !task.done && task.id !== currentId) ?? null;
+}
+
+/**
+ * Filter tasks by tag and project
+ * @param {Array} tasks - Task list
+ * @param {Object} filters - { tag, project } (empty values match every task)
+ * @returns {Array} Matching tasks
+ */
+export function filterTasks(tasks, filters = {}) {
+  const tag = filters.tag?.toLowerCase();
+  return tasks.filter(
+    (task) =>
+      (!tag || (task.tags ?? []).some((item) => item.toLowerCase() === tag)) &&
+      (!filters.project || task.project === filters.project)
+  );
+}
+
+/**
+ * List the tags and projects in use, for filter menus
+ * @param {Array} tasks - Task list
+ * @returns {{tags: string[], projects: string[]}} Sorted, without duplicates
+ */
+export function getTaskFacets(tasks) {
+  const tags = new Map();
+  const projects = new Set();
+  tasks.forEach((task) => {
+    (task.tags ?? []).forEach((tag) => {
+      if (!tags.has(tag.toLowerCase())) {
+        tags.set(tag.toLowerCase(), tag);
+      }
+    });
+    if (task.project) {
+      projects.add(task.project);
+    }
+  });
+  const byName = (a, b) => a.localeCompare(b);
+  return { tags: [...tags.values()].sort(byName), projects: [...projects].sort(byName) };
+}
+
 /**
  * Create a new history entry
  * @param {string} id - Unique entry ID
@@ -112,6 +582,7 @@ export function createTask(title, estimate = 1) {
  * @param {number} startedAt - Timestamp when started
  * @param {number} endedAt - Timestamp when ended
  * @param {string} taskId - Associated task ID (optional)
+ * @param {Object} details - Extra fields such as status or notes (optional)
  * @returns {Object} History entry
  */
 export function createHistoryEntry(
@@ -121,7 +592,8 @@ export function createHistoryEntry(
   durationMs,
   startedAt,
   endedAt,
-  taskId = null
+  taskId = null,
+  details = {}
 ) {
   return {
     id,
@@ -131,9 +603,31 @@ export function createHistoryEntry(
     startedAt,
     endedAt,
     taskId,
+    ...details,
   };
 }
 
+/**
+ * Create an interruption logged during a focus session
+ * @param {string} kind - 'internal' or 'external'
+ * @param {string|null} note - Optional note (blank notes are stored as null)
+ * @param {number} at - Timestamp (now by default)
+ * @returns {Object} Interruption
+ */
+export function createInterruption(kind, note = null, at = Date.now()) {
+  return { kind, at, note: typeof note === 'string' ? note.trim() || null : note };
+}
+
+/**
+ * Count interruptions by kind
+ * @param {Array} interruptions - Interruptions of a session
+ * @returns {{internal: number, external: number, total: number}}
+ */
+export function countInterruptions(interruptions = []) {
+  const internal = interruptions.filter((item) => item.kind === 'internal').length;
+  return { internal, external: interruptions.length - internal, total: interruptions.length };
+}
+
 /**
  * Update a task with partial changes
  * @param {Array} tasks - Task list
@@ -175,16 +669,136 @@ export function incrementCompletedSessions(currentSessions) {
 
 /**
  * Get task completion percentage
+ * Tasks with subtasks roll up from them: the share of done subtasks, each weighted by its
+ * session estimate (1 when it has none). Other tasks compare sessions to the estimate.
  * @param {Object} task - Task object
  * @returns {number} Percentage from 0-100
  */
 export function getTaskCompletionPercentage(task) {
+  if (task?.subtasks?.length) {
+    const weight = (subtask) => subtask.estimate ?? 1;
+    const total = task.subtasks.reduce((sum, subtask) => sum + weight(subtask), 0);
+    const done = task.subtasks
+      .filter((subtask) => subtask.done)
+      .reduce((sum, subtask) => sum + weight(subtask), 0);
+    return Math.round((done / total) * 100);
+  }
   if (!task || task.estimate <= 0) {
     return 0;
   }
   return Math.min(100, Math.round((task.completedSessions / task.estimate) * 100));
 }
 
+/**
+ * Check whether a task has subtasks and all of them are done
+ * @param {Object} task - Task object
+ * @returns {boolean}
+ */
+export function areSubtasksComplete(task) {
+  return !!task?.subtasks?.length && task.subtasks.every((subtask) => subtask.done);
+}
+
+/**
+ * Find a task by id
+ * @param {Array} tasks - Task list
+ * @param {string} taskId - Task ID
+ * @returns {Object} Task
+ * @throws {Error} If no task has the id
+ */
+function findTask(tasks, taskId) {
+  const task = tasks.find((item) => item.id === taskId);
+  if (!task) {
+    throw new Error(`Unknown task: ${taskId}`);
+  }
+  return task;
+}
+
+/**
+ * Throw when a task's subtask list is invalid
+ * @param {Object} task - Task with updated subtasks
+ * @throws {Error} If a subtask is invalid or there are too many
+ */
+function assertValidSubtasks(task) {
+  const validation = validateSchema(task.subtasks, TASK_SCHEMA.subtasks, { path: 'Subtasks' });
+  if (!validation.valid) {
+    throw new Error(`Subtask validation failed: ${validation.errors.join(', ')}`);
+  }
+}
+
+/**
+ * Append a subtask to a task's checklist
+ * @param {Array} tasks - Task list
+ * @param {string} taskId - Parent task ID
+ * @param {Object} fields - { title, estimate } (estimate in sessions, optional)
+ * @returns {{tasks: Array, subtask: Object}} Updated tasks and the created subtask
+ * @throws {Error} If the task does not exist or the subtask is invalid
+ */
+export function addSubtask(tasks, taskId, fields) {
+  const task = findTask(tasks, taskId);
+  const subtask = {
+    id: crypto.randomUUID(),
+    title: typeof fields.title === 'string' ? fields.title.trim() : fields.title,
+    done: false,
+    estimate: fields.estimate ?? null,
+  };
+  const updated = { ...task, subtasks: [...(task.subtasks ?? []), subtask] };
+  assertValidSubtasks(updated);
+  return { tasks: updateTaskInList(tasks, taskId, updated), subtask };
+}
+
+/**
+ * Apply partial changes to a subtask
+ * @param {Array} tasks - Task list
+ * @param {string} taskId - Parent task ID
+ * @param {string} subtaskId - Subtask ID
+ * @param {Object} updates - Partial { title, done, estimate }
+ * @returns {{tasks: Array, subtask: Object, completesTask: boolean}} completesTask is true
+ *   when this change finished the last open subtask of a task that is not done yet
+ * @throws {Error} If the task or subtask does not exist, or the update is invalid
+ */
+export function updateSubtask(tasks, taskId, subtaskId, updates) {
+  const task = findTask(tasks, taskId);
+  const current = (task.subtasks ?? []).find((subtask) => subtask.id === subtaskId);
+  if (!current) {
+    throw new Error(`Unknown subtask: ${subtaskId}`);
+  }
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    throw new Error('Subtask updates must be an object');
+  }
+  const unknown = Object.keys(updates).filter(
+    (field) => field === 'id' || !(field in SUBTASK_SCHEMA)
+  );
+  if (unknown.length) {
+    throw new Error(`Subtask.${unknown[0]} cannot be updated`);
+  }
+  const subtask = { ...current, ...updates };
+  const updated = {
+    ...task,
+    subtasks: task.subtasks.map((item) => (item.id === subtaskId ? subtask : item)),
+  };
+  assertValidSubtasks(updated);
+  return {
+    tasks: updateTaskInList(tasks, taskId, updated),
+    subtask,
+    completesTask: !current.done && subtask.done && !task.done && areSubtasksComplete(updated),
+  };
+}
+
+/**
+ * Remove a subtask from a task's checklist
+ * @param {Array} tasks - Task list
+ * @param {string} taskId - Parent task ID
+ * @param {string} subtaskId - Subtask ID
+ * @returns {Array} Updated tasks
+ * @throws {Error} If the task does not exist
+ */
+export function deleteSubtask(tasks, taskId, subtaskId) {
+  const task = findTask(tasks, taskId);
+  return updateTaskInList(tasks, taskId, {
+    subtasks: (task.subtasks ?? []).filter((subtask) => subtask.id !== subtaskId),
+  });
+}
+
 /**
  * Check if task should be marked as done
  * @param {Object} task - Task object
@@ -195,12 +809,12 @@ export function isTaskComplete(task) {
 }
 
 /**
- * Trim history to max entries
+ * Trim the recent-history cache kept in state (full history lives in history.js)
  * @param {Array} history - History list
- * @param {number} maxEntries - Maximum entries to keep (default 200)
+ * @param {number} maxEntries - Maximum entries to keep (default HISTORY_STORE.recentLimit)
  * @returns {Array} Trimmed history
  */
-export function trimHistory(history, maxEntries = 200) {
+export function trimHistory(history, maxEntries = HISTORY_STORE.recentLimit) {
   return history.slice(0, maxEntries);
 }
 
@@ -238,57 +852,353 @@ export function getHistoryStats(history) {
 }
 
 /**
- * Validate state structure matches schema
- * @param {Object} state - State to validate
+ * Get the user's presets in display order, resolved against built-in defaults
+ * @param {Object} settings - User settings
+ * @returns {Array} Ordered preset list
+ */
+export function getOrderedPresets(settings) {
+  return Object.values(resolveMethods(settings));
+}
+
+/**
+ * Check whether a method key is part of the user's preset list
+ * @param {Object} settings - User settings
+ * @param {string} methodKey - Method identifier
+ * @returns {boolean} True if the preset exists and is visible
+ */
+export function hasPreset(settings, methodKey) {
+  return getOrderedPresets(settings).some((preset) => preset.key === methodKey);
+}
+
+/**
+ * Derive a unique preset key from a label
+ * @param {string} label - Human readable label
+ * @param {string[]} existingKeys - Keys already in use
+ * @returns {string} Unique camelCase key
+ */
+export function generatePresetKey(label, existingKeys = []) {
+  const words = String(label || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+  const base = words.map((word, i) => (i === 0 ? word : capitalizeWord(word))).join('') || 'method';
+  let key = base;
+  let suffix = 2;
+  while (existingKeys.includes(key) || DEFAULT_METHODS[key]) {
+    key = `${base}${suffix}`;
+    suffix += 1;
+  }
+  return key;
+}
+
+/**
+ * Capitalize a single word for camelCase keys
+ * @param {string} word - Lowercase word
+ * @returns {string} Capitalized word
+ */
+function capitalizeWord(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Validate a timer preset definition
+ * @param {Object} preset - Preset to validate
+ * @param {string} path - Prefix for error messages
  * @returns {{valid: boolean, errors: string[]}} Validation result
  */
-export function validateState(state) {
-  const errors = [];
+export function validatePreset(preset, path = 'Preset') {
+  return validateSchema(preset, PRESET_SCHEMA, { path });
+}
 
-  if (!state || typeof state !== 'object') {
-    errors.push('State must be an object');
-    return { valid: false, errors };
+/**
+ * Throw if a preset fails validation
+ * @param {Object} preset - Preset to check
+ * @throws {Error} If preset is invalid
+ */
+function assertValidPreset(preset) {
+  const validation = validatePreset(preset);
+  if (!validation.valid) {
+    throw new Error(`Preset validation failed: ${validation.errors.join(', ')}`);
   }
+}
 
-  if (!state.timer || typeof state.timer !== 'object') {
-    errors.push('State.timer must be an object');
+/**
+ * Apply preset fields over a base preset
+ * Timing shorthand in the fields replaces the base phases rather than being shadowed by them.
+ * @param {Object} base - Preset the fields apply to (optional)
+ * @param {Object} fields - Preset fields
+ * @returns {Object} Merged preset
+ */
+function mergePresetFields(base, fields) {
+  const merged = { ...base, ...fields };
+  if (hasTimingShorthand(fields) && !fields.phases) {
+    delete merged.phases;
   }
-  if (!Array.isArray(state.tasks)) {
-    errors.push('State.tasks must be an array');
+  return merged;
+}
+
+/**
+ * Build a validated preset from fields applied over a base preset
+ * Timing shorthand is stored as the phase list it describes.
+ * @param {Object} base - Preset the fields apply to
+ * @param {Object} fields - Preset fields, including the key
+ * @returns {Object} Preset declaring phases
+ * @throws {Error} If the result is invalid
+ */
+function buildPreset(base, fields) {
+  const merged = mergePresetFields(base, fields);
+  assertValidPreset(merged);
+  return expandTimingShorthand(merged);
+}
+
+/**
+ * Throw if a preset key is not in the user's list
+ * @param {Object} settings - User settings
+ * @param {string} key - Preset key
+ * @throws {Error} If preset does not exist
+ */
+function assertPresetExists(settings, key) {
+  if (!hasPreset(settings, key)) {
+    throw new Error(`Unknown method: ${key}`);
   }
-  if (!Array.isArray(state.history)) {
-    errors.push('State.history must be an array');
+}
+
+/**
+ * Add a new preset to the end of the user's list
+ * @param {Object} settings - User settings
+ * @param {Object} fields - Preset fields (key is generated from label when omitted)
+ * @returns {{settings: Object, preset: Object}} Updated settings and created preset
+ * @throws {Error} If the preset is invalid or the key is taken
+ */
+export function addPreset(settings, fields) {
+  const order = getOrderedPresets(settings).map((preset) => preset.key);
+  const key = fields.key ?? generatePresetKey(fields.label, order);
+  if (order.includes(key)) {
+    throw new Error(`Method already exists: ${key}`);
   }
+  const preset = buildPreset(DEFAULT_METHODS.custom, { ...fields, key });
+  return {
+    settings: {
+      ...settings,
+      presets: { ...settings.presets, [key]: preset },
+      presetOrder: [...order, key],
+    },
+    preset,
+  };
+}
 
-  return { valid: errors.length === 0, errors };
+/**
+ * Apply partial changes to an existing preset
+ * @param {Object} settings - User settings
+ * @param {string} key - Preset key
+ * @param {Object} updates - Partial preset fields (key cannot change)
+ * @returns {Object} Updated settings
+ * @throws {Error} If preset does not exist or result is invalid
+ */
+export function updatePreset(settings, key, updates) {
+  assertPresetExists(settings, key);
+  const current = getOrderedPresets(settings).find((preset) => preset.key === key);
+  const preset = buildPreset(current, { ...updates, key });
+  return {
+    ...settings,
+    presets: { ...settings.presets, [key]: preset },
+  };
 }
 
 /**
- * Validate settings structure matches schema
- * @param {Object} settings - Settings to validate
- * @returns {{valid: boolean, errors: string[]}} Validation result
+ * Duplicate a preset directly after the original
+ * @param {Object} settings - User settings
+ * @param {string} key - Preset key to clone
+ * @param {string} label - Label for the copy (defaults to "<label> copy")
+ * @returns {{settings: Object, preset: Object}} Updated settings and created preset
+ * @throws {Error} If source preset does not exist
  */
-export function validateSettings(settings) {
-  const errors = [];
+export function clonePreset(settings, key, label) {
+  assertPresetExists(settings, key);
+  const order = getOrderedPresets(settings).map((preset) => preset.key);
+  const source = getOrderedPresets(settings).find((preset) => preset.key === key);
+  const copyLabel = (label ?? `${source.label} copy`).slice(0, PRESET_LIMITS.labelMaxLength);
+  const copyKey = generatePresetKey(copyLabel, order);
+  const preset = { ...structuredClone(source), key: copyKey, label: copyLabel };
+  assertValidPreset(preset);
+  const presetOrder = [...order];
+  presetOrder.splice(order.indexOf(key) + 1, 0, copyKey);
+  return {
+    settings: {
+      ...settings,
+      presets: { ...settings.presets, [copyKey]: preset },
+      presetOrder,
+    },
+    preset,
+  };
+}
 
-  if (!settings || typeof settings !== 'object') {
-    errors.push('Settings must be an object');
-    return { valid: false, errors };
-  }
+/**
+ * Change a preset's display label (the key stays stable for history)
+ * @param {Object} settings - User settings
+ * @param {string} key - Preset key
+ * @param {string} label - New label
+ * @returns {Object} Updated settings
+ * @throws {Error} If preset does not exist or label is invalid
+ */
+export function renamePreset(settings, key, label) {
+  return updatePreset(settings, key, { label: typeof label === 'string' ? label.trim() : label });
+}
 
-  if (typeof settings.autoStartBreaks !== 'boolean') {
-    errors.push('Settings.autoStartBreaks must be boolean');
-  }
-  if (typeof settings.notifications !== 'boolean') {
-    errors.push('Settings.notifications must be boolean');
+/**
+ * Replace the preset display order
+ * @param {Object} settings - User settings
+ * @param {string[]} order - Every existing preset key in the new order
+ * @returns {Object} Updated settings
+ * @throws {Error} If order is not a permutation of the existing keys
+ */
+export function reorderPresets(settings, order) {
+  const current = getOrderedPresets(settings).map((preset) => preset.key);
+  const isPermutation =
+    Array.isArray(order) &&
+    order.length === current.length &&
+    new Set(order).size === order.length &&
+    order.every((key) => current.includes(key));
+  if (!isPermutation) {
+    throw new Error('Preset order must list every existing method exactly once');
   }
-  if (typeof settings.volume !== 'number' || settings.volume < 0 || settings.volume > 1) {
-    errors.push('Settings.volume must be number 0-1');
+  return { ...settings, presetOrder: [...order] };
+}
+
+/**
+ * Remove a preset from the user's list
+ * Selected method falls back to the first remaining preset when deleted
+ * @param {Object} settings - User settings
+ * @param {string} key - Preset key
+ * @returns {Object} Updated settings
+ * @throws {Error} If preset does not exist or is the last one left
+ */
+export function deletePreset(settings, key) {
+  assertPresetExists(settings, key);
+  const order = getOrderedPresets(settings).map((preset) => preset.key);
+  if (order.length <= 1) {
+    throw new Error('At least one method must remain');
   }
+  const presetOrder = order.filter((k) => k !== key);
+  const presets = { ...settings.presets };
+  delete presets[key];
+  return {
+    ...settings,
+    presets,
+    presetOrder,
+    selectedMethod: settings.selectedMethod === key ? presetOrder[0] : settings.selectedMethod,
+  };
+}
+
+/**
+ * Validate a task
+ * @param {Object} task - Task to validate
+ * @param {string} path - Prefix for error messages
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateTask(task, path = 'Task') {
+  return validateSchema(task, TASK_SCHEMA, { path });
+}
+
+/**
+ * Validate a focus goal
+ * @param {Object} goal - Goal to validate
+ * @param {string} path - Prefix for error messages
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateGoal(goal, path = 'Goal') {
+  return validateSchema(goal, GOAL_SCHEMA, { path });
+}
+
+/**
+ * Validate an interruption
+ * @param {Object} interruption - Interruption to validate
+ * @param {string} path - Prefix for error messages
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateInterruption(interruption, path = 'Interruption') {
+  return validateSchema(interruption, INTERRUPTION_SCHEMA, { path });
+}
 
+/**
+ * Validate a post-session reflection
+ * @param {Object} reflection - { rating, note }
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateReflection(reflection) {
+  return validateSchema(reflection, REFLECTION_SCHEMA, { path: 'Reflection' });
+}
+
+/**
+ * Validate a request to extend the phase in progress
+ * @param {Object} extension - { minutes }
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateExtension(extension) {
+  return validateSchema(extension, EXTENSION_SCHEMA, { path: 'Extension' });
+}
+
+/**
+ * Validate partial task updates
+ * Only known task fields may be updated, and the id never changes.
+ * @param {Object} updates - Partial task fields
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateTaskUpdates(updates) {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return { valid: false, errors: ['Task updates must be an object'] };
+  }
+  const errors = Object.keys(updates)
+    .filter((field) => TASK_READ_ONLY.includes(field) || !(field in TASK_SCHEMA))
+    .map((field) => `Task.${field} cannot be updated`);
+  errors.push(...validateSchema(updates, TASK_SCHEMA, { path: 'Task', partial: true }).errors);
   return { valid: errors.length === 0, errors };
 }
 
+/**
+ * Validate a history entry
+ * @param {Object} entry - Entry to validate
+ * @param {string} path - Prefix for error messages
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateHistoryEntry(entry, path = 'HistoryEntry') {
+  return validateSchema(entry, HISTORY_ENTRY_SCHEMA, { path });
+}
+
+/**
+ * Validate state against STATE_SCHEMA
+ * With { repair: true }, also returns a repaired copy (value) and what was fixed (repairs);
+ * bad tasks and history entries are dropped and other bad fields reset from DEFAULT_STATE.
+ * @param {Object} state - State to validate
+ * @param {Object} options - { repair, path } (path defaults to 'State')
+ * @returns {{valid: boolean, errors: string[], value?: Object, repairs?: string[]}}
+ */
+export function validateState(state, options = {}) {
+  return validateSchema(state, STATE_SCHEMA, {
+    path: options.path ?? 'State',
+    repair: options.repair,
+    defaults: DEFAULT_STATE,
+  });
+}
+
+/**
+ * Validate settings against SETTINGS_SCHEMA
+ * With { repair: true }, also returns a repaired copy (value) and what was fixed (repairs);
+ * bad fields are reset from DEFAULT_SETTINGS and bad custom presets dropped.
+ * @param {Object} settings - Settings to validate
+ * @param {Object} options - { repair, path } (path defaults to 'Settings')
+ * @returns {{valid: boolean, errors: string[], value?: Object, repairs?: string[]}}
+ */
+export function validateSettings(settings, options = {}) {
+  return validateSchema(settings, SETTINGS_SCHEMA, {
+    path: options.path ?? 'Settings',
+    repair: options.repair,
+    defaults: DEFAULT_SETTINGS,
+  });
+}
+
 /**
  * Deep clone state for immutability
  * @param {Object} state - State to clone
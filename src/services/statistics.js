@@ -0,0 +1,282 @@
+/**
+ * Statistics engine for FlexiFocus
+ * Folds each new history entry into the stored statistics, remeasuring streaks from the
+ * recent days only, and rebuilds every statistic from the whole history on demand.
+ * Day boundaries follow a time zone (the local one by default); sessions that cross
+ * midnight are split between the days they touch.
+ */
+
+import { DEFAULT_STATE } from '../shared/constants.js';
+import { isFocusEntry } from './timer.js';
+import { toZonedDayKey, toZonedHour, addDays, splitByDay } from './calendar.js';
+import { getGoalStreakDays } from './goals.js';
+import { countInterruptions } from './state.js';
+
+const HOUR = 3600000;
+
+/**
+ * Whether an entry counts toward statistics
+ * Skipped entries never count; abandoned ones count unless options.includeAbandoned is false.
+ * @param {Object} entry - History entry
+ * @param {Object} options - { includeAbandoned }
+ * @returns {boolean}
+ */
+function isCounted(entry, options = {}) {
+  if (entry.status === 'abandoned') {
+    return options.includeAbandoned !== false;
+  }
+  return entry.status !== 'skipped';
+}
+
+/**
+ * Add a rating to a tally map
+ * @param {Object} tallies - Key to { rated, total }
+ * @param {string} key - Method key or hour
+ * @param {number} rating - Focus rating
+ */
+function tallyRating(tallies, key, rating) {
+  const tally = tallies[key] ?? { rated: 0, total: 0 };
+  tallies[key] = { rated: tally.rated + 1, total: tally.total + rating };
+}
+
+/**
+ * Copy statistics so an entry can be tallied into them without touching the original
+ * @param {Object} stats - Statistics
+ * @returns {Object} Copy with its own tallies
+ */
+function copyStatistics(stats) {
+  return {
+    ...DEFAULT_STATE.statistics,
+    ...stats,
+    byMethod: { ...stats?.byMethod },
+    interruptions: { ...DEFAULT_STATE.statistics.interruptions, ...stats?.interruptions },
+    focusQuality: {
+      byMethod: { ...stats?.focusQuality?.byMethod },
+      byHour: { ...stats?.focusQuality?.byHour },
+    },
+  };
+}
+
+/**
+ * Add an entry to the totals and tallies of statistics (streaks aside)
+ * @param {Object} stats - Statistics from copyStatistics, updated in place
+ * @param {Object} entry - History entry
+ * @param {Object} options - { timeZone, includeAbandoned }
+ */
+function tallyEntry(stats, entry, options) {
+  if (entry.status === 'abandoned' && isFocusEntry(entry)) {
+    stats.abandonedSessions += 1;
+  }
+  if (!isCounted(entry, options)) {
+    return;
+  }
+  stats.lastSessionDate = Math.max(stats.lastSessionDate ?? 0, entry.endedAt) || null;
+  if (!isFocusEntry(entry)) {
+    stats.totalBreakTime += entry.durationMs;
+    return;
+  }
+  const method = stats.byMethod[entry.methodKey] ?? { sessions: 0, focusMs: 0 };
+  stats.byMethod[entry.methodKey] = {
+    sessions: method.sessions + 1,
+    focusMs: method.focusMs + entry.durationMs,
+  };
+  stats.totalSessions += 1;
+  stats.totalFocusTime += entry.durationMs;
+  stats.longestSession = Math.max(stats.longestSession, entry.durationMs);
+  const { internal, external, total } = countInterruptions(entry.interruptions);
+  stats.interruptions.internal += internal;
+  stats.interruptions.external += external;
+  stats.interruptions.sessions += total > 0 ? 1 : 0;
+  if (entry.rating) {
+    const hour = String(toZonedHour(entry.startedAt, options.timeZone));
+    tallyRating(stats.focusQuality.byMethod, entry.methodKey, entry.rating);
+    tallyRating(stats.focusQuality.byHour, hour, entry.rating);
+  }
+}
+
+/**
+ * Sum focus time per day
+ * @param {Array} history - History entries
+ * @param {Object} options - { timeZone, includeAbandoned }
+ * @returns {Map<string, number>} Day key to focus milliseconds
+ */
+export function getDailyFocus(history, options = {}) {
+  const days = new Map();
+  (history ?? [])
+    .filter((entry) => isCounted(entry, options) && isFocusEntry(entry))
+    .forEach((entry) => {
+      splitByDay(entry, options.timeZone).forEach(({ day, ms }) => {
+        days.set(day, (days.get(day) ?? 0) + ms);
+      });
+    });
+  return days;
+}
+
+/**
+ * Whether every day strictly between two days is a rest day
+ * @param {string} from - Earlier day key
+ * @param {string} to - Later day key
+ * @param {function(string): boolean} isRestDay - Rest day test
+ * @returns {boolean}
+ */
+function isBridged(from, to, isRestDay) {
+  for (let day = addDays(from, 1); day < to; day = addDays(day, 1)) {
+    if (!isRestDay(day)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Measure runs of consecutive qualifying days
+ * Rest days in between neither extend nor break a run. The current streak is the run ending
+ * today, or on the last day that needed to qualify while today is still open.
+ * @param {Iterable<string>} days - Qualifying day keys (any order)
+ * @param {string} today - Today's day key
+ * @param {function(string): boolean} isRestDay - Rest day test (none by default)
+ * @returns {{currentStreak: number, longestStreak: number}}
+ */
+export function computeStreaks(days, today, isRestDay = () => false) {
+  let run = 0;
+  let previous = null;
+  let longestStreak = 0;
+  [...new Set(days)].sort().forEach((day) => {
+    run = previous && isBridged(previous, day, isRestDay) ? run + 1 : 1;
+    longestStreak = Math.max(longestStreak, run);
+    previous = day;
+  });
+  const live = previous !== null && isBridged(previous, today, isRestDay);
+  return { currentStreak: live ? run : 0, longestStreak };
+}
+
+/**
+ * Find the days that count toward streaks: days meeting the daily goals, or any day with
+ * focus time when there are no daily goals
+ * @param {Array} counted - Entries that count toward statistics
+ * @param {Object} options - { timeZone, goals }
+ * @returns {{days: string[], isRestDay: function(string): boolean}}
+ */
+function getStreakDays(counted, options) {
+  const goalDays = getGoalStreakDays(options.goals, counted, options.timeZone);
+  if (goalDays) {
+    return goalDays;
+  }
+  const days = [...getDailyFocus(counted, options)].filter(([, ms]) => ms > 0).map(([day]) => day);
+  return { days, isRestDay: () => false };
+}
+
+/**
+ * Recompute statistics from a complete history
+ * Totals count focus sessions (work and flow); breaks only add to totalBreakTime. Skipped
+ * entries are ignored, and abandoned ones (phases reset or left paused) count unless
+ * includeAbandoned is false; abandonedSessions always tallies abandoned focus sessions.
+ * Interruptions are totalled by kind, with the number of sessions that had any, and focus
+ * ratings are tallied by method and by the hour the session started. A streak day is a day
+ * that meets the daily goals (see goals.js), or a day with any focus time when there are no
+ * daily goals.
+ * @param {Array} history - Every history entry
+ * @param {Object} options - { timeZone, now, goals, includeAbandoned } (local zone, the
+ *   current time, no goals and abandoned sessions counted by default)
+ * @returns {Object} Statistics in the DEFAULT_STATE.statistics shape
+ */
+export function computeStatistics(history, options = {}) {
+  const stats = copyStatistics(DEFAULT_STATE.statistics);
+  (history ?? []).forEach((entry) => tallyEntry(stats, entry, options));
+  const counted = (history ?? []).filter((entry) => isCounted(entry, options));
+  const today = toZonedDayKey(options.now ?? Date.now(), options.timeZone);
+  const { days, isRestDay } = getStreakDays(counted, options);
+  return { ...stats, ...computeStreaks(days, today, isRestDay) };
+}
+
+/**
+ * Fold a new history entry into stored statistics
+ * Totals, tallies and ratings take the entry alone. Only streak runs reaching the days the
+ * entry touches can change, so streaks are remeasured from the recent entries back to a day
+ * that breaks every run (neither a streak day nor a rest day) before the entry's first day.
+ * @param {Object} stats - Stored statistics (without the entry)
+ * @param {Object} entry - New history entry
+ * @param {Array} recent - Every entry touching the days from options.from on, the new one
+ *   included
+ * @param {Object} options - { timeZone, now, goals, includeAbandoned, from } where from is the
+ *   first day recent covers, or null when recent is the whole history
+ * @returns {Object|null} Updated statistics, or null when recent holds no day breaking the
+ *   runs before the entry (load more days and try again)
+ */
+export function addToStatistics(stats, entry, recent, options = {}) {
+  const counted = (recent ?? []).filter((item) => isCounted(item, options));
+  const { days, isRestDay } = getStreakDays(counted, options);
+  const qualifying = new Set(days);
+  const first = toZonedDayKey(entry.startedAt || entry.endedAt, options.timeZone);
+  let start = null;
+  for (let day = addDays(first, -1); options.from && day >= options.from; day = addDays(day, -1)) {
+    if (!qualifying.has(day) && !isRestDay(day)) {
+      start = day;
+      break;
+    }
+  }
+  if (options.from && !start) {
+    return null;
+  }
+  const next = copyStatistics(stats);
+  tallyEntry(next, entry, options);
+  const today = toZonedDayKey(options.now ?? Date.now(), options.timeZone);
+  const streaks = computeStreaks(
+    days.filter((day) => !start || day > start),
+    today,
+    isRestDay
+  );
+  return {
+    ...next,
+    currentStreak: streaks.currentStreak,
+    longestStreak: Math.max(next.longestStreak, streaks.longestStreak),
+  };
+}
+
+/**
+ * Derive interruption rates from statistics
+ * @param {Object} stats - Statistics from computeStatistics
+ * @returns {{perSession: number, perHour: number, interruptedShare: number}} Interruptions
+ *   per focus session and per focus hour, and the share of sessions with any (0 when there
+ *   is no focus time yet)
+ */
+export function getInterruptionRates(stats) {
+  const { internal = 0, external = 0, sessions = 0 } = stats?.interruptions ?? {};
+  const total = internal + external;
+  const focusSessions = stats?.totalSessions ?? 0;
+  const focusHours = (stats?.totalFocusTime ?? 0) / HOUR;
+  return {
+    perSession: focusSessions ? total / focusSessions : 0,
+    perHour: focusHours ? total / focusHours : 0,
+    interruptedShare: focusSessions ? sessions / focusSessions : 0,
+  };
+}
+
+/**
+ * Average the focus ratings tallied in statistics
+ * @param {Object} stats - Statistics from computeStatistics
+ * @returns {{overall: number|null, byMethod: Array<{methodKey: string, average: number,
+ *   rated: number}>, byHour: Array<{hour: number, average: number, rated: number}>}}
+ *   Averages over rated sessions (null overall when none are rated), methods by most rated
+ *   and hours in order
+ */
+export function getFocusQualityAverages(stats) {
+  const { byMethod = {}, byHour = {} } = stats?.focusQuality ?? {};
+  const methods = Object.entries(byMethod).map(([methodKey, { rated, total }]) => ({
+    methodKey,
+    average: total / rated,
+    rated,
+  }));
+  const hours = Object.entries(byHour).map(([hour, { rated, total }]) => ({
+    hour: Number(hour),
+    average: total / rated,
+    rated,
+  }));
+  const rated = methods.reduce((sum, method) => sum + method.rated, 0);
+  const total = Object.values(byMethod).reduce((sum, tally) => sum + tally.total, 0);
+  return {
+    overall: rated ? total / rated : null,
+    byMethod: methods.sort((a, b) => b.rated - a.rated),
+    byHour: hours.sort((a, b) => a.hour - b.hour),
+  };
+}
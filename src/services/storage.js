@@ -3,32 +3,152 @@
  * Thin wrapper around chrome.storage.local with type hints and error handling
  */
 
+import { SCHEMA_VERSION } from '../shared/constants.js';
 import { validateState, validateSettings } from './state.js';
+import { runMigrations, normalizeSchemaVersion, needsMigration } from './migrations.js';
 
 const STORAGE_KEYS = {
   STATE: 'state',
   SETTINGS: 'settings',
+  SCHEMA_VERSION: 'schemaVersion',
+  BACKUPS: 'storageBackups',
 };
 
+const MAX_BACKUPS = 10;
+
+let pendingMigration = null;
+let backupQueue = Promise.resolve();
+
+/**
+ * Bring stored data up to the current schemaVersion
+ * Concurrent callers share one run; the stored version is re-read on every call,
+ * so data restored from an older backup is migrated on the next load.
+ * @returns {Promise<{fromVersion: number, toVersion: number, applied: number[]}>}
+ * @throws {Error} If a migration fails (stored data is left untouched)
+ */
+export function ensureSchema() {
+  if (!pendingMigration) {
+    pendingMigration = migrateStorage().finally(() => {
+      pendingMigration = null;
+    });
+  }
+  return pendingMigration;
+}
+
+/**
+ * Run pending migrations against chrome.storage.local
+ * @returns {Promise<{fromVersion: number, toVersion: number, applied: number[]}>}
+ */
+async function migrateStorage() {
+  const stored = await chrome.storage.local.get([
+    STORAGE_KEYS.STATE,
+    STORAGE_KEYS.SETTINGS,
+    STORAGE_KEYS.SCHEMA_VERSION,
+  ]);
+  const fromVersion = normalizeSchemaVersion(stored[STORAGE_KEYS.SCHEMA_VERSION]);
+
+  if (fromVersion > SCHEMA_VERSION) {
+    console.warn(`Stored schemaVersion ${fromVersion} is newer than ${SCHEMA_VERSION}`);
+    return { fromVersion, toVersion: fromVersion, applied: [] };
+  }
+  if (!needsMigration(fromVersion)) {
+    return { fromVersion, toVersion: fromVersion, applied: [] };
+  }
+
+  const data = { state: stored[STORAGE_KEYS.STATE], settings: stored[STORAGE_KEYS.SETTINGS] };
+  const hasData = data.state !== undefined || data.settings !== undefined;
+  if (hasData) {
+    await backupData('migration', data, [], fromVersion);
+  }
+
+  const result = await runMigrations(data, fromVersion);
+  const updates = { [STORAGE_KEYS.SCHEMA_VERSION]: result.version };
+  if (result.data.state !== undefined) {
+    updates[STORAGE_KEYS.STATE] = result.data.state;
+  }
+  if (result.data.settings !== undefined) {
+    updates[STORAGE_KEYS.SETTINGS] = result.data.settings;
+  }
+  await chrome.storage.local.set(updates);
+  return { fromVersion, toVersion: result.version, applied: result.applied };
+}
+
+/**
+ * Keep a copy of stored data before it is migrated, repaired, or replaced by defaults
+ * Identical copies of the same key are stored once; the newest MAX_BACKUPS are kept.
+ * Writes are queued because state and settings are often loaded (and backed up) together.
+ * @param {string} reason - 'migration', or 'invalid-' / 'repaired-' followed by the storage key
+ * @param {*} data - Raw data being backed up
+ * @param {string[]} errors - Validation errors (if any)
+ * @param {number} schemaVersion - Version the data was stored with
+ * @returns {Promise<void>}
+ */
+function backupData(reason, data, errors = [], schemaVersion = SCHEMA_VERSION) {
+  const write = async () => {
+    const stored = await chrome.storage.local.get(STORAGE_KEYS.BACKUPS);
+    const backups = stored[STORAGE_KEYS.BACKUPS] ?? [];
+    const serialized = JSON.stringify(data);
+    if (
+      backups.some(
+        (backup) => backup.reason === reason && JSON.stringify(backup.data) === serialized
+      )
+    ) {
+      return;
+    }
+    const backup = { reason, errors, schemaVersion, savedAt: Date.now(), data };
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.BACKUPS]: [backup, ...backups].slice(0, MAX_BACKUPS),
+    });
+  };
+  const run = backupQueue.then(write, write);
+  backupQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * List backups taken before migrations, repairs, and default fallbacks, newest first
+ * @returns {Promise<Array>} Backups ({ reason, errors, schemaVersion, savedAt, data })
+ */
+export async function getBackups() {
+  const stored = await chrome.storage.local.get(STORAGE_KEYS.BACKUPS);
+  return stored[STORAGE_KEYS.BACKUPS] ?? [];
+}
+
+/**
+ * Check loaded data, repairing what can be repaired
+ * The original is backed up before a repaired copy is written back or defaults take over.
+ * @param {string} key - Storage key ('state' or 'settings')
+ * @param {Object} data - Stored value
+ * @param {Function} validate - validateState or validateSettings
+ * @returns {Promise<Object|undefined>} Valid (possibly repaired) data, or undefined
+ */
+async function repairLoaded(key, data, validate) {
+  const validation = validate(data, { repair: true });
+  if (!validation.valid) {
+    console.warn(`Invalid stored ${key} backed up, falling back to defaults:`, validation.errors);
+    await backupData(`invalid-${key}`, data, validation.errors);
+    return undefined;
+  }
+  if (validation.repairs.length) {
+    console.warn(`Repaired stored ${key}:`, validation.repairs);
+    await backupData(`repaired-${key}`, data, validation.repairs);
+    await chrome.storage.local.set({ [key]: validation.value });
+  }
+  return validation.value;
+}
+
 /**
  * Load state from chrome storage
- * @returns {Promise<Object>} Stored state object
- * @throws {Error} If storage read fails or state is invalid
+ * @returns {Promise<Object|undefined>} Stored state (repaired if needed), or undefined
+ * @throws {Error} If storage read fails
  */
 export async function loadState() {
   try {
+    await ensureSchema();
     const stored = await chrome.storage.local.get([STORAGE_KEYS.STATE]);
     const state = stored[STORAGE_KEYS.STATE];
 
-    if (state) {
-      const validation = validateState(state);
-      if (!validation.valid) {
-        console.warn('Invalid stored state, returning undefined:', validation.errors);
-        return undefined;
-      }
-    }
-
-    return state;
+    return state ? repairLoaded(STORAGE_KEYS.STATE, state, validateState) : state;
   } catch (error) {
     console.error('Error loading state from storage:', error);
     throw new Error(`Failed to load state: ${error.message}`);
@@ -37,23 +157,16 @@ export async function loadState() {
 
 /**
  * Load settings from chrome storage
- * @returns {Promise<Object>} Stored settings object
- * @throws {Error} If storage read fails or settings are invalid
+ * @returns {Promise<Object|undefined>} Stored settings (repaired if needed), or undefined
+ * @throws {Error} If storage read fails
  */
 export async function loadSettings() {
   try {
+    await ensureSchema();
     const stored = await chrome.storage.local.get([STORAGE_KEYS.SETTINGS]);
     const settings = stored[STORAGE_KEYS.SETTINGS];
 
-    if (settings) {
-      const validation = validateSettings(settings);
-      if (!validation.valid) {
-        console.warn('Invalid stored settings, returning undefined:', validation.errors);
-        return undefined;
-      }
-    }
-
-    return settings;
+    return settings ? repairLoaded(STORAGE_KEYS.SETTINGS, settings, validateSettings) : settings;
   } catch (error) {
     console.error('Error loading settings from storage:', error);
     throw new Error(`Failed to load settings: ${error.message}`);
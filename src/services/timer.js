@@ -3,17 +3,191 @@
  * Handles phase transitions, duration calculations, and cycle management
  */
 
-import { DEFAULT_METHODS } from '../shared/constants.js';
+import { getPhaseSequence, resolveMethod } from './methods.js';
+import { toZonedDayKey } from './calendar.js';
 
 /**
  * Get method configuration from settings or defaults
  * @param {string} methodKey - Method identifier
  * @param {Object} settings - Current user settings
+ * @param {Array} history - Recent history entries (optional); when given, phase lengths
+ *   planned from history are applied (see adaptMethod)
  * @returns {Object} Method configuration
  */
-export function getMethodConfig(methodKey, settings) {
-  const preset = settings.presets?.[methodKey];
-  return preset ?? DEFAULT_METHODS[methodKey] ?? DEFAULT_METHODS.pomodoro;
+export function getMethodConfig(methodKey, settings, history) {
+  const method = resolveMethod(methodKey, settings);
+  return history ? adaptMethod(method, history) : method;
+}
+
+/**
+ * Find the first focus phase of a method that runs for a set duration
+ * @param {Object} method - Method configuration
+ * @returns {Object|undefined} Phase declaration
+ */
+function getTimedFocusPhase(method) {
+  return getPhaseSequence(method).find((phase) => phase.kind === 'focus' && phase.minutes !== null);
+}
+
+/**
+ * Move an adaptive focus length on by one finished focus session
+ * Sessions completed without a pause grow the next block by a step, sessions that ended
+ * early (any status other than completed) shrink it, and paused sessions leave it as is.
+ * @param {number} minutes - Current focus length
+ * @param {Object} entry - Focus history entry (status, pauses)
+ * @param {Object} adaptive - Adaptive settings of the method
+ * @returns {number} Next focus length in minutes, within the adaptive bounds
+ */
+export function stepAdaptiveMinutes(minutes, entry, adaptive) {
+  const { stepMinutes, minMinutes, maxMinutes } = adaptive;
+  if ((entry.status ?? 'completed') !== 'completed') {
+    return Math.max(minMinutes, minutes - stepMinutes);
+  }
+  return entry.pauses ? minutes : Math.min(maxMinutes, minutes + stepMinutes);
+}
+
+/**
+ * Plan the focus length of an adaptive method from recent history
+ * Each day starts from the method's first timed focus phase, then replays the day's focus
+ * sessions of the method, oldest first.
+ * @param {Object} method - Method configuration
+ * @param {Array} history - Recent history entries
+ * @param {number} now - Current time (optional)
+ * @returns {number|null} Focus length in minutes, or null if the method is not adaptive
+ */
+export function getAdaptiveFocusMinutes(method, history = [], now = Date.now()) {
+  const start = getTimedFocusPhase(method);
+  if (!method?.adaptive || !start) {
+    return null;
+  }
+  const { minMinutes, maxMinutes } = method.adaptive;
+  const today = toZonedDayKey(now);
+  return history
+    .filter(
+      (entry) =>
+        entry.methodKey === method.key &&
+        isFocusEntry(entry) &&
+        toZonedDayKey(entry.startedAt) === today
+    )
+    .sort((a, b) => a.startedAt - b.startedAt)
+    .reduce(
+      (minutes, entry) => stepAdaptiveMinutes(minutes, entry, method.adaptive),
+      Math.min(maxMinutes, Math.max(minMinutes, start.minutes))
+    );
+}
+
+/**
+ * Suggest a break length for a flow session
+ * A ratio takes that share of the flow; a tier table picks the first tier the flow is
+ * shorter than (upToMinutes null has no upper bound).
+ * @param {{ratio?: number, tiers?: Array<{upToMinutes: number|null, breakMinutes: number}>}} rule
+ *   - flowBreak rule of the method
+ * @param {number} flowMs - Length of the flow session
+ * @returns {number} Break length in minutes
+ */
+export function suggestFlowBreakMinutes(rule, flowMs) {
+  const flowMinutes = flowMs / 60000;
+  if (rule.ratio !== undefined) {
+    return Math.max(1, Math.round(flowMinutes * rule.ratio));
+  }
+  const tiers = [...rule.tiers].sort(
+    (a, b) => (a.upToMinutes ?? Infinity) - (b.upToMinutes ?? Infinity)
+  );
+  const tier = tiers.find((item) => item.upToMinutes === null || flowMinutes < item.upToMinutes);
+  return (tier ?? tiers.at(-1)).breakMinutes;
+}
+
+/**
+ * Plan the break after a flow from the method's most recent focus session
+ * @param {Object} method - Method configuration
+ * @param {Array} history - Recent history entries
+ * @returns {number|null} Break length in minutes, or null without a flowBreak rule or a
+ *   recorded flow
+ */
+export function getFlowBreakMinutes(method, history = []) {
+  if (!method?.flowBreak) {
+    return null;
+  }
+  const latest = history
+    .filter((entry) => entry.methodKey === method.key && isFocusEntry(entry))
+    .reduce((last, entry) => (!last || entry.endedAt > last.endedAt ? entry : last), null);
+  return latest ? suggestFlowBreakMinutes(method.flowBreak, latest.durationMs) : null;
+}
+
+/**
+ * Check whether a phase is a timed break straight after an open-ended focus phase
+ * @param {Array} phases - Phase sequence
+ * @param {number} index - Position of the phase
+ * @returns {boolean}
+ */
+function isFlowBreak(phases, index) {
+  const previous = phases.at(index - 1);
+  return (
+    phases[index].kind === 'rest' &&
+    phases[index].minutes !== null &&
+    previous.kind === 'focus' &&
+    previous.minutes === null
+  );
+}
+
+/**
+ * Give a method the phase lengths planned from recent history: the focus length of an
+ * adaptive method, and the break after a flow for methods with a flowBreak rule
+ * @param {Object} method - Method configuration
+ * @param {Array} history - Recent history entries
+ * @param {number} now - Current time (optional)
+ * @returns {Object} Method configuration (unchanged if nothing is planned from history)
+ */
+export function adaptMethod(method, history, now) {
+  const focusMinutes = getAdaptiveFocusMinutes(method, history, now);
+  const breakMinutes = getFlowBreakMinutes(method, history);
+  if (focusMinutes === null && breakMinutes === null) {
+    return method;
+  }
+  const phases = getPhaseSequence(method);
+  return {
+    ...method,
+    phases: phases.map((phase, index) => {
+      if (focusMinutes !== null && phase.kind === 'focus' && phase.minutes !== null) {
+        return { ...phase, minutes: focusMinutes };
+      }
+      if (breakMinutes !== null && isFlowBreak(phases, index)) {
+        return { ...phase, minutes: breakMinutes };
+      }
+      return phase;
+    }),
+  };
+}
+
+/**
+ * Give every method in a map of resolved methods the phase lengths planned from history
+ * @param {Object} methods - Map of method key to configuration
+ * @param {Array} history - Recent history entries
+ * @returns {Object} Map of method key to configuration
+ */
+export function adaptMethods(methods, history) {
+  return Object.fromEntries(
+    Object.entries(methods).map(([key, method]) => [key, adaptMethod(method, history)])
+  );
+}
+
+/**
+ * Get the planned length of the next focus block of an adaptive method
+ * During a focus block this assumes the block completes as it is going.
+ * @param {Object} timer - Timer state
+ * @param {Object} method - Method configuration with its planned focus length applied
+ * @returns {number|null} Minutes, or null if the method is not adaptive
+ */
+export function getNextAdaptiveMinutes(timer, method) {
+  const planned = getTimedFocusPhase(method);
+  if (!method?.adaptive || !planned) {
+    return null;
+  }
+  const current = getCurrentPhase(timer, method);
+  const inProgress = timer.isRunning || timer.remainingMs > 0;
+  if (inProgress && current.kind === 'focus' && current.minutes !== null) {
+    return stepAdaptiveMinutes(planned.minutes, { pauses: timer.pauseCount }, method.adaptive);
+  }
+  return planned.minutes;
 }
 
 /**
@@ -44,61 +218,171 @@ export function msToSeconds(ms) {
 }
 
 /**
- * Compute duration for a given phase
- * @param {Object} method - Timer method config
- * @param {string} phase - Phase type ('work', 'break', 'longBreak')
- * @returns {number} Duration in milliseconds
+ * Find the declaration of a phase in a method's sequence
+ * Phase IDs may repeat in a sequence; the index picks the occurrence when it matches.
+ * @param {Object} method - Method configuration
+ * @param {string} phase - Phase ID
+ * @param {number} index - Position in the sequence (optional)
+ * @returns {Object|null} Phase declaration, or null if the method does not declare it
  */
-export function computePhaseDuration(method, phase) {
-  if (method.flexible) {
-    return 0;
+export function getPhaseDefinition(method, phase, index) {
+  const phases = getPhaseSequence(method);
+  if (Number.isInteger(index) && phases[index]?.id === phase) {
+    return phases[index];
   }
-  if (phase === 'longBreak') {
-    return msFromMinutes(method.longBreakMinutes);
+  return phases.find((item) => item.id === phase) ?? null;
+}
+
+/**
+ * Get the position of the timer's phase in its method's sequence
+ * Falls back to the first occurrence of the phase, then to the start of the sequence.
+ * @param {Object} timer - Timer state
+ * @param {Object} method - Method configuration
+ * @returns {number} Index into the phase sequence
+ */
+export function getPhaseIndex(timer, method) {
+  const phases = getPhaseSequence(method);
+  if (Number.isInteger(timer.phaseIndex) && phases[timer.phaseIndex]?.id === timer.phase) {
+    return timer.phaseIndex;
   }
-  if (phase === 'break') {
-    return msFromMinutes(method.shortBreakMinutes);
+  return Math.max(
+    0,
+    phases.findIndex((item) => item.id === timer.phase)
+  );
+}
+
+/**
+ * Get the declaration of the timer's current phase
+ * @param {Object} timer - Timer state
+ * @param {Object} method - Method configuration
+ * @returns {Object} Phase declaration
+ */
+export function getCurrentPhase(timer, method) {
+  return getPhaseSequence(method)[getPhaseIndex(timer, method)];
+}
+
+/**
+ * Compute duration for a given phase
+ * @param {Object} method - Timer method config
+ * @param {string} phase - Phase ID
+ * @param {number} index - Position in the sequence (optional)
+ * @returns {number} Duration in milliseconds (0 for open-ended phases)
+ */
+export function computePhaseDuration(method, phase, index) {
+  return msFromMinutes(getPhaseDefinition(method, phase, index)?.minutes ?? 0);
+}
+
+/**
+ * Compute how long the timer's current phase runs, including time added while it ran
+ * @param {Object} timer - Timer state
+ * @param {Object} method - Method configuration
+ * @returns {number} Duration in milliseconds (0 for open-ended phases)
+ */
+export function getTimerDuration(timer, method) {
+  const duration = computePhaseDuration(method, timer.phase, timer.phaseIndex);
+  return duration ? duration + (timer.extendedMs || 0) : 0;
+}
+
+/**
+ * Check whether a phase runs until the user ends it rather than for a set duration
+ * @param {Object} method - Method configuration
+ * @param {string} phase - Phase ID
+ * @param {number} index - Position in the sequence (optional)
+ * @returns {boolean} True if the phase declares no duration
+ */
+export function isOpenEndedPhase(method, phase, index) {
+  const definition = getPhaseDefinition(method, phase, index);
+  return !!definition && definition.minutes === null;
+}
+
+/**
+ * Find where the block closed by a repeating phase starts
+ * @param {Array} phases - Phase sequence
+ * @param {number} index - Index of the repeating phase
+ * @returns {number} Index of the first phase in the block
+ */
+function getBlockStart(phases, index) {
+  for (let i = index - 1; i >= 0; i -= 1) {
+    if ((phases[i].repeat ?? 1) > 1) {
+      return i + 1;
+    }
   }
-  return msFromMinutes(method.workMinutes);
+  return 0;
+}
+
+/**
+ * Get the timer fields that place a timer at the start of a method's sequence
+ * @param {Object} method - Method configuration
+ * @returns {{phase: string, phaseIndex: number, cycleCount: number}}
+ */
+export function getSequenceStart(method) {
+  return { phase: getPhaseSequence(method)[0].id, phaseIndex: 0, cycleCount: 0 };
 }
 
 /**
- * Determine the next phase in the cycle
+ * Determine the next phase in the sequence
+ * cycleCount counts the completed passes through the current block; a repeating phase sends
+ * the sequence back to the start of its block until the block has run `repeat` times.
  * @param {Object} timer - Timer state
  * @param {Object} method - Method configuration
- * @returns {{phase: string, longBreak: boolean}} Next phase info
+ * @returns {{phase: string, phaseIndex: number, cycleCount: number, kind: string}} Next phase
  */
 export function nextPhase(timer, method) {
-  if (method.flexible) {
-    return { phase: 'flow', longBreak: false };
-  }
-  if (timer.phase === 'work') {
-    const longBreakDue = (timer.cycleCount + 1) % (method.cyclesBeforeLongBreak || 4) === 0;
-    return { phase: longBreakDue ? 'longBreak' : 'break', longBreak: longBreakDue };
+  const phases = getPhaseSequence(method);
+  const index = getPhaseIndex(timer, method);
+  const repeat = phases[index].repeat ?? 1;
+  const passes = (timer.cycleCount ?? 0) + 1;
+  let phaseIndex = (index + 1) % phases.length;
+  let cycleCount = repeat > 1 || phaseIndex === 0 ? 0 : (timer.cycleCount ?? 0);
+  if (repeat > 1 && passes < repeat) {
+    phaseIndex = getBlockStart(phases, index);
+    cycleCount = passes;
   }
-  return { phase: 'work', longBreak: false };
+  const next = phases[phaseIndex];
+  return { phase: next.id, phaseIndex, cycleCount, kind: next.kind };
 }
 
+/**
+ * Labels for the built-in phase IDs, used when a method does not declare the phase
+ * (such as history from deleted methods)
+ */
+const PHASE_LABELS = {
+  work: 'Focus',
+  break: 'Break',
+  longBreak: 'Long Break',
+  flow: 'Flowtime',
+};
+
 /**
  * Get readable label for phase
- * @param {string} phase - Phase type
+ * @param {string} phase - Phase ID
  * @param {Object} method - Method configuration
+ * @param {number} index - Position in the sequence (optional)
  * @returns {string} Readable phase label
  */
-export function getPhaseLabel(phase, method) {
-  if (method?.flexible && phase === 'flow') {
-    return 'Flowtime';
-  }
-  if (phase === 'work') {
-    return 'Focus';
+export function getPhaseLabel(phase, method, index) {
+  return getPhaseDefinition(method, phase, index)?.label ?? PHASE_LABELS[phase] ?? phase;
+}
+
+/**
+ * Get whether a phase is for focus or rest
+ * Phases the method does not declare are classified by their built-in ID.
+ * @param {string} phase - Phase ID
+ * @param {Object} method - Method configuration (optional)
+ * @returns {string|null} 'focus', 'rest', or null if unknown
+ */
+export function getPhaseKind(phase, method) {
+  const declared = method ? getPhaseDefinition(method, phase)?.kind : undefined;
+  if (declared) {
+    return declared;
   }
-  if (phase === 'longBreak') {
-    return 'Long Break';
+  if (phase === 'work' || phase === 'flow') {
+    return 'focus';
   }
-  if (phase === 'break') {
-    return 'Break';
+  if (phase === 'break' || phase === 'longBreak') {
+    return 'rest';
   }
-  return phase;
+  return null;
 }
 
 /**
@@ -108,12 +392,12 @@ export function getPhaseLabel(phase, method) {
  * @returns {string} Status message
  */
 export function getPhaseStatus(timer, method) {
-  if (method?.flexible) {
+  if (isOpenEndedPhase(method, timer.phase, timer.phaseIndex)) {
     return timer.isRunning
       ? 'Flowtime running - end when you feel ready.'
       : 'Start flow and end to calculate break.';
   }
-  if (timer.phase === 'work') {
+  if (isWorkPhase(timer.phase, method)) {
     return 'Focus block in progress';
   }
   return 'Recharge break';
@@ -127,7 +411,7 @@ export function getPhaseStatus(timer, method) {
  * @returns {number} Progress from 0 to 1
  */
 export function computeProgress(timer, method, currentTimeMs) {
-  if (method?.flexible) {
+  if (isOpenEndedPhase(method, timer.phase, timer.phaseIndex)) {
     const flowRef = getFlowReferenceMs(method);
     const elapsed =
       currentTimeMs ??
@@ -137,7 +421,7 @@ export function computeProgress(timer, method, currentTimeMs) {
     return Math.max(0, Math.min(1, elapsed / flowRef));
   }
 
-  const duration = computePhaseDuration(method, timer.phase);
+  const duration = getTimerDuration(timer, method);
   if (duration <= 0) {
     return 0;
   }
@@ -161,7 +445,7 @@ export function computeProgress(timer, method, currentTimeMs) {
  * @returns {number} Remaining milliseconds
  */
 export function computeRemaining(timer, method) {
-  if (method?.flexible) {
+  if (isOpenEndedPhase(method, timer.phase, timer.phaseIndex)) {
     if (!timer.isRunning) {
       return timer.remainingMs || 0;
     }
@@ -173,10 +457,20 @@ export function computeRemaining(timer, method) {
   if (!timer.isRunning && timer.remainingMs) {
     return timer.remainingMs;
   }
-  return Math.max(
-    0,
-    timer.endTime ? timer.endTime - Date.now() : computePhaseDuration(timer, method)
-  );
+  return Math.max(0, timer.endTime ? timer.endTime - Date.now() : getTimerDuration(timer, method));
+}
+
+/**
+ * Compute how much of the current phase has run
+ * @param {Object} timer - Timer state
+ * @param {Object} method - Method configuration
+ * @returns {number} Elapsed milliseconds (0 before the phase starts)
+ */
+export function computeElapsed(timer, method) {
+  if (isOpenEndedPhase(method, timer.phase, timer.phaseIndex)) {
+    return computeRemaining(timer, method);
+  }
+  return Math.max(0, getTimerDuration(timer, method) - computeRemaining(timer, method));
 }
 
 /**
@@ -194,21 +488,33 @@ export function getFlowReferenceMs(method) {
 }
 
 /**
- * Check if phase is a work phase
- * @param {string} phase - Phase type
+ * Check if phase is a work (focus) phase
+ * @param {string} phase - Phase ID
+ * @param {Object} method - Method configuration (optional)
  * @returns {boolean} True if work phase
  */
-export function isWorkPhase(phase) {
-  return phase === 'work' || phase === 'flow';
+export function isWorkPhase(phase, method) {
+  return getPhaseKind(phase, method) === 'focus';
 }
 
 /**
- * Check if phase is a break phase
- * @param {string} phase - Phase type
+ * Check if phase is a break (rest) phase
+ * @param {string} phase - Phase ID
+ * @param {Object} method - Method configuration (optional)
  * @returns {boolean} True if break phase
  */
-export function isBreakPhase(phase) {
-  return phase === 'break' || phase === 'longBreak';
+export function isBreakPhase(phase, method) {
+  return getPhaseKind(phase, method) === 'rest';
+}
+
+/**
+ * Check if a history entry is a focus session
+ * Entries record the kind of their phase; older entries are classified by phase ID.
+ * @param {Object} entry - History entry
+ * @returns {boolean} True if the entry counts as focus
+ */
+export function isFocusEntry(entry) {
+  return entry.kind ? entry.kind === 'focus' : isWorkPhase(entry.phase);
 }
 
 /**
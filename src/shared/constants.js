@@ -4,82 +4,289 @@
 
 export const ALARM_NAME = 'flexifocus-timer';
 export const BADGE_ALARM = 'flexifocus-badge';
+export const ABANDON_ALARM = 'flexifocus-abandon';
+export const NEXT_TASK_NOTIFICATION = 'flexifocus-next-task';
+export const REFLECTION_NOTIFICATION = 'flexifocus-reflection:';
+export const PHASE_NOTIFICATION = 'flexifocus-phase';
+export const OFFSCREEN_DOCUMENT = 'src/offscreen/audio.html';
 
+/**
+ * Built-in methods, each declared as an ordered sequence of phases (see PHASE_KINDS and
+ * PHASE_END_BEHAVIORS). A phase with a repeat count above 1 closes a block: the phases since
+ * the previous repeating phase run that many times before the sequence moves on. A phase
+ * without minutes is open-ended and runs until the user ends it. After the last phase the
+ * sequence starts over. Methods with `adaptive` settings size their timed focus phases from
+ * the day's history instead of their declared minutes, which only set the starting length
+ * (see getAdaptiveFocusMinutes in services/timer.js). Methods with a `flowBreak` rule size a
+ * timed break that follows an open-ended focus phase from the length of the last flow, using
+ * either a ratio or a tier table (see suggestFlowBreakMinutes).
+ */
 export const DEFAULT_METHODS = {
   pomodoro: {
     key: 'pomodoro',
     label: 'Pomodoro',
-    workMinutes: 25,
-    shortBreakMinutes: 5,
-    longBreakMinutes: 15,
-    cyclesBeforeLongBreak: 4,
+    phases: [
+      { id: 'work', label: 'Focus', kind: 'focus', minutes: 25, repeat: 1, end: 'auto' },
+      { id: 'break', label: 'Break', kind: 'rest', minutes: 5, repeat: 3, end: 'auto' },
+      { id: 'work', label: 'Focus', kind: 'focus', minutes: 25, repeat: 1, end: 'auto' },
+      { id: 'longBreak', label: 'Long Break', kind: 'rest', minutes: 15, repeat: 1, end: 'auto' },
+    ],
+  },
+  progressive: {
+    key: 'progressive',
+    label: 'Progressive',
+    adaptive: { stepMinutes: 5, minMinutes: 10, maxMinutes: 50 },
+    phases: [
+      { id: 'work', label: 'Focus', kind: 'focus', minutes: 15, repeat: 1, end: 'auto' },
+      { id: 'break', label: 'Break', kind: 'rest', minutes: 5, repeat: 3, end: 'auto' },
+      { id: 'work', label: 'Focus', kind: 'focus', minutes: 15, repeat: 1, end: 'auto' },
+      { id: 'longBreak', label: 'Long Break', kind: 'rest', minutes: 15, repeat: 1, end: 'auto' },
+    ],
   },
   fiftyTwoSeventeen: {
     key: 'fiftyTwoSeventeen',
     label: '52 / 17',
-    workMinutes: 52,
-    shortBreakMinutes: 17,
-    longBreakMinutes: 17,
-    cyclesBeforeLongBreak: 1,
+    phases: [
+      { id: 'work', label: 'Focus', kind: 'focus', minutes: 52, repeat: 1, end: 'auto' },
+      { id: 'longBreak', label: 'Break', kind: 'rest', minutes: 17, repeat: 1, end: 'auto' },
+    ],
   },
   ultradian: {
     key: 'ultradian',
     label: 'Ultradian 90 / 20',
-    workMinutes: 90,
-    shortBreakMinutes: 20,
-    longBreakMinutes: 20,
-    cyclesBeforeLongBreak: 1,
+    phases: [
+      { id: 'work', label: 'Focus', kind: 'focus', minutes: 90, repeat: 1, end: 'auto' },
+      { id: 'longBreak', label: 'Break', kind: 'rest', minutes: 20, repeat: 1, end: 'auto' },
+    ],
   },
   flowtime: {
     key: 'flowtime',
     label: 'Flowtime',
-    flexible: true,
+    phases: [
+      { id: 'flow', label: 'Flowtime', kind: 'focus', minutes: null, repeat: 1, end: 'auto' },
+      { id: 'break', label: 'Break', kind: 'rest', minutes: 10, repeat: 1, end: 'auto' },
+    ],
     suggestedBreakMinutes: 10,
+    flowBreak: {
+      tiers: [
+        { upToMinutes: 25, breakMinutes: 5 },
+        { upToMinutes: 50, breakMinutes: 8 },
+        { upToMinutes: 90, breakMinutes: 10 },
+        { upToMinutes: null, breakMinutes: 15 },
+      ],
+    },
   },
   quick5: {
     key: 'quick5',
     label: 'Quick 5 Min',
-    workMinutes: 5,
-    shortBreakMinutes: 1,
-    longBreakMinutes: 1,
-    cyclesBeforeLongBreak: 1,
+    phases: [
+      { id: 'work', label: 'Focus', kind: 'focus', minutes: 5, repeat: 1, end: 'auto' },
+      { id: 'longBreak', label: 'Break', kind: 'rest', minutes: 1, repeat: 1, end: 'auto' },
+    ],
   },
   quick10: {
     key: 'quick10',
     label: 'Quick 10 Min',
-    workMinutes: 10,
-    shortBreakMinutes: 2,
-    longBreakMinutes: 2,
-    cyclesBeforeLongBreak: 1,
+    phases: [
+      { id: 'work', label: 'Focus', kind: 'focus', minutes: 10, repeat: 1, end: 'auto' },
+      { id: 'longBreak', label: 'Break', kind: 'rest', minutes: 2, repeat: 1, end: 'auto' },
+    ],
   },
   quick15: {
     key: 'quick15',
     label: 'Quick 15 Min',
-    workMinutes: 15,
-    shortBreakMinutes: 3,
-    longBreakMinutes: 3,
-    cyclesBeforeLongBreak: 1,
+    phases: [
+      { id: 'work', label: 'Focus', kind: 'focus', minutes: 15, repeat: 1, end: 'auto' },
+      { id: 'longBreak', label: 'Break', kind: 'rest', minutes: 3, repeat: 1, end: 'auto' },
+    ],
   },
   custom: {
     key: 'custom',
     label: 'Custom',
-    workMinutes: 30,
-    shortBreakMinutes: 5,
-    longBreakMinutes: 15,
-    cyclesBeforeLongBreak: 4,
+    phases: [
+      { id: 'work', label: 'Focus', kind: 'focus', minutes: 30, repeat: 1, end: 'auto' },
+      { id: 'break', label: 'Break', kind: 'rest', minutes: 5, repeat: 3, end: 'auto' },
+      { id: 'work', label: 'Focus', kind: 'focus', minutes: 30, repeat: 1, end: 'auto' },
+      { id: 'longBreak', label: 'Long Break', kind: 'rest', minutes: 15, repeat: 1, end: 'auto' },
+    ],
   },
 };
 
+/**
+ * Bounds applied when validating user-edited presets
+ */
+export const PRESET_LIMITS = {
+  labelMaxLength: 40,
+  minMinutes: 1,
+  maxMinutes: 600,
+  maxCycles: 12,
+  maxPhases: 12,
+  maxBreakTiers: 8,
+  minBreakRatio: 0.01,
+  maxBreakRatio: 1,
+};
+
+/**
+ * Phase kinds: focus phases count toward focus time, goals and blocking; rest phases are breaks
+ */
+export const PHASE_KINDS = ['focus', 'rest'];
+
+/**
+ * What happens when a phase ends
+ * auto: the next phase starts on its own when the auto-start setting for its kind is on
+ * continue: the next phase always starts right away
+ * wait: the next phase waits for the user to start it
+ */
+export const PHASE_END_BEHAVIORS = ['auto', 'continue', 'wait'];
+
+/**
+ * Phase IDs used by the built-in methods (custom sequences may declare their own), theme
+ * modes and history entry statuses accepted by state validation
+ */
+export const PHASES = ['work', 'break', 'longBreak', 'flow'];
+export const THEMES = ['system', 'light', 'dark'];
+export const HISTORY_STATUSES = ['completed', 'skipped', 'abandoned'];
+
+/**
+ * Break enforcement levels, from least to most strict
+ * gentle: reminder tab that closes any time
+ * countdown: reminder tab that cannot be dismissed until the break ends
+ * strict: countdown plus redirecting newly opened tabs to the break page
+ */
+export const BREAK_ENFORCEMENT_LEVELS = ['gentle', 'countdown', 'strict'];
+export const BREAK_PAGE = 'src/break.html';
+
+/**
+ * Focus-mode site blocking
+ * Patterns are hostnames; a leading '*.' matches subdomains only and '*' elsewhere
+ * matches any run of hostname characters. Allowlist patterns win over blocked ones.
+ */
+export const BLOCKED_PAGE = 'src/blocked.html';
+export const BLOCKLIST_LIMITS = {
+  maxPatterns: 500,
+  maxPatternLength: 253,
+};
+
+/**
+ * Storage schema version, bumped whenever a migration is added to services/migrations.js
+ */
+export const SCHEMA_VERSION = 6;
+
+/**
+ * Full backups (settings, presets, tasks, history, statistics) carry this format marker.
+ * Restoring merges into current data (existing ids win) or replaces it.
+ */
+export const BACKUP_FORMAT = 'flexifocus-backup';
+export const RESTORE_MODES = ['merge', 'replace'];
+
+/**
+ * Session history exports: one CSV row per entry, or one calendar event per work session
+ */
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  ics: { extension: 'ics', mimeType: 'text/calendar' },
+};
+
+/**
+ * Session history imports read the same formats (CSV through a column mapping).
+ * Reports list at most maxProblems rejected or duplicate rows; their counts are always complete.
+ */
+export const IMPORT_LIMITS = {
+  maxProblems: 100,
+};
+
+/**
+ * Reports page time buckets; weeks start on Monday
+ */
+export const REPORT_GRANULARITIES = ['day', 'week', 'month'];
+
+/**
+ * Focus goals: a target number of focus minutes or sessions per day or per week
+ * (weeks start on Monday). Daily goals may be limited to weekdays (0 = Sunday).
+ */
+export const GOAL_PERIODS = ['day', 'week'];
+export const GOAL_METRICS = ['minutes', 'sessions'];
+export const GOAL_LIMITS = { maxGoals: 10, maxTarget: 10000 };
+
+/**
+ * Task details: priorities from lowest to highest, and field limits
+ */
+export const TASK_PRIORITIES = ['none', 'low', 'medium', 'high'];
+export const TASK_LIMITS = {
+  notesMaxLength: 2000,
+  maxTags: 10,
+  tagMaxLength: 30,
+  projectMaxLength: 60,
+  maxSubtasks: 50,
+};
+
+/**
+ * What happens when the active task reaches its estimate
+ * auto: the next undone task in the queue becomes active
+ * ask: the next task is suggested (notification buttons and the popup) until answered
+ */
+export const TASK_ADVANCE_MODES = ['auto', 'ask'];
+
+/**
+ * Interruptions logged during a focus session
+ * internal: an urge of your own (a thought, checking mail); external: someone or something else
+ */
+export const INTERRUPTION_KINDS = ['internal', 'external'];
+export const INTERRUPTION_LIMITS = { noteMaxLength: 200, maxPerSession: 100 };
+
+/**
+ * Reflection after a focus session: a 1-5 focus rating and a short note
+ * Notifications allow two buttons, so they offer quick ratings; the popup takes any rating.
+ */
+export const REFLECTION_LIMITS = { minRating: 1, maxRating: 5, noteMaxLength: 280 };
+export const SKIP_LIMITS = { reasonMaxLength: 280 };
+export const REFLECTION_QUICK_RATINGS = [
+  { rating: 5, title: 'Focused (5/5)' },
+  { rating: 2, title: 'Distracted (2/5)' },
+];
+
+/**
+ * Extending a phase in progress: the amount added from the phase-end notification and the
+ * keyboard command, and the largest single extension
+ */
+export const PHASE_EXTENSION = { shortcutMinutes: 5, maxMinutes: 120 };
+
+/**
+ * Session history store
+ * Entries live in one storage key per local day ('history:YYYY-MM-DD'), newest first.
+ * The index maps each stored day to its entry count; state.history keeps only a recent cache.
+ */
+export const HISTORY_STORE = {
+  bucketPrefix: 'history:',
+  indexKey: 'historyIndex',
+  recentLimit: 50,
+  pageSize: 50,
+};
+
 export const DEFAULT_SETTINGS = {
   selectedMethod: 'pomodoro',
   presets: { ...DEFAULT_METHODS },
+  presetOrder: Object.keys(DEFAULT_METHODS),
   autoStartBreaks: true,
   autoStartWork: true,
+  taskAdvance: 'auto',
+  reflectionPrompt: false,
+  abandonAfterMinutes: 30,
+  countAbandoned: true,
   lockIn: false,
   notifications: true,
   sound: 'chime',
+  phaseSounds: { workEnd: 'default', breakEnd: 'default' },
   volume: 0.7,
+  ambientVolume: 0.3,
   breakEnforcement: false,
+  breakEnforcementLevel: 'gentle',
+  blocklist: {
+    enabled: false,
+    domains: [],
+    allowlist: [],
+  },
+  goals: [],
   badge: true,
   theme: 'system',
 };
@@ -92,24 +299,78 @@ export const DEFAULT_STATE = {
     startTime: 0,
     endTime: 0,
     remainingMs: 0,
+    phaseIndex: 0,
     cycleCount: 0,
+    pauseCount: 0,
+    extendedMs: 0,
     completedSessions: 0,
     activeTaskId: null,
+    nextTaskId: null,
+    interruptions: [],
+    pendingReflectionId: null,
   },
   tasks: [],
   history: [],
   statistics: {
     totalSessions: 0,
+    abandonedSessions: 0,
     totalFocusTime: 0,
     totalBreakTime: 0,
     longestSession: 0,
     currentStreak: 0,
     longestStreak: 0,
     lastSessionDate: null,
+    byMethod: {},
+    interruptions: { internal: 0, external: 0, sessions: 0 },
+    focusQuality: { byMethod: {}, byHour: {} },
   },
 };
 
+/**
+ * Completion sound profiles played by the offscreen audio document
+ * Single-note profiles use type/frequency/duration; sequences list notes played in order,
+ * each followed by an optional gap (seconds) and scaled by an optional gain (0-1)
+ */
 export const SOUNDS = {
-  chime: { type: 'triangle', frequency: 880, duration: 0.7 },
-  softBell: { type: 'sine', frequency: 660, duration: 0.9 },
+  chime: { label: 'Chime', type: 'triangle', frequency: 880, duration: 0.7 },
+  softBell: { label: 'Soft bell', type: 'sine', frequency: 660, duration: 0.9 },
+  rising: {
+    label: 'Rising triad',
+    notes: [
+      { type: 'sine', frequency: 523.25, duration: 0.22, gap: 0.04 },
+      { type: 'sine', frequency: 659.25, duration: 0.22, gap: 0.04 },
+      { type: 'sine', frequency: 783.99, duration: 0.6 },
+    ],
+  },
+  falling: {
+    label: 'Falling triad',
+    notes: [
+      { type: 'triangle', frequency: 783.99, duration: 0.22, gap: 0.04 },
+      { type: 'triangle', frequency: 659.25, duration: 0.22, gap: 0.04 },
+      { type: 'triangle', frequency: 523.25, duration: 0.6 },
+    ],
+  },
+  doubleBeep: {
+    label: 'Double beep',
+    notes: [
+      { type: 'square', frequency: 988, duration: 0.12, gap: 0.1, gain: 0.4 },
+      { type: 'square', frequency: 988, duration: 0.12, gain: 0.4 },
+    ],
+  },
+};
+
+/**
+ * Looping ambient soundscapes generated procedurally by the offscreen audio document
+ * Presets opt in with an `ambient` key; it plays only while a focus phase is running
+ */
+export const AMBIENT_SOUNDS = {
+  white: { label: 'White noise' },
+  pink: { label: 'Pink noise' },
+  brown: { label: 'Brown noise' },
+  rain: { label: 'Rain' },
+};
+
+export const AMBIENT_FADE = {
+  breakSeconds: 4,
+  stopSeconds: 0.5,
 };
@@ -27,8 +27,23 @@ export interface Task {
   estimate: number;
   completedSessions: number;
   done: boolean;
+  blocklist?: BlocklistOverride | null;
 }
 
+/**
+ * Focus-mode site blocklist
+ */
+export interface Blocklist {
+  enabled: boolean;
+  domains: string[];
+  allowlist: string[];
+}
+
+/**
+ * Per-method or per-task blocklist override; set fields replace the global ones
+ */
+export type BlocklistOverride = Partial<Blocklist>;
+
 /**
  * History entry structure
  */
@@ -40,6 +55,9 @@ export interface HistoryEntry {
   startedAt: number;
   endedAt: number;
   taskId: string | null;
+  status?: 'completed' | 'skipped' | 'abandoned';
+  skipReason?: string | null;
+  note?: string | null;
 }
 
 /**
@@ -56,14 +74,19 @@ export interface AppState {
  */
 export interface Settings {
   selectedMethod: string;
-  presets: Record<string, any>;
+  presets: Record<string, TimerMethod>;
+  presetOrder: string[];
   autoStartBreaks: boolean;
   autoStartWork: boolean;
   lockIn: boolean;
   notifications: boolean;
   sound: string;
+  phaseSounds: { workEnd: string; breakEnd: string };
   volume: number;
+  ambientVolume: number;
   breakEnforcement: boolean;
+  breakEnforcementLevel: 'gentle' | 'countdown' | 'strict';
+  blocklist: Blocklist;
   badge: boolean;
   theme: 'system' | 'light' | 'dark';
 }
@@ -80,6 +103,8 @@ export interface TimerMethod {
   cyclesBeforeLongBreak: number;
   flexible?: boolean;
   suggestedBreakMinutes?: number;
+  ambient?: 'none' | 'white' | 'pink' | 'brown' | 'rain';
+  blocklist?: BlocklistOverride | null;
 }
 
 /**
@@ -104,6 +129,10 @@ export interface StorageChange {
 export interface ValidationResult {
   valid: boolean;
   errors: string[];
+  /** Repaired copy (repair mode only) */
+  value?: any;
+  /** What repair mode fixed, path-qualified (repair mode only) */
+  repairs?: string[];
 }
 
 /**
@@ -2,30 +2,145 @@ const els = {
   autoWork: document.getElementById('auto-work'),
   autoBreaks: document.getElementById('auto-breaks'),
   lockIn: document.getElementById('lock-in'),
+  taskAdvance: document.getElementById('task-advance'),
+  reflectionPrompt: document.getElementById('reflection-prompt'),
+  abandonAfter: document.getElementById('abandon-after'),
+  countAbandoned: document.getElementById('count-abandoned'),
   notifications: document.getElementById('notifications'),
   breakEnforcement: document.getElementById('break-enforcement'),
+  breakLevel: document.getElementById('break-level'),
   sound: document.getElementById('sound'),
+  workEndSound: document.getElementById('work-end-sound'),
+  breakEndSound: document.getElementById('break-end-sound'),
+  testSoundButtons: document.querySelectorAll('[data-test-sound]'),
   volume: document.getElementById('volume'),
+  ambientVolume: document.getElementById('ambient-volume'),
   badge: document.getElementById('badge'),
-  customWork: document.getElementById('custom-work'),
-  customBreak: document.getElementById('custom-break'),
-  customLong: document.getElementById('custom-long'),
-  customCycles: document.getElementById('custom-cycles'),
+  presetList: document.getElementById('preset-list'),
+  presetNew: document.getElementById('preset-new'),
+  presetEditor: document.getElementById('preset-editor'),
+  presetEditorTitle: document.getElementById('preset-editor-title'),
+  presetLabel: document.getElementById('preset-label'),
+  presetPhases: document.getElementById('preset-phases'),
+  presetAddPhase: document.getElementById('preset-add-phase'),
+  presetFlexible: document.getElementById('preset-flexible'),
+  presetSuggested: document.getElementById('preset-suggested'),
+  presetFlowBreak: document.getElementById('preset-flow-break'),
+  presetFlowBreakMode: document.getElementById('preset-flow-break-mode'),
+  presetFlowRatioRow: document.getElementById('preset-flow-ratio-row'),
+  presetFlowRatio: document.getElementById('preset-flow-ratio'),
+  presetAmbient: document.getElementById('preset-ambient'),
+  presetSave: document.getElementById('preset-save'),
+  presetCancel: document.getElementById('preset-cancel'),
   theme: document.getElementById('theme'),
+  blocklistEnabled: document.getElementById('blocklist-enabled'),
+  blocklistDomains: document.getElementById('blocklist-domains'),
+  blocklistAllow: document.getElementById('blocklist-allow'),
+  blocklistLocked: document.getElementById('blocklist-locked'),
+  blocklistSave: document.getElementById('blocklist-save'),
+  presetBlocking: document.getElementById('preset-blocking'),
+  presetBlockSites: document.getElementById('preset-block-sites'),
+  presetBlockDomains: document.getElementById('preset-block-domains'),
+  historyFormat: document.getElementById('history-format'),
+  historyFrom: document.getElementById('history-from'),
+  historyTo: document.getElementById('history-to'),
+  historyPhase: document.getElementById('history-phase'),
+  historyExport: document.getElementById('history-export'),
+  sessionsFile: document.getElementById('sessions-file'),
+  sessionsMapping: document.getElementById('sessions-mapping'),
+  sessionsCheck: document.getElementById('sessions-check'),
+  sessionsImport: document.getElementById('sessions-import'),
+  sessionsReport: document.getElementById('sessions-report'),
+  goalList: document.getElementById('goal-list'),
+  goalTarget: document.getElementById('goal-target'),
+  goalMetric: document.getElementById('goal-metric'),
+  goalPeriod: document.getElementById('goal-period'),
+  goalWeekdays: document.getElementById('goal-weekdays'),
+  goalMethod: document.getElementById('goal-method'),
+  goalAdd: document.getElementById('goal-add'),
+  statsRebuild: document.getElementById('stats-rebuild'),
+  statsReport: document.getElementById('stats-report'),
+  exportData: document.getElementById('exportData'),
+  exportArea: document.getElementById('exportArea'),
+  importFile: document.getElementById('import-file'),
+  importMode: document.getElementById('import-mode'),
+  importPreview: document.getElementById('import-preview'),
+  importApply: document.getElementById('import-apply'),
+  importSummary: document.getElementById('import-summary'),
   save: document.getElementById('save'),
   status: document.getElementById('status'),
 };
 
 let settings = null;
+let timerState = null;
+let editing = null;
+let sessionFile = null;
+
+const MAPPING_LABELS = {
+  start: 'Start time',
+  end: 'End time',
+  duration: 'Duration',
+  phase: 'Phase',
+  method: 'Method',
+  task: 'Task',
+  id: 'Session id',
+  status: 'Status',
+  skipReason: 'Skip reason',
+  rating: 'Rating',
+  note: 'Note',
+};
 
 init();
 
 async function init() {
   const data = await chrome.runtime.sendMessage({ type: 'getState' });
   settings = data.settings;
+  timerState = data.state?.timer;
   populateForm(settings);
+  renderPresets(settings);
+  renderBlocklist(settings);
+  renderGoals();
   els.save.addEventListener('click', saveSettings);
+  els.blocklistSave.addEventListener('click', saveBlocklist);
+  els.historyExport.addEventListener('click', exportHistory);
+  els.sessionsFile.addEventListener('change', loadSessionFile);
+  els.sessionsMapping.addEventListener('change', resetSessionImport);
+  els.sessionsCheck.addEventListener('click', checkSessions);
+  els.sessionsImport.addEventListener('click', importSessions);
+  els.statsRebuild.addEventListener('click', rebuildStatistics);
+  els.goalPeriod.addEventListener('change', () =>
+    els.goalWeekdays.classList.toggle('hidden', els.goalPeriod.value !== 'day')
+  );
+  els.goalAdd.addEventListener('click', addGoal);
+  els.exportData.addEventListener('click', exportBackup);
+  els.importFile.addEventListener('change', loadImportFile);
+  els.exportArea.addEventListener('input', resetImport);
+  els.importMode.addEventListener('change', resetImport);
+  els.importPreview.addEventListener('click', previewImport);
+  els.importApply.addEventListener('click', applyImport);
+  els.presetBlocking.addEventListener('change', () =>
+    els.presetBlockSites.classList.toggle('hidden', els.presetBlocking.value !== 'custom')
+  );
   els.theme.addEventListener('change', () => applyTheme(els.theme.value));
+  els.presetNew.addEventListener('click', () => openEditor(null));
+  els.presetSave.addEventListener('click', savePreset);
+  els.presetCancel.addEventListener('click', closeEditor);
+  els.presetAddPhase.addEventListener('click', addPhase);
+  els.presetFlowBreakMode.addEventListener('change', toggleSuggestedBreak);
+  els.testSoundButtons.forEach((btn) =>
+    btn.addEventListener('click', () => testSound(btn.dataset.testSound))
+  );
+  chrome.runtime.onMessage.addListener((msg) => {
+    if (msg.type === 'stateUpdated' && msg.settings) {
+      const lockedBefore = isBlocklistLocked();
+      settings = msg.settings;
+      timerState = msg.state?.timer ?? timerState;
+      renderPresets(settings);
+      if (lockedBefore !== isBlocklistLocked()) {
+        renderBlocklist(settings);
+      }
+    }
+  });
   applyTheme(settings.theme || 'system');
 }
 
@@ -33,18 +148,746 @@ function populateForm(s) {
   els.autoWork.checked = !!s.autoStartWork;
   els.autoBreaks.checked = !!s.autoStartBreaks;
   els.lockIn.checked = !!s.lockIn;
+  els.taskAdvance.value = s.taskAdvance || 'auto';
+  els.reflectionPrompt.checked = !!s.reflectionPrompt;
+  els.abandonAfter.value = s.abandonAfterMinutes ?? 30;
+  els.countAbandoned.checked = s.countAbandoned !== false;
   els.notifications.checked = !!s.notifications;
   els.breakEnforcement.checked = !!s.breakEnforcement;
+  els.breakLevel.value = s.breakEnforcementLevel || 'gentle';
   els.badge.checked = !!s.badge;
   els.sound.value = s.sound || 'none';
+  els.workEndSound.value = s.phaseSounds?.workEnd || 'default';
+  els.breakEndSound.value = s.phaseSounds?.breakEnd || 'default';
   els.volume.value = s.volume ?? 0.7;
+  els.ambientVolume.value = s.ambientVolume ?? 0.3;
   els.theme.value = s.theme || 'system';
+}
+
+async function testSound(selectId) {
+  const choice = document.getElementById(selectId).value;
+  const sound = choice === 'default' ? els.sound.value : choice;
+  const res = await chrome.runtime.sendMessage({
+    type: 'testSound',
+    sound,
+    volume: Number(els.volume.value),
+  });
+  if (res?.error) {
+    showStatus(res.error);
+  } else if (!res?.played) {
+    showStatus('No sound selected');
+  }
+}
+
+function orderedPresets(s) {
+  const presets = s.presets || {};
+  const order = s.presetOrder || Object.keys(presets);
+  return order.filter((key) => presets[key]).map((key) => ({ ...presets[key], key }));
+}
+
+function describePreset(preset) {
+  const phases = (preset.phases || [])
+    .map((phase) => {
+      const length = phase.minutes === null ? 'open' : `${phase.minutes}m`;
+      return `${phase.label} ${length}${phase.repeat > 1 ? ` x${phase.repeat}` : ''}`;
+    })
+    .join(' → ');
+  const { adaptive, flowBreak } = preset;
+  if (adaptive) {
+    return `${phases} (focus ${adaptive.minMinutes}-${adaptive.maxMinutes}m, ±${adaptive.stepMinutes}m per session)`;
+  }
+  if (flowBreak) {
+    const rule =
+      flowBreak.ratio !== undefined
+        ? `${Math.round(flowBreak.ratio * 100)}% of the flow`
+        : 'sized by flow length';
+    return `${phases} (break ${rule})`;
+  }
+  return phases;
+}
+
+function renderPresets(s) {
+  const presets = orderedPresets(s);
+  els.presetList.innerHTML = '';
+  presets.forEach((preset, index) => {
+    const row = document.createElement('div');
+    row.className = 'preset-item';
+    row.setAttribute('role', 'listitem');
+    row.classList.toggle('selected', preset.key === s.selectedMethod);
+
+    const text = document.createElement('div');
+    const name = document.createElement('p');
+    name.className = 'preset-name';
+    name.textContent = preset.label;
+    const meta = document.createElement('div');
+    meta.className = 'preset-meta';
+    meta.textContent = describePreset(preset);
+    text.append(name, meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'preset-item-actions';
+    actions.append(
+      presetButton('↑', `Move ${preset.label} up`, index === 0, () => movePreset(index, -1)),
+      presetButton('↓', `Move ${preset.label} down`, index === presets.length - 1, () =>
+        movePreset(index, 1)
+      ),
+      presetButton('Edit', `Edit ${preset.label}`, false, () => openEditor(preset)),
+      presetButton('Clone', `Clone ${preset.label}`, false, () =>
+        sendPresetMessage({ type: 'clonePreset', key: preset.key })
+      ),
+      presetButton('Delete', `Delete ${preset.label}`, presets.length <= 1, () => {
+        if (confirm(`Delete "${preset.label}"?`)) {
+          sendPresetMessage({ type: 'deletePreset', key: preset.key });
+        }
+      })
+    );
+
+    row.append(text, actions);
+    els.presetList.append(row);
+  });
+  renderGoalForm(s);
+}
+
+function presetButton(label, ariaLabel, disabled, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn tiny';
+  btn.textContent = label;
+  btn.disabled = disabled;
+  btn.setAttribute('aria-label', ariaLabel);
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function movePreset(index, delta) {
+  const order = orderedPresets(settings).map((preset) => preset.key);
+  const target = index + delta;
+  if (target < 0 || target >= order.length) {
+    return;
+  }
+  [order[index], order[target]] = [order[target], order[index]];
+  sendPresetMessage({ type: 'reorderPresets', order });
+}
+
+function openEditor(preset) {
+  editing = preset;
+  const source = preset || { label: '', ...(settings?.presets?.custom || {}) };
+  els.presetEditorTitle.textContent = preset ? `Edit ${preset.label}` : 'New method';
+  els.presetLabel.value = preset ? preset.label : '';
+  els.presetPhases.innerHTML = '';
+  (source.phases || []).forEach((phase) => els.presetPhases.append(phaseRow(phase)));
+  els.presetSuggested.value = source.suggestedBreakMinutes ?? 10;
+  els.presetFlowBreakMode.value = source.flowBreak?.ratio !== undefined ? 'ratio' : 'tiers';
+  els.presetFlowRatio.value = Math.round((source.flowBreak?.ratio ?? 0.2) * 100);
+  els.presetAmbient.value = source.ambient || 'none';
+  els.presetBlocking.value = blockingMode(source.blocklist);
+  els.presetBlockDomains.value = (source.blocklist?.domains ?? []).join('\n');
+  els.presetBlockSites.classList.toggle('hidden', els.presetBlocking.value !== 'custom');
+  toggleSuggestedBreak();
+  els.presetEditor.classList.remove('hidden');
+  els.presetLabel.focus();
+}
+
+function closeEditor() {
+  editing = null;
+  els.presetEditor.classList.add('hidden');
+}
+
+async function savePreset() {
+  const preset = {
+    label: els.presetLabel.value.trim(),
+    ambient: els.presetAmbient.value,
+    blocklist: presetBlocklist(),
+  };
+  if (editing) {
+    preset.key = editing.key;
+  }
+  preset.phases = readPhases();
+  if (preset.phases.some((phase) => phase.minutes === null)) {
+    preset.suggestedBreakMinutes = Number(els.presetSuggested.value);
+    const flowBreak = readFlowBreak();
+    if (flowBreak) {
+      preset.flowBreak = flowBreak;
+    }
+  }
+  const ok = await sendPresetMessage({ type: 'savePreset', preset });
+  if (ok) {
+    closeEditor();
+  }
+}
+
+function phaseRow(phase) {
+  const row = document.createElement('div');
+  row.className = 'phase-row';
+  row.setAttribute('role', 'listitem');
+  row.dataset.phaseId = phase.id || '';
+
+  const label = document.createElement('input');
+  label.type = 'text';
+  label.maxLength = 40;
+  label.value = phase.label || '';
+  label.dataset.field = 'label';
+  label.setAttribute('aria-label', 'Phase name');
+
+  const kind = phaseSelect('kind', 'Phase kind', [
+    ['focus', 'Focus'],
+    ['rest', 'Rest'],
+  ]);
+  kind.value = phase.kind || 'focus';
+
+  const minutes = document.createElement('input');
+  minutes.type = 'number';
+  minutes.min = '1';
+  minutes.max = '600';
+  minutes.placeholder = 'Open';
+  minutes.value = phase.minutes ?? '';
+  minutes.dataset.field = 'minutes';
+  minutes.setAttribute('aria-label', 'Phase minutes, empty to end it yourself');
+  minutes.addEventListener('input', toggleSuggestedBreak);
+
+  const repeat = document.createElement('input');
+  repeat.type = 'number';
+  repeat.min = '1';
+  repeat.max = '12';
+  repeat.value = phase.repeat ?? 1;
+  repeat.dataset.field = 'repeat';
+  repeat.setAttribute('aria-label', 'Times the phase repeats');
+
+  const end = phaseSelect('end', 'When the phase ends', [
+    ['auto', 'Auto-start setting'],
+    ['continue', 'Start next'],
+    ['wait', 'Wait for me'],
+  ]);
+  end.value = phase.end || 'auto';
+
+  row.append(
+    label,
+    kind,
+    minutes,
+    repeat,
+    end,
+    presetButton('↑', 'Move phase up', false, () => movePhase(row, -1)),
+    presetButton('↓', 'Move phase down', false, () => movePhase(row, 1)),
+    presetButton('Remove', 'Remove phase', false, () => {
+      row.remove();
+      toggleSuggestedBreak();
+    })
+  );
+  return row;
+}
+
+function phaseSelect(field, ariaLabel, options) {
+  const select = document.createElement('select');
+  select.dataset.field = field;
+  select.setAttribute('aria-label', ariaLabel);
+  options.forEach(([value, text]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = text;
+    select.append(opt);
+  });
+  return select;
+}
+
+function movePhase(row, delta) {
+  const sibling = delta < 0 ? row.previousElementSibling : row.nextElementSibling;
+  if (sibling) {
+    sibling.insertAdjacentElement(delta < 0 ? 'beforebegin' : 'afterend', row);
+  }
+}
+
+function addPhase() {
+  els.presetPhases.append(
+    phaseRow({ label: '', kind: 'focus', minutes: 25, repeat: 1, end: 'auto' })
+  );
+  toggleSuggestedBreak();
+}
+
+function readPhases() {
+  return [...els.presetPhases.children].map((row) => {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`).value;
+    const label = field('label').trim();
+    return {
+      id: row.dataset.phaseId || phaseId(label),
+      label,
+      kind: field('kind'),
+      minutes: field('minutes') === '' ? null : Number(field('minutes')),
+      repeat: Number(field('repeat')),
+      end: field('end'),
+    };
+  });
+}
+
+function phaseId(label) {
+  const words = label.toLowerCase().match(/[a-z0-9]+/g) || ['phase'];
+  return words.map((word, i) => (i ? word[0].toUpperCase() + word.slice(1) : word)).join('');
+}
+
+function toggleSuggestedBreak() {
+  const openEnded = [...els.presetPhases.querySelectorAll('[data-field="minutes"]')].some(
+    (input) => input.value === ''
+  );
+  els.presetFlexible.classList.toggle('hidden', !openEnded);
+  els.presetFlowBreak.classList.toggle('hidden', !openEnded);
+  els.presetFlowRatioRow.classList.toggle(
+    'hidden',
+    !openEnded || els.presetFlowBreakMode.value !== 'ratio'
+  );
+}
+
+function readFlowBreak() {
+  if (els.presetFlowBreakMode.value === 'ratio') {
+    return { ratio: Number(els.presetFlowRatio.value) / 100 };
+  }
+  const tiers = editing?.flowBreak?.tiers || settings?.presets?.flowtime?.flowBreak?.tiers;
+  return tiers ? { tiers } : null;
+}
+
+function blockingMode(blocklist) {
+  if (!blocklist) {
+    return 'inherit';
+  }
+  return blocklist.enabled === false ? 'off' : 'custom';
+}
+
+function presetBlocklist() {
+  const mode = els.presetBlocking.value;
+  if (mode === 'off') {
+    return { enabled: false };
+  }
+  if (mode === 'custom') {
+    return { enabled: true, domains: splitLines(els.presetBlockDomains.value) };
+  }
+  return null;
+}
+
+function splitLines(text) {
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+function isBlocklistLocked() {
+  const phases = settings?.presets?.[timerState?.methodKey]?.phases || [];
+  const phase = phases.find((item) => item.id === timerState?.phase);
+  const focusPhase = phase
+    ? phase.kind === 'focus'
+    : timerState?.phase === 'work' || timerState?.phase === 'flow';
+  const focusRunning = !!timerState?.isRunning && focusPhase;
+  return !!settings?.lockIn && focusRunning;
+}
+
+function renderBlocklist(s) {
+  const blocklist = s.blocklist || {};
+  const locked = isBlocklistLocked();
+  els.blocklistEnabled.checked = !!blocklist.enabled;
+  els.blocklistDomains.value = (blocklist.domains || []).join('\n');
+  els.blocklistAllow.value = (blocklist.allowlist || []).join('\n');
+  [els.blocklistEnabled, els.blocklistDomains, els.blocklistAllow, els.blocklistSave].forEach(
+    (el) => {
+      el.disabled = locked;
+    }
+  );
+  els.blocklistLocked.classList.toggle('hidden', !locked);
+}
+
+async function saveBlocklist() {
+  const res = await chrome.runtime.sendMessage({
+    type: 'updateBlocklist',
+    blocklist: {
+      enabled: els.blocklistEnabled.checked,
+      domains: splitLines(els.blocklistDomains.value),
+      allowlist: splitLines(els.blocklistAllow.value),
+    },
+  });
+  if (res?.error) {
+    showStatus(res.error);
+    return;
+  }
+  settings = { ...settings, blocklist: res.blocklist };
+  renderBlocklist(settings);
+  showStatus('Blocklist saved');
+}
+
+function renderGoalForm(s) {
+  const current = els.goalMethod.value;
+  els.goalMethod.innerHTML = '';
+  const any = document.createElement('option');
+  any.value = '';
+  any.textContent = 'Any method';
+  els.goalMethod.append(any);
+  orderedPresets(s).forEach((preset) => {
+    const option = document.createElement('option');
+    option.value = preset.key;
+    option.textContent = preset.label;
+    els.goalMethod.append(option);
+  });
+  els.goalMethod.value = current;
+}
+
+async function renderGoals() {
+  const res = await chrome.runtime.sendMessage({ type: 'getGoalProgress' });
+  const goals = res?.goals || [];
+  els.goalList.innerHTML = '';
+  if (!goals.length) {
+    const empty = document.createElement('p');
+    empty.className = 'muted';
+    empty.textContent = 'No goals yet.';
+    els.goalList.append(empty);
+  }
+  goals.forEach((goal) => {
+    const row = document.createElement('div');
+    row.className = 'preset-item';
+    row.setAttribute('role', 'listitem');
+    const text = document.createElement('div');
+    const name = document.createElement('p');
+    name.className = 'preset-name';
+    name.textContent = goal.label.charAt(0).toUpperCase() + goal.label.slice(1);
+    const meta = document.createElement('div');
+    meta.className = 'preset-meta';
+    const unit = goal.metric === 'sessions' ? ' sessions' : ' min';
+    const when = goal.period === 'week' ? 'this week' : 'today';
+    meta.textContent = goal.applies
+      ? `${goal.value} of ${goal.target}${unit} ${when}${goal.met ? ' - met' : ''}`
+      : 'No target today';
+    text.append(name, meta);
+    row.append(
+      text,
+      presetButton('Remove', `Remove goal: ${goal.label}`, false, () => removeGoal(goal.id))
+    );
+    els.goalList.append(row);
+  });
+}
 
-  const custom = (s.presets && s.presets.custom) || {};
-  els.customWork.value = custom.workMinutes ?? 30;
-  els.customBreak.value = custom.shortBreakMinutes ?? custom.breakMinutes ?? 5;
-  els.customLong.value = custom.longBreakMinutes ?? 15;
-  els.customCycles.value = custom.cyclesBeforeLongBreak ?? 4;
+async function saveGoals(goals, message) {
+  const res = await chrome.runtime.sendMessage({ type: 'updateGoals', goals });
+  if (res?.error) {
+    showStatus(res.error);
+    return;
+  }
+  settings = { ...settings, goals: res.goals };
+  await renderGoals();
+  showStatus(message);
+}
+
+function addGoal() {
+  const metric = els.goalMetric.value;
+  const amount = Number(els.goalTarget.value) || 0;
+  const weekdays = [...els.goalWeekdays.querySelectorAll('input:checked')].map((input) =>
+    Number(input.value)
+  );
+  const goal = {
+    period: els.goalPeriod.value,
+    metric,
+    target: metric === 'minutes' ? Math.round(amount * 60) : Math.round(amount),
+    methodKey: els.goalMethod.value || null,
+    weekdays: weekdays.length === 7 ? [] : weekdays,
+  };
+  saveGoals([...(settings.goals || []), goal], 'Goal added');
+}
+
+function removeGoal(id) {
+  saveGoals(
+    (settings.goals || []).filter((goal) => goal.id !== id),
+    'Goal removed'
+  );
+}
+
+async function sendPresetMessage(message) {
+  const res = await chrome.runtime.sendMessage(message);
+  if (res?.error) {
+    showStatus(res.error);
+    return false;
+  }
+  const data = await chrome.runtime.sendMessage({ type: 'getState' });
+  settings = data.settings;
+  renderPresets(settings);
+  showStatus('Saved');
+  return true;
+}
+
+async function exportBackup() {
+  const res = await chrome.runtime.sendMessage({ type: 'createBackup' });
+  if (!res?.backup) {
+    showStatus(res?.error || 'Export failed');
+    return;
+  }
+  const json = JSON.stringify(res.backup, null, 2);
+  els.exportArea.value = json;
+  resetImport();
+  downloadFile(
+    `flexifocus-backup-${new Date().toISOString().split('T')[0]}.json`,
+    json,
+    'application/json'
+  );
+  showStatus('Backup exported');
+}
+
+async function exportHistory() {
+  const res = await chrome.runtime.sendMessage({
+    type: 'exportHistory',
+    format: els.historyFormat.value,
+    from: els.historyFrom.value || undefined,
+    to: els.historyTo.value || undefined,
+    phase: els.historyPhase.value || undefined,
+  });
+  if (!res?.ok) {
+    showStatus(res?.error || 'Export failed');
+    return;
+  }
+  downloadFile(res.filename, res.content, res.mimeType);
+  showStatus(`Exported ${res.count} session${res.count === 1 ? '' : 's'}`);
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+async function loadImportFile() {
+  const file = els.importFile.files?.[0];
+  if (!file) {
+    return;
+  }
+  els.exportArea.value = await file.text();
+  resetImport();
+}
+
+function resetImport() {
+  els.importApply.classList.add('hidden');
+  showImportLines([]);
+}
+
+function showImportLines(lines, list = els.importSummary) {
+  list.replaceChildren(
+    ...lines.map((line) => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      return item;
+    })
+  );
+  list.classList.toggle('hidden', !lines.length);
+}
+
+async function loadSessionFile() {
+  const file = els.sessionsFile.files?.[0];
+  sessionFile = file
+    ? {
+        format: /\.ics$/i.test(file.name) || file.type === 'text/calendar' ? 'ics' : 'csv',
+        content: await file.text(),
+      }
+    : null;
+  els.sessionsMapping.replaceChildren();
+  els.sessionsMapping.classList.add('hidden');
+  resetSessionImport();
+}
+
+function resetSessionImport() {
+  els.sessionsImport.classList.add('hidden');
+  showImportLines([], els.sessionsReport);
+}
+
+function renderMapping(report) {
+  const columnSelect = (name, selected) => {
+    const select = document.createElement('select');
+    select.dataset.field = name;
+    select.append(new Option('(not in file)', ''));
+    report.columns.forEach((column) => select.append(new Option(column, column)));
+    select.value = selected ?? '';
+    return select;
+  };
+  const row = (text, control) => {
+    const label = document.createElement('label');
+    label.className = 'row';
+    const span = document.createElement('span');
+    span.textContent = text;
+    control.setAttribute('aria-label', `${text} column`);
+    label.append(span, control);
+    return label;
+  };
+  const unit = document.createElement('select');
+  unit.dataset.field = 'durationUnit';
+  ['minutes', 'seconds', 'hours', 'ms'].forEach((value) => unit.append(new Option(value, value)));
+  unit.value = report.mapping.durationUnit;
+  els.sessionsMapping.replaceChildren(
+    ...Object.entries(MAPPING_LABELS).map(([field, text]) =>
+      row(text, columnSelect(field, report.mapping[field]))
+    ),
+    row('Duration unit', unit)
+  );
+  els.sessionsMapping.classList.remove('hidden');
+}
+
+function readMapping() {
+  const selects = els.sessionsMapping.querySelectorAll('select');
+  if (!selects.length) {
+    return undefined;
+  }
+  return Object.fromEntries([...selects].map((select) => [select.dataset.field, select.value]));
+}
+
+function sendSessions(dryRun) {
+  return chrome.runtime.sendMessage({
+    type: 'importHistory',
+    format: sessionFile.format,
+    content: sessionFile.content,
+    mapping: sessionFile.format === 'csv' ? readMapping() : undefined,
+    dryRun,
+  });
+}
+
+function reportLines(report) {
+  const lines = [`${report.accepted} of ${report.total} sessions can be imported`];
+  if (report.rejected) {
+    lines.push(`${report.rejected} rejected`);
+  }
+  if (report.duplicates) {
+    lines.push(`${report.duplicates} already imported`);
+  }
+  return [...lines, ...report.errors, ...report.problems];
+}
+
+async function checkSessions() {
+  resetSessionImport();
+  if (!sessionFile) {
+    showImportLines(['Choose a CSV or .ics file first'], els.sessionsReport);
+    return;
+  }
+  const res = await sendSessions(true);
+  if (res?.error) {
+    showImportLines([res.error], els.sessionsReport);
+    return;
+  }
+  if (res.report.columns) {
+    renderMapping(res.report);
+  }
+  showImportLines(reportLines(res.report), els.sessionsReport);
+  els.sessionsImport.classList.toggle(
+    'hidden',
+    res.report.errors.length > 0 || !res.report.accepted
+  );
+}
+
+async function importSessions() {
+  const res = await sendSessions(false);
+  els.sessionsImport.classList.add('hidden');
+  if (res?.error) {
+    showImportLines([res.error], els.sessionsReport);
+    return;
+  }
+  const count = res.report.accepted;
+  showImportLines([`Imported ${count} session${count === 1 ? '' : 's'}`], els.sessionsReport);
+  showStatus('Sessions imported');
+}
+
+async function rebuildStatistics() {
+  const res = await chrome.runtime.sendMessage({ type: 'rebuildStatistics' });
+  if (!res?.statistics) {
+    showImportLines([res?.error || 'Rebuild failed'], els.statsReport);
+    return;
+  }
+  const stats = res.statistics;
+  const hours = Math.round(stats.totalFocusTime / 360000) / 10;
+  showImportLines(
+    [
+      `Focus sessions: ${stats.totalSessions} (${hours} h)`,
+      `Current streak: ${stats.currentStreak} day${stats.currentStreak === 1 ? '' : 's'}`,
+      `Longest streak: ${stats.longestStreak} day${stats.longestStreak === 1 ? '' : 's'}`,
+    ],
+    els.statsReport
+  );
+  showStatus('Statistics rebuilt');
+}
+
+function describeCounts(label, counts) {
+  const parts = [`${counts.added} new`];
+  if (counts.updated) {
+    parts.push(`${counts.updated} updated`);
+  }
+  if (counts.conflicts) {
+    parts.push(`${counts.conflicts} kept as they are here`);
+  }
+  if (counts.removed) {
+    parts.push(`${counts.removed} removed`);
+  }
+  if (counts.unchanged) {
+    parts.push(`${counts.unchanged} unchanged`);
+  }
+  return `${label}: ${parts.join(', ')}`;
+}
+
+function previewLines(preview) {
+  const exported = preview.source.exportedAt
+    ? new Date(preview.source.exportedAt).toLocaleString()
+    : 'an unknown date';
+  const skipped = preview.skipped.slice(0, 10).map((message) => `Skipped: ${message}`);
+  if (preview.skipped.length > skipped.length) {
+    skipped.push(`...and ${preview.skipped.length - skipped.length} more skipped`);
+  }
+  return [
+    `Backup from ${exported} (schema v${preview.source.schemaVersion})`,
+    describeCounts('Tasks', preview.tasks),
+    describeCounts('Sessions', preview.history),
+    describeCounts('Methods', preview.presets),
+    preview.settings.changed.length
+      ? `Settings changed: ${preview.settings.changed.join(', ')}`
+      : 'Settings: unchanged',
+    `Statistics: ${preview.statistics}`,
+    ...skipped,
+  ];
+}
+
+async function previewImport() {
+  resetImport();
+  const res = await chrome.runtime.sendMessage({
+    type: 'previewRestore',
+    backup: els.exportArea.value,
+    mode: els.importMode.value,
+  });
+  if (res?.error) {
+    showImportLines([res.error]);
+    return;
+  }
+  showImportLines(previewLines(res.preview));
+  els.importApply.classList.remove('hidden');
+}
+
+async function applyImport() {
+  const mode = els.importMode.value;
+  if (mode === 'replace' && !confirm('Replace your current data with this backup?')) {
+    return;
+  }
+  const res = await chrome.runtime.sendMessage({
+    type: 'restoreBackup',
+    backup: els.exportArea.value,
+    mode,
+  });
+  if (res?.error) {
+    showImportLines([res.error]);
+    els.importApply.classList.add('hidden');
+    return;
+  }
+  resetImport();
+  const data = await chrome.runtime.sendMessage({ type: 'getState' });
+  settings = data.settings;
+  timerState = data.state?.timer;
+  populateForm(settings);
+  renderPresets(settings);
+  renderBlocklist(settings);
+  applyTheme(settings.theme || 'system');
+  showStatus('Backup restored');
+}
+
+function showStatus(text) {
+  els.status.textContent = text;
+  setTimeout(() => {
+    els.status.textContent = '';
+  }, 1800);
 }
 
 async function saveSettings() {
@@ -52,30 +895,30 @@ async function saveSettings() {
     autoStartWork: els.autoWork.checked,
     autoStartBreaks: els.autoBreaks.checked,
     lockIn: els.lockIn.checked,
+    taskAdvance: els.taskAdvance.value,
+    reflectionPrompt: els.reflectionPrompt.checked,
+    abandonAfterMinutes: Math.min(
+      1440,
+      Math.max(0, Math.round(Number(els.abandonAfter.value) || 0))
+    ),
+    countAbandoned: els.countAbandoned.checked,
     notifications: els.notifications.checked,
     breakEnforcement: els.breakEnforcement.checked,
+    breakEnforcementLevel: els.breakLevel.value,
     badge: els.badge.checked,
     sound: els.sound.value === 'none' ? '' : els.sound.value,
+    phaseSounds: {
+      workEnd: els.workEndSound.value,
+      breakEnd: els.breakEndSound.value,
+    },
     volume: Number(els.volume.value) || 0.7,
+    ambientVolume: Number(els.ambientVolume.value),
     theme: els.theme.value || 'system',
-    presets: {
-      ...(settings?.presets || {}),
-      custom: {
-        ...(settings?.presets?.custom || {}),
-        workMinutes: Number(els.customWork.value) || 30,
-        shortBreakMinutes: Number(els.customBreak.value) || 5,
-        longBreakMinutes: Number(els.customLong.value) || 15,
-        cyclesBeforeLongBreak: Number(els.customCycles.value) || 4,
-      },
-    },
   };
 
   await chrome.runtime.sendMessage({ type: 'updateSettings', settings: payload });
   applyTheme(payload.theme);
-  els.status.textContent = 'Saved';
-  setTimeout(() => {
-    els.status.textContent = '';
-  }, 1800);
+  showStatus('Saved');
 }
 
 function applyTheme(theme) {
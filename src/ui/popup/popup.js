@@ -5,6 +5,17 @@
 
 import { formatTime, formatDuration, capitalize } from '../../shared/utils.js';
 import * as timerLogic from '../../services/timer.js';
+import {
+  getOrderedPresets,
+  orderTasks,
+  filterTasks,
+  getTaskFacets,
+  getTaskCompletionPercentage,
+  countInterruptions,
+} from '../../services/state.js';
+import { toDayKey } from '../../services/history.js';
+import { getInterruptionRates, getFocusQualityAverages } from '../../services/statistics.js';
+import { TASK_PRIORITIES } from '../../shared/constants.js';
 
 /**
  * DOM element references with safe getters
@@ -17,16 +28,41 @@ const els = {
   primary: document.getElementById('primary'),
   secondary: document.getElementById('secondary'),
   flowComplete: document.getElementById('flow-complete'),
+  phaseControls: document.getElementById('phase-controls'),
+  extendControls: document.querySelectorAll('.extend-control'),
+  extendButtons: document.querySelectorAll('[data-extend]'),
+  extendMinutes: document.getElementById('extend-minutes'),
+  extendCustom: document.getElementById('extend-custom'),
+  skipPhase: document.getElementById('skip-phase'),
   status: document.getElementById('status'),
+  nextBlock: document.getElementById('next-block'),
+  goals: document.getElementById('goals'),
   taskList: document.getElementById('task-list'),
   taskForm: document.getElementById('task-form'),
   taskTitle: document.getElementById('task-title'),
   taskEstimate: document.getElementById('task-estimate'),
+  interruptions: document.getElementById('interruptions'),
+  interruptionNote: document.getElementById('interruption-note'),
+  interruptionButtons: document.querySelectorAll('[data-interruption]'),
+  interruptionCount: document.getElementById('interruption-count'),
+  reflection: document.getElementById('reflection'),
+  reflectionNote: document.getElementById('reflection-note'),
+  reflectionSkip: document.getElementById('reflection-skip'),
+  focusQuality: document.getElementById('focus-quality'),
+  nextTask: document.getElementById('next-task'),
+  nextTaskText: document.getElementById('next-task-text'),
+  nextTaskAccept: document.getElementById('next-task-accept'),
+  nextTaskDecline: document.getElementById('next-task-decline'),
+  taskFilters: document.getElementById('task-filters'),
+  taskFilterTag: document.getElementById('task-filter-tag'),
+  taskFilterProject: document.getElementById('task-filter-project'),
   history: document.getElementById('history'),
+  historyMore: document.getElementById('history-more'),
   refresh: document.getElementById('refresh'),
   themeToggle: document.getElementById('theme-toggle'),
   stats: document.getElementById('stats'),
   exportData: document.getElementById('export-data'),
+  exportFormat: document.getElementById('export-format'),
   shortcutsHelp: document.getElementById('shortcuts-help'),
   shortcutsModal: document.getElementById('shortcuts-modal'),
   closeModal: document.getElementById('close-modal'),
@@ -64,6 +100,15 @@ let appState = {
 
 let ticker = null;
 
+let taskFilters = { tag: '', project: '' };
+let editingTaskId = null;
+let draggedTaskId = null;
+const expandedTaskIds = new Set();
+let completionPromptTaskId = null;
+const expandedHistoryIds = new Set();
+const HISTORY_PAGE_SIZE = 6;
+let historyPage = null;
+
 init();
 
 /**
@@ -81,6 +126,8 @@ function init() {
           methods: msg.methods,
         };
         render();
+        fetchGoals();
+        fetchHistory();
       }
     });
 
@@ -102,7 +149,23 @@ function init() {
     els.flowComplete?.addEventListener('click', () =>
       chrome.runtime.sendMessage({ type: 'completeFlowtime' })
     );
+    els.extendButtons.forEach((button) => {
+      button.addEventListener('click', () => extendPhase(Number(button.dataset.extend)));
+    });
+    els.extendCustom?.addEventListener('click', async () => {
+      const res = await extendPhase(Number(els.extendMinutes.value));
+      if (res?.ok) {
+        els.extendMinutes.value = '';
+      }
+    });
+    els.skipPhase?.addEventListener('click', async () => {
+      const res = await chrome.runtime.sendMessage({ type: 'skipPhase' });
+      if (res?.error) {
+        els.status.textContent = res.error;
+      }
+    });
     els.refresh?.addEventListener('click', fetchState);
+    els.historyMore?.addEventListener('click', loadMoreHistory);
     els.themeToggle?.addEventListener('click', toggleTheme);
     els.exportData?.addEventListener('click', exportData);
     els.shortcutsHelp?.addEventListener('click', showShortcuts);
@@ -127,6 +190,53 @@ function init() {
       els.taskEstimate.value = 1;
       fetchState();
     });
+
+    els.interruptionButtons.forEach((button) => {
+      button.addEventListener('click', async () => {
+        const res = await chrome.runtime.sendMessage({
+          type: 'logInterruption',
+          kind: button.dataset.interruption,
+          note: els.interruptionNote.value,
+        });
+        if (res?.ok) {
+          els.interruptionNote.value = '';
+        }
+      });
+    });
+
+    els.reflection?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const rating = Number(new FormData(els.reflection).get('rating'));
+      const res = await chrome.runtime.sendMessage({
+        type: 'rateSession',
+        id: appState.state?.timer.pendingReflectionId,
+        rating,
+        note: els.reflectionNote.value,
+      });
+      if (res?.ok) {
+        els.reflection.reset();
+      }
+    });
+    els.reflectionSkip?.addEventListener('click', () => {
+      els.reflection.reset();
+      chrome.runtime.sendMessage({ type: 'dismissReflection' });
+    });
+
+    els.nextTaskAccept?.addEventListener('click', () =>
+      chrome.runtime.sendMessage({ type: 'answerNextTask', accept: true })
+    );
+    els.nextTaskDecline?.addEventListener('click', () =>
+      chrome.runtime.sendMessage({ type: 'answerNextTask', accept: false })
+    );
+
+    els.taskFilterTag?.addEventListener('change', () => {
+      taskFilters = { ...taskFilters, tag: els.taskFilterTag.value };
+      render();
+    });
+    els.taskFilterProject?.addEventListener('change', () => {
+      taskFilters = { ...taskFilters, project: els.taskFilterProject.value };
+      render();
+    });
   } catch (error) {
     console.error('Initialization failed:', error);
     document.body.textContent = 'Failed to load FlexiFocus. Please refresh the page.';
@@ -141,6 +251,51 @@ async function fetchState() {
   appState = { state: res.state, settings: res.settings, methods: res.methods };
   applyThemeFromSettings();
   render(res.remaining);
+  fetchGoals();
+  fetchHistory();
+}
+
+/**
+ * Fetch goal progress for today and this week
+ */
+async function fetchGoals() {
+  const res = await chrome.runtime.sendMessage({ type: 'getGoalProgress' });
+  renderGoals(res?.goals ?? []);
+}
+
+/**
+ * Fetch the newest page of the history store, keeping as many entries as are already shown
+ */
+async function fetchHistory() {
+  const limit = Math.max(HISTORY_PAGE_SIZE, historyPage?.entries.length ?? 0);
+  const res = await chrome.runtime.sendMessage({ type: 'getHistory', limit });
+  if (res?.entries) {
+    historyPage = { entries: res.entries, nextCursor: res.nextCursor };
+    render();
+  }
+}
+
+/**
+ * Append the next page of older history entries
+ */
+async function loadMoreHistory() {
+  if (!historyPage?.nextCursor) {
+    return;
+  }
+  const res = await chrome.runtime.sendMessage({
+    type: 'getHistory',
+    limit: HISTORY_PAGE_SIZE,
+    cursor: historyPage.nextCursor,
+  });
+  if (res?.error) {
+    els.status.textContent = res.error;
+    return;
+  }
+  historyPage = {
+    entries: [...historyPage.entries, ...res.entries],
+    nextCursor: res.nextCursor,
+  };
+  render();
 }
 
 /**
@@ -152,25 +307,31 @@ function render(initialRemaining) {
   if (!state || !settings) {
     return;
   }
-  renderMethods(methods, state.timer.methodKey);
+  renderMethods(getOrderedPresets(settings), state.timer.methodKey);
   renderTimer(state, methods, initialRemaining);
+  renderReflection(state);
+  renderNextTask(state.tasks, state.timer.nextTaskId);
   renderTasks(state.tasks, state.timer.activeTaskId);
-  renderHistory(state.history, methods);
+  renderHistory(
+    historyPage?.entries ?? (state.history ?? []).slice(0, HISTORY_PAGE_SIZE),
+    methods,
+    !!historyPage?.nextCursor
+  );
   renderStatistics(state.statistics);
   updateThemeToggle();
 }
 
 /**
  * Render method dropdown options
- * @param {Object} methods - Available timer methods
+ * @param {Array} presets - User's presets in display order
  * @param {string} selected - Currently selected method key
  */
-function renderMethods(methods, selected) {
+function renderMethods(presets, selected) {
   if (!els.method) {
     return;
   }
   els.method.innerHTML = '';
-  Object.values(methods).forEach((method) => {
+  presets.forEach((method) => {
     const opt = document.createElement('option');
     opt.value = method.key;
     opt.textContent = method.label;
@@ -189,11 +350,12 @@ function renderMethods(methods, selected) {
  */
 function renderTimer(state, methods, initialRemaining) {
   const timer = state.timer;
-  const method = methods[timer.methodKey] || methods.pomodoro;
+  const method = currentMethod(timer, methods);
   const remainingMs = computeRemaining(timer, method, initialRemaining);
-  const duration = timerLogic.computePhaseDuration(method, timer.phase);
+  const openEnded = timerLogic.isOpenEndedPhase(method, timer.phase, timer.phaseIndex);
+  const duration = timerLogic.getTimerDuration(timer, method);
   const flowReference = timerLogic.getFlowReferenceMs(method);
-  const progress = method.flexible
+  const progress = openEnded
     ? Math.max(0, Math.min(1, remainingMs / flowReference))
     : duration > 0
       ? Math.max(0, Math.min(1, remainingMs / duration))
@@ -201,18 +363,21 @@ function renderTimer(state, methods, initialRemaining) {
   els.ring.style.setProperty('--progress', `${progress * 100}%`);
 
   els.time.textContent = formatTime(remainingMs);
-  els.phase.textContent = timerLogic.getPhaseLabel(timer.phase, method);
-  els.status.textContent = buildStatus(timer, method);
+  els.phase.textContent = timerLogic.getPhaseLabel(timer.phase, method, timer.phaseIndex);
+  els.status.textContent = timerLogic.getPhaseStatus(timer, method);
 
   const isRunning = timer.isRunning;
-  const shouldResume = !isRunning && (timer.remainingMs > 0 || timer.phase !== 'work');
+  const shouldResume = !isRunning && (isPaused(timer) || !isAtSequenceStart(timer, method));
   els.primary.innerHTML = isRunning
     ? '<img src="../assets/pause.svg" width="16" height="16"> Pause'
     : shouldResume
       ? '<img src="../assets/play.svg" width="16" height="16"> Resume'
       : '<img src="../assets/play.svg" width="16" height="16"> Start';
   els.secondary.innerHTML = '<img src="../assets/reset.svg" width="16" height="16"> Reset';
-  els.flowComplete.classList.toggle('hidden', timer.methodKey !== 'flowtime' || !isRunning);
+  els.flowComplete.classList.toggle('hidden', !openEnded || !isRunning);
+  renderPhaseControls(timer, openEnded);
+  renderInterruptions(timer, method);
+  renderNextBlock(timer, method);
 
   if (ticker) {
     clearInterval(ticker);
@@ -222,11 +387,12 @@ function renderTimer(state, methods, initialRemaining) {
     if (!state?.timer) {
       return;
     }
-    const method = methods[state.timer.methodKey] || methods.pomodoro;
+    const method = currentMethod(state.timer, methods);
     const remaining = computeRemaining(state.timer, method);
-    const duration = timerLogic.computePhaseDuration(method, state.timer.phase);
+    const { phase, phaseIndex } = state.timer;
+    const duration = timerLogic.getTimerDuration(state.timer, method);
     const flowReference = timerLogic.getFlowReferenceMs(method);
-    const pct = method.flexible
+    const pct = timerLogic.isOpenEndedPhase(method, phase, phaseIndex)
       ? Math.max(0, Math.min(1, remaining / flowReference))
       : duration > 0
         ? Math.max(0, Math.min(1, remaining / duration))
@@ -236,8 +402,88 @@ function renderTimer(state, methods, initialRemaining) {
   }, 1000);
 }
 
+/**
+ * Show the skip control while a phase is in progress, and the extend controls when it is timed
+ * @param {Object} timer - Timer state
+ * @param {boolean} openEnded - Whether the current phase has no planned end
+ */
+function renderPhaseControls(timer, openEnded) {
+  const inProgress = timer.isRunning || timer.remainingMs > 0;
+  els.phaseControls.classList.toggle('hidden', !inProgress);
+  els.extendControls.forEach((control) => control.classList.toggle('hidden', openEnded));
+}
+
+/**
+ * Add minutes to the current phase, showing a rejection in the status line
+ * @param {number} minutes - Minutes to add
+ * @returns {Promise<Object>} Service worker response
+ */
+async function extendPhase(minutes) {
+  const res = await chrome.runtime.sendMessage({ type: 'extendPhase', minutes });
+  if (res?.error) {
+    els.status.textContent = res.error;
+  }
+  return res;
+}
+
+/**
+ * Show the interruption controls and this session's counts while a focus session is in progress
+ * @param {Object} timer - Timer state
+ * @param {Object} method - Method configuration
+ */
+function renderInterruptions(timer, method) {
+  const inProgress = timer.isRunning || timer.remainingMs > 0;
+  els.interruptions.classList.toggle(
+    'hidden',
+    !timerLogic.isWorkPhase(timer.phase, method) || !inProgress
+  );
+  const { internal, external, total } = countInterruptions(timer.interruptions);
+  els.interruptionCount.textContent = total ? `${internal} internal, ${external} external` : '';
+}
+
+/**
+ * Show the planned length of the next focus block for adaptive methods
+ * @param {Object} timer - Timer state
+ * @param {Object} method - Method configuration
+ */
+function renderNextBlock(timer, method) {
+  const minutes = timerLogic.getNextAdaptiveMinutes(timer, method);
+  els.nextBlock.classList.toggle('hidden', minutes === null);
+  els.nextBlock.textContent = minutes === null ? '' : `Next focus block: ${minutes} min`;
+}
+
+/**
+ * Show the reflection prompt while a finished focus session waits for a rating
+ * @param {Object} state - Application state
+ */
+function renderReflection(state) {
+  const pending = state.history?.some((entry) => entry.id === state.timer.pendingReflectionId);
+  els.reflection.classList.toggle('hidden', !pending);
+}
+
+/**
+ * Whether the current phase was started and is now paused
+ * Paused phases keep their remaining time (elapsed time for open-ended ones).
+ * @param {Object} timer - Timer state
+ * @returns {boolean}
+ */
+function isPaused(timer) {
+  return !timer.isRunning && timer.remainingMs > 0;
+}
+
+/**
+ * Whether the timer sits at the first phase of its method's sequence
+ * @param {Object} timer - Timer state
+ * @param {Object} method - Method configuration
+ * @returns {boolean}
+ */
+function isAtSequenceStart(timer, method) {
+  return timerLogic.getPhaseIndex(timer, method) === timerLogic.getSequenceStart(method).phaseIndex;
+}
+
 /**
  * Handle primary button (Start/Pause/Resume)
+ * A paused phase resumes; any other phase starts fresh, so it begins with its own counters.
  */
 function handlePrimary() {
   const { state } = appState;
@@ -249,7 +495,7 @@ function handlePrimary() {
     return;
   }
 
-  if (state.timer.remainingMs > 0 || state.timer.phase !== 'work') {
+  if (isPaused(state.timer)) {
     chrome.runtime.sendMessage({ type: 'resumeTimer' });
     return;
   }
@@ -263,31 +509,13 @@ function handlePrimary() {
 }
 
 /**
- * Compute duration for current timer and phase
+ * Look up the resolved method driving the timer
  * @param {Object} timer - Timer state
- * @param {Object} method - Method configuration
- * @returns {number} Duration in milliseconds
+ * @param {Object} methods - Resolved methods from the service worker
+ * @returns {Object} Method configuration
  */
-function computeDuration(timer, method) {
-  if (method.flexible) {
-    const elapsed = timer.isRunning
-      ? Math.max(0, Date.now() - (timer.startTime || Date.now()))
-      : timer.remainingMs || 0;
-    return Math.max(1, elapsed);
-  }
-  if (timer.endTime && timer.startTime) {
-    return timer.endTime - timer.startTime;
-  }
-  if (timer.remainingMs) {
-    return timer.remainingMs;
-  }
-  if (timer.phase === 'work') {
-    return method.workMinutes * 60000;
-  }
-  if (timer.phase === 'longBreak') {
-    return method.longBreakMinutes * 60000;
-  }
-  return method.shortBreakMinutes * 60000;
+function currentMethod(timer, methods) {
+  return methods[timer.methodKey] || Object.values(methods)[0];
 }
 
 /**
@@ -301,38 +529,55 @@ function computeRemaining(timer, method, overrideRemaining) {
   if (typeof overrideRemaining === 'number') {
     return overrideRemaining;
   }
-  if (method.flexible) {
-    if (!timer.isRunning) {
-      return timer.remainingMs || 0;
-    }
-    return Math.max(0, Date.now() - (timer.startTime || Date.now()));
-  }
-  if (timer.isRunning && timer.endTime) {
-    return Math.max(0, timer.endTime - Date.now());
-  }
-  if (!timer.isRunning && timer.remainingMs) {
-    return timer.remainingMs;
-  }
-  const duration = timerLogic.computePhaseDuration(method, timer.phase);
-  return Math.max(0, timer.endTime ? timer.endTime - Date.now() : duration);
+  return timerLogic.computeRemaining(timer, method);
 }
 
 /**
- * Build status message for current phase
- * @param {Object} timer - Timer state
- * @param {Object} method - Method configuration
- * @returns {string} Status message
+ * Fill a filter select, keeping the current choice while it still exists
+ * @param {HTMLSelectElement} select - Filter select
+ * @param {string} allLabel - Label of the match-everything option
+ * @param {string[]} values - Available values
+ * @param {string} selected - Current choice
+ * @returns {string} Choice after rendering ('' when it disappeared)
  */
-function buildStatus(timer, method) {
-  if (method.flexible) {
-    return timer.isRunning
-      ? 'Flowtime running - end when you feel ready.'
-      : 'Start flow and end to calculate break.';
-  }
-  if (timer.phase === 'work') {
-    return 'Focus block in progress';
+function renderFilterOptions(select, allLabel, values, selected) {
+  select.innerHTML = '';
+  [['', allLabel], ...values.map((value) => [value, value])].forEach(([value, label]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    select.append(opt);
+  });
+  const kept = values.find((value) => value.toLowerCase() === selected.toLowerCase()) ?? '';
+  select.value = kept;
+  return kept;
+}
+
+/**
+ * Render the tag and project filters, hidden while no task has either
+ * @param {Array} tasks - Task list
+ */
+function renderTaskFilters(tasks) {
+  if (!els.taskFilters) {
+    return;
   }
-  return 'Recharge break';
+  const { tags, projects } = getTaskFacets(tasks);
+  els.taskFilters.classList.toggle('hidden', !tags.length && !projects.length);
+  taskFilters = {
+    tag: renderFilterOptions(els.taskFilterTag, 'All tags', tags, taskFilters.tag),
+    project: renderFilterOptions(els.taskFilterProject, 'All projects', projects, taskFilters.project),
+  };
+}
+
+/**
+ * Show the suggested next task after the active one finished in 'ask' mode
+ * @param {Array} tasks - Task list
+ * @param {string|null} nextTaskId - Suggested task ID
+ */
+function renderNextTask(tasks = [], nextTaskId) {
+  const next = tasks.find((task) => task.id === nextTaskId);
+  els.nextTask.classList.toggle('hidden', !next);
+  els.nextTaskText.textContent = next ? `Up next: ${next.title}` : '';
 }
 
 /**
@@ -341,84 +586,488 @@ function buildStatus(timer, method) {
  * @param {string} activeTaskId - Currently focused task ID
  */
 function renderTasks(tasks = [], activeTaskId) {
+  if (editingTaskId && els.taskList.querySelector('.task-edit')) {
+    return;
+  }
+  renderTaskFilters(tasks);
   if (!tasks.length) {
     els.taskList.textContent = 'No tasks yet';
     els.taskList.classList.add('empty-state');
     return;
   }
+  const ordered = orderTasks(tasks);
+  const visible = filterTasks(ordered, taskFilters);
+  if (!visible.length) {
+    els.taskList.textContent = 'No tasks match the filters';
+    els.taskList.classList.add('empty-state');
+    return;
+  }
   els.taskList.innerHTML = '';
   els.taskList.classList.remove('empty-state');
-  tasks.forEach((task) => {
-    const row = document.createElement('div');
-    row.className = 'task';
-    row.setAttribute('role', 'listitem');
+  visible.forEach((task) => {
+    els.taskList.append(
+      task.id === editingTaskId ? renderTaskEditor(task) : renderTaskRow(task, activeTaskId, ordered)
+    );
+  });
+}
+
+/**
+ * Build the detail line of a task (sessions, project, due date, priority)
+ * @param {Object} task - Task
+ * @returns {HTMLElement} Meta element
+ */
+function renderTaskMeta(task) {
+  const meta = document.createElement('div');
+  meta.className = 'task-meta';
+  meta.append(`${task.completedSessions ?? 0}/${task.estimate ?? 1} sessions`);
+  if (task.subtasks?.length) {
+    const done = task.subtasks.filter((subtask) => subtask.done).length;
+    meta.append(` · ${done}/${task.subtasks.length} steps (${getTaskCompletionPercentage(task)}%)`);
+  }
+  if (task.project) {
+    meta.append(` · ${task.project}`);
+  }
+  if (task.dueDate) {
+    const due = document.createElement('span');
+    const overdue = !task.done && task.dueDate < toDayKey(Date.now());
+    due.className = overdue ? 'task-due overdue' : 'task-due';
+    due.textContent = ` · Due ${task.dueDate}`;
+    meta.append(due);
+  }
+  if (task.priority && task.priority !== 'none') {
+    const priority = document.createElement('span');
+    priority.className = `task-priority ${task.priority}`;
+    priority.textContent = capitalize(task.priority);
+    meta.append(' · ', priority);
+  }
+  return meta;
+}
+
+/**
+ * Move a task to another task's position and save the new order
+ * @param {string} movedId - Task being moved
+ * @param {string} targetId - Task whose position it takes
+ * @param {Array} ordered - Every task in display order
+ */
+function moveTask(movedId, targetId, ordered) {
+  const ids = ordered.map((task) => task.id);
+  const from = ids.indexOf(movedId);
+  const to = ids.indexOf(targetId);
+  if (from === -1 || to === -1 || from === to) {
+    return;
+  }
+  ids.splice(from, 1);
+  ids.splice(to, 0, movedId);
+  chrome.runtime.sendMessage({ type: 'reorderTasks', ids });
+}
+
+/**
+ * Render one task row with drag-to-reorder and inline editing
+ * @param {Object} task - Task
+ * @param {string} activeTaskId - Currently focused task ID
+ * @param {Array} ordered - Every task in display order (for reordering)
+ * @returns {HTMLElement} Row element
+ */
+function renderTaskRow(task, activeTaskId, ordered) {
+  const row = document.createElement('div');
+  row.className = 'task';
+  row.setAttribute('role', 'listitem');
+  row.draggable = true;
+  row.dataset.id = task.id;
+  row.addEventListener('dragstart', (e) => {
+    draggedTaskId = task.id;
+    row.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+  });
+  row.addEventListener('dragend', () => {
+    draggedTaskId = null;
+    row.classList.remove('dragging');
+  });
+  row.addEventListener('dragover', (e) => {
+    if (draggedTaskId && draggedTaskId !== task.id) {
+      e.preventDefault();
+      row.classList.add('drop-target');
+    }
+  });
+  row.addEventListener('dragleave', () => row.classList.remove('drop-target'));
+  row.addEventListener('drop', (e) => {
+    e.preventDefault();
+    row.classList.remove('drop-target');
+    moveTask(draggedTaskId, task.id, ordered);
+  });
+  row.addEventListener('keydown', (e) => {
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) {
+      return;
+    }
+    e.preventDefault();
+    const index = ordered.findIndex((item) => item.id === task.id);
+    const target = ordered[e.key === 'ArrowUp' ? index - 1 : index + 1];
+    if (target) {
+      moveTask(task.id, target.id, ordered);
+    }
+  });
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = task.done;
+  checkbox.setAttribute('aria-label', `Mark ${task.title} as ${task.done ? 'incomplete' : 'complete'}`);
+  checkbox.addEventListener('change', () => {
+    chrome.runtime.sendMessage({
+      type: 'updateTask',
+      id: task.id,
+      updates: { done: !task.done },
+    });
+  });
+
+  const text = document.createElement('div');
+  const title = document.createElement('p');
+  title.className = 'task-title';
+  title.textContent = task.title;
+  title.title = 'Double-click to edit';
+  title.addEventListener('dblclick', () => startEditingTask(task.id));
+  if (task.done) {
+    title.style.textDecoration = 'line-through';
+  }
+  text.append(title, renderTaskMeta(task));
+  if (task.tags?.length) {
+    const tags = document.createElement('div');
+    tags.className = 'task-tags';
+    task.tags.forEach((tag) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'tag';
+      chip.textContent = `#${tag}`;
+      chip.setAttribute('aria-label', `Show tasks tagged ${tag}`);
+      chip.addEventListener('click', () => {
+        taskFilters = { ...taskFilters, tag };
+        render();
+      });
+      tags.append(chip);
+    });
+    text.append(tags);
+  }
+  if (task.notes) {
+    const notes = document.createElement('p');
+    notes.className = 'task-notes';
+    notes.textContent = task.notes;
+    text.append(notes);
+  }
+  const expanded = expandedTaskIds.has(task.id);
+  const checklistToggle = document.createElement('button');
+  checklistToggle.type = 'button';
+  checklistToggle.className = 'checklist-toggle';
+  checklistToggle.textContent = `${expanded ? '▾' : '▸'} ${task.subtasks?.length ? 'Checklist' : 'Add steps'}`;
+  checklistToggle.setAttribute('aria-expanded', String(expanded));
+  checklistToggle.addEventListener('click', () => {
+    if (expanded) {
+      expandedTaskIds.delete(task.id);
+    } else {
+      expandedTaskIds.add(task.id);
+    }
+    render();
+  });
+  text.append(checklistToggle);
+
+  const actions = document.createElement('div');
+  const focusBtn = document.createElement('button');
+  focusBtn.className = 'btn tiny';
+  focusBtn.textContent = task.id === activeTaskId ? 'Active' : 'Focus';
+  focusBtn.setAttribute('aria-label', task.id === activeTaskId ? 'Currently active task' : `Focus on ${task.title}`);
+  if (task.id === activeTaskId) {
+    focusBtn.classList.add('primary');
+  }
+  focusBtn.addEventListener('click', () =>
+    chrome.runtime.sendMessage({ type: 'setActiveTask', id: task.id })
+  );
+
+  const skipBtn = document.createElement('button');
+  skipBtn.className = 'btn tiny ghost';
+  skipBtn.textContent = 'Skip';
+  skipBtn.setAttribute('aria-label', `Skip ${task.title} and focus on the next task`);
+  skipBtn.addEventListener('click', () => chrome.runtime.sendMessage({ type: 'skipTask' }));
+
+  const editBtn = document.createElement('button');
+  editBtn.className = 'btn tiny ghost';
+  editBtn.textContent = 'Edit';
+  editBtn.setAttribute('aria-label', `Edit ${task.title}`);
+  editBtn.addEventListener('click', () => startEditingTask(task.id));
+
+  const delBtn = document.createElement('button');
+  delBtn.className = 'btn tiny ghost';
+  delBtn.textContent = 'Delete';
+  delBtn.setAttribute('aria-label', `Delete ${task.title}`);
+  delBtn.addEventListener('click', () =>
+    chrome.runtime.sendMessage({ type: 'deleteTask', id: task.id })
+  );
+  const checkIcon = document.createElement('img');
+  checkIcon.src = '../assets/check.svg';
+  checkIcon.width = 14;
+  checkIcon.height = 14;
+  checkIcon.style.marginRight = '6px';
+  checkIcon.style.opacity = task.done ? '1' : '0.2';
+  const statusWrap = document.createElement('span');
+  statusWrap.style.display = 'inline-flex';
+  statusWrap.style.alignItems = 'center';
+  statusWrap.append(checkIcon, document.createTextNode(task.done ? 'Done' : 'In Progress'));
+
+  actions.append(statusWrap, focusBtn);
+  if (task.id === activeTaskId) {
+    actions.append(skipBtn);
+  }
+  actions.append(editBtn, delBtn);
+
+  row.append(checkbox, text, actions);
+  if (expanded) {
+    row.append(renderChecklist(task));
+  }
+  return row;
+}
+
+/**
+ * Render a task's subtask checklist with an add form
+ * Completing the last open step offers to mark the task itself done.
+ * @param {Object} task - Parent task
+ * @returns {HTMLElement} Checklist panel
+ */
+function renderChecklist(task) {
+  const panel = document.createElement('div');
+  panel.className = 'checklist';
+  const list = document.createElement('ul');
+  list.setAttribute('aria-label', `Steps for ${task.title}`);
+  (task.subtasks ?? []).forEach((subtask) => {
+    const item = document.createElement('li');
+    item.className = subtask.done ? 'subtask done' : 'subtask';
+    const label = document.createElement('label');
     const checkbox = document.createElement('input');
     checkbox.type = 'checkbox';
-    checkbox.checked = task.done;
-    checkbox.setAttribute('aria-label', `Mark ${task.title} as ${task.done ? 'incomplete' : 'complete'}`);
-    checkbox.addEventListener('change', () => {
-      chrome.runtime.sendMessage({
-        type: 'updateTask',
-        id: task.id,
-        updates: { done: !task.done },
+    checkbox.checked = subtask.done;
+    checkbox.addEventListener('change', async () => {
+      const res = await chrome.runtime.sendMessage({
+        type: 'updateSubtask',
+        taskId: task.id,
+        id: subtask.id,
+        updates: { done: checkbox.checked },
       });
+      completionPromptTaskId = res?.completesTask ? task.id : null;
+      render();
     });
-
-    const text = document.createElement('div');
-    const title = document.createElement('p');
-    title.className = 'task-title';
-    title.textContent = task.title;
-    if (task.done) {
-      title.style.textDecoration = 'line-through';
-    }
-    const meta = document.createElement('div');
-    meta.className = 'task-meta';
-    meta.textContent = `${task.completedSessions ?? 0}/${task.estimate ?? 1} sessions`;
-    text.append(title, meta);
-
-    const actions = document.createElement('div');
-    const focusBtn = document.createElement('button');
-    focusBtn.className = 'btn tiny';
-    focusBtn.textContent = task.id === activeTaskId ? 'Active' : 'Focus';
-    focusBtn.setAttribute('aria-label', task.id === activeTaskId ? 'Currently active task' : `Focus on ${task.title}`);
-    if (task.id === activeTaskId) {
-      focusBtn.classList.add('primary');
+    label.append(checkbox, subtask.title);
+    item.append(label);
+    if (subtask.estimate) {
+      const estimate = document.createElement('span');
+      estimate.className = 'task-meta';
+      estimate.textContent = `${subtask.estimate} ${subtask.estimate === 1 ? 'session' : 'sessions'}`;
+      item.append(estimate);
     }
-    focusBtn.addEventListener('click', () =>
-      chrome.runtime.sendMessage({ type: 'setActiveTask', id: task.id })
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn tiny ghost';
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', `Delete step ${subtask.title}`);
+    remove.addEventListener('click', () =>
+      chrome.runtime.sendMessage({ type: 'deleteSubtask', taskId: task.id, id: subtask.id })
     );
+    item.append(remove);
+    list.append(item);
+  });
+  panel.append(list);
 
-    const delBtn = document.createElement('button');
-    delBtn.className = 'btn tiny ghost';
-    delBtn.textContent = 'Delete';
-    delBtn.setAttribute('aria-label', `Delete ${task.title}`);
-    delBtn.addEventListener('click', () =>
-      chrome.runtime.sendMessage({ type: 'deleteTask', id: task.id })
-    );
-    const checkIcon = document.createElement('img');
-    checkIcon.src = '../assets/check.svg';
-    checkIcon.width = 14;
-    checkIcon.height = 14;
-    checkIcon.style.marginRight = '6px';
-    checkIcon.style.opacity = task.done ? '1' : '0.2';
-    const statusWrap = document.createElement('span');
-    statusWrap.style.display = 'inline-flex';
-    statusWrap.style.alignItems = 'center';
-    statusWrap.append(checkIcon, document.createTextNode(task.done ? 'Done' : 'In Progress'));
-
-    actions.append(statusWrap, focusBtn, delBtn);
-
-    row.append(checkbox, text, actions);
-    els.taskList.append(row);
+  if (completionPromptTaskId === task.id && !task.done) {
+    const prompt = document.createElement('div');
+    prompt.className = 'checklist-prompt';
+    prompt.setAttribute('role', 'status');
+    const markDone = document.createElement('button');
+    markDone.type = 'button';
+    markDone.className = 'btn tiny primary';
+    markDone.textContent = 'Mark task done';
+    markDone.addEventListener('click', () => {
+      completionPromptTaskId = null;
+      chrome.runtime.sendMessage({ type: 'updateTask', id: task.id, updates: { done: true } });
+    });
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'btn tiny ghost';
+    dismiss.textContent = 'Not yet';
+    dismiss.addEventListener('click', () => {
+      completionPromptTaskId = null;
+      render();
+    });
+    prompt.append('All steps done.', markDone, dismiss);
+    panel.append(prompt);
+  }
+
+  const form = document.createElement('form');
+  form.className = 'subtask-form';
+  const title = document.createElement('input');
+  title.type = 'text';
+  title.placeholder = 'New step';
+  title.required = true;
+  title.setAttribute('aria-label', `New step for ${task.title}`);
+  const estimate = document.createElement('input');
+  estimate.type = 'number';
+  estimate.min = '1';
+  estimate.placeholder = 'Sessions';
+  estimate.setAttribute('aria-label', 'Step estimate in sessions (optional)');
+  const add = document.createElement('button');
+  add.type = 'submit';
+  add.className = 'btn tiny';
+  add.textContent = 'Add';
+  form.append(title, estimate, add);
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!title.value.trim()) {
+      return;
+    }
+    await chrome.runtime.sendMessage({
+      type: 'addSubtask',
+      taskId: task.id,
+      title: title.value.trim(),
+      estimate: Number(estimate.value) || null,
+    });
+    els.taskList.querySelector(`[data-id="${task.id}"] .subtask-form input`)?.focus();
+  });
+  panel.append(form);
+  return panel;
+}
+
+/**
+ * Open the inline editor for a task
+ * @param {string} taskId - Task to edit
+ */
+function startEditingTask(taskId) {
+  editingTaskId = taskId;
+  els.taskList.innerHTML = '';
+  render();
+  els.taskList.querySelector('.task-edit input')?.focus();
+}
+
+/**
+ * Close the inline editor and show the list again
+ */
+function stopEditingTask() {
+  editingTaskId = null;
+  els.taskList.innerHTML = '';
+  render();
+}
+
+/**
+ * Add a labelled field to the inline task editor
+ * @param {HTMLElement} form - Editor form
+ * @param {string} label - Field label
+ * @param {HTMLElement} input - Field control
+ * @param {string} className - Optional extra class for the label
+ */
+function addEditorField(form, label, input, className = '') {
+  const wrap = document.createElement('label');
+  wrap.className = `task-field ${className}`.trim();
+  wrap.append(label, input);
+  form.append(wrap);
+}
+
+/**
+ * Render the inline editor for a task
+ * @param {Object} task - Task being edited
+ * @returns {HTMLElement} Editor form
+ */
+function renderTaskEditor(task) {
+  const form = document.createElement('form');
+  form.className = 'task task-edit';
+  form.setAttribute('role', 'listitem');
+  form.setAttribute('aria-label', `Edit ${task.title}`);
+
+  const title = document.createElement('input');
+  title.type = 'text';
+  title.required = true;
+  title.value = task.title;
+  const estimate = document.createElement('input');
+  estimate.type = 'number';
+  estimate.min = '1';
+  estimate.value = String(task.estimate ?? 1);
+  const project = document.createElement('input');
+  project.type = 'text';
+  project.value = task.project ?? '';
+  const dueDate = document.createElement('input');
+  dueDate.type = 'date';
+  dueDate.value = task.dueDate ?? '';
+  const priority = document.createElement('select');
+  TASK_PRIORITIES.forEach((value) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = value === 'none' ? 'No priority' : capitalize(value);
+    priority.append(opt);
   });
+  priority.value = task.priority ?? 'none';
+  const tags = document.createElement('input');
+  tags.type = 'text';
+  tags.placeholder = 'Comma-separated';
+  tags.value = (task.tags ?? []).join(', ');
+  const notes = document.createElement('textarea');
+  notes.rows = 3;
+  notes.value = task.notes ?? '';
+
+  addEditorField(form, 'Title', title, 'wide');
+  addEditorField(form, 'Sessions', estimate);
+  addEditorField(form, 'Priority', priority);
+  addEditorField(form, 'Project', project);
+  addEditorField(form, 'Due', dueDate);
+  addEditorField(form, 'Tags', tags, 'wide');
+  addEditorField(form, 'Notes', notes, 'wide');
+
+  const error = document.createElement('p');
+  error.className = 'task-edit-error';
+  error.setAttribute('role', 'alert');
+  const actions = document.createElement('div');
+  actions.className = 'task-edit-actions';
+  const save = document.createElement('button');
+  save.type = 'submit';
+  save.className = 'btn tiny primary';
+  save.textContent = 'Save';
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'btn tiny ghost';
+  cancel.textContent = 'Cancel';
+  cancel.addEventListener('click', stopEditingTask);
+  actions.append(save, cancel);
+  form.append(error, actions);
+
+  form.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      stopEditingTask();
+    }
+  });
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const res = await chrome.runtime.sendMessage({
+      type: 'updateTask',
+      id: task.id,
+      updates: {
+        title: title.value.trim(),
+        estimate: Number(estimate.value) || 1,
+        notes: notes.value,
+        tags: tags.value.split(',').map((tag) => tag.trim()).filter(Boolean),
+        project: project.value.trim() || null,
+        dueDate: dueDate.value || null,
+        priority: priority.value,
+      },
+    });
+    if (res?.ok === false) {
+      error.textContent = res.error;
+      return;
+    }
+    stopEditingTask();
+  });
+  return form;
 }
 
 /**
  * Render session history list
- * @param {Array} history - Session history
+ * @param {Array} history - Loaded history entries, newest first
  * @param {Object} methods - Available timer methods
+ * @param {boolean} hasMore - Whether older entries can be loaded
  */
-function renderHistory(history = [], methods = {}) {
+function renderHistory(history = [], methods = {}, hasMore = false) {
+  els.historyMore?.classList.toggle('hidden', !hasMore);
   if (!history.length) {
     els.history.textContent = 'No history yet';
     els.history.classList.add('empty-state');
@@ -426,23 +1075,147 @@ function renderHistory(history = [], methods = {}) {
   }
   els.history.classList.remove('empty-state');
   els.history.innerHTML = '';
-  history.slice(0, 6).forEach((entry) => {
+  history.forEach((entry) => {
     const item = document.createElement('div');
     item.className = 'history-item';
     item.setAttribute('role', 'listitem');
+    const method = methods[entry.methodKey];
     const label = document.createElement('div');
-    label.innerHTML = `<strong>${
-      methods[entry.methodKey]?.label || entry.methodKey
-    }</strong> | ${capitalize(entry.phase)}`;
+    const name = document.createElement('strong');
+    name.textContent = method?.label || entry.methodKey;
+    label.append(name, ` | ${timerLogic.getPhaseLabel(entry.phase, method)}`);
     const meta = document.createElement('div');
     meta.className = 'meta';
     const date = new Date(entry.endedAt || entry.createdAt || Date.now());
     meta.textContent = `${formatDuration(entry.durationMs)} | ${date.toLocaleTimeString()}`;
+    const expanded = expandedHistoryIds.has(entry.id);
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'btn tiny ghost';
+    toggle.textContent = expanded ? 'Hide' : 'Details';
+    toggle.setAttribute('aria-expanded', String(expanded));
+    toggle.setAttribute('aria-label', `Session details for ${date.toLocaleTimeString()}`);
+    toggle.addEventListener('click', () => {
+      if (expanded) {
+        expandedHistoryIds.delete(entry.id);
+      } else {
+        expandedHistoryIds.add(entry.id);
+      }
+      render();
+    });
+    meta.append(' ', toggle);
     item.append(label, meta);
+    if (expanded) {
+      item.append(renderHistoryDetail(entry));
+    }
     els.history.append(item);
   });
 }
 
+/**
+ * Build the expanded detail view of a history entry
+ * @param {Object} entry - History entry
+ * @returns {HTMLElement} Detail list
+ */
+function renderHistoryDetail(entry) {
+  const detail = document.createElement('ul');
+  detail.className = 'history-detail';
+  const addLine = (text) => {
+    const line = document.createElement('li');
+    line.textContent = text;
+    detail.append(line);
+    return line;
+  };
+  const time = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  addLine(`${time(entry.startedAt)} to ${time(entry.endedAt)}`);
+  const task = appState.state?.tasks?.find((item) => item.id === entry.taskId);
+  if (task) {
+    addLine(`Task: ${task.title}`);
+  }
+  if (entry.status === 'skipped') {
+    addLine(entry.skipReason ? `Skipped: ${entry.skipReason}` : 'Skipped');
+  } else if (entry.status === 'abandoned') {
+    addLine('Abandoned before the end');
+  } else if (entry.note) {
+    addLine(`Note: ${entry.note}`);
+  }
+  if (entry.rating) {
+    addLine(`Focus rating: ${entry.rating}/5`);
+  }
+  if (entry.interruptions) {
+    const { internal, external, total } = countInterruptions(entry.interruptions);
+    const line = addLine(
+      total ? `Interruptions: ${internal} internal, ${external} external` : 'No interruptions'
+    );
+    if (total) {
+      const list = document.createElement('ul');
+      entry.interruptions.forEach((interruption) => {
+        const item = document.createElement('li');
+        item.textContent = `${time(interruption.at)} ${interruption.kind}${
+          interruption.note ? `: ${interruption.note}` : ''
+        }`;
+        list.append(item);
+      });
+      line.append(list);
+    }
+  }
+  return detail;
+}
+
+/**
+ * Format a goal amount
+ * @param {string} metric - 'minutes' or 'sessions'
+ * @param {number} value - Minutes or sessions
+ * @returns {string} e.g. '2h 10m' or '5'
+ */
+function formatGoalAmount(metric, value) {
+  if (metric === 'sessions') {
+    return String(value);
+  }
+  const hours = Math.floor(value / 60);
+  return hours ? `${hours}h ${value % 60}m` : `${value}m`;
+}
+
+/**
+ * Render goal progress bars under the timer ring
+ * @param {Array} goals - Goal evaluations from getGoalProgress
+ */
+function renderGoals(goals) {
+  if (!els.goals) {
+    return;
+  }
+  els.goals.classList.toggle('hidden', !goals.length);
+  els.goals.innerHTML = '';
+  goals.forEach((goal) => {
+    const item = document.createElement('div');
+    item.className = `goal${goal.met ? ' met' : ''}${goal.applies ? '' : ' rest'}`;
+    item.setAttribute('role', 'listitem');
+    const head = document.createElement('div');
+    head.className = 'goal-head';
+    const label = document.createElement('span');
+    label.textContent = capitalize(goal.label);
+    const value = document.createElement('span');
+    value.className = 'goal-value';
+    value.textContent = goal.applies
+      ? `${formatGoalAmount(goal.metric, goal.value)} / ${formatGoalAmount(goal.metric, goal.target)}`
+      : 'Rest day';
+    head.append(label, value);
+    const bar = document.createElement('div');
+    bar.className = 'goal-bar';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-label', goal.label);
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', String(goal.target));
+    bar.setAttribute('aria-valuenow', String(Math.min(goal.value, goal.target)));
+    const fill = document.createElement('div');
+    fill.className = 'goal-fill';
+    fill.style.setProperty('--progress', `${goal.progress * 100}%`);
+    bar.append(fill);
+    item.append(head, bar);
+    els.goals.append(item);
+  });
+}
+
 /**
  * Apply theme from settings to document
  */
@@ -523,11 +1296,13 @@ function renderStatistics(stats = {}) {
   const focusTimeStr = totalFocusHours > 0 ? `${totalFocusHours}h ${totalFocusMinutes}m` : `${totalFocusMinutes}m`;
   const currentStreak = stats.currentStreak || 0;
   const longestSessionMin = Math.floor((stats.longestSession || 0) / 60000);
+  const interruptionRates = getInterruptionRates(stats);
+  const focusQuality = getFocusQualityAverages(stats);
 
   els.stats.innerHTML = `
     <div class="stat-card">
       <div class="stat-value">${totalSessions}</div>
-      <div class="stat-label">Total Sessions</div>
+      <div class="stat-label">Focus Sessions</div>
     </div>
     <div class="stat-card">
       <div class="stat-value">${focusTimeStr}</div>
@@ -541,30 +1316,89 @@ function renderStatistics(stats = {}) {
       <div class="stat-value">${longestSessionMin}m</div>
       <div class="stat-label">Longest Session</div>
     </div>
+    <div class="stat-card">
+      <div class="stat-value">${interruptionRates.perSession.toFixed(1)}</div>
+      <div class="stat-label">Interruptions / Session</div>
+    </div>
+    <div class="stat-card">
+      <div class="stat-value">${interruptionRates.perHour.toFixed(1)}</div>
+      <div class="stat-label">Interruptions / Hour</div>
+    </div>
   `;
+  renderFocusQuality(focusQuality);
 }
 
 /**
- * Export session data as JSON
+ * Render average focus ratings by method and by starting hour
+ * @param {Object} focusQuality - Averages from getFocusQualityAverages
  */
-async function exportData() {
-  try {
-    const { state } = appState;
-    if (!state) {
-      return;
+function renderFocusQuality(focusQuality) {
+  els.focusQuality.classList.toggle('hidden', focusQuality.overall === null);
+  if (focusQuality.overall === null) {
+    return;
+  }
+  const { methods } = appState;
+  const format = ({ average, rated }) =>
+    `${average.toFixed(1)}/5 (${rated} ${rated === 1 ? 'session' : 'sessions'})`;
+  const addRow = (list, label, value) => {
+    const row = document.createElement('li');
+    const name = document.createElement('span');
+    name.textContent = label;
+    row.append(name, value);
+    list.append(row);
+  };
+  const heading = document.createElement('h3');
+  heading.textContent = `Focus quality: ${focusQuality.overall.toFixed(1)}/5`;
+  const byMethod = document.createElement('ul');
+  byMethod.setAttribute('aria-label', 'Focus quality by method');
+  focusQuality.byMethod.forEach((method) =>
+    addRow(byMethod, methods[method.methodKey]?.label || method.methodKey, format(method))
+  );
+  const byHour = document.createElement('ul');
+  byHour.setAttribute('aria-label', 'Focus quality by hour');
+  focusQuality.byHour.forEach((hour) =>
+    addRow(byHour, `${String(hour.hour).padStart(2, '0')}:00`, format(hour))
+  );
+  els.focusQuality.replaceChildren(heading, byMethod, byHour);
+}
+
+/**
+ * Fetch an export from the service worker
+ * @param {string} format - 'backup', 'csv' or 'ics'
+ * @returns {Promise<{filename: string, mimeType: string, content: string}>}
+ */
+async function requestExport(format) {
+  if (format === 'backup') {
+    const response = await chrome.runtime.sendMessage({ type: 'createBackup' });
+    if (!response?.backup) {
+      throw new Error(response?.error || 'No backup returned');
     }
-    const exportData = {
-      exportedAt: new Date().toISOString(),
-      version: '0.2.0',
-      statistics: state.statistics,
-      history: state.history,
-      tasks: state.tasks,
+    return {
+      filename: `flexifocus-backup-${new Date().toISOString().split('T')[0]}.json`,
+      mimeType: 'application/json',
+      content: JSON.stringify(response.backup, null, 2),
     };
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+  }
+  const response = await chrome.runtime.sendMessage({ type: 'exportHistory', format });
+  if (!response?.ok) {
+    throw new Error(response?.error || 'No export returned');
+  }
+  return response;
+}
+
+/**
+ * Download a full backup or the session history in the selected format
+ */
+async function exportData() {
+  try {
+    const { filename, mimeType, content } = await requestExport(
+      els.exportFormat?.value || 'backup'
+    );
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `flexifocus-export-${new Date().toISOString().split('T')[0]}.json`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
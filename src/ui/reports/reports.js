@@ -0,0 +1,448 @@
+/**
+ * FlexiFocus Reports
+ * Full-page charts over session history, drawn as SVG without chart libraries
+ */
+
+import { toDayKey } from '../../services/history.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MAX_BARS = 10;
+
+/**
+ * DOM element references
+ */
+const els = {
+  range: document.getElementById('range'),
+  granularity: document.getElementById('granularity'),
+  refresh: document.getElementById('refresh'),
+  status: document.getElementById('status'),
+  summary: document.getElementById('summary'),
+  focusChart: document.getElementById('focus-chart'),
+  methodChart: document.getElementById('method-chart'),
+  taskChart: document.getElementById('task-chart'),
+  ratioChart: document.getElementById('ratio-chart'),
+  completionChart: document.getElementById('completion-chart'),
+  heatmap: document.getElementById('heatmap'),
+};
+
+init();
+
+/**
+ * Apply the saved theme, wire up controls, and load the first report
+ * @returns {Promise<void>}
+ */
+async function init() {
+  els.range.addEventListener('change', loadReport);
+  els.granularity.addEventListener('change', loadReport);
+  els.refresh.addEventListener('click', loadReport);
+  const data = await chrome.runtime.sendMessage({ type: 'getState' });
+  applyTheme(data?.settings?.theme ?? 'system');
+  await loadReport();
+}
+
+/**
+ * Apply the theme to the document
+ * @param {string} theme - 'system', 'light' or 'dark'
+ */
+function applyTheme(theme) {
+  const prefersLight = window.matchMedia?.('(prefers-color-scheme: light)').matches;
+  document.documentElement.dataset.theme =
+    theme === 'system' ? (prefersLight ? 'light' : 'dark') : theme;
+}
+
+/**
+ * Get the first day of a range ending today
+ * @param {string} range - Number of days, or 'all'
+ * @returns {string|undefined} Day key, or undefined for all time
+ */
+function rangeStart(range) {
+  if (range === 'all') {
+    return undefined;
+  }
+  const date = new Date();
+  date.setDate(date.getDate() - (Number(range) - 1));
+  return toDayKey(date.getTime());
+}
+
+/**
+ * Fetch the report for the selected range and render every chart
+ * @returns {Promise<void>}
+ */
+async function loadReport() {
+  els.status.textContent = 'Loading…';
+  const response = await chrome.runtime.sendMessage({
+    type: 'getReport',
+    granularity: els.granularity.value,
+    from: rangeStart(els.range.value),
+  });
+  if (!response?.report) {
+    els.status.textContent = response?.error || 'Could not load the report.';
+    return;
+  }
+  const { report } = response;
+  els.status.textContent = report.summary.totalSessions
+    ? ''
+    : 'No sessions in this range yet. Finish a focus session and refresh.';
+  renderSummary(report);
+  renderColumns(
+    els.focusChart,
+    report.periods.map((period) => ({
+      label: formatPeriod(period.period, report.granularity),
+      value: period.focusMs,
+      detail: `${formatPeriod(period.period, report.granularity)}: ${formatHours(period.focusMs)}, ${period.sessions} sessions`,
+    }))
+  );
+  renderBars(
+    els.methodChart,
+    report.methods.map((method) => ({
+      label: method.label,
+      value: method.sessions,
+      text: `${method.sessions} · ${formatHours(method.focusMs)}`,
+    }))
+  );
+  renderBars(
+    els.taskChart,
+    report.tasks.map((task) => ({
+      label: task.title ?? 'No task',
+      value: task.focusMs,
+      text: formatHours(task.focusMs),
+    }))
+  );
+  renderRatio(els.ratioChart, report.summary);
+  renderCompletion(els.completionChart, report.completion);
+  renderHeatmap(els.heatmap, report.heatmap);
+}
+
+/**
+ * Create an SVG element
+ * @param {string} tag - Element name
+ * @param {Object} attrs - Attributes
+ * @param {string} text - Optional text content
+ * @returns {SVGElement}
+ */
+function svg(tag, attrs = {}, text) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, String(value)));
+  if (text !== undefined) {
+    el.textContent = text;
+  }
+  return el;
+}
+
+/**
+ * Attach a hover tooltip to an SVG element
+ * @param {SVGElement} el - Element
+ * @param {string} text - Tooltip
+ * @returns {SVGElement} The element
+ */
+function withTitle(el, text) {
+  el.append(svg('title', {}, text));
+  return el;
+}
+
+/**
+ * Replace a chart's contents, or show an empty message
+ * @param {HTMLElement} container - Chart container
+ * @param {SVGElement|null} chart - Chart, or null when there is nothing to draw
+ */
+function mount(container, chart) {
+  if (chart) {
+    container.replaceChildren(chart);
+    return;
+  }
+  const empty = document.createElement('p');
+  empty.className = 'empty';
+  empty.textContent = 'No data yet';
+  container.replaceChildren(empty);
+}
+
+/**
+ * Format milliseconds as hours and minutes
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. '3h 20m' or '45m'
+ */
+function formatHours(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  return minutes % 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes / 60}h`;
+}
+
+/**
+ * Format a period key for axis labels
+ * @param {string} period - 'YYYY-MM-DD' or 'YYYY-MM'
+ * @param {string} granularity - 'day', 'week' or 'month'
+ * @returns {string} e.g. 'Mar 4' or 'Mar 2024'
+ */
+function formatPeriod(period, granularity) {
+  const [year, month, day] = period.split('-').map(Number);
+  if (granularity === 'month') {
+    return `${MONTHS[month - 1]} ${year}`;
+  }
+  return `${MONTHS[month - 1]} ${day}`;
+}
+
+/**
+ * Render the summary tiles
+ * @param {Object} report - Report from getReport
+ */
+function renderSummary(report) {
+  const { summary, completion } = report;
+  const tiles = [
+    ['Focus time', formatHours(summary.focusMs)],
+    [
+      'Focus sessions',
+      String(report.periods.reduce((total, period) => total + period.sessions, 0)),
+    ],
+    ['Break time', formatHours(summary.breakMs)],
+    [
+      'Break to focus',
+      summary.breakToFocusRatio === null ? '–' : summary.breakToFocusRatio.toFixed(2),
+    ],
+    ['Completion rate', completion.rate === null ? '–' : `${Math.round(completion.rate * 100)}%`],
+  ];
+  els.summary.replaceChildren(
+    ...tiles.map(([label, value]) => {
+      const tile = document.createElement('div');
+      tile.className = 'tile';
+      tile.setAttribute('role', 'group');
+      tile.setAttribute('aria-label', label);
+      const valueEl = document.createElement('div');
+      valueEl.className = 'tile-value';
+      valueEl.textContent = value;
+      const labelEl = document.createElement('div');
+      labelEl.className = 'tile-label';
+      labelEl.textContent = label;
+      tile.append(valueEl, labelEl);
+      return tile;
+    })
+  );
+}
+
+/**
+ * Render a vertical column chart
+ * @param {HTMLElement} container - Chart container
+ * @param {Array<{label: string, value: number, detail: string}>} data - Columns (values in ms)
+ */
+function renderColumns(container, data) {
+  const max = Math.max(0, ...data.map((item) => item.value));
+  if (!data.length || !max) {
+    mount(container, null);
+    return;
+  }
+  const width = 720;
+  const height = 220;
+  const left = 44;
+  const bottom = 24;
+  const plotHeight = height - bottom - 10;
+  const step = (width - left) / data.length;
+  const labelEvery = Math.ceil(data.length / 12);
+  const chart = svg('svg', { viewBox: `0 0 ${width} ${height}` });
+
+  [0, 0.5, 1].forEach((fraction) => {
+    const y = 10 + plotHeight * (1 - fraction);
+    chart.append(svg('line', { class: 'axis', x1: left, x2: width, y1: y, y2: y }));
+    chart.append(
+      svg('text', { x: left - 6, y: y + 4, 'text-anchor': 'end' }, formatHours(max * fraction))
+    );
+  });
+  data.forEach((item, index) => {
+    const barHeight = (item.value / max) * plotHeight;
+    const x = left + index * step;
+    chart.append(
+      withTitle(
+        svg('rect', {
+          class: 'focus',
+          x: x + step * 0.15,
+          y: 10 + plotHeight - barHeight,
+          width: Math.max(1, step * 0.7),
+          height: barHeight,
+          rx: 2,
+        }),
+        item.detail
+      )
+    );
+    if (index % labelEvery === 0) {
+      chart.append(
+        svg('text', { x: x + step / 2, y: height - 6, 'text-anchor': 'middle' }, item.label)
+      );
+    }
+  });
+  mount(container, chart);
+}
+
+/**
+ * Render a horizontal bar chart of the largest values
+ * @param {HTMLElement} container - Chart container
+ * @param {Array<{label: string, value: number, text: string}>} data - Bars, largest first
+ */
+function renderBars(container, data) {
+  const rows = data.slice(0, MAX_BARS);
+  const max = Math.max(0, ...rows.map((item) => item.value));
+  if (!rows.length || !max) {
+    mount(container, null);
+    return;
+  }
+  const width = 420;
+  const rowHeight = 26;
+  const labelWidth = 130;
+  const valueWidth = 90;
+  const barSpace = width - labelWidth - valueWidth;
+  const chart = svg('svg', { viewBox: `0 0 ${width} ${rows.length * rowHeight}` });
+
+  rows.forEach((item, index) => {
+    const y = index * rowHeight;
+    const label = item.label.length > 18 ? `${item.label.slice(0, 17)}…` : item.label;
+    chart.append(withTitle(svg('text', { x: 0, y: y + 17 }, label), item.label));
+    chart.append(
+      withTitle(
+        svg('rect', {
+          class: 'focus',
+          x: labelWidth,
+          y: y + 5,
+          width: Math.max(2, (item.value / max) * barSpace),
+          height: rowHeight - 10,
+          rx: 3,
+        }),
+        `${item.label}: ${item.text}`
+      )
+    );
+    chart.append(
+      svg('text', { class: 'value', x: width, y: y + 17, 'text-anchor': 'end' }, item.text)
+    );
+  });
+  mount(container, chart);
+}
+
+/**
+ * Render focus and break time as one stacked bar
+ * @param {HTMLElement} container - Chart container
+ * @param {Object} summary - Report summary (focusMs, breakMs, breakToFocusRatio)
+ */
+function renderRatio(container, summary) {
+  const total = summary.focusMs + summary.breakMs;
+  if (!total) {
+    mount(container, null);
+    return;
+  }
+  const width = 420;
+  const focusWidth = (summary.focusMs / total) * width;
+  const chart = svg('svg', { viewBox: `0 0 ${width} 96` });
+  chart.append(
+    svg(
+      'text',
+      { class: 'big', x: 0, y: 26 },
+      `${summary.breakToFocusRatio.toFixed(2)} min break per focus min`
+    )
+  );
+  chart.append(
+    withTitle(
+      svg('rect', { class: 'focus', x: 0, y: 40, width: focusWidth, height: 18 }),
+      `Focus: ${formatHours(summary.focusMs)}`
+    )
+  );
+  chart.append(
+    withTitle(
+      svg('rect', { class: 'break', x: focusWidth, y: 40, width: width - focusWidth, height: 18 }),
+      `Breaks: ${formatHours(summary.breakMs)}`
+    )
+  );
+  chart.append(svg('text', { x: 0, y: 80 }, `Focus ${formatHours(summary.focusMs)}`));
+  chart.append(
+    svg('text', { x: width, y: 80, 'text-anchor': 'end' }, `Breaks ${formatHours(summary.breakMs)}`)
+  );
+  mount(container, chart);
+}
+
+/**
+ * Render the completion rate as a ring
+ * @param {HTMLElement} container - Chart container
+ * @param {{completed: number, abandoned: number, total: number, rate: number|null}} completion
+ *   Completion stats
+ */
+function renderCompletion(container, completion) {
+  if (completion.rate === null) {
+    mount(container, null);
+    return;
+  }
+  const skipped = completion.total - completion.completed - completion.abandoned;
+  const radius = 40;
+  const circumference = 2 * Math.PI * radius;
+  const chart = svg('svg', { viewBox: '0 0 420 110' });
+  chart.append(svg('circle', { class: 'track', cx: 55, cy: 55, r: radius, 'stroke-width': 10 }));
+  chart.append(
+    svg('circle', {
+      class: 'arc',
+      cx: 55,
+      cy: 55,
+      r: radius,
+      'stroke-width': 10,
+      'stroke-dasharray': `${completion.rate * circumference} ${circumference}`,
+      transform: 'rotate(-90 55 55)',
+    })
+  );
+  chart.append(
+    svg(
+      'text',
+      { class: 'big', x: 55, y: 62, 'text-anchor': 'middle' },
+      `${Math.round(completion.rate * 100)}%`
+    )
+  );
+  chart.append(
+    svg(
+      'text',
+      { x: 120, y: 50 },
+      `${completion.completed} of ${completion.total} focus sessions completed`
+    )
+  );
+  chart.append(
+    svg('text', { x: 120, y: 70 }, `${skipped} skipped, ${completion.abandoned} abandoned`)
+  );
+  mount(container, chart);
+}
+
+/**
+ * Render focus time by weekday and hour as a heatmap
+ * @param {HTMLElement} container - Chart container
+ * @param {number[][]} grid - 7 rows (Monday first) of 24 hourly totals in ms
+ */
+function renderHeatmap(container, grid) {
+  const max = Math.max(0, ...grid.flat());
+  if (!max) {
+    mount(container, null);
+    return;
+  }
+  const left = 36;
+  const top = 16;
+  const cell = 28;
+  const chart = svg('svg', { viewBox: `0 0 ${left + cell * 24} ${top + cell * 7}` });
+
+  for (let hour = 0; hour < 24; hour += 3) {
+    chart.append(
+      svg('text', { x: left + hour * cell + cell / 2, y: 11, 'text-anchor': 'middle' }, `${hour}h`)
+    );
+  }
+  grid.forEach((hours, day) => {
+    chart.append(svg('text', { x: 0, y: top + day * cell + cell / 2 + 4 }, WEEKDAYS[day]));
+    hours.forEach((value, hour) => {
+      chart.append(
+        withTitle(
+          svg('rect', {
+            class: 'focus',
+            x: left + hour * cell + 1,
+            y: top + day * cell + 1,
+            width: cell - 2,
+            height: cell - 2,
+            rx: 3,
+            'fill-opacity': value ? 0.15 + 0.85 * (value / max) : 0.04,
+          }),
+          `${WEEKDAYS[day]} ${hour}:00–${hour + 1}:00: ${formatHours(value)}`
+        )
+      );
+    });
+  });
+  mount(container, chart);
+}
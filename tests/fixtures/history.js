@@ -0,0 +1,37 @@
+/**
+ * History entry factory shared by the unit tests
+ * Entries are built with createHistoryEntry so they match what the worker records.
+ */
+
+import { createHistoryEntry } from '../../src/services/state.js';
+
+const MINUTE = 60000;
+
+/**
+ * Build a history entry from its start time and wall-clock length
+ * @param {number|string} start - Timestamp, or an ISO time with offset such as '2024-03-09T23:30:00-05:00'
+ * @param {number} minutes - Wall-clock length
+ * @param {Object} overrides - { id, phase, methodKey, taskId, durationMs } plus extra details such as status, interruptions or rating
+ * @returns {Object} History entry
+ */
+export function historyEntry(start, minutes, overrides = {}) {
+  const startedAt = typeof start === 'string' ? Date.parse(start) : start;
+  const {
+    id,
+    phase = 'work',
+    methodKey = 'pomodoro',
+    taskId = null,
+    durationMs = minutes * MINUTE,
+    ...details
+  } = overrides;
+  return createHistoryEntry(
+    id ?? `${start}-${phase}`,
+    methodKey,
+    phase,
+    durationMs,
+    startedAt,
+    startedAt + minutes * MINUTE,
+    taskId,
+    details
+  );
+}
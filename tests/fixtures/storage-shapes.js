@@ -0,0 +1,154 @@
+/**
+ * Stored data fixtures for every historical schema shape
+ * Each fixture is the raw chrome.storage.local contents written by that release.
+ */
+
+const DAY = new Date(2024, 5, 3, 9, 0).getTime();
+
+/**
+ * Pre-0.2 shape (schemaVersion missing)
+ * Presets used breakMinutes, tasks used completed/startedAt/completedAt,
+ * and history held one aggregate per day.
+ */
+export const LEGACY_PRE_0_2 = {
+  state: {
+    timer: {
+      methodKey: 'custom',
+      phase: 'work',
+      isRunning: false,
+      startTime: 0,
+      endTime: 0,
+      remainingMs: 0,
+      cycleCount: 0,
+      completedSessions: 2,
+      activeTaskId: null,
+    },
+    tasks: [
+      {
+        id: '123',
+        title: 'Implement feature',
+        estimate: 2,
+        completed: true,
+        startedAt: 0,
+        completedAt: 0,
+      },
+      { title: 'Untitled legacy task', completed: false },
+    ],
+    history: [
+      {
+        date: '2024-06-02',
+        methodKey: 'pomodoro',
+        phasesCompleted: 4,
+        totalMinutes: 110,
+        breaksTaken: 3,
+      },
+      {
+        date: '2024-06-01',
+        methodKey: 'custom',
+        phasesCompleted: 1,
+        totalMinutes: 30,
+        breaksTaken: 0,
+      },
+    ],
+  },
+  settings: {
+    selectedMethod: 'custom',
+    autoStartBreaks: false,
+    autoStartWork: false,
+    lockIn: false,
+    notifications: true,
+    breakEnforcement: false,
+    badge: true,
+    sound: 'chime',
+    volume: 0.7,
+    theme: 'system',
+    presets: {
+      pomodoro: {
+        key: 'pomodoro',
+        label: 'Pomodoro',
+        workMinutes: 25,
+        breakMinutes: 5,
+        longBreakMinutes: 15,
+        cyclesBeforeLongBreak: 4,
+      },
+      custom: {
+        key: 'custom',
+        label: 'Custom',
+        workMinutes: 30,
+        breakMinutes: 7,
+        longBreakMinutes: 15,
+        cyclesBeforeLongBreak: 4,
+      },
+    },
+  },
+};
+
+/**
+ * 0.2.0 shape (schemaVersion missing)
+ * Current preset and entry fields, history capped at 200 entries inside state.
+ */
+export const RELEASE_0_2_0 = {
+  state: {
+    timer: {
+      methodKey: 'pomodoro',
+      phase: 'break',
+      isRunning: false,
+      startTime: 0,
+      endTime: 0,
+      remainingMs: 0,
+      cycleCount: 1,
+      completedSessions: 1,
+      activeTaskId: 't1',
+    },
+    tasks: [{ id: 't1', title: 'Write report', estimate: 3, completedSessions: 1, done: false }],
+    history: Array.from({ length: 60 }, (_, i) => ({
+      id: `e${i}`,
+      methodKey: 'pomodoro',
+      phase: i % 2 ? 'break' : 'work',
+      durationMs: 25 * 60000,
+      startedAt: DAY - i * 3600000,
+      endedAt: DAY - i * 3600000 + 25 * 60000,
+      taskId: i % 3 ? null : 't1',
+    })),
+    statistics: {
+      totalSessions: 60,
+      totalFocusTime: 0,
+      totalBreakTime: 0,
+      longestSession: 0,
+      currentStreak: 1,
+      longestStreak: 1,
+      lastSessionDate: DAY,
+    },
+  },
+  settings: {
+    selectedMethod: 'pomodoro',
+    autoStartBreaks: true,
+    autoStartWork: true,
+    lockIn: false,
+    notifications: true,
+    breakEnforcement: false,
+    badge: true,
+    sound: 'softBell',
+    volume: 0.5,
+    theme: 'dark',
+    presets: {
+      custom: {
+        key: 'custom',
+        label: 'Custom',
+        workMinutes: 40,
+        shortBreakMinutes: 8,
+        longBreakMinutes: 20,
+        cyclesBeforeLongBreak: 3,
+      },
+    },
+  },
+};
+
+/**
+ * Data stored with an unknown future schemaVersion (downgrade)
+ */
+export const FUTURE_VERSION = {
+  schemaVersion: 999,
+  state: { somethingNew: true },
+  settings: { selectedMethod: 'pomodoro', notifications: true, volume: 1 },
+};
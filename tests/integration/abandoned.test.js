@@ -0,0 +1,118 @@
+/**
+ * Integration tests for abandoned sessions through the service worker
+ * Verifies that resets and the paused-idle timeout log partial phases as abandoned, and that
+ * statistics count or exclude them following the countAbandoned setting
+ */
+
+import { setupChromeMock, sendToWorker, settle } from './chrome-mock.js';
+import * as stateModule from '../../src/services/state.js';
+import * as historyStore from '../../src/services/history.js';
+import { ABANDON_ALARM, SCHEMA_VERSION } from '../../src/shared/constants.js';
+
+setupChromeMock();
+
+describe('Abandoned Sessions Integration', () => {
+  let chrome;
+  let error;
+  let now;
+
+  beforeAll(async () => {
+    await import('../../src/background/service-worker.js');
+  });
+
+  beforeEach(async () => {
+    chrome = global.chrome;
+    chrome.storage.reset();
+    chrome.runtime.sendMessage = async () => ({ ok: true });
+    error = console.error;
+    console.error = () => {};
+    now = Date.now;
+    const { state, settings } = stateModule.initializeState();
+    await chrome.storage.local.set({
+      schemaVersion: SCHEMA_VERSION,
+      state,
+      settings: { ...settings, autoStartBreaks: false, abandonAfterMinutes: 20 },
+    });
+  });
+
+  afterEach(() => {
+    console.error = error;
+    Date.now = now;
+  });
+
+  /**
+   * Start a work phase and let some minutes pass
+   * @param {number} minutes - Minutes spent in the phase
+   * @returns {Promise<void>}
+   */
+  async function workFor(minutes) {
+    const start = now();
+    Date.now = () => start;
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+    Date.now = () => start + minutes * 60000;
+  }
+
+  it('logs the phase in progress as abandoned on reset', async () => {
+    await workFor(10);
+
+    const result = await sendToWorker({ type: 'resetTimer' });
+    expect(result.entry).toMatchObject({
+      phase: 'work',
+      status: 'abandoned',
+      durationMs: 10 * 60000,
+    });
+
+    const [stored] = await historyStore.getAllHistory();
+    expect(stored.status).toBe('abandoned');
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.statistics).toMatchObject({
+      totalSessions: 1,
+      abandonedSessions: 1,
+      totalFocusTime: 10 * 60000,
+    });
+
+    const idle = await sendToWorker({ type: 'resetTimer' });
+    expect(idle.entry).toBeNull();
+    expect(await historyStore.getAllHistory()).toHaveLength(1);
+  });
+
+  it('abandons a phase left paused past the idle timeout', async () => {
+    await workFor(5);
+    await sendToWorker({ type: 'pauseTimer' });
+    const alarm = await chrome.alarms.get(ABANDON_ALARM);
+    expect(alarm.scheduledTime).toBe(Date.now() + 20 * 60000);
+
+    chrome.alarms.triggerAlarm(ABANDON_ALARM);
+    await settle();
+
+    const [entry] = await historyStore.getAllHistory();
+    expect(entry).toMatchObject({ status: 'abandoned', durationMs: 5 * 60000, pauses: 1 });
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.timer).toMatchObject({ isRunning: false, remainingMs: 0, phase: 'work' });
+  });
+
+  it('cancels the idle timeout on resume and when the timeout is turned off', async () => {
+    await workFor(5);
+    await sendToWorker({ type: 'pauseTimer' });
+    await sendToWorker({ type: 'resumeTimer' });
+    expect(await chrome.alarms.get(ABANDON_ALARM)).toBeUndefined();
+
+    await sendToWorker({ type: 'updateSettings', settings: { abandonAfterMinutes: 0 } });
+    await sendToWorker({ type: 'pauseTimer' });
+    expect(await chrome.alarms.get(ABANDON_ALARM)).toBeUndefined();
+  });
+
+  it('rebuilds statistics without abandoned sessions when they are excluded', async () => {
+    await workFor(10);
+    await sendToWorker({ type: 'resetTimer' });
+
+    await sendToWorker({ type: 'updateSettings', settings: { countAbandoned: false } });
+
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.statistics).toMatchObject({
+      totalSessions: 0,
+      abandonedSessions: 1,
+      totalFocusTime: 0,
+    });
+  });
+});
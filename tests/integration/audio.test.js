@@ -0,0 +1,76 @@
+/**
+ * Integration tests for the offscreen audio bridge
+ * Verifies the service worker opens the offscreen document and drives it by message
+ */
+
+import { setupChromeMock, sendToWorker } from './chrome-mock.js';
+import * as stateModule from '../../src/services/state.js';
+import { OFFSCREEN_DOCUMENT, AMBIENT_FADE } from '../../src/shared/constants.js';
+
+setupChromeMock();
+
+describe('Offscreen Audio Integration', () => {
+  let chrome;
+  let sent;
+
+  beforeAll(async () => {
+    await import('../../src/background/service-worker.js');
+  });
+
+  beforeEach(async () => {
+    chrome = global.chrome;
+    chrome.storage.reset();
+    await chrome.offscreen.closeDocument();
+    chrome.offscreen.createCount = 0;
+    sent = [];
+    chrome.runtime.sendMessage = async (message) => {
+      sent.push(message);
+      return { ok: true };
+    };
+    const { state, settings } = stateModule.initializeState();
+    const withAmbient = stateModule.updatePreset(settings, 'pomodoro', { ambient: 'brown' });
+    await chrome.storage.local.set({ state, settings: withAmbient });
+  });
+
+  it('opens the offscreen document once and sends note schedules', async () => {
+    const first = await sendToWorker({ type: 'testSound', sound: 'rising', volume: 0.4 });
+    await sendToWorker({ type: 'testSound', sound: 'chime' });
+
+    expect(first.played).toBe(true);
+    expect(chrome.offscreen.createCount).toBe(1);
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    expect(contexts[0].documentUrl).toBe(chrome.runtime.getURL(OFFSCREEN_DOCUMENT));
+
+    const playback = sent.filter((m) => m.target === 'offscreen');
+    expect(playback).toHaveLength(2);
+    expect(playback[0].notes).toHaveLength(3);
+    expect(playback[0].volume).toBe(0.4);
+    expect(playback[1].volume).toBe(0.7);
+  });
+
+  it('does not open the document for silent sounds', async () => {
+    const response = await sendToWorker({ type: 'testSound', sound: 'none' });
+
+    expect(response.played).toBe(false);
+    expect(chrome.offscreen.createCount).toBe(0);
+  });
+
+  it('starts ambient audio with focus and fades it out on pause', async () => {
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+    await sendToWorker({ type: 'pauseTimer' });
+
+    const ambient = sent.filter((m) => m.target === 'offscreen');
+    expect(ambient[0]).toMatchObject({ type: 'startAmbient', sound: 'brown', volume: 0.3 });
+    expect(ambient[1]).toMatchObject({
+      type: 'stopAmbient',
+      fadeSeconds: AMBIENT_FADE.stopSeconds,
+    });
+  });
+
+  it('keeps breaks silent and skips stop messages when nothing is open', async () => {
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'break' });
+
+    expect(sent.filter((m) => m.target === 'offscreen')).toHaveLength(0);
+    expect(chrome.offscreen.createCount).toBe(0);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Integration tests for full backup and restore through the service worker
+ * Verifies round trips, merge deduplication, previews, and rejected backups
+ */
+
+import { setupChromeMock, sendToWorker } from './chrome-mock.js';
+import * as stateModule from '../../src/services/state.js';
+import * as historyStore from '../../src/services/history.js';
+import { BACKUP_FORMAT, HISTORY_STORE, SCHEMA_VERSION } from '../../src/shared/constants.js';
+
+setupChromeMock();
+
+/**
+ * Build a work entry that started at an hour of 2024-01-05
+ * @param {string} id - Entry id
+ * @param {number} hour - Hour of day
+ * @returns {Object} History entry
+ */
+function entryAt(id, hour) {
+  const startedAt = new Date(2024, 0, 5, hour).getTime();
+  return stateModule.createHistoryEntry(
+    id,
+    'pomodoro',
+    'work',
+    25 * 60000,
+    startedAt,
+    startedAt + 25 * 60000
+  );
+}
+
+describe('Backup and Restore Integration', () => {
+  let chrome;
+  let warn;
+  let error;
+
+  beforeAll(async () => {
+    await import('../../src/background/service-worker.js');
+  });
+
+  beforeEach(() => {
+    chrome = global.chrome;
+    chrome.storage.reset();
+    chrome.runtime.sendMessage = async () => ({ ok: true });
+    warn = console.warn;
+    error = console.error;
+    console.warn = () => {};
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    console.warn = warn;
+    console.error = error;
+  });
+
+  /**
+   * Store current-version data with one task and the given history
+   * @param {Array} history - Entries for the history store
+   * @param {Object} settingsOverrides - Fields replacing the default settings
+   * @returns {Promise<Object>} The stored task
+   */
+  async function seed(history = [], settingsOverrides = {}) {
+    const { state, settings } = stateModule.initializeState();
+    const task = stateModule.createTask('Write report', 3);
+    await chrome.storage.local.set({
+      schemaVersion: SCHEMA_VERSION,
+      state: { ...state, tasks: [task], history },
+      settings: { ...settings, ...settingsOverrides },
+    });
+    await historyStore.appendHistoryEntries(history);
+    return task;
+  }
+
+  it('restores a full backup after the data is wiped', async () => {
+    const task = await seed([entryAt('a', 9), entryAt('b', 11)], { theme: 'dark' });
+    const { backup } = await sendToWorker({ type: 'createBackup' });
+
+    expect(backup).toMatchObject({ format: BACKUP_FORMAT, appVersion: '0.2.0' });
+    expect(backup.history.map((entry) => entry.id)).toEqual(['b', 'a']);
+
+    chrome.storage.reset();
+    const response = await sendToWorker({
+      type: 'restoreBackup',
+      backup: JSON.stringify(backup),
+      mode: 'replace',
+    });
+
+    expect(response.ok).toBe(true);
+    expect(response.preview.history.added).toBe(2);
+    const { state, settings } = await sendToWorker({ type: 'getState' });
+    expect(state.tasks).toEqual([task]);
+    expect(settings.theme).toBe('dark');
+    expect((await historyStore.getAllHistory()).map((entry) => entry.id)).toEqual(['b', 'a']);
+  });
+
+  it('merges only history entries that are not already stored', async () => {
+    await seed([entryAt('a', 9)]);
+    const backup = {
+      format: BACKUP_FORMAT,
+      schemaVersion: SCHEMA_VERSION,
+      tasks: [],
+      history: [entryAt('a', 9), entryAt('c', 15)],
+    };
+
+    const response = await sendToWorker({ type: 'restoreBackup', backup, mode: 'merge' });
+
+    expect(response.preview.history).toMatchObject({ added: 1, unchanged: 1 });
+    expect((await historyStore.getAllHistory()).map((entry) => entry.id)).toEqual(['c', 'a']);
+    const { state } = await sendToWorker({ type: 'getState' });
+    expect(state.tasks).toHaveLength(1);
+    expect(state.statistics.totalSessions).toBe(2);
+  });
+
+  it('previews a restore without writing anything', async () => {
+    await seed([entryAt('a', 9)]);
+    const keys = ['state', 'settings', HISTORY_STORE.indexKey];
+    const before = await chrome.storage.local.get(keys);
+
+    const { preview } = await sendToWorker({
+      type: 'previewRestore',
+      backup: { format: BACKUP_FORMAT, schemaVersion: SCHEMA_VERSION, tasks: [], history: [] },
+      mode: 'replace',
+    });
+
+    expect(preview.tasks.removed).toBe(1);
+    expect(preview.history.removed).toBe(1);
+    expect(await chrome.storage.local.get(keys)).toEqual(before);
+  });
+
+  it('rejects invalid backups and leaves data untouched', async () => {
+    const task = await seed();
+
+    const response = await sendToWorker({
+      type: 'restoreBackup',
+      backup: '{"format":"something-else"}',
+      mode: 'replace',
+    });
+
+    expect(response.error).toBe('Unsupported backup format: something-else');
+    const { state } = await sendToWorker({ type: 'getState' });
+    expect(state.tasks).toEqual([task]);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Integration tests for focus-mode site blocking
+ * Verifies rules follow timer transitions and Lock-In prevents mid-session edits
+ */
+
+import { setupChromeMock, sendToWorker, settle } from './chrome-mock.js';
+import * as stateModule from '../../src/services/state.js';
+import { ALARM_NAME, BLOCKED_PAGE } from '../../src/shared/constants.js';
+
+setupChromeMock();
+
+describe('Focus Blocklist Integration', () => {
+  let chrome;
+
+  beforeAll(async () => {
+    await import('../../src/background/service-worker.js');
+  });
+
+  /**
+   * Store default state with the given settings overrides
+   * @param {Object} overrides - Settings overrides
+   * @returns {Promise<void>}
+   */
+  async function seed(overrides = {}) {
+    const { state, settings } = stateModule.initializeState();
+    await chrome.storage.local.set({
+      state,
+      settings: {
+        ...settings,
+        autoStartBreaks: false,
+        blocklist: { enabled: true, domains: ['youtube.com'], allowlist: [] },
+        ...overrides,
+      },
+    });
+  }
+
+  beforeEach(() => {
+    chrome = global.chrome;
+    chrome.storage.reset();
+    chrome.declarativeNetRequest.dynamicRules = [];
+    chrome.runtime.sendMessage = async () => ({ ok: true });
+  });
+
+  it('turns rules on for focus and off on pause, resume and reset', async () => {
+    await seed();
+
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+    expect(chrome.declarativeNetRequest.dynamicRules).toHaveLength(1);
+    expect(chrome.declarativeNetRequest.dynamicRules[0].action.redirect.extensionPath).toBe(
+      `/${BLOCKED_PAGE}`
+    );
+
+    await sendToWorker({ type: 'pauseTimer' });
+    expect(chrome.declarativeNetRequest.dynamicRules).toHaveLength(0);
+
+    await sendToWorker({ type: 'resumeTimer' });
+    expect(chrome.declarativeNetRequest.dynamicRules).toHaveLength(1);
+
+    await sendToWorker({ type: 'resetTimer' });
+    expect(chrome.declarativeNetRequest.dynamicRules).toHaveLength(0);
+  });
+
+  it('lifts the rules when the focus block ends', async () => {
+    await seed();
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.timer.phase).toBe('break');
+    expect(chrome.declarativeNetRequest.dynamicRules).toHaveLength(0);
+  });
+
+  it('applies per-method and per-task overrides', async () => {
+    await seed();
+    await sendToWorker({
+      type: 'savePreset',
+      preset: {
+        key: 'deepWork',
+        label: 'Deep work',
+        workMinutes: 90,
+        shortBreakMinutes: 15,
+        longBreakMinutes: 30,
+        cyclesBeforeLongBreak: 2,
+        blocklist: { enabled: false },
+      },
+    });
+    await sendToWorker({ type: 'startTimer', methodKey: 'deepWork', phase: 'work' });
+    expect(chrome.declarativeNetRequest.dynamicRules).toHaveLength(0);
+
+    const { task } = await sendToWorker({ type: 'addTask', title: 'Research', estimate: 1 });
+    await sendToWorker({ type: 'setActiveTask', id: task.id });
+    await sendToWorker({
+      type: 'updateTask',
+      id: task.id,
+      updates: { blocklist: { enabled: true, domains: ['x.com', 'news.com'] } },
+    });
+    expect(chrome.declarativeNetRequest.dynamicRules).toHaveLength(2);
+  });
+
+  it('updates the active rules when the list is edited mid-session', async () => {
+    await seed();
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+
+    const response = await sendToWorker({
+      type: 'updateBlocklist',
+      blocklist: { domains: ['youtube.com', 'https://www.reddit.com/r/all'] },
+    });
+
+    expect(response.blocklist.domains).toEqual(['youtube.com', 'reddit.com']);
+    expect(chrome.declarativeNetRequest.dynamicRules).toHaveLength(2);
+  });
+
+  it('rejects invalid sites', async () => {
+    await seed();
+
+    const response = await sendToWorker({
+      type: 'updateBlocklist',
+      blocklist: { domains: ['not a site'] },
+    });
+
+    expect(response.error).toBe('Blocklist.domains has invalid sites: not a site');
+  });
+
+  it('blocks edits during a Lock-In focus block but allows them on break', async () => {
+    await seed({ lockIn: true });
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+
+    const blocked = await sendToWorker({
+      type: 'updateBlocklist',
+      blocklist: { enabled: false },
+    });
+    const viaSettings = await sendToWorker({
+      type: 'updateSettings',
+      settings: { blocklist: { enabled: false } },
+    });
+    const unchanged = await sendToWorker({
+      type: 'updateSettings',
+      settings: { theme: 'dark' },
+    });
+
+    expect(blocked.error).toMatch(/Lock-In Mode is enabled/);
+    expect(viaSettings.error).toMatch(/Lock-In Mode is enabled/);
+    expect(unchanged.ok).toBe(true);
+    expect(chrome.declarativeNetRequest.dynamicRules).toHaveLength(1);
+
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'break' });
+    const allowed = await sendToWorker({ type: 'updateBlocklist', blocklist: { enabled: false } });
+    expect(allowed.ok).toBe(true);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Integration tests for break enforcement
+ * Verifies the break page lock, strict tab redirects, and emergency skip logging
+ */
+
+import { setupChromeMock, sendToWorker, settle } from './chrome-mock.js';
+import * as stateModule from '../../src/services/state.js';
+import { ALARM_NAME, BREAK_PAGE } from '../../src/shared/constants.js';
+
+setupChromeMock();
+
+describe('Break Enforcement Integration', () => {
+  let chrome;
+  let breakUrl;
+
+  beforeAll(async () => {
+    await import('../../src/background/service-worker.js');
+  });
+
+  /**
+   * Store settings with the given enforcement level and finish a work block
+   * @param {string} level - Enforcement level
+   * @param {boolean} [autoStartBreaks=true] - Whether the break starts on its own
+   * @returns {Promise<void>}
+   */
+  async function finishWorkWith(level, autoStartBreaks = true) {
+    const { state, settings } = stateModule.initializeState();
+    await chrome.storage.local.set({
+      state,
+      settings: {
+        ...settings,
+        breakEnforcement: true,
+        breakEnforcementLevel: level,
+        autoStartBreaks,
+      },
+    });
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+    await settle();
+  }
+
+  beforeEach(() => {
+    chrome = global.chrome;
+    chrome.storage.reset();
+    chrome.tabs.tabs = {};
+    chrome.runtime.sendMessage = async () => ({ ok: true });
+    breakUrl = chrome.runtime.getURL(BREAK_PAGE);
+  });
+
+  it('opens the break page and reports a locked countdown', async () => {
+    await finishWorkWith('countdown');
+
+    const tabs = await chrome.tabs.query({ url: BREAK_PAGE });
+    expect(tabs).toHaveLength(1);
+
+    const status = await sendToWorker({ type: 'getBreakStatus' });
+    expect(status.ok).toBe(true);
+    expect(status.onBreak).toBe(true);
+    expect(status.isRunning).toBe(true);
+    expect(status.locked).toBe(true);
+    expect(status.strict).toBe(false);
+    expect(status.remainingMs).toBeGreaterThan(0);
+  });
+
+  it('reopens the break page when it is closed while locked', async () => {
+    await finishWorkWith('countdown');
+    const [tab] = await chrome.tabs.query({ url: BREAK_PAGE });
+
+    await chrome.tabs.remove(tab.id);
+    await settle();
+    await settle();
+
+    const reopened = await chrome.tabs.query({ url: BREAK_PAGE });
+    expect(reopened).toHaveLength(1);
+    expect(reopened[0].id).not.toBe(tab.id);
+  });
+
+  it('reopens a closed break page once a waiting break starts', async () => {
+    await finishWorkWith('strict', false);
+    const [waiting] = await chrome.tabs.query({ url: BREAK_PAGE });
+    expect((await sendToWorker({ type: 'getBreakStatus' })).locked).toBe(false);
+
+    await chrome.tabs.remove(waiting.id);
+    await settle();
+    await settle();
+    expect(await chrome.tabs.query({ url: BREAK_PAGE })).toHaveLength(0);
+
+    chrome.commands.triggerCommand('flexifocus-start-pause');
+    await settle();
+    await settle();
+
+    const reopened = await chrome.tabs.query({ url: BREAK_PAGE });
+    expect(reopened).toHaveLength(1);
+    expect((await sendToWorker({ type: 'getBreakStatus' })).locked).toBe(true);
+    const tab = await chrome.tabs.create({ url: 'https://example.com/' });
+    chrome.tabs.onCreated.listeners.forEach((listener) => listener(tab));
+    await settle();
+    await settle();
+    expect(chrome.tabs.tabs[tab.id].url).toBe(breakUrl);
+  });
+
+  it('opens the break page when a waiting break is started from the popup', async () => {
+    await finishWorkWith('countdown', false);
+    const [waiting] = await chrome.tabs.query({ url: BREAK_PAGE });
+    await chrome.tabs.remove(waiting.id);
+    await settle();
+    await settle();
+
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'break' });
+
+    expect(await chrome.tabs.query({ url: BREAK_PAGE })).toHaveLength(1);
+    expect((await sendToWorker({ type: 'getBreakStatus' })).locked).toBe(true);
+  });
+
+  it('redirects new tabs to the break page in strict mode only', async () => {
+    await finishWorkWith('strict');
+    const tab = await chrome.tabs.create({ url: 'https://example.com/' });
+    chrome.tabs.onCreated.listeners.forEach((listener) => listener(tab));
+    await settle();
+    await settle();
+    expect(chrome.tabs.tabs[tab.id].url).toBe(breakUrl);
+
+    chrome.storage.reset();
+    chrome.tabs.tabs = {};
+    await finishWorkWith('countdown');
+    const other = await chrome.tabs.create({ url: 'https://example.com/' });
+    chrome.tabs.onCreated.listeners.forEach((listener) => listener(other));
+    await settle();
+    await settle();
+    expect(chrome.tabs.tabs[other.id].url).toBe('https://example.com/');
+  });
+
+  it('emergency skip logs the reason and starts the next focus block', async () => {
+    await finishWorkWith('strict');
+    const now = Date.now;
+    const at = now() + 60000;
+    Date.now = () => at;
+
+    const response = await sendToWorker({ type: 'emergencySkipBreak', reason: '  Urgent call  ' });
+    Date.now = now;
+
+    expect(response.ok).toBe(true);
+    expect(response.skipped).toBe(true);
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.timer.phase).toBe('work');
+    expect(state.timer.isRunning).toBe(true);
+    expect(state.history[0]).toMatchObject({
+      phase: 'break',
+      status: 'skipped',
+      skipReason: 'Urgent call',
+    });
+    expect(state.history[0].note).toBeUndefined();
+    const csv = await sendToWorker({ type: 'exportHistory', format: 'csv' });
+    expect(csv.content.split('\r\n')[2]).toMatch(/,break,.*,skipped,Urgent call,,,$/);
+
+    const status = await sendToWorker({ type: 'getBreakStatus' });
+    expect(status.locked).toBe(false);
+
+    const tab = await chrome.tabs.create({ url: 'https://example.com/' });
+    chrome.tabs.onCreated.listeners.forEach((listener) => listener(tab));
+    await settle();
+    expect(chrome.tabs.tabs[tab.id].url).toBe('https://example.com/');
+  });
+
+  it('emergency skip is a no-op outside breaks', async () => {
+    const { state, settings } = stateModule.initializeState();
+    await chrome.storage.local.set({ state, settings });
+
+    const response = await sendToWorker({ type: 'emergencySkipBreak' });
+
+    expect(response.skipped).toBe(false);
+  });
+});
@@ -12,53 +12,61 @@ class ChromeMock {
     this.tabs = new ChromeTabsMock();
     this.action = new ChromeActionMock();
     this.commands = new ChromeCommandsMock();
+    this.offscreen = new ChromeOffscreenMock(this.runtime);
+    this.declarativeNetRequest = new ChromeDeclarativeNetRequestMock();
   }
 }
 
+function createStorageArea(data) {
+  return {
+    get: async (keys) => {
+      if (typeof keys === 'string') {
+        return { [keys]: data[keys] };
+      }
+      if (Array.isArray(keys)) {
+        const result = {};
+        keys.forEach(k => (result[k] = data[k]));
+        return result;
+      }
+      if (typeof keys === 'object') {
+        const result = { ...keys };
+        Object.keys(keys).forEach(k => {
+          if (data[k] !== undefined) result[k] = data[k];
+        });
+        return result;
+      }
+      return data;
+    },
+    set: async (items) => {
+      Object.assign(data, items);
+    },
+    remove: async (keys) => {
+      if (typeof keys === 'string') {
+        delete data[keys];
+      } else if (Array.isArray(keys)) {
+        keys.forEach(k => delete data[k]);
+      }
+    },
+    clear: async () => {
+      Object.keys(data).forEach(k => delete data[k]);
+    },
+    getBytesInUse: async () => {
+      return JSON.stringify(data).length;
+    },
+  };
+}
+
 class ChromeStorageMock {
   constructor() {
     this.data = {};
-    const data = this.data;
-    this.local = {
-      get: async (keys) => {
-        if (typeof keys === 'string') {
-          return { [keys]: data[keys] };
-        }
-        if (Array.isArray(keys)) {
-          const result = {};
-          keys.forEach(k => (result[k] = data[k]));
-          return result;
-        }
-        if (typeof keys === 'object') {
-          const result = { ...keys };
-          Object.keys(keys).forEach(k => {
-            if (data[k] !== undefined) result[k] = data[k];
-          });
-          return result;
-        }
-        return data;
-      },
-      set: async (items) => {
-        Object.assign(data, items);
-      },
-      remove: async (keys) => {
-        if (typeof keys === 'string') {
-          delete data[keys];
-        } else if (Array.isArray(keys)) {
-          keys.forEach(k => delete data[k]);
-        }
-      },
-      clear: async () => {
-        Object.keys(data).forEach(k => delete data[k]);
-      },
-      getBytesInUse: async () => {
-        return JSON.stringify(data).length;
-      },
-    };
+    this.sessionData = {};
+    this.local = createStorageArea(this.data);
+    this.session = createStorageArea(this.sessionData);
   }
 
   reset() {
     Object.keys(this.data).forEach(k => delete this.data[k]);
+    Object.keys(this.sessionData).forEach(k => delete this.sessionData[k]);
   }
 }
 
@@ -68,7 +76,7 @@ class ChromeAlarmsMock {
     this.onAlarm = {
       listeners: [],
       addListener: (cb) => {
-        this.listeners.push(cb);
+        this.onAlarm.listeners.push(cb);
       },
     };
   }
@@ -116,6 +124,7 @@ class ChromeRuntimeMock {
   constructor() {
     this.messageListeners = [];
     this.installListeners = [];
+    this.contexts = [];
     this.onMessage = {
       addListener: (cb) => {
         this.messageListeners.push(cb);
@@ -136,6 +145,18 @@ class ChromeRuntimeMock {
     return `chrome-extension://mock/${path}`;
   }
 
+  getManifest() {
+    return { manifest_version: 3, name: 'FlexiFocus', version: '0.2.0' };
+  }
+
+  async getContexts(filter = {}) {
+    return this.contexts.filter((context) => {
+      if (filter.contextTypes && !filter.contextTypes.includes(context.contextType)) return false;
+      if (filter.documentUrls && !filter.documentUrls.includes(context.documentUrl)) return false;
+      return true;
+    });
+  }
+
   triggerMessage(message) {
     const sendResponse = (response) => {
       message._response = response;
@@ -152,7 +173,11 @@ class ChromeNotificationsMock {
     this.notifications = {};
     this.onClicked = { addListener: () => {} };
     this.onClosed = { addListener: () => {} };
-    this.onButtonClicked = { addListener: () => {} };
+    this.onButtonClicked = createEvent();
+  }
+
+  triggerButtonClicked(notificationId, buttonIndex) {
+    this.onButtonClicked.listeners.forEach(listener => listener(notificationId, buttonIndex));
   }
 
   async create(notificationId, options) {
@@ -182,11 +207,24 @@ class ChromeNotificationsMock {
   }
 }
 
+function createEvent() {
+  const event = {
+    listeners: [],
+    addListener: (cb) => {
+      event.listeners.push(cb);
+    },
+  };
+  return event;
+}
+
 class ChromeTabsMock {
   constructor() {
     this.tabs = {};
     this.nextTabId = 1;
     this.onActivated = { addListener: () => {} };
+    this.onCreated = createEvent();
+    this.onUpdated = createEvent();
+    this.onRemoved = createEvent();
   }
 
   async create(createProperties) {
@@ -230,7 +268,10 @@ class ChromeTabsMock {
 
   async remove(tabIds) {
     const ids = Array.isArray(tabIds) ? tabIds : [tabIds];
-    ids.forEach(id => delete this.tabs[id]);
+    ids.forEach(id => {
+      delete this.tabs[id];
+      this.onRemoved.listeners.forEach(listener => listener(id, {}));
+    });
   }
 }
 
@@ -275,11 +316,60 @@ class ChromeActionMock {
   }
 }
 
+class ChromeDeclarativeNetRequestMock {
+  constructor() {
+    this.dynamicRules = [];
+  }
+
+  async getDynamicRules() {
+    return [...this.dynamicRules];
+  }
+
+  async updateDynamicRules({ removeRuleIds = [], addRules = [] }) {
+    const remaining = this.dynamicRules.filter(rule => !removeRuleIds.includes(rule.id));
+    addRules.forEach(rule => {
+      if (remaining.some(existing => existing.id === rule.id)) {
+        throw new Error(`Rule with id ${rule.id} already exists`);
+      }
+      remaining.push(rule);
+    });
+    this.dynamicRules = remaining;
+  }
+}
+
+class ChromeOffscreenMock {
+  constructor(runtime) {
+    this.runtime = runtime;
+    this.createCount = 0;
+  }
+
+  async createDocument({ url, reasons }) {
+    this.createCount++;
+    this.runtime.contexts.push({
+      contextType: 'OFFSCREEN_DOCUMENT',
+      documentUrl: this.runtime.getURL(url),
+      reasons,
+    });
+  }
+
+  async hasDocument() {
+    return this.runtime.contexts.some((c) => c.contextType === 'OFFSCREEN_DOCUMENT');
+  }
+
+  async closeDocument() {
+    this.runtime.contexts = this.runtime.contexts.filter(
+      (c) => c.contextType !== 'OFFSCREEN_DOCUMENT'
+    );
+  }
+}
+
 class ChromeCommandsMock {
   constructor() {
-    this.onCommand = {
-      addListener: () => {},
-    };
+    this.onCommand = createEvent();
+  }
+
+  triggerCommand(command) {
+    this.onCommand.listeners.forEach(listener => listener(command));
   }
 }
 
@@ -297,3 +387,22 @@ export function setupChromeMock() {
     window.chrome = new ChromeMock();
   }
 }
+
+/**
+ * Send a message to the service worker listener and await its response
+ * @param {Object} message - Runtime message
+ * @returns {Promise<Object>} Response passed to sendResponse
+ */
+export function sendToWorker(message) {
+  return new Promise(resolve => {
+    global.chrome.runtime.messageListeners.forEach(listener => listener(message, {}, resolve));
+  });
+}
+
+/**
+ * Let the listeners triggered through the mock finish
+ * @returns {Promise<void>}
+ */
+export function settle() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
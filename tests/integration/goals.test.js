@@ -0,0 +1,149 @@
+/**
+ * Integration tests for focus goals through the service worker
+ * Verifies goal validation, progress, goal-based streaks and goal notifications
+ */
+
+import { setupChromeMock, sendToWorker, settle } from './chrome-mock.js';
+import * as stateModule from '../../src/services/state.js';
+import * as historyStore from '../../src/services/history.js';
+import { ALARM_NAME, SCHEMA_VERSION } from '../../src/shared/constants.js';
+
+setupChromeMock();
+
+const MINUTE = 60000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Build a completed work entry that started some days ago at the current time of day
+ * @param {string} id - Entry id
+ * @param {number} daysAgo - Days before today
+ * @param {number} minutes - Focus length
+ * @returns {Object} History entry
+ */
+function entryDaysAgo(id, daysAgo, minutes) {
+  const startedAt = Date.now() - daysAgo * DAY;
+  return stateModule.createHistoryEntry(
+    id,
+    'pomodoro',
+    'work',
+    minutes * MINUTE,
+    startedAt,
+    startedAt
+  );
+}
+
+const everyDay = { period: 'day', metric: 'minutes', target: 60, methodKey: null, weekdays: [] };
+
+describe('Goals Integration', () => {
+  let chrome;
+  let warn;
+  let error;
+
+  beforeAll(async () => {
+    await import('../../src/background/service-worker.js');
+  });
+
+  beforeEach(() => {
+    chrome = global.chrome;
+    chrome.storage.reset();
+    chrome.runtime.sendMessage = async () => ({ ok: true });
+    warn = console.warn;
+    error = console.error;
+    console.warn = () => {};
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    console.warn = warn;
+    console.error = error;
+  });
+
+  /**
+   * Store current-version data with the given history
+   * @param {Array} history - Entries for the history store
+   * @param {Object} settingsOverrides - Fields replacing the default settings
+   * @returns {Promise<void>}
+   */
+  async function seed(history = [], settingsOverrides = {}) {
+    const { state, settings } = stateModule.initializeState();
+    await chrome.storage.local.set({
+      schemaVersion: SCHEMA_VERSION,
+      state: { ...state, history },
+      settings: { ...settings, ...settingsOverrides },
+    });
+    await historyStore.appendHistoryEntries(history);
+  }
+
+  it('saves goals with generated ids and recomputes streaks from them', async () => {
+    await seed([entryDaysAgo('a', 2, 90), entryDaysAgo('b', 1, 25), entryDaysAgo('c', 0, 60)]);
+
+    const rebuilt = await sendToWorker({ type: 'rebuildStatistics' });
+    expect(rebuilt.statistics.currentStreak).toBe(3);
+
+    const result = await sendToWorker({ type: 'updateGoals', goals: [everyDay] });
+    expect(result.ok).toBe(true);
+    expect(result.goals[0].id).toEqual(expect.any(String));
+    expect(result.statistics).toMatchObject({ currentStreak: 1, longestStreak: 1 });
+
+    const stored = await chrome.storage.local.get(['state', 'settings']);
+    expect(stored.settings.goals).toEqual(result.goals);
+    expect(stored.state.statistics.currentStreak).toBe(1);
+  });
+
+  it('rejects invalid goals without saving them', async () => {
+    await seed();
+
+    const result = await sendToWorker({
+      type: 'updateGoals',
+      goals: [{ ...everyDay, target: 0 }],
+    });
+    expect(result.error).toContain('Goals[0].target must be an integer 1-10000');
+    const duplicate = await sendToWorker({
+      type: 'updateGoals',
+      goals: [
+        { ...everyDay, id: 'g1' },
+        { ...everyDay, id: 'g1' },
+      ],
+    });
+    expect(duplicate.error).toContain('Goal ids must be unique');
+
+    const stored = await chrome.storage.local.get('settings');
+    expect(stored.settings.goals).toEqual([]);
+  });
+
+  it('reports progress for the current day and week', async () => {
+    await seed([entryDaysAgo('a', 0, 45)], {
+      goals: [
+        { ...everyDay, id: 'daily' },
+        { ...everyDay, id: 'weekly', period: 'week', metric: 'sessions', target: 10 },
+      ],
+    });
+
+    const result = await sendToWorker({ type: 'getGoalProgress' });
+
+    expect(result.goals).toEqual([
+      expect.objectContaining({ id: 'daily', label: '1h focus per day', value: 45, met: false }),
+      expect.objectContaining({ id: 'weekly', value: 1, progress: 0.1, applies: true }),
+    ]);
+  });
+
+  it('notifies when a session completes a goal', async () => {
+    const created = [];
+    chrome.notifications.create = async (options) => {
+      created.push(options);
+    };
+    await seed([entryDaysAgo('a', 0, 40)], {
+      autoStartBreaks: false,
+      goals: [{ ...everyDay, id: 'daily' }],
+    });
+
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+
+    expect(created.map((options) => options.title)).toEqual(['Focus done', 'Goal reached']);
+    expect(created[1].message).toBe('1h focus per day');
+    const stored = await chrome.storage.local.get('state');
+    expect(stored.state.statistics.currentStreak).toBe(1);
+  });
+});
@@ -0,0 +1,342 @@
+/**
+ * Integration tests for the session history store
+ * Verifies bucketed writes, migration, range queries, paging, and the worker's recent cache
+ */
+
+import { setupChromeMock, sendToWorker, settle } from './chrome-mock.js';
+import * as stateModule from '../../src/services/state.js';
+import * as historyStore from '../../src/services/history.js';
+import { ALARM_NAME, HISTORY_STORE, SCHEMA_VERSION } from '../../src/shared/constants.js';
+
+setupChromeMock();
+
+/**
+ * Build an entry that started at a local date and hour
+ * @param {string} id - Entry id
+ * @param {number} day - Day of January 2024
+ * @param {number} hour - Hour of day
+ * @param {Object} overrides - Extra fields
+ * @returns {Object} History entry
+ */
+function entryAt(id, day, hour, overrides = {}) {
+  const startedAt = new Date(2024, 0, day, hour).getTime();
+  return stateModule.createHistoryEntry(
+    id,
+    overrides.methodKey ?? 'pomodoro',
+    overrides.phase ?? 'work',
+    25 * 60000,
+    startedAt,
+    startedAt + 25 * 60000,
+    overrides.taskId ?? null
+  );
+}
+
+describe('History Store Integration', () => {
+  let chrome;
+
+  beforeAll(async () => {
+    await import('../../src/background/service-worker.js');
+  });
+
+  beforeEach(() => {
+    chrome = global.chrome;
+    chrome.storage.reset();
+    chrome.runtime.sendMessage = async () => ({ ok: true });
+  });
+
+  it('files entries into day buckets and skips duplicate ids', async () => {
+    const added = await historyStore.appendHistoryEntries([
+      entryAt('a', 1, 9),
+      entryAt('b', 1, 14),
+      entryAt('c', 2, 10),
+    ]);
+    const again = await historyStore.appendHistoryEntry(entryAt('b', 1, 14));
+
+    expect(added).toBe(3);
+    expect(again).toBe(0);
+    expect((await historyStore.getEntriesForDay('2024-01-01')).map((e) => e.id)).toEqual([
+      'b',
+      'a',
+    ]);
+    expect(await historyStore.getHistoryDays()).toEqual([
+      { day: '2024-01-02', count: 1 },
+      { day: '2024-01-01', count: 2 },
+    ]);
+  });
+
+  it('serializes concurrent appends to the same day', async () => {
+    await Promise.all([
+      historyStore.appendHistoryEntry(entryAt('a', 1, 9)),
+      historyStore.appendHistoryEntry(entryAt('b', 1, 10)),
+      historyStore.appendHistoryEntry(entryAt('c', 1, 11)),
+    ]);
+
+    expect(await historyStore.getEntriesForDay('2024-01-01')).toHaveLength(3);
+  });
+
+  it('migrates legacy state.history once', async () => {
+    const legacy = [entryAt('x', 3, 8), entryAt('y', 2, 8)];
+
+    expect(await historyStore.migrateLegacyHistory(legacy)).toBe(2);
+    expect(await historyStore.migrateLegacyHistory([entryAt('z', 4, 8)])).toBe(0);
+    expect(await historyStore.getAllHistory()).toHaveLength(2);
+  });
+
+  it('marks an empty install as migrated', async () => {
+    expect(await historyStore.migrateLegacyHistory(undefined)).toBe(0);
+    expect(await chrome.storage.local.get(HISTORY_STORE.indexKey)).toEqual({
+      [HISTORY_STORE.indexKey]: {},
+    });
+  });
+
+  it('pages through ranges newest first without gaps or repeats', async () => {
+    const entries = [];
+    for (let day = 1; day <= 4; day += 1) {
+      for (let hour = 8; hour < 11; hour += 1) {
+        entries.push(entryAt(`${day}-${hour}`, day, hour));
+      }
+    }
+    await historyStore.appendHistoryEntries(entries);
+
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const page = await sendToWorker({ type: 'getHistory', from: '2024-01-02', limit: 4, cursor });
+      expect(page.ok).toBe(true);
+      seen.push(...page.entries.map((e) => e.id));
+      cursor = page.nextCursor;
+      pages += 1;
+    } while (cursor);
+
+    expect(pages).toBe(3);
+    expect(seen).toEqual(['4-10', '4-9', '4-8', '3-10', '3-9', '3-8', '2-10', '2-9', '2-8']);
+  });
+
+  it('filters by day, method and task', async () => {
+    await historyStore.appendHistoryEntries([
+      entryAt('a', 1, 9, { methodKey: 'flowtime', phase: 'flow' }),
+      entryAt('b', 1, 10, { taskId: 't1' }),
+      entryAt('c', 2, 10, { taskId: 't1' }),
+      entryAt('d', 2, 11, { phase: 'break' }),
+    ]);
+
+    const byDay = await sendToWorker({ type: 'getHistory', day: '2024-01-01' });
+    const byMethod = await sendToWorker({ type: 'getHistory', methodKey: 'flowtime' });
+    const byTask = await sendToWorker({ type: 'getHistory', taskId: 't1' });
+    const byPhase = await historyStore.getAllHistory({ phase: 'break' });
+
+    expect(byDay.entries.map((e) => e.id)).toEqual(['b', 'a']);
+    expect(byMethod.entries.map((e) => e.id)).toEqual(['a']);
+    expect(byTask.entries.map((e) => e.id)).toEqual(['c', 'b']);
+    expect(byPhase.map((e) => e.id)).toEqual(['d']);
+  });
+
+  it('reports malformed cursors', async () => {
+    const response = await sendToWorker({ type: 'getHistory', cursor: 'nope' });
+    expect(response.error).toBe('Invalid history cursor: nope');
+  });
+
+  it('stores completed sessions and keeps only a recent cache in state', async () => {
+    const { state, settings } = stateModule.initializeState();
+    const cached = Array.from({ length: HISTORY_STORE.recentLimit }, (_, i) =>
+      entryAt(`old-${i}`, 1, 0)
+    );
+    await chrome.storage.local.set({
+      schemaVersion: SCHEMA_VERSION,
+      state: { ...state, history: cached },
+      settings: { ...settings, autoStartBreaks: false },
+    });
+
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+
+    const stored = await chrome.storage.local.get('state');
+    expect(stored.state.history).toHaveLength(HISTORY_STORE.recentLimit);
+    expect(stored.state.history[0].phase).toBe('work');
+    const days = await sendToWorker({ type: 'getHistoryDays' });
+    expect(days.days).toHaveLength(1);
+    expect(days.days[0].count).toBe(1);
+  });
+
+  it('folds a finished phase into stored statistics and remeasures the recent streak', async () => {
+    const { state, settings } = stateModule.initializeState();
+    const daysAgo = (days) => {
+      const date = new Date();
+      date.setHours(12, 0, 0, 0);
+      date.setDate(date.getDate() - days);
+      return stateModule.createHistoryEntry(
+        `day-${days}`,
+        'pomodoro',
+        'work',
+        25 * 60000,
+        date.getTime(),
+        date.getTime() + 25 * 60000
+      );
+    };
+    await chrome.storage.local.set({
+      schemaVersion: SCHEMA_VERSION,
+      state: {
+        ...state,
+        statistics: { ...state.statistics, totalSessions: 99, currentStreak: 0, longestStreak: 20 },
+      },
+      settings: { ...settings, autoStartBreaks: false },
+    });
+    await historyStore.appendHistoryEntries(
+      [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 365].map((days) => daysAgo(days))
+    );
+
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+
+    const stored = await chrome.storage.local.get('state');
+    expect(stored.state.statistics).toMatchObject({
+      totalSessions: 100,
+      currentStreak: 11,
+      longestStreak: 20,
+    });
+  });
+
+  it('exports a filtered range as CSV and calendar events', async () => {
+    const { state, settings } = stateModule.initializeState();
+    const task = { ...stateModule.createTask('Draft spec'), id: 't1' };
+    await chrome.storage.local.set({
+      schemaVersion: SCHEMA_VERSION,
+      state: { ...state, tasks: [task] },
+      settings,
+    });
+    await historyStore.appendHistoryEntries([
+      entryAt('a', 1, 9, { taskId: 't1' }),
+      entryAt('b', 2, 9, { phase: 'break' }),
+      entryAt('c', 3, 9),
+    ]);
+
+    const csv = await sendToWorker({ type: 'exportHistory', format: 'csv', to: '2024-01-02' });
+    const ics = await sendToWorker({ type: 'exportHistory', format: 'ics' });
+    const invalid = await sendToWorker({ type: 'exportHistory', format: 'csv', phase: ['work'] });
+
+    expect(csv.count).toBe(2);
+    expect(csv.content.split('\r\n')[1]).toMatch(/^a,Pomodoro,work,.*,25,completed,,Draft spec,,$/);
+    expect(ics.count).toBe(2);
+    expect(ics.content).toContain('SUMMARY:Focus: Draft spec');
+    expect(ics.content).not.toContain('UID:b@flexifocus');
+    expect(invalid.error).toBe('Export validation failed: Export.phase must be a phase id');
+  });
+
+  it('builds a report for a range with per-week buckets and task breakdown', async () => {
+    const { state, settings } = stateModule.initializeState();
+    const task = { ...stateModule.createTask('Draft spec'), id: 't1' };
+    await chrome.storage.local.set({
+      schemaVersion: SCHEMA_VERSION,
+      state: { ...state, tasks: [task] },
+      settings,
+    });
+    await historyStore.appendHistoryEntries([
+      entryAt('a', 1, 9, { taskId: 't1' }),
+      entryAt('b', 1, 10, { phase: 'break' }),
+      entryAt('c', 9, 9),
+      entryAt('d', 20, 9),
+    ]);
+
+    const response = await sendToWorker({
+      type: 'getReport',
+      granularity: 'week',
+      from: '2024-01-01',
+      to: '2024-01-14',
+    });
+    const invalid = await sendToWorker({ type: 'getReport', granularity: 'year' });
+
+    expect(response.report.periods.map((period) => [period.period, period.sessions])).toEqual([
+      ['2024-01-01', 1],
+      ['2024-01-08', 1],
+    ]);
+    expect(response.report.summary.breakToFocusRatio).toBe(0.5);
+    expect(response.report.tasks[0]).toMatchObject({ title: null, sessions: 1 });
+    expect(response.report.tasks[1]).toMatchObject({ title: 'Draft spec', sessions: 1 });
+    expect(invalid.error).toBe(
+      'Report validation failed: Report.granularity must be one of: day, week, month'
+    );
+  });
+
+  it('dry-runs and imports CSV sessions, then recomputes statistics', async () => {
+    const { state, settings } = stateModule.initializeState();
+    await chrome.storage.local.set({
+      schemaVersion: SCHEMA_VERSION,
+      state: { ...state, statistics: { ...state.statistics, totalSessions: 99 } },
+      settings,
+    });
+    await historyStore.appendHistoryEntries([entryAt('a', 1, 9)]);
+    const content = [
+      'start,duration,type',
+      '2024-01-02 09:00,25,focus',
+      '2024-01-03 09:00,25,focus',
+      '2024-01-03 09:30,5,short break',
+      'garbage,25,focus',
+    ].join('\n');
+
+    const dryRun = await sendToWorker({
+      type: 'importHistory',
+      format: 'csv',
+      content,
+      dryRun: true,
+    });
+    expect(dryRun.report).toMatchObject({ total: 4, accepted: 3, rejected: 1, duplicates: 0 });
+    expect(await historyStore.getAllHistory()).toHaveLength(1);
+
+    const imported = await sendToWorker({ type: 'importHistory', format: 'csv', content });
+    const again = await sendToWorker({ type: 'importHistory', format: 'csv', content });
+
+    expect(imported.statistics).toMatchObject({
+      totalSessions: 3,
+      totalFocusTime: 75 * 60000,
+      totalBreakTime: 5 * 60000,
+      currentStreak: 0,
+      longestStreak: 3,
+    });
+    expect(again.report).toMatchObject({ accepted: 0, duplicates: 3 });
+    expect(await historyStore.getAllHistory()).toHaveLength(4);
+    const stored = await chrome.storage.local.get('state');
+    expect(stored.state.statistics.totalSessions).toBe(3);
+    expect(stored.state.history[0].startedAt).toBe(new Date(2024, 0, 3, 9, 30).getTime());
+  });
+
+  it('rebuilds drifted statistics from the whole history', async () => {
+    const { state, settings } = stateModule.initializeState();
+    await chrome.storage.local.set({
+      schemaVersion: SCHEMA_VERSION,
+      state: { ...state, statistics: { ...state.statistics, totalSessions: 99 } },
+      settings,
+    });
+    await historyStore.appendHistoryEntries([
+      entryAt('a', 1, 9),
+      entryAt('b', 1, 10, { phase: 'break' }),
+      entryAt('c', 2, 9, { methodKey: 'flowtime', phase: 'flow' }),
+    ]);
+
+    const response = await sendToWorker({ type: 'rebuildStatistics' });
+
+    expect(response.statistics).toMatchObject({
+      totalSessions: 2,
+      totalFocusTime: 50 * 60000,
+      totalBreakTime: 25 * 60000,
+      longestStreak: 2,
+      byMethod: { flowtime: { sessions: 1, focusMs: 25 * 60000 } },
+    });
+    const stored = await chrome.storage.local.get('state');
+    expect(stored.state.statistics).toEqual(response.statistics);
+  });
+
+  it('refuses to import a CSV whose columns cannot be mapped', async () => {
+    const response = await sendToWorker({
+      type: 'importHistory',
+      format: 'csv',
+      content: 'when,notes\n2024-01-02,hello',
+    });
+
+    expect(response.error).toBe(
+      'Import failed: Mapping.start is required, Mapping needs an end or duration column'
+    );
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Integration tests for interruption logging through the service worker
+ * Verifies logging during focus, the history entry, statistics and the keyboard commands
+ */
+
+import { setupChromeMock, sendToWorker, settle } from './chrome-mock.js';
+import * as stateModule from '../../src/services/state.js';
+import * as historyStore from '../../src/services/history.js';
+import { ALARM_NAME, SCHEMA_VERSION } from '../../src/shared/constants.js';
+
+setupChromeMock();
+
+describe('Interruptions Integration', () => {
+  let chrome;
+  let error;
+
+  beforeAll(async () => {
+    await import('../../src/background/service-worker.js');
+  });
+
+  beforeEach(async () => {
+    chrome = global.chrome;
+    chrome.storage.reset();
+    chrome.runtime.sendMessage = async () => ({ ok: true });
+    error = console.error;
+    console.error = () => {};
+    const { state, settings } = stateModule.initializeState();
+    await chrome.storage.local.set({
+      schemaVersion: SCHEMA_VERSION,
+      state,
+      settings: { ...settings, autoStartBreaks: false },
+    });
+  });
+
+  afterEach(() => {
+    console.error = error;
+  });
+
+  it('attaches interruptions to the history entry and counts them in statistics', async () => {
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+
+    const first = await sendToWorker({ type: 'logInterruption', kind: 'internal' });
+    const second = await sendToWorker({
+      type: 'logInterruption',
+      kind: 'external',
+      note: ' Doorbell ',
+    });
+    expect(first.counts).toEqual({ internal: 1, external: 0, total: 1 });
+    expect(second.interruption).toMatchObject({ kind: 'external', note: 'Doorbell' });
+
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+
+    const [entry] = await historyStore.getAllHistory();
+    expect(entry.interruptions.map((item) => item.kind)).toEqual(['internal', 'external']);
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.timer.interruptions).toEqual([]);
+    expect(state.statistics.interruptions).toEqual({ internal: 1, external: 1, sessions: 1 });
+  });
+
+  it('only logs valid interruptions during a focus session', async () => {
+    const idle = await sendToWorker({ type: 'logInterruption', kind: 'internal' });
+    expect(idle.error).toBe('Interruptions can only be logged during a focus session');
+
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+    const invalid = await sendToWorker({ type: 'logInterruption', kind: 'bored' });
+    expect(invalid.error).toBe(
+      'Interruption validation failed: Interruption.kind must be one of: internal, external'
+    );
+
+    await sendToWorker({ type: 'pauseTimer' });
+    const paused = await sendToWorker({ type: 'logInterruption', kind: 'external' });
+    expect(paused.ok).toBe(true);
+
+    await sendToWorker({ type: 'resetTimer' });
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'break' });
+    const onBreak = await sendToWorker({ type: 'logInterruption', kind: 'internal' });
+    expect(onBreak.error).toBe('Interruptions can only be logged during a focus session');
+  });
+
+  it('logs interruptions from the keyboard commands', async () => {
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+
+    chrome.commands.triggerCommand('flexifocus-interruption-internal');
+    await settle();
+    chrome.commands.triggerCommand('flexifocus-interruption-external');
+    await settle();
+
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.timer.interruptions.map((item) => [item.kind, item.note])).toEqual([
+      ['internal', null],
+      ['external', null],
+    ]);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Integration tests for method resolution
+ * Drives the service worker through runtime messages and checks that the
+ * methods published to the popup agree with the scheduled alarm and badge
+ */
+
+import { setupChromeMock, sendToWorker, settle } from './chrome-mock.js';
+import * as stateModule from '../../src/services/state.js';
+import * as timerModule from '../../src/services/timer.js';
+import { ALARM_NAME, DEFAULT_METHODS } from '../../src/shared/constants.js';
+
+setupChromeMock();
+
+/**
+ * Build a preset update that changes the length of a built-in method's focus phases
+ * @param {string} key - Built-in method key
+ * @param {number} minutes - Focus phase length
+ * @returns {{phases: Object[]}} Preset updates
+ */
+function focusMinutes(key, minutes) {
+  return {
+    phases: DEFAULT_METHODS[key].phases.map((phase) =>
+      phase.kind === 'focus' ? { ...phase, minutes } : phase
+    ),
+  };
+}
+
+describe('Method Resolution Integration', () => {
+  let chrome;
+  let broadcasts;
+
+  beforeAll(async () => {
+    await import('../../src/background/service-worker.js');
+  });
+
+  beforeEach(async () => {
+    chrome = global.chrome;
+    chrome.storage.reset();
+    await chrome.alarms.clearAll();
+    broadcasts = [];
+    chrome.runtime.sendMessage = async (message) => {
+      broadcasts.push(message);
+      return { ok: true };
+    };
+  });
+
+  async function seed(settingsTransform = (s) => s) {
+    const { state, settings } = stateModule.initializeState();
+    await chrome.storage.local.set({ state, settings: settingsTransform(settings) });
+  }
+
+  it('publishes customized presets instead of built-in defaults', async () => {
+    await seed((s) => stateModule.updatePreset(s, 'pomodoro', focusMinutes('pomodoro', 40)));
+
+    const response = await sendToWorker({ type: 'getState' });
+
+    expect(response.methods.pomodoro.phases[0].minutes).toBe(40);
+    expect(response.methods.pomodoro.label).toBe('Pomodoro');
+  });
+
+  it('keeps popup duration, remaining time, alarm and badge in agreement', async () => {
+    await seed((s) => stateModule.updatePreset(s, 'pomodoro', focusMinutes('pomodoro', 40)));
+
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+    const alarm = await chrome.alarms.get(ALARM_NAME);
+    const response = await sendToWorker({ type: 'getState' });
+    const { timer } = response.state;
+    const method = response.methods[timer.methodKey];
+
+    const popupDuration = timerModule.computePhaseDuration(method, timer.phase);
+    const popupRemaining = timerModule.computeRemaining(timer, method);
+
+    expect(alarm.scheduledTime - timer.startTime).toBe(popupDuration);
+    expect(popupDuration).toBe(40 * 60000);
+    expect(Math.abs(response.remaining - (alarm.scheduledTime - Date.now()))).toBeLessThan(1000);
+    expect(Math.abs(popupRemaining - response.remaining)).toBeLessThan(1000);
+    expect(chrome.action.badgeText).toBe('40');
+  });
+
+  it('resolves user-defined methods in broadcasts and timers', async () => {
+    await seed(
+      (s) =>
+        stateModule.addPreset(s, {
+          label: 'Deep Work',
+          workMinutes: 50,
+          shortBreakMinutes: 10,
+          longBreakMinutes: 30,
+          cyclesBeforeLongBreak: 2,
+        }).settings
+    );
+
+    await sendToWorker({ type: 'startTimer', methodKey: 'deepWork', phase: 'work' });
+    const alarm = await chrome.alarms.get(ALARM_NAME);
+    const update = broadcasts.filter((m) => m.type === 'stateUpdated').at(-1);
+
+    expect(update.methods.deepWork.label).toBe('Deep Work');
+    expect(update.state.timer.methodKey).toBe('deepWork');
+    expect(alarm.scheduledTime - update.state.timer.startTime).toBe(
+      timerModule.computePhaseDuration(update.methods.deepWork, 'work')
+    );
+  });
+
+  it('names custom phases by their label when they end', async () => {
+    await seed((s) => ({
+      ...stateModule.addPreset(s, {
+        label: 'Studio',
+        phases: [
+          { id: 'warmUp', label: 'Warm-up', kind: 'focus', minutes: 5, repeat: 1, end: 'auto' },
+          { id: 'stretch', label: 'Stretch', kind: 'rest', minutes: 2, repeat: 1, end: 'auto' },
+        ],
+      }).settings,
+      autoStartBreaks: false,
+      notifications: true,
+    }));
+    const created = [];
+    chrome.notifications.create = async (...args) => created.push(args.at(-1));
+
+    await sendToWorker({ type: 'startTimer', methodKey: 'studio' });
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+
+    expect(created[0]).toMatchObject({ title: 'Warm-up done', message: 'Next: Stretch' });
+  });
+
+  it('plans progressive focus blocks from the sessions completed today', async () => {
+    await seed((s) => ({ ...s, autoStartBreaks: false, autoStartWork: false }));
+    const finishPhase = async (phase) => {
+      await sendToWorker({ type: 'startTimer', methodKey: 'progressive', phase });
+      chrome.alarms.triggerAlarm(ALARM_NAME);
+      await settle();
+    };
+
+    await finishPhase('work');
+    let response = await sendToWorker({ type: 'getState' });
+    expect(response.state.history[0]).toMatchObject({ kind: 'focus', pauses: 0 });
+    expect(response.methods.progressive.phases[0].minutes).toBe(20);
+
+    await finishPhase('break');
+    await sendToWorker({ type: 'startTimer', methodKey: 'progressive', phase: 'work' });
+    await sendToWorker({ type: 'pauseTimer' });
+    await sendToWorker({ type: 'resumeTimer' });
+    const alarm = await chrome.alarms.get(ALARM_NAME);
+    response = await sendToWorker({ type: 'getState' });
+    const { timer } = response.state;
+    expect(timer.pauseCount).toBe(1);
+    expect(Math.abs(alarm.scheduledTime - Date.now() - 20 * 60000)).toBeLessThan(1000);
+    expect(timerModule.getNextAdaptiveMinutes(timer, response.methods.progressive)).toBe(20);
+
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+    response = await sendToWorker({ type: 'getState' });
+    expect(response.state.history[0].pauses).toBe(1);
+    expect(response.methods.progressive.phases[0].minutes).toBe(20);
+  });
+
+  it('runs a timed break sized from the flow that just ended', async () => {
+    await seed((s) => ({ ...s, autoStartBreaks: true, notifications: true }));
+    const created = [];
+    chrome.notifications.create = async (...args) => created.push(args.at(-1));
+    await sendToWorker({ type: 'startTimer', methodKey: 'flowtime' });
+    const { state } = await chrome.storage.local.get('state');
+    const startTime = Date.now() - 40 * 60000;
+    await chrome.storage.local.set({ state: { ...state, timer: { ...state.timer, startTime } } });
+
+    await sendToWorker({ type: 'completeFlowtime' });
+
+    const alarm = await chrome.alarms.get(ALARM_NAME);
+    const response = await sendToWorker({ type: 'getState' });
+    const { timer } = response.state;
+    expect(timer).toMatchObject({ phase: 'break', isRunning: true });
+    expect(alarm.scheduledTime - timer.startTime).toBe(8 * 60000);
+    expect(
+      timerModule.computePhaseDuration(response.methods.flowtime, timer.phase, timer.phaseIndex)
+    ).toBe(8 * 60000);
+    expect(chrome.action.badgeText).toBe('8');
+    expect(created.map((options) => options.message)).toContain(
+      '40m of focus. Suggested break: 8m'
+    );
+  });
+
+  it('still publishes the running method after it is hidden from the list', async () => {
+    await seed((s) => stateModule.updatePreset(s, 'ultradian', focusMinutes('ultradian', 75)));
+    await sendToWorker({ type: 'startTimer', methodKey: 'ultradian', phase: 'work' });
+
+    const stored = await chrome.storage.local.get('settings');
+    const hidden = { ...stored.settings, presetOrder: ['pomodoro'] };
+    await chrome.storage.local.set({ settings: hidden });
+
+    const response = await sendToWorker({ type: 'getState' });
+    expect(Object.keys(response.methods)).toEqual(['pomodoro', 'ultradian']);
+    expect(response.methods.ultradian.phases[0].minutes).toBe(75);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Integration tests for versioned storage
+ * Loads every historical fixture through storage.js and checks migration, backups, and fallbacks
+ */
+
+import { setupChromeMock } from './chrome-mock.js';
+import * as storageModule from '../../src/services/storage.js';
+import * as historyStore from '../../src/services/history.js';
+import { SCHEMA_VERSION, HISTORY_STORE } from '../../src/shared/constants.js';
+import { LEGACY_PRE_0_2, RELEASE_0_2_0, FUTURE_VERSION } from '../fixtures/storage-shapes.js';
+
+setupChromeMock();
+
+describe('Versioned Storage Integration', () => {
+  let chrome;
+  let warn;
+
+  beforeEach(() => {
+    chrome = global.chrome;
+    chrome.storage.reset();
+    warn = console.warn;
+    console.warn = () => {};
+  });
+
+  afterEach(() => {
+    console.warn = warn;
+  });
+
+  it('stamps a fresh install with the current version', async () => {
+    const { state, settings } = await storageModule.loadStateAndSettings();
+
+    expect(state).toBeUndefined();
+    expect(settings).toBeUndefined();
+    expect(chrome.storage.data.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(await storageModule.getBackups()).toEqual([]);
+  });
+
+  it('migrates the pre-0.2 shape on load', async () => {
+    await chrome.storage.local.set(structuredClone(LEGACY_PRE_0_2));
+
+    const { state, settings } = await storageModule.loadStateAndSettings();
+
+    expect(chrome.storage.data.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(settings.presets.custom.phases[1]).toMatchObject({ id: 'break', minutes: 7 });
+    expect(state.tasks[0].done).toBe(true);
+    expect(await historyStore.getHistoryDays()).toEqual([
+      { day: '2024-06-02', count: 1 },
+      { day: '2024-06-01', count: 1 },
+    ]);
+    const [backup] = await storageModule.getBackups();
+    expect(backup).toMatchObject({ reason: 'migration', schemaVersion: 0 });
+    expect(backup.data.settings.presets.custom.breakMinutes).toBe(7);
+  });
+
+  it('moves 0.2.0 history into the store and trims the state cache', async () => {
+    await chrome.storage.local.set(structuredClone(RELEASE_0_2_0));
+
+    const { state, settings } = await storageModule.loadStateAndSettings();
+
+    expect(settings.sound).toBe('softBell');
+    expect(state.history).toHaveLength(HISTORY_STORE.recentLimit);
+    expect(state.history[0].id).toBe('e0');
+    expect(await historyStore.getAllHistory()).toHaveLength(60);
+    expect(await historyStore.getAllHistory({ taskId: 't1' })).toHaveLength(20);
+  });
+
+  it('runs migrations once even for concurrent loads', async () => {
+    await chrome.storage.local.set(structuredClone(RELEASE_0_2_0));
+
+    await Promise.all([
+      storageModule.loadStateAndSettings(),
+      storageModule.loadState(),
+      storageModule.ensureSchema(),
+    ]);
+    const result = await storageModule.ensureSchema();
+
+    expect(result.applied).toEqual([]);
+    expect(await storageModule.getBackups()).toHaveLength(1);
+  });
+
+  it('leaves data from a newer version untouched', async () => {
+    await chrome.storage.local.set(structuredClone(FUTURE_VERSION));
+
+    const result = await storageModule.ensureSchema();
+
+    expect(result).toEqual({ fromVersion: 999, toVersion: 999, applied: [] });
+    expect(chrome.storage.data.state).toEqual(FUTURE_VERSION.state);
+  });
+
+  it('backs up invalid data before falling back to defaults', async () => {
+    await chrome.storage.local.set({ schemaVersion: SCHEMA_VERSION, state: { tasks: 'nope' } });
+
+    expect(await storageModule.loadState()).toBeUndefined();
+    expect(await storageModule.loadState()).toBeUndefined();
+
+    const backups = await storageModule.getBackups();
+    expect(backups).toHaveLength(1);
+    expect(backups[0]).toMatchObject({
+      reason: 'invalid-state',
+      schemaVersion: SCHEMA_VERSION,
+      data: { tasks: 'nope' },
+    });
+    expect(backups[0].errors).toEqual(['State.timer is required', 'State.history is required']);
+  });
+
+  it('initializes defaults on install so the timer works immediately', async () => {
+    chrome.runtime.sendMessage = async () => ({ ok: true });
+    await import('../../src/background/service-worker.js');
+
+    await Promise.all(chrome.runtime.installListeners.map((listener) => listener({})));
+
+    const { state, settings } = await storageModule.loadStateAndSettings();
+    expect(state.timer.methodKey).toBe('pomodoro');
+    expect(settings.selectedMethod).toBe('pomodoro');
+  });
+});
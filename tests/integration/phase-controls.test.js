@@ -0,0 +1,219 @@
+/**
+ * Integration tests for extending and skipping the current phase through the service worker
+ * Verifies alarm rescheduling, skipped history entries, Lock-In rules, notification buttons and
+ * the keyboard commands
+ */
+
+import { setupChromeMock, sendToWorker, settle } from './chrome-mock.js';
+import * as stateModule from '../../src/services/state.js';
+import * as historyStore from '../../src/services/history.js';
+import { ALARM_NAME, PHASE_NOTIFICATION, SCHEMA_VERSION } from '../../src/shared/constants.js';
+
+setupChromeMock();
+
+describe('Phase Controls Integration', () => {
+  let chrome;
+  let error;
+  let created;
+  let now;
+
+  beforeAll(async () => {
+    await import('../../src/background/service-worker.js');
+  });
+
+  beforeEach(async () => {
+    chrome = global.chrome;
+    chrome.storage.reset();
+    chrome.runtime.sendMessage = async () => ({ ok: true });
+    error = console.error;
+    console.error = () => {};
+    created = [];
+    now = Date.now;
+    chrome.notifications.create = async (...args) => {
+      created.push({ id: args.length > 1 ? args[0] : null, ...args.at(-1) });
+    };
+    const { state, settings } = stateModule.initializeState();
+    await chrome.storage.local.set({
+      schemaVersion: SCHEMA_VERSION,
+      state,
+      settings: { ...settings, autoStartBreaks: false, autoStartWork: false },
+    });
+  });
+
+  afterEach(() => {
+    console.error = error;
+    Date.now = now;
+  });
+
+  /**
+   * Freeze the clock, moved forward by some minutes
+   * @param {number} minutes - Minutes to let pass (0 only freezes it)
+   */
+  function later(minutes) {
+    const at = Date.now() + minutes * 60000;
+    Date.now = () => at;
+  }
+
+  /**
+   * Change stored settings
+   * @param {Object} updates - Settings to merge
+   * @returns {Promise<void>}
+   */
+  async function updateSettings(updates) {
+    const { settings } = await chrome.storage.local.get('settings');
+    await chrome.storage.local.set({ settings: { ...settings, ...updates } });
+  }
+
+  it('extends the running phase and reschedules its alarm', async () => {
+    const { timer } = await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro' });
+
+    const result = await sendToWorker({ type: 'extendPhase', minutes: 5 });
+    expect(result.timer.endTime).toBe(timer.endTime + 5 * 60000);
+    expect(result.timer.extendedMs).toBe(5 * 60000);
+    const alarm = await chrome.alarms.get(ALARM_NAME);
+    expect(alarm.scheduledTime).toBe(result.timer.endTime);
+
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.history[0].durationMs).toBe(30 * 60000);
+    expect(state.timer.extendedMs).toBe(0);
+  });
+
+  it('extends a paused phase and rejects invalid or impossible extensions', async () => {
+    const idle = await sendToWorker({ type: 'extendPhase', minutes: 5 });
+    expect(idle.error).toBe('Start the phase before extending it');
+
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro' });
+    const invalid = await sendToWorker({ type: 'extendPhase', minutes: 0 });
+    expect(invalid.error).toBe(
+      'Extension validation failed: Extension.minutes must be an integer 1-120'
+    );
+    const { timer } = await sendToWorker({ type: 'pauseTimer' });
+    const result = await sendToWorker({ type: 'extendPhase', minutes: 1 });
+    expect(result.timer.remainingMs).toBe(timer.remainingMs + 60000);
+
+    await sendToWorker({ type: 'resetTimer' });
+    await sendToWorker({ type: 'startTimer', methodKey: 'flowtime' });
+    const flow = await sendToWorker({ type: 'extendPhase', minutes: 5 });
+    expect(flow.error).toBe('Open-ended phases have no end to extend');
+  });
+
+  it('logs a skipped entry and advances to the next phase', async () => {
+    later(0);
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro' });
+    await sendToWorker({ type: 'logInterruption', kind: 'internal' });
+    later(3);
+
+    const result = await sendToWorker({ type: 'skipPhase' });
+    expect(result.entry).toMatchObject({
+      phase: 'work',
+      status: 'skipped',
+      kind: 'focus',
+      durationMs: 3 * 60000,
+    });
+    expect(result.entry.interruptions).toHaveLength(1);
+    expect(result.timer).toMatchObject({ phase: 'break', isRunning: false, interruptions: [] });
+    expect(await chrome.alarms.get(ALARM_NAME)).toBeUndefined();
+
+    const [stored] = await historyStore.getAllHistory();
+    expect(stored.status).toBe('skipped');
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.timer.completedSessions).toBe(0);
+  });
+
+  it('passes over a phase that has not started without logging it', async () => {
+    const result = await sendToWorker({ type: 'skipPhase' });
+
+    expect(result.entry).toBeNull();
+    expect(result.timer.phase).toBe('break');
+    expect(await historyStore.getAllHistory()).toEqual([]);
+  });
+
+  it('exports skipped phases with their status and leaves them out of calendars', async () => {
+    later(0);
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro' });
+    later(3);
+    await sendToWorker({ type: 'skipPhase' });
+
+    const csv = await sendToWorker({ type: 'exportHistory', format: 'csv' });
+    expect(csv.content.split('\r\n')[1]).toMatch(/^[^,]+,Pomodoro,work,.*,3,skipped,/);
+    const ics = await sendToWorker({ type: 'exportHistory', format: 'ics' });
+    expect(ics.count).toBe(0);
+    expect(ics.content).not.toContain('BEGIN:VEVENT');
+  });
+
+  it('blocks skipping a running focus phase in Lock-In mode but still allows extending', async () => {
+    await updateSettings({ lockIn: true });
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro' });
+
+    const skip = await sendToWorker({ type: 'skipPhase' });
+    expect(skip.error).toBe('Lock-In Mode is enabled; skipping is blocked during focus.');
+    const extend = await sendToWorker({ type: 'extendPhase', minutes: 5 });
+    expect(extend.ok).toBe(true);
+
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'break' });
+    const onBreak = await sendToWorker({ type: 'skipPhase' });
+    expect(onBreak.timer.phase).toBe('work');
+  });
+
+  it('offers extend and skip buttons when the next phase starts on its own', async () => {
+    await updateSettings({ autoStartBreaks: true });
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro' });
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+
+    const prompt = created.find((options) => options.id === PHASE_NOTIFICATION);
+    expect(prompt.buttons.map((button) => button.title)).toEqual(['+5 min', 'Skip Break']);
+    const { state: started } = await chrome.storage.local.get('state');
+    expect(started.timer).toMatchObject({ phase: 'break', isRunning: true });
+
+    chrome.notifications.triggerButtonClicked(PHASE_NOTIFICATION, 0);
+    await settle();
+    const { state: extended } = await chrome.storage.local.get('state');
+    expect(extended.timer.endTime).toBe(started.timer.endTime + 5 * 60000);
+
+    later(1);
+    chrome.notifications.triggerButtonClicked(PHASE_NOTIFICATION, 1);
+    await settle();
+    const { state: skipped } = await chrome.storage.local.get('state');
+    expect(skipped.timer.phase).toBe('work');
+    expect(skipped.history[0]).toMatchObject({ phase: 'break', status: 'skipped' });
+  });
+
+  it('starts each phase with no pauses carried over from the last one', async () => {
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro' });
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro' });
+    await sendToWorker({ type: 'pauseTimer' });
+    const resumed = await sendToWorker({ type: 'resumeTimer' });
+    expect(resumed.timer).toMatchObject({ phase: 'break', pauseCount: 1 });
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+    const { state: afterBreak } = await chrome.storage.local.get('state');
+    expect(afterBreak.timer).toMatchObject({ phase: 'work', isRunning: false, pauseCount: 0 });
+
+    chrome.commands.triggerCommand('flexifocus-start-pause');
+    await settle();
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.history[0]).toMatchObject({ phase: 'work', pauses: 0 });
+  });
+
+  it('extends and skips from the keyboard commands', async () => {
+    const { timer } = await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro' });
+
+    chrome.commands.triggerCommand('flexifocus-extend');
+    await settle();
+    const { state: extended } = await chrome.storage.local.get('state');
+    expect(extended.timer.endTime).toBe(timer.endTime + 5 * 60000);
+
+    chrome.commands.triggerCommand('flexifocus-skip-phase');
+    await settle();
+    const { state: skipped } = await chrome.storage.local.get('state');
+    expect(skipped.timer.phase).toBe('break');
+  });
+});
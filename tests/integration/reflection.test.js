@@ -0,0 +1,140 @@
+/**
+ * Integration tests for post-session reflections through the service worker
+ * Verifies the prompt after focus phases, ratings from notification buttons and the popup,
+ * focus quality statistics and exports
+ */
+
+import { setupChromeMock, sendToWorker, settle } from './chrome-mock.js';
+import * as stateModule from '../../src/services/state.js';
+import * as historyStore from '../../src/services/history.js';
+import { ALARM_NAME, REFLECTION_NOTIFICATION, SCHEMA_VERSION } from '../../src/shared/constants.js';
+
+setupChromeMock();
+
+describe('Reflection Integration', () => {
+  let chrome;
+  let error;
+  let created;
+
+  beforeAll(async () => {
+    await import('../../src/background/service-worker.js');
+  });
+
+  beforeEach(async () => {
+    chrome = global.chrome;
+    chrome.storage.reset();
+    chrome.runtime.sendMessage = async () => ({ ok: true });
+    error = console.error;
+    console.error = () => {};
+    created = [];
+    chrome.notifications.create = async (...args) => {
+      created.push({ id: args.length > 1 ? args[0] : null, ...args.at(-1) });
+    };
+    const { state, settings } = stateModule.initializeState();
+    await chrome.storage.local.set({
+      schemaVersion: SCHEMA_VERSION,
+      state,
+      settings: { ...settings, autoStartBreaks: false, reflectionPrompt: true },
+    });
+  });
+
+  afterEach(() => {
+    console.error = error;
+  });
+
+  /**
+   * Run a work phase to its end
+   * @returns {Promise<Object>} The stored state afterwards
+   */
+  async function finishWork() {
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+    const { state } = await chrome.storage.local.get('state');
+    return state;
+  }
+
+  it('prompts after a work phase and takes a quick rating from the notification', async () => {
+    const state = await finishWork();
+    const [entry] = state.history;
+
+    expect(state.timer.pendingReflectionId).toBe(entry.id);
+    const prompt = created.find((options) => options.title === 'How focused were you?');
+    expect(prompt.id).toBe(`${REFLECTION_NOTIFICATION}${entry.id}`);
+    expect(prompt.buttons.map((button) => button.title)).toEqual([
+      'Focused (5/5)',
+      'Distracted (2/5)',
+    ]);
+
+    chrome.notifications.triggerButtonClicked(prompt.id, 1);
+    await settle();
+
+    const [stored] = await historyStore.getAllHistory();
+    expect(stored.rating).toBe(2);
+    const after = (await chrome.storage.local.get('state')).state;
+    expect(after.timer.pendingReflectionId).toBeNull();
+    expect(after.statistics.focusQuality.byMethod).toEqual({ pomodoro: { rated: 1, total: 2 } });
+  });
+
+  it('stores a rating and note from the popup and exports them', async () => {
+    const state = await finishWork();
+    const id = state.timer.pendingReflectionId;
+
+    const invalid = await sendToWorker({ type: 'rateSession', id, rating: 0 });
+    expect(invalid.error).toBe(
+      'Reflection validation failed: Reflection.rating must be an integer 1-5'
+    );
+    const result = await sendToWorker({
+      type: 'rateSession',
+      id,
+      rating: 4,
+      note: ' Drafted intro ',
+    });
+    expect(result.entry).toMatchObject({ id, rating: 4, note: 'Drafted intro' });
+
+    const csv = await sendToWorker({ type: 'exportHistory', format: 'csv' });
+    expect(csv.content.split('\r\n')[1]).toMatch(/,4,Drafted intro$/);
+    const ics = await sendToWorker({ type: 'exportHistory', format: 'ics' });
+    expect(ics.content.replace(/\r\n /g, '')).toContain('Focus rating: 4/5\\nNote: Drafted intro');
+    const { backup } = await sendToWorker({ type: 'createBackup' });
+    expect(backup.history[0]).toMatchObject({ rating: 4, note: 'Drafted intro' });
+  });
+
+  it('rejects breaks and unknown sessions, and can be dismissed', async () => {
+    await finishWork();
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'break' });
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+
+    const { state } = await chrome.storage.local.get('state');
+    const [breakEntry, workEntry] = state.history;
+    expect(state.timer.pendingReflectionId).toBe(workEntry.id);
+    const onBreak = await sendToWorker({ type: 'rateSession', id: breakEntry.id, rating: 3 });
+    expect(onBreak.error).toBe('Only focus sessions can be rated');
+    const unknown = await sendToWorker({ type: 'rateSession', id: 'nope', rating: 3 });
+    expect(unknown.error).toBe('Unknown session: nope');
+
+    await sendToWorker({ type: 'dismissReflection' });
+    const after = (await chrome.storage.local.get('state')).state;
+    expect(after.timer.pendingReflectionId).toBeNull();
+  });
+
+  it('prompts after a flow session ends', async () => {
+    await sendToWorker({ type: 'startTimer', methodKey: 'flowtime' });
+    await sendToWorker({ type: 'completeFlowtime' });
+
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.timer.pendingReflectionId).toBe(state.history[0].id);
+    expect(created.map((options) => options.title)).toContain('How focused were you?');
+  });
+
+  it('does not prompt when reflections are turned off', async () => {
+    const { settings } = await chrome.storage.local.get('settings');
+    await chrome.storage.local.set({ settings: { ...settings, reflectionPrompt: false } });
+
+    const state = await finishWork();
+
+    expect(state.timer.pendingReflectionId).toBeNull();
+    expect(created.map((options) => options.title)).toEqual(['Focus done']);
+  });
+});
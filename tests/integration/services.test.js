@@ -222,19 +222,17 @@ describe('Service Integration Tests', () => {
         cyclesBeforeLongBreak: 4,
       };
 
-      let timer = { phase: 'work', cycleCount: 0 };
+      let timer = { phase: 'work', phaseIndex: 0, cycleCount: 0 };
       let next = timerModule.nextPhase(timer, method);
-      expect(next.phase).toBe('break');
-      expect(next.longBreak).toBe(false);
+      expect(next).toMatchObject({ phase: 'break', kind: 'rest', cycleCount: 0 });
 
-      timer = { phase: 'work', cycleCount: 3 };
+      timer = { phase: 'break', phaseIndex: 1, cycleCount: 2 };
       next = timerModule.nextPhase(timer, method);
-      expect(next.phase).toBe('longBreak');
-      expect(next.longBreak).toBe(true);
+      expect(next).toMatchObject({ phase: 'work', phaseIndex: 2 });
 
-      timer = { phase: 'break' };
+      timer = { phase: 'work', phaseIndex: 2, cycleCount: 0 };
       next = timerModule.nextPhase(timer, method);
-      expect(next.phase).toBe('work');
+      expect(next).toMatchObject({ phase: 'longBreak', kind: 'rest' });
     });
 
     it('should get phase labels', () => {
@@ -0,0 +1,253 @@
+/**
+ * Integration tests for task details and ordering through the service worker
+ * Verifies adding with details, completion timestamps, manual reordering and the task queue
+ */
+
+import { setupChromeMock, sendToWorker, settle } from './chrome-mock.js';
+import * as stateModule from '../../src/services/state.js';
+import { ALARM_NAME, NEXT_TASK_NOTIFICATION, SCHEMA_VERSION } from '../../src/shared/constants.js';
+
+setupChromeMock();
+
+describe('Task Details Integration', () => {
+  let chrome;
+  let error;
+
+  beforeAll(async () => {
+    await import('../../src/background/service-worker.js');
+  });
+
+  beforeEach(async () => {
+    chrome = global.chrome;
+    chrome.storage.reset();
+    chrome.runtime.sendMessage = async () => ({ ok: true });
+    error = console.error;
+    console.error = () => {};
+    const { state, settings } = stateModule.initializeState();
+    await chrome.storage.local.set({
+      schemaVersion: SCHEMA_VERSION,
+      state,
+      settings: { ...settings, autoStartBreaks: false },
+    });
+  });
+
+  afterEach(() => {
+    console.error = error;
+  });
+
+  /**
+   * Read the stored task list
+   * @returns {Promise<Array>} Tasks
+   */
+  async function storedTasks() {
+    const { state } = await chrome.storage.local.get('state');
+    return state.tasks;
+  }
+
+  it('adds tasks with details at the top of the order', async () => {
+    await sendToWorker({ type: 'addTask', title: 'First' });
+    const added = await sendToWorker({
+      type: 'addTask',
+      title: 'Second',
+      estimate: 2,
+      tags: ['docs', ' Docs '],
+      project: 'Site',
+      dueDate: '2024-03-08',
+      priority: 'high',
+    });
+
+    expect(added.task).toMatchObject({ tags: ['docs'], project: 'Site', order: 0 });
+    const tasks = await storedTasks();
+    expect(tasks.map((task) => [task.title, task.order])).toEqual([
+      ['Second', 0],
+      ['First', 1],
+    ]);
+
+    const invalid = await sendToWorker({ type: 'addTask', title: 'Bad', dueDate: 'soon' });
+    expect(invalid.error).toBe(
+      'Task validation failed: Task.dueDate must be a YYYY-MM-DD date or null'
+    );
+  });
+
+  it('edits details and stamps completion', async () => {
+    const { task } = await sendToWorker({ type: 'addTask', title: 'Draft' });
+
+    await sendToWorker({
+      type: 'updateTask',
+      id: task.id,
+      updates: { notes: 'Outline first', tags: ['writing'], project: ' Blog ', done: true },
+    });
+    let [stored] = await storedTasks();
+    expect(stored).toMatchObject({ notes: 'Outline first', tags: ['writing'], project: 'Blog' });
+    expect(stored.completedAt).toEqual(expect.any(Number));
+
+    await sendToWorker({ type: 'updateTask', id: task.id, updates: { done: false } });
+    [stored] = await storedTasks();
+    expect(stored.completedAt).toBeNull();
+
+    const readOnly = await sendToWorker({
+      type: 'updateTask',
+      id: task.id,
+      updates: { completedAt: 5 },
+    });
+    expect(readOnly.error).toBe('Task validation failed: Task.completedAt cannot be updated');
+  });
+
+  it('stamps completion when the last estimated session finishes', async () => {
+    const { task } = await sendToWorker({ type: 'addTask', title: 'Quick fix' });
+    await sendToWorker({ type: 'setActiveTask', id: task.id });
+
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+
+    const [stored] = await storedTasks();
+    expect(stored).toMatchObject({ completedSessions: 1, done: true });
+    expect(stored.completedAt).toEqual(expect.any(Number));
+  });
+
+  it('reorders tasks and rejects partial orders', async () => {
+    const ids = [];
+    for (const title of ['A', 'B', 'C']) {
+      ids.push((await sendToWorker({ type: 'addTask', title })).task.id);
+    }
+    const [a, b, c] = ids;
+
+    const result = await sendToWorker({ type: 'reorderTasks', ids: [a, c, b] });
+
+    expect(result.ok).toBe(true);
+    expect((await storedTasks()).map((task) => [task.title, task.order])).toEqual([
+      ['A', 0],
+      ['C', 1],
+      ['B', 2],
+    ]);
+    const partial = await sendToWorker({ type: 'reorderTasks', ids: [a, b] });
+    expect(partial.error).toBe('Task order must list every existing task exactly once');
+  });
+
+  it('manages a checklist and reports when the last step completes the task', async () => {
+    const { task } = await sendToWorker({ type: 'addTask', title: 'Release' });
+    const first = await sendToWorker({ type: 'addSubtask', taskId: task.id, title: 'Tag' });
+    const second = await sendToWorker({
+      type: 'addSubtask',
+      taskId: task.id,
+      title: 'Publish',
+      estimate: 2,
+    });
+
+    const partial = await sendToWorker({
+      type: 'updateSubtask',
+      taskId: task.id,
+      id: first.subtask.id,
+      updates: { done: true },
+    });
+    const last = await sendToWorker({
+      type: 'updateSubtask',
+      taskId: task.id,
+      id: second.subtask.id,
+      updates: { done: true },
+    });
+
+    expect(partial.completesTask).toBe(false);
+    expect(last.completesTask).toBe(true);
+    let [stored] = await storedTasks();
+    expect(stored.done).toBe(false);
+    expect(stored.subtasks.map((subtask) => subtask.done)).toEqual([true, true]);
+
+    await sendToWorker({ type: 'deleteSubtask', taskId: task.id, id: first.subtask.id });
+    [stored] = await storedTasks();
+    expect(stored.subtasks.map((subtask) => subtask.title)).toEqual(['Publish']);
+
+    const direct = await sendToWorker({
+      type: 'updateTask',
+      id: task.id,
+      updates: { subtasks: [] },
+    });
+    expect(direct.error).toBe('Task validation failed: Task.subtasks cannot be updated');
+    const missing = await sendToWorker({ type: 'addSubtask', taskId: 'nope', title: 'X' });
+    expect(missing.error).toBe('Unknown task: nope');
+  });
+
+  /**
+   * Add tasks in queue order, make the first active and finish one work session
+   * @param {Array<string>} titles - Task titles, in queue order
+   * @param {Object} settingsOverrides - Fields replacing the stored settings
+   * @returns {Promise<{ids: Array<string>, created: Array<Object>}>} Task ids and the
+   *   notification options created when the session finished
+   */
+  async function finishFirstTask(titles, settingsOverrides = {}) {
+    const { settings } = await chrome.storage.local.get('settings');
+    await chrome.storage.local.set({ settings: { ...settings, ...settingsOverrides } });
+    const ids = [];
+    for (const title of [...titles].reverse()) {
+      ids.unshift((await sendToWorker({ type: 'addTask', title })).task.id);
+    }
+    await sendToWorker({ type: 'setActiveTask', id: ids[0] });
+
+    const created = [];
+    chrome.notifications.create = async (...args) => {
+      created.push(args.at(-1));
+    };
+    await sendToWorker({ type: 'startTimer', methodKey: 'pomodoro', phase: 'work' });
+    chrome.alarms.triggerAlarm(ALARM_NAME);
+    await settle();
+    return { ids, created };
+  }
+
+  it('advances to the next undone task and names it in the notification', async () => {
+    const { ids, created } = await finishFirstTask(['Write', 'Review', 'Ship']);
+
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.timer).toMatchObject({ activeTaskId: ids[1], nextTaskId: null });
+    expect(created.find((options) => options.title === 'Task complete').message).toBe(
+      'Write is done. Next task: Review'
+    );
+  });
+
+  it('asks before switching when task advance is set to ask', async () => {
+    const { ids, created } = await finishFirstTask(['Write', 'Review'], { taskAdvance: 'ask' });
+
+    let { state } = await chrome.storage.local.get('state');
+    expect(state.timer).toMatchObject({ activeTaskId: null, nextTaskId: ids[1] });
+    const prompt = created.find((options) => options.title === 'Task complete');
+    expect(prompt.message).toBe('Write is done. Switch to Review?');
+    expect(prompt.buttons).toHaveLength(2);
+
+    chrome.notifications.triggerButtonClicked(NEXT_TASK_NOTIFICATION, 0);
+    await settle();
+    ({ state } = await chrome.storage.local.get('state'));
+    expect(state.timer).toMatchObject({ activeTaskId: ids[1], nextTaskId: null });
+  });
+
+  it('declining the suggestion leaves no task active', async () => {
+    await finishFirstTask(['Write', 'Review'], { taskAdvance: 'ask' });
+
+    const result = await sendToWorker({ type: 'answerNextTask', accept: false });
+
+    expect(result.activeTaskId).toBeNull();
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.timer.nextTaskId).toBeNull();
+  });
+
+  it('skips to the next task without completing the active one', async () => {
+    const ids = [];
+    for (const title of ['C', 'B', 'A']) {
+      ids.unshift((await sendToWorker({ type: 'addTask', title })).task.id);
+    }
+    await sendToWorker({ type: 'setActiveTask', id: ids[2] });
+
+    const skipped = await sendToWorker({ type: 'skipTask' });
+    expect(skipped.task.id).toBe(ids[0]);
+
+    chrome.commands.triggerCommand('flexifocus-skip-task');
+    await settle();
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.timer.activeTaskId).toBe(ids[1]);
+    expect(state.tasks.every((task) => !task.done)).toBe(true);
+
+    await sendToWorker({ type: 'deleteTask', id: ids[0] });
+    await sendToWorker({ type: 'deleteTask', id: ids[2] });
+    const alone = await sendToWorker({ type: 'skipTask' });
+    expect(alone.error).toBe('No other task to skip to');
+  });
+});
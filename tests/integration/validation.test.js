@@ -0,0 +1,127 @@
+/**
+ * Integration tests for schema validation at the storage and message boundaries
+ * Corrupted stored data is repaired on load; malformed handler input is rejected
+ */
+
+import { setupChromeMock, sendToWorker } from './chrome-mock.js';
+import * as storageModule from '../../src/services/storage.js';
+import * as stateModule from '../../src/services/state.js';
+import { SCHEMA_VERSION } from '../../src/shared/constants.js';
+
+setupChromeMock();
+
+describe('Schema Validation Integration', () => {
+  let chrome;
+  let warn;
+  let error;
+
+  beforeAll(async () => {
+    await import('../../src/background/service-worker.js');
+  });
+
+  beforeEach(() => {
+    chrome = global.chrome;
+    chrome.storage.reset();
+    chrome.runtime.sendMessage = async () => ({ ok: true });
+    warn = console.warn;
+    error = console.error;
+    console.warn = () => {};
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    console.warn = warn;
+    console.error = error;
+  });
+
+  /**
+   * Store current-version data
+   * @param {Object} stateOverrides - Fields replacing the default state
+   * @param {Object} settingsOverrides - Fields replacing the default settings
+   * @returns {Promise<Object>} The task stored first
+   */
+  async function seed(stateOverrides = {}, settingsOverrides = {}) {
+    const { state, settings } = stateModule.initializeState();
+    const task = stateModule.createTask('Valid task', 2);
+    await chrome.storage.local.set({
+      schemaVersion: SCHEMA_VERSION,
+      state: { ...state, tasks: [task], ...stateOverrides },
+      settings: { ...settings, ...settingsOverrides },
+    });
+    return task;
+  }
+
+  it('repairs corrupted entries on load instead of resetting everything', async () => {
+    const task = stateModule.createTask('Keep me');
+    await seed(
+      { tasks: [task, { id: 'bad', title: null, estimate: 1, completedSessions: 0, done: false }] },
+      { theme: 'neon', presetOrder: ['pomodoro', 'custom'] }
+    );
+
+    const { state, settings } = await storageModule.loadStateAndSettings();
+
+    expect(state.tasks).toEqual([task]);
+    expect(settings.theme).toBe('system');
+    expect(settings.presetOrder).toEqual(['pomodoro', 'custom']);
+    const stored = await chrome.storage.local.get(['state', 'settings']);
+    expect(stored.state.tasks).toEqual([task]);
+    expect(stored.settings.theme).toBe('system');
+
+    const reasons = (await storageModule.getBackups()).map((backup) => backup.reason).sort();
+    expect(reasons).toEqual(['repaired-settings', 'repaired-state']);
+  });
+
+  it('rejects unknown or malformed task updates without persisting them', async () => {
+    const task = await seed();
+
+    const unknown = await sendToWorker({
+      type: 'updateTask',
+      id: task.id,
+      updates: { done: true, evil: '<script>' },
+    });
+    const malformed = await sendToWorker({
+      type: 'updateTask',
+      id: task.id,
+      updates: { estimate: -3 },
+    });
+
+    expect(unknown.error).toBe('Task validation failed: Task.evil cannot be updated');
+    expect(malformed.error).toBe('Task validation failed: Task.estimate must be an integer >= 1');
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.tasks).toEqual([task]);
+  });
+
+  it('accepts valid task updates', async () => {
+    const task = await seed();
+
+    const response = await sendToWorker({
+      type: 'updateTask',
+      id: task.id,
+      updates: { done: true, title: 'Renamed' },
+    });
+
+    expect(response.ok).toBe(true);
+    const { state } = await chrome.storage.local.get('state');
+    expect(state.tasks[0]).toMatchObject({ id: task.id, done: true, title: 'Renamed' });
+  });
+
+  it('rejects tasks without a title', async () => {
+    await seed();
+
+    const response = await sendToWorker({ type: 'addTask', title: '   ', estimate: 1 });
+
+    expect(response.error).toBe('Task validation failed: Task.title must be a non-empty string');
+  });
+
+  it('rejects settings that break the schema', async () => {
+    await seed();
+
+    const response = await sendToWorker({ type: 'updateSettings', settings: { theme: 'neon' } });
+
+    expect(response.error).toBe(
+      'Settings validation failed: Settings.theme must be one of: system, light, dark'
+    );
+    const { settings } = await chrome.storage.local.get('settings');
+    expect(settings.theme).toBe('system');
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Unit tests for analytics.js report aggregation
+ */
+
+import {
+  validateReportOptions,
+  periodKey,
+  listPeriods,
+  bucketHistory,
+  getMethodBreakdown,
+  getTaskBreakdown,
+  getHourHeatmap,
+  getCompletionRate,
+  buildReport,
+} from '../../src/services/analytics.js';
+import { initializeState } from '../../src/services/state.js';
+import { historyEntry } from '../fixtures/history.js';
+
+const MINUTE = 60000;
+
+/**
+ * Build an entry that started at a local date and time
+ * @param {string} id - Entry id
+ * @param {number} day - Day of March 2024
+ * @param {number} hour - Hour of day
+ * @param {Object} overrides - { phase, methodKey, taskId, minutes, minute, status }
+ * @returns {Object} History entry
+ */
+function entryAt(id, day, hour, { minute = 0, minutes = 25, ...overrides } = {}) {
+  return historyEntry(new Date(2024, 2, day, hour, minute).getTime(), minutes, {
+    id,
+    ...overrides,
+  });
+}
+
+describe('validateReportOptions', () => {
+  it('accepts defaults and valid ranges', () => {
+    expect(validateReportOptions().valid).toBe(true);
+    expect(
+      validateReportOptions({ granularity: 'week', from: '2024-03-01', to: '2024-03-31' }).valid
+    ).toBe(true);
+  });
+
+  it('reports bad granularities, dates and reversed ranges', () => {
+    expect(validateReportOptions({ granularity: 'year', from: '3/1/2024' }).errors).toEqual([
+      'Report.granularity must be one of: day, week, month',
+      'Report.from must be a date (YYYY-MM-DD)',
+    ]);
+    expect(validateReportOptions({ from: '2024-03-02', to: '2024-03-01' }).errors).toEqual([
+      'Report.from must not be after Report.to',
+    ]);
+  });
+});
+
+describe('periods', () => {
+  it('keys weeks by their Monday and months by year and month', () => {
+    expect(periodKey('2024-03-06', 'day')).toBe('2024-03-06');
+    expect(periodKey('2024-03-06', 'week')).toBe('2024-03-04');
+    expect(periodKey('2024-03-10', 'week')).toBe('2024-03-04');
+    expect(periodKey('2024-03-01', 'week')).toBe('2024-02-26');
+    expect(periodKey('2024-03-31', 'month')).toBe('2024-03');
+  });
+
+  it('lists every period touching a range, across month and year ends', () => {
+    expect(listPeriods('2024-02-28', '2024-03-02', 'day')).toEqual([
+      '2024-02-28',
+      '2024-02-29',
+      '2024-03-01',
+      '2024-03-02',
+    ]);
+    expect(listPeriods('2024-03-06', '2024-03-19', 'week')).toEqual([
+      '2024-03-04',
+      '2024-03-11',
+      '2024-03-18',
+    ]);
+    expect(listPeriods('2023-11-15', '2024-01-02', 'month')).toEqual([
+      '2023-11',
+      '2023-12',
+      '2024-01',
+    ]);
+  });
+});
+
+describe('bucketHistory', () => {
+  it('sums focus and break time per period and zero-fills gaps', () => {
+    const entries = [
+      entryAt('a', 1, 9),
+      entryAt('b', 1, 10, { phase: 'break', minutes: 5 }),
+      entryAt('c', 3, 9, { phase: 'flow', minutes: 40 }),
+      entryAt('d', 3, 11, { status: 'skipped' }),
+    ];
+
+    expect(bucketHistory(entries, { from: '2024-03-01', to: '2024-03-03' })).toEqual([
+      { period: '2024-03-01', focusMs: 25 * MINUTE, breakMs: 5 * MINUTE, sessions: 1 },
+      { period: '2024-03-02', focusMs: 0, breakMs: 0, sessions: 0 },
+      { period: '2024-03-03', focusMs: 40 * MINUTE, breakMs: 0, sessions: 1 },
+    ]);
+    expect(bucketHistory(entries, { granularity: 'month' })).toEqual([
+      { period: '2024-03', focusMs: 65 * MINUTE, breakMs: 5 * MINUTE, sessions: 2 },
+    ]);
+    expect(bucketHistory([])).toEqual([]);
+  });
+});
+
+describe('breakdowns', () => {
+  it('groups focus sessions by method with labels', () => {
+    const { settings } = initializeState();
+    const entries = [
+      entryAt('a', 1, 9),
+      entryAt('b', 1, 10),
+      entryAt('c', 1, 11, { methodKey: 'flowtime', phase: 'flow', minutes: 90 }),
+      entryAt('d', 1, 12, { phase: 'break' }),
+    ];
+
+    expect(getMethodBreakdown(entries, settings)).toEqual([
+      { methodKey: 'flowtime', label: 'Flowtime', sessions: 1, focusMs: 90 * MINUTE },
+      { methodKey: 'pomodoro', label: 'Pomodoro', sessions: 2, focusMs: 50 * MINUTE },
+    ]);
+  });
+
+  it('groups sessions without a live task together', () => {
+    const tasks = [{ id: 't1', title: 'Write report' }];
+    const entries = [
+      entryAt('a', 1, 9, { taskId: 't1' }),
+      entryAt('b', 1, 10, { taskId: 'deleted' }),
+      entryAt('c', 1, 11),
+    ];
+
+    expect(getTaskBreakdown(entries, tasks)).toEqual([
+      { taskId: null, title: null, sessions: 2, focusMs: 50 * MINUTE },
+      { taskId: 't1', title: 'Write report', sessions: 1, focusMs: 25 * MINUTE },
+    ]);
+  });
+});
+
+describe('getHourHeatmap', () => {
+  it('splits sessions across the local hours they span', () => {
+    // Friday 1 March 2024, 09:50-10:15
+    const grid = getHourHeatmap([entryAt('a', 1, 9, { minute: 50 })]);
+
+    expect(grid[4][9]).toBe(10 * MINUTE);
+    expect(grid[4][10]).toBe(15 * MINUTE);
+    expect(grid.flat().reduce((total, value) => total + value, 0)).toBe(25 * MINUTE);
+  });
+
+  it('scales paused sessions so each adds up to its duration', () => {
+    const entry = { ...entryAt('a', 4, 9), endedAt: new Date(2024, 2, 4, 11).getTime() };
+    const grid = getHourHeatmap([entry, entryAt('b', 4, 12, { phase: 'break' })]);
+
+    expect(grid[0][9]).toBeCloseTo(12.5 * MINUTE);
+    expect(grid[0][10]).toBeCloseTo(12.5 * MINUTE);
+    expect(grid[0][12]).toBe(0);
+  });
+});
+
+describe('getCompletionRate', () => {
+  it('counts focus sessions that ran to completion', () => {
+    const entries = [
+      entryAt('a', 1, 9),
+      entryAt('b', 1, 10, { status: 'completed' }),
+      entryAt('c', 1, 11, { status: 'skipped' }),
+      entryAt('d', 1, 12, { phase: 'break', status: 'skipped' }),
+      entryAt('e', 1, 13, { status: 'abandoned' }),
+    ];
+
+    expect(getCompletionRate(entries)).toEqual({ completed: 2, abandoned: 1, total: 4, rate: 0.5 });
+    expect(getCompletionRate([])).toEqual({ completed: 0, abandoned: 0, total: 0, rate: null });
+  });
+});
+
+describe('buildReport', () => {
+  it('summarizes the range and defaults it to the entries span', () => {
+    const { settings } = initializeState();
+    const entries = [
+      entryAt('a', 1, 9),
+      entryAt('b', 1, 10, { phase: 'break', minutes: 5 }),
+      entryAt('c', 2, 9, { status: 'skipped', minutes: 10 }),
+    ];
+
+    const report = buildReport(entries, { settings });
+
+    expect(report).toMatchObject({ granularity: 'day', from: '2024-03-01', to: '2024-03-02' });
+    expect(report.summary).toMatchObject({
+      totalSessions: 2,
+      focusMs: 25 * MINUTE,
+      breakMs: 5 * MINUTE,
+      breakToFocusRatio: 0.2,
+    });
+    expect(report.periods).toHaveLength(2);
+    expect(report.completion.rate).toBe(0.5);
+    expect(buildReport([]).summary.breakToFocusRatio).toBeNull();
+  });
+
+  it('leaves abandoned sessions out of the totals when they are not counted', () => {
+    const { settings } = initializeState();
+    const entries = [entryAt('a', 1, 9), entryAt('b', 1, 10, { status: 'abandoned', minutes: 10 })];
+
+    expect(buildReport(entries, { settings }).summary.focusMs).toBe(35 * MINUTE);
+    const excluded = buildReport(entries, { settings: { ...settings, countAbandoned: false } });
+    expect(excluded.summary.focusMs).toBe(25 * MINUTE);
+    expect(excluded.completion).toMatchObject({ completed: 1, abandoned: 1, rate: 0.5 });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit tests for audio.js sound resolution
+ */
+
+import {
+  getSoundProfile,
+  resolveSoundNotes,
+  resolvePhaseSound,
+  normalizeVolume,
+  buildSoundMessage,
+  resolveAmbient,
+} from '../../src/services/audio.js';
+
+describe('Sound Resolution', () => {
+  test('getSoundProfile returns null for silent or unknown keys', () => {
+    expect(getSoundProfile('')).toBeNull();
+    expect(getSoundProfile('none')).toBeNull();
+    expect(getSoundProfile('kazoo')).toBeNull();
+    expect(getSoundProfile('chime')).toMatchObject({ frequency: 880 });
+  });
+
+  test('resolveSoundNotes wraps single-note profiles', () => {
+    expect(resolveSoundNotes({ type: 'sine', frequency: 660, duration: 0.9 })).toEqual([
+      { type: 'sine', frequency: 660, duration: 0.9, offset: 0, gain: 1 },
+    ]);
+  });
+
+  test('resolveSoundNotes schedules sequences with gaps', () => {
+    const notes = resolveSoundNotes({
+      notes: [
+        { type: 'square', frequency: 440, duration: 0.2, gap: 0.1, gain: 0.5 },
+        { type: 'square', frequency: 880, duration: 0.3 },
+      ],
+    });
+    expect(notes[0].offset).toBe(0);
+    expect(notes[1].offset).toBeCloseTo(0.3);
+    expect(notes[0].gain).toBe(0.5);
+  });
+
+  test('resolvePhaseSound picks per-phase choices', () => {
+    const settings = { sound: 'chime', phaseSounds: { workEnd: 'rising', breakEnd: 'default' } };
+    expect(resolvePhaseSound(settings, 'work')).toBe('rising');
+    expect(resolvePhaseSound(settings, 'flow')).toBe('rising');
+    expect(resolvePhaseSound(settings, 'longBreak')).toBe('chime');
+    expect(resolvePhaseSound({ sound: 'softBell' }, 'break')).toBe('softBell');
+  });
+
+  test('normalizeVolume clamps and defaults', () => {
+    expect(normalizeVolume(2)).toBe(1);
+    expect(normalizeVolume(-1)).toBe(0);
+    expect(normalizeVolume(undefined)).toBe(0.7);
+  });
+
+  test('buildSoundMessage skips silent playback', () => {
+    expect(buildSoundMessage('none', 0.5)).toBeNull();
+    expect(buildSoundMessage('chime', 0)).toBeNull();
+    expect(buildSoundMessage('doubleBeep', 0.5)).toMatchObject({
+      type: 'playSound',
+      volume: 0.5,
+    });
+  });
+
+  test('resolveAmbient plays only during running focus phases', () => {
+    const method = { ambient: 'rain' };
+    const settings = { ambientVolume: 0.4 };
+    expect(resolveAmbient({ isRunning: true, phase: 'work' }, method, settings)).toEqual({
+      sound: 'rain',
+      volume: 0.4,
+    });
+    expect(resolveAmbient({ isRunning: true, phase: 'flow' }, method, settings)).not.toBeNull();
+    expect(resolveAmbient({ isRunning: false, phase: 'work' }, method, settings)).toBeNull();
+    expect(resolveAmbient({ isRunning: true, phase: 'break' }, method, settings)).toBeNull();
+    expect(resolveAmbient({ isRunning: true, phase: 'work' }, {}, settings)).toBeNull();
+    expect(
+      resolveAmbient({ isRunning: true, phase: 'work' }, method, { ambientVolume: 0 })
+    ).toBeNull();
+  });
+});
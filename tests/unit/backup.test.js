@@ -0,0 +1,221 @@
+/**
+ * Unit tests for backup.js parsing and restore planning
+ */
+
+import { createBackup, parseBackup, planRestore } from '../../src/services/backup.js';
+import { initializeState, createTask, createHistoryEntry } from '../../src/services/state.js';
+import { BACKUP_FORMAT, SCHEMA_VERSION } from '../../src/shared/constants.js';
+
+const HOUR = 3600000;
+
+/**
+ * Build a history entry starting at the given hour of 2024-03-01
+ * @param {string} id - Entry id
+ * @param {number} hour - Local hour
+ * @param {string} phase - Phase
+ * @returns {Object} History entry
+ */
+function entry(id, hour, phase = 'work') {
+  const startedAt = new Date(2024, 2, 1, hour).getTime();
+  return createHistoryEntry(id, 'pomodoro', phase, HOUR / 2, startedAt, startedAt + HOUR / 2);
+}
+
+/**
+ * Build current data for planRestore
+ * @param {Object} overrides - { tasks, history, settings, timer }
+ * @returns {Object} { state, settings, history }
+ */
+function current(overrides = {}) {
+  const { state, settings } = initializeState();
+  return {
+    state: {
+      ...state,
+      timer: { ...state.timer, ...overrides.timer },
+      tasks: overrides.tasks ?? [],
+    },
+    settings: { ...settings, ...overrides.settings },
+    history: overrides.history ?? [],
+  };
+}
+
+describe('Backup', () => {
+  describe('createBackup', () => {
+    test('includes every part of the data with format and schema version', () => {
+      const data = current({ tasks: [createTask('A')], history: [entry('h1', 9)] });
+      const backup = createBackup(data, '1.2.3');
+
+      expect(backup).toMatchObject({
+        format: BACKUP_FORMAT,
+        schemaVersion: SCHEMA_VERSION,
+        appVersion: '1.2.3',
+        settings: data.settings,
+        tasks: data.state.tasks,
+        history: data.history,
+        statistics: data.state.statistics,
+      });
+      expect(backup.settings.presets.custom).toBeDefined();
+    });
+  });
+
+  describe('parseBackup', () => {
+    test('round-trips a full backup through JSON', async () => {
+      const data = current({ tasks: [createTask('A')], history: [entry('h1', 9)] });
+      const parsed = await parseBackup(JSON.stringify(createBackup(data)));
+
+      expect(parsed.tasks).toEqual(data.state.tasks);
+      expect(parsed.history).toEqual(data.history);
+      expect(parsed.settings).toEqual(data.settings);
+      expect(parsed.skipped).toEqual([]);
+    });
+
+    test('rejects input that is not a backup', async () => {
+      await expect(parseBackup('{nope')).rejects.toThrow('Backup is not valid JSON');
+      await expect(parseBackup('[]')).rejects.toThrow('Backup must be a JSON object');
+      await expect(parseBackup({ format: 'other' })).rejects.toThrow(
+        'Unsupported backup format: other'
+      );
+      await expect(parseBackup({ hello: 'world' })).rejects.toThrow(
+        'Backup has no tasks or history'
+      );
+      await expect(
+        parseBackup({ format: BACKUP_FORMAT, schemaVersion: SCHEMA_VERSION + 1 })
+      ).rejects.toThrow('is newer than this version supports');
+    });
+
+    test('accepts older history exports and migrates their shapes', async () => {
+      const parsed = await parseBackup({
+        exportedAt: '2024-03-02T10:00:00.000Z',
+        version: '0.1.0',
+        tasks: [{ id: 't1', title: 'Old', estimate: 1, completed: true }],
+        history: [{ date: '2024-03-01', methodKey: 'pomodoro', totalMinutes: 50 }],
+        statistics: { totalSessions: 2 },
+      });
+
+      expect(parsed.settings).toBeNull();
+      expect(parsed.appVersion).toBe('0.1.0');
+      expect(parsed.tasks[0]).toMatchObject({ id: 't1', done: true, completedSessions: 0 });
+      expect(parsed.history[0]).toMatchObject({ phase: 'work', durationMs: 50 * 60000 });
+      expect(parsed.statistics.totalSessions).toBe(2);
+    });
+
+    test('skips invalid and duplicate records instead of failing', async () => {
+      const parsed = await parseBackup({
+        format: BACKUP_FORMAT,
+        schemaVersion: SCHEMA_VERSION,
+        tasks: [createTask('A'), { id: 'broken' }],
+        history: [entry('h1', 9), entry('h1', 10), { id: 'h2', phase: 'nap' }],
+      });
+
+      expect(parsed.tasks).toHaveLength(1);
+      expect(parsed.history.map((item) => item.id)).toEqual(['h1']);
+      expect(parsed.skipped).toHaveLength(3);
+      expect(parsed.skipped).toContain('Skipped duplicate id in Backup.history: h1');
+    });
+  });
+
+  describe('planRestore', () => {
+    test('merge adds new records and keeps existing ones on id conflicts', async () => {
+      const mine = { ...createTask('Mine'), id: 'shared' };
+      const data = current({ tasks: [mine], history: [entry('h1', 9)] });
+      const backup = await parseBackup(
+        createBackup(
+          current({
+            tasks: [
+              { ...mine, title: 'Theirs' },
+              { ...createTask('New'), id: 'new' },
+            ],
+            history: [entry('h1', 9), entry('h2', 11, 'break')],
+            settings: {
+              theme: 'dark',
+              presets: {
+                ...initializeState().settings.presets,
+                team: { key: 'team', label: 'Team', flexible: true, suggestedBreakMinutes: 5 },
+              },
+            },
+          })
+        )
+      );
+
+      const plan = planRestore(data, backup, 'merge');
+
+      expect(plan.preview.tasks).toEqual({
+        added: 1,
+        updated: 0,
+        unchanged: 0,
+        conflicts: 1,
+        removed: 0,
+      });
+      expect(plan.preview.history).toMatchObject({ added: 1, unchanged: 1 });
+      expect(plan.preview.presets.added).toBe(1);
+      expect(plan.preview.settings.changed).toEqual([]);
+      expect(plan.state.tasks.map((task) => task.title)).toEqual(['Mine', 'New']);
+      expect(plan.settings.theme).toBe('system');
+      expect(plan.settings.presetOrder.at(-1)).toBe('team');
+      expect(plan.history.map((item) => item.id)).toEqual(['h2']);
+      expect(plan.replaceHistory).toBe(false);
+      expect(plan.state.statistics).toMatchObject({
+        totalSessions: 1,
+        totalFocusTime: HOUR / 2,
+        totalBreakTime: HOUR / 2,
+      });
+    });
+
+    test('replace swaps in the backup and reports removals', async () => {
+      const data = current({
+        tasks: [createTask('Old')],
+        history: [entry('h1', 9)],
+        timer: { activeTaskId: 'gone' },
+      });
+      const incoming = current({
+        tasks: [createTask('Fresh')],
+        history: [entry('h2', 10), entry('h3', 11)],
+        settings: { theme: 'dark' },
+      });
+      incoming.state.statistics = { ...incoming.state.statistics, totalSessions: 9 };
+
+      const plan = planRestore(data, await parseBackup(createBackup(incoming)), 'replace');
+
+      expect(plan.preview.tasks).toMatchObject({ added: 1, removed: 1 });
+      expect(plan.preview.history).toMatchObject({ added: 2, removed: 1 });
+      expect(plan.preview.settings.changed).toEqual(['theme']);
+      expect(plan.preview.statistics).toBe('replaced');
+      expect(plan.state.tasks).toEqual(incoming.state.tasks);
+      expect(plan.state.history.map((item) => item.id)).toEqual(['h3', 'h2']);
+      expect(plan.state.statistics).toMatchObject({ totalSessions: 2, totalFocusTime: HOUR });
+      expect(plan.state.timer.activeTaskId).toBeNull();
+      expect(plan.history).toHaveLength(2);
+      expect(plan.replaceHistory).toBe(true);
+    });
+
+    test('falls back to the selected method when the running method disappears', async () => {
+      const { settings } = initializeState();
+      const data = current({
+        settings: {
+          presets: { ...settings.presets, team: { ...settings.presets.custom, key: 'team' } },
+          presetOrder: [...settings.presetOrder, 'team'],
+        },
+        timer: { methodKey: 'team' },
+      });
+
+      const plan = planRestore(
+        data,
+        await parseBackup(createBackup(current({ settings: { selectedMethod: 'quick5' } }))),
+        'replace'
+      );
+
+      expect(plan.preview.presets.removed).toBe(1);
+      expect(plan.state.timer.methodKey).toBe('quick5');
+    });
+
+    test('refuses replace while the timer runs and unknown modes', async () => {
+      const backup = await parseBackup(createBackup(current()));
+      expect(() => planRestore(current({ timer: { isRunning: true } }), backup, 'replace')).toThrow(
+        'Stop the timer before replacing your data with a backup.'
+      );
+      expect(() => planRestore(current(), backup, 'overwrite')).toThrow(
+        'Unknown restore mode: overwrite'
+      );
+      expect(planRestore(current({ timer: { isRunning: true } }), backup, 'merge')).toBeTruthy();
+    });
+  });
+});
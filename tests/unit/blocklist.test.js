@@ -0,0 +1,177 @@
+/**
+ * Unit tests for blocklist.js pattern handling and rule building
+ */
+
+import {
+  normalizePattern,
+  parsePatterns,
+  validateBlocklist,
+  normalizeBlocklist,
+  resolveBlocklist,
+  isBlocklistLocked,
+  patternToRegex,
+  buildBlockRules,
+  getActiveBlockRules,
+} from '../../src/services/blocklist.js';
+
+/**
+ * Match a URL the way a DNR regexFilter rule would (case-insensitive)
+ * @param {string} pattern - Host pattern
+ * @param {string} url - URL to test
+ * @returns {boolean}
+ */
+function matches(pattern, url) {
+  return new RegExp(patternToRegex(pattern), 'i').test(url);
+}
+
+describe('Focus Blocklist', () => {
+  describe('normalizePattern', () => {
+    test('strips scheme, www, port and path', () => {
+      expect(normalizePattern('https://www.YouTube.com:443/watch?v=1')).toBe('youtube.com');
+      expect(normalizePattern('  reddit.com/r/all ')).toBe('reddit.com');
+      expect(normalizePattern('*.example.com')).toBe('*.example.com');
+    });
+
+    test('rejects values that are not host patterns', () => {
+      expect(normalizePattern('')).toBeNull();
+      expect(normalizePattern('*')).toBeNull();
+      expect(normalizePattern('not a site')).toBeNull();
+      expect(normalizePattern('bad_host.com')).toBeNull();
+      expect(normalizePattern(42)).toBeNull();
+    });
+  });
+
+  test('parsePatterns accepts text, drops duplicates and reports invalid entries', () => {
+    const { patterns, invalid } = parsePatterns('youtube.com\nwww.youtube.com, x.com\n\nbad site');
+    expect(patterns).toEqual(['youtube.com', 'x.com']);
+    expect(invalid).toEqual(['bad site']);
+  });
+
+  test('validateBlocklist allows null overrides and reports invalid fields', () => {
+    expect(validateBlocklist(null).valid).toBe(true);
+    const result = validateBlocklist(
+      { enabled: 'yes', domains: ['ok.com', 'no way'] },
+      'Task.blocklist'
+    );
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      'Task.blocklist.enabled must be boolean',
+      'Task.blocklist.domains has invalid sites: no way',
+    ]);
+  });
+
+  test('normalizeBlocklist keeps only the fields that were set', () => {
+    expect(normalizeBlocklist({ domains: ['https://www.x.com/home'] })).toEqual({
+      domains: ['x.com'],
+    });
+    expect(normalizeBlocklist(null)).toBeNull();
+    expect(() => normalizeBlocklist({ allowlist: 'x.com' })).toThrow(
+      'Blocklist.allowlist must be an array'
+    );
+  });
+
+  describe('resolveBlocklist', () => {
+    const settings = {
+      blocklist: { enabled: true, domains: ['youtube.com'], allowlist: ['music.youtube.com'] },
+    };
+
+    test('uses the global list by default', () => {
+      expect(resolveBlocklist(settings, { key: 'pomodoro' }, null)).toEqual(settings.blocklist);
+    });
+
+    test('method overrides replace only the fields they set', () => {
+      const method = { key: 'deep', blocklist: { domains: ['news.com'] } };
+      expect(resolveBlocklist(settings, method)).toEqual({
+        enabled: true,
+        domains: ['news.com'],
+        allowlist: ['music.youtube.com'],
+      });
+    });
+
+    test('task overrides win over method overrides', () => {
+      const method = { blocklist: { enabled: false } };
+      const task = { blocklist: { enabled: true, domains: ['x.com'] } };
+      expect(resolveBlocklist(settings, method, task)).toMatchObject({
+        enabled: true,
+        domains: ['x.com'],
+      });
+      expect(resolveBlocklist(settings, method, { blocklist: null }).enabled).toBe(false);
+    });
+  });
+
+  test('isBlocklistLocked only applies during a running focus phase with Lock-In', () => {
+    const running = { isRunning: true, phase: 'work' };
+    expect(isBlocklistLocked({ lockIn: true }, running)).toBe(true);
+    expect(isBlocklistLocked({ lockIn: true }, { ...running, phase: 'flow' })).toBe(true);
+    expect(isBlocklistLocked({ lockIn: true }, { ...running, phase: 'break' })).toBe(false);
+    expect(isBlocklistLocked({ lockIn: true }, { ...running, isRunning: false })).toBe(false);
+    expect(isBlocklistLocked({ lockIn: false }, running)).toBe(false);
+  });
+
+  describe('patternToRegex', () => {
+    test('plain domains match the domain and its subdomains', () => {
+      expect(matches('youtube.com', 'https://youtube.com/')).toBe(true);
+      expect(matches('youtube.com', 'https://m.youtube.com/watch')).toBe(true);
+      expect(matches('youtube.com', 'http://YOUTUBE.com:8080')).toBe(true);
+      expect(matches('youtube.com', 'https://notyoutube.com/')).toBe(false);
+      expect(matches('youtube.com', 'https://youtube.com.evil.io/')).toBe(false);
+      expect(matches('youtube.com', 'https://example.com/?next=youtube.com')).toBe(false);
+    });
+
+    test('leading wildcards match subdomains only', () => {
+      expect(matches('*.reddit.com', 'https://old.reddit.com/')).toBe(true);
+      expect(matches('*.reddit.com', 'https://reddit.com/')).toBe(false);
+    });
+
+    test('inner wildcards match any hostname run', () => {
+      expect(matches('amazon.*', 'https://www.amazon.co.uk/')).toBe(true);
+      expect(matches('amazon.*', 'https://amazon.de/')).toBe(true);
+      expect(matches('amazon.*', 'https://amazonia.com/')).toBe(false);
+    });
+  });
+
+  test('buildBlockRules redirects blocked sites and lets allowlist entries through', () => {
+    const rules = buildBlockRules(
+      { enabled: true, domains: ['youtube.com'], allowlist: ['music.youtube.com'] },
+      '/src/blocked.html'
+    );
+    expect(rules.map((rule) => rule.id)).toEqual([1, 2]);
+    expect(rules[0].action).toEqual({
+      type: 'redirect',
+      redirect: { extensionPath: '/src/blocked.html' },
+    });
+    expect(rules[1].action).toEqual({ type: 'allow' });
+    expect(rules[1].priority).toBeGreaterThan(rules[0].priority);
+    expect(rules[0].condition.resourceTypes).toEqual(['main_frame']);
+  });
+
+  test('buildBlockRules is empty when disabled or without domains', () => {
+    expect(buildBlockRules({ enabled: false, domains: ['x.com'] }, '/b.html')).toEqual([]);
+    expect(
+      buildBlockRules({ enabled: true, domains: [], allowlist: ['x.com'] }, '/b.html')
+    ).toEqual([]);
+  });
+
+  test('getActiveBlockRules follows the timer and the active task', () => {
+    const settings = {
+      selectedMethod: 'pomodoro',
+      presets: {},
+      blocklist: { enabled: true, domains: ['youtube.com'], allowlist: [] },
+    };
+    const state = {
+      timer: { methodKey: 'pomodoro', phase: 'work', isRunning: true, activeTaskId: 't1' },
+      tasks: [{ id: 't1', title: 'Write', blocklist: { domains: ['x.com', 'news.com'] } }],
+    };
+    expect(getActiveBlockRules(state, settings, '/b.html')).toHaveLength(2);
+    expect(
+      getActiveBlockRules(
+        { ...state, timer: { ...state.timer, phase: 'break' } },
+        settings,
+        '/b.html'
+      )
+    ).toEqual([]);
+    expect(
+      getActiveBlockRules({ ...state, timer: { ...state.timer, isRunning: false } }, settings, '/b')
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for breaks.js enforcement rules
+ */
+
+import {
+  getEnforcementLevel,
+  getBreakStatus,
+  shouldRedirectTab,
+} from '../../src/services/breaks.js';
+import { DEFAULT_METHODS } from '../../src/shared/constants.js';
+
+const pomodoro = { ...DEFAULT_METHODS.pomodoro, key: 'pomodoro' };
+
+function breakTimer(overrides = {}) {
+  return {
+    methodKey: 'pomodoro',
+    phase: 'break',
+    isRunning: true,
+    startTime: Date.now() - 60000,
+    endTime: Date.now() + 120000,
+    remainingMs: 0,
+    cycleCount: 0,
+    ...overrides,
+  };
+}
+
+describe('Break Enforcement Rules', () => {
+  test('getEnforcementLevel is null when enforcement is off', () => {
+    expect(getEnforcementLevel({ breakEnforcement: false, breakEnforcementLevel: 'strict' })).toBe(
+      null
+    );
+  });
+
+  test('getEnforcementLevel falls back to gentle for unknown levels', () => {
+    expect(getEnforcementLevel({ breakEnforcement: true })).toBe('gentle');
+    expect(getEnforcementLevel({ breakEnforcement: true, breakEnforcementLevel: 'nuclear' })).toBe(
+      'gentle'
+    );
+    expect(getEnforcementLevel({ breakEnforcement: true, breakEnforcementLevel: 'strict' })).toBe(
+      'strict'
+    );
+  });
+
+  test('gentle breaks are never locked', () => {
+    const status = getBreakStatus(breakTimer(), pomodoro, {
+      breakEnforcement: true,
+      breakEnforcementLevel: 'gentle',
+    });
+    expect(status.onBreak).toBe(true);
+    expect(status.locked).toBe(false);
+    expect(status.strict).toBe(false);
+  });
+
+  test('countdown breaks lock while time remains', () => {
+    const settings = { breakEnforcement: true, breakEnforcementLevel: 'countdown' };
+    const status = getBreakStatus(breakTimer(), pomodoro, settings);
+    expect(status.locked).toBe(true);
+    expect(status.strict).toBe(false);
+    expect(status.remainingMs).toBeGreaterThan(100000);
+    expect(status.remainingMs).toBeLessThanOrEqual(120000);
+
+    const expired = getBreakStatus(breakTimer({ endTime: Date.now() - 1 }), pomodoro, settings);
+    expect(expired.locked).toBe(false);
+  });
+
+  test('strict breaks report strict and publish the end time', () => {
+    const timer = breakTimer();
+    const status = getBreakStatus(timer, pomodoro, {
+      breakEnforcement: true,
+      breakEnforcementLevel: 'strict',
+    });
+    expect(status.strict).toBe(true);
+    expect(status.endTime).toBe(timer.endTime);
+  });
+
+  test('a break that has not started yet is not locked', () => {
+    const status = getBreakStatus(
+      breakTimer({ isRunning: false, startTime: 0, endTime: 0 }),
+      pomodoro,
+      { breakEnforcement: true, breakEnforcementLevel: 'countdown' }
+    );
+    expect(status.isRunning).toBe(false);
+    expect(status.endTime).toBe(0);
+    expect(status.remainingMs).toBe(pomodoro.phases[1].minutes * 60000);
+    expect(status.locked).toBe(false);
+    expect(status.strict).toBe(false);
+  });
+
+  test('a paused break is not locked', () => {
+    const status = getBreakStatus(
+      breakTimer({ isRunning: false, startTime: 0, endTime: 0, remainingMs: 120000 }),
+      pomodoro,
+      { breakEnforcement: true, breakEnforcementLevel: 'strict' }
+    );
+    expect(status.remainingMs).toBe(120000);
+    expect(status.locked).toBe(false);
+    expect(status.strict).toBe(false);
+  });
+
+  test('work phases are never locked', () => {
+    const status = getBreakStatus(breakTimer({ phase: 'work' }), pomodoro, {
+      breakEnforcement: true,
+      breakEnforcementLevel: 'strict',
+    });
+    expect(status.onBreak).toBe(false);
+    expect(status.remainingMs).toBe(0);
+    expect(status.locked).toBe(false);
+  });
+
+  test('shouldRedirectTab leaves extension pages alone', () => {
+    const origin = 'chrome-extension://abc/';
+    expect(shouldRedirectTab('chrome-extension://abc/src/break.html', origin)).toBe(false);
+    expect(shouldRedirectTab('https://news.example.com/', origin)).toBe(true);
+    expect(shouldRedirectTab('', origin)).toBe(true);
+  });
+});
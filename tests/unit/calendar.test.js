@@ -0,0 +1,79 @@
+/**
+ * Unit tests for calendar.js (time-zone day keys and midnight boundaries)
+ */
+
+import {
+  toZonedDayKey,
+  toZonedHour,
+  addDays,
+  splitByDay,
+  getWeekday,
+  getWeekStart,
+} from '../../src/services/calendar.js';
+import { historyEntry } from '../fixtures/history.js';
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const NEW_YORK = 'America/New_York';
+
+describe('Calendar', () => {
+  describe('day keys', () => {
+    test('toZonedDayKey follows the time zone', () => {
+      const instant = Date.parse('2024-03-10T04:30:00Z');
+      expect(toZonedDayKey(instant, NEW_YORK)).toBe('2024-03-09');
+      expect(toZonedDayKey(instant, 'Asia/Tokyo')).toBe('2024-03-10');
+    });
+
+    test('toZonedHour reads the wall-clock hour', () => {
+      const instant = Date.parse('2024-03-10T04:30:00Z');
+      expect(toZonedHour(instant, NEW_YORK)).toBe(23);
+      expect(toZonedHour(instant, 'Asia/Tokyo')).toBe(13);
+      expect(toZonedHour(Date.parse('2024-03-10T05:00:00Z'), NEW_YORK)).toBe(0);
+    });
+
+    test('addDays moves by calendar days across months, leap days and DST', () => {
+      expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+      expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+      expect(addDays('2024-03-09', 1)).toBe('2024-03-10');
+      expect(addDays('2024-11-03', 1)).toBe('2024-11-04');
+      expect(addDays('2023-12-31', 1)).toBe('2024-01-01');
+    });
+
+    test('getWeekday and getWeekStart use Monday-first weeks', () => {
+      expect(getWeekday('2024-03-10')).toBe(0);
+      expect(getWeekday('2024-03-11')).toBe(1);
+      expect(getWeekStart('2024-03-10')).toBe('2024-03-04');
+      expect(getWeekStart('2024-03-11')).toBe('2024-03-11');
+      expect(getWeekStart('2024-03-01')).toBe('2024-02-26');
+    });
+  });
+
+  describe('splitByDay', () => {
+    test('splits a session that crosses midnight', () => {
+      expect(splitByDay(historyEntry('2024-03-05T23:40:00-05:00', 40), NEW_YORK)).toEqual([
+        { day: '2024-03-05', ms: 20 * MINUTE },
+        { day: '2024-03-06', ms: 20 * MINUTE },
+      ]);
+    });
+
+    test('finds midnight on the 23-hour and 25-hour DST days', () => {
+      expect(splitByDay(historyEntry('2024-03-10T23:30:00-04:00', 60), NEW_YORK)).toEqual([
+        { day: '2024-03-10', ms: 30 * MINUTE },
+        { day: '2024-03-11', ms: 30 * MINUTE },
+      ]);
+      // Starts before the fall-back change and runs past the following midnight
+      expect(splitByDay(historyEntry('2024-11-03T00:30:00-04:00', 25.5 * 60), NEW_YORK)).toEqual([
+        { day: '2024-11-03', ms: 24.5 * HOUR },
+        { day: '2024-11-04', ms: HOUR },
+      ]);
+    });
+
+    test('spreads paused time evenly so the parts add up to the duration', () => {
+      const paused = historyEntry('2024-03-05T23:00:00-05:00', 120, { durationMs: 60 * MINUTE });
+      expect(splitByDay(paused, NEW_YORK)).toEqual([
+        { day: '2024-03-05', ms: 30 * MINUTE },
+        { day: '2024-03-06', ms: 30 * MINUTE },
+      ]);
+    });
+  });
+});
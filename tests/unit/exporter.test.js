@@ -0,0 +1,213 @@
+/**
+ * Unit tests for exporter.js CSV and iCalendar formatting
+ */
+
+import {
+  validateExportOptions,
+  selectExportEntries,
+  escapeCsvField,
+  toCsv,
+  formatIcsDate,
+  escapeIcsText,
+  foldIcsLine,
+  toIcs,
+  buildHistoryExport,
+} from '../../src/services/exporter.js';
+import { initializeState } from '../../src/services/state.js';
+import { historyEntry } from '../fixtures/history.js';
+
+const MINUTE = 60000;
+
+/**
+ * Build an entry that started at a UTC date and hour
+ * @param {string} id - Entry id
+ * @param {number} day - Day of March 2024
+ * @param {number} hour - Hour of day
+ * @param {Object} overrides - { phase, methodKey, taskId, minutes }
+ * @returns {Object} History entry
+ */
+function entryAt(id, day, hour, { minutes = 25, ...overrides } = {}) {
+  return historyEntry(Date.UTC(2024, 2, day, hour), minutes, { id, ...overrides });
+}
+
+const { settings } = initializeState();
+const tasks = [{ id: 't1', title: 'Write "report", part 1' }];
+
+describe('Exporter', () => {
+  describe('validateExportOptions', () => {
+    test('accepts known formats with optional filters', () => {
+      expect(validateExportOptions({ format: 'csv' }).valid).toBe(true);
+      expect(
+        validateExportOptions({
+          format: 'ics',
+          from: '2024-03-01',
+          to: '2024-03-31',
+          phase: 'work',
+        }).valid
+      ).toBe(true);
+      expect(validateExportOptions({ format: 'csv', phase: 'sketch' }).valid).toBe(true);
+    });
+
+    test('reports every invalid option', () => {
+      expect(
+        validateExportOptions({ format: 'pdf', from: 'March', to: '2024-03-01', phase: 42 }).errors
+      ).toEqual([
+        'Export.format must be one of: csv, ics',
+        'Export.from must be a date (YYYY-MM-DD)',
+        'Export.phase must be a phase id',
+      ]);
+      expect(
+        validateExportOptions({ format: 'csv', from: '2024-03-05', to: '2024-03-01' }).errors
+      ).toEqual(['Export.from must not be after Export.to']);
+    });
+  });
+
+  describe('selectExportEntries', () => {
+    const entries = [
+      entryAt('c', 3, 12, { phase: 'break' }),
+      entryAt('b', 2, 12),
+      entryAt('a', 1, 12, { phase: 'flow' }),
+    ];
+
+    test('filters by day range and phase, oldest first', () => {
+      expect(selectExportEntries(entries, { format: 'csv' }).map((e) => e.id)).toEqual([
+        'a',
+        'b',
+        'c',
+      ]);
+      expect(
+        selectExportEntries(entries, { format: 'csv', from: '2024-03-02' }).map((e) => e.id)
+      ).toEqual(['b', 'c']);
+      expect(
+        selectExportEntries(entries, { format: 'csv', phase: 'break' }).map((e) => e.id)
+      ).toEqual(['c']);
+    });
+
+    test('calendar exports leave out abandoned sessions', () => {
+      const abandoned = { ...entryAt('d', 4, 12), status: 'abandoned' };
+
+      expect(
+        selectExportEntries([...entries, abandoned], { format: 'ics' }).map((e) => e.id)
+      ).toEqual(['a', 'b']);
+      expect(
+        selectExportEntries([abandoned], { format: 'ics', phase: 'work' }).map((e) => e.id)
+      ).toEqual([]);
+      expect(selectExportEntries([abandoned], { format: 'csv' })).toHaveLength(1);
+    });
+
+    test('calendar exports keep focus sessions unless a phase is chosen', () => {
+      expect(selectExportEntries(entries, { format: 'ics' }).map((e) => e.id)).toEqual(['a', 'b']);
+      expect(
+        selectExportEntries(entries, { format: 'ics', phase: 'break' }).map((e) => e.id)
+      ).toEqual(['c']);
+    });
+  });
+
+  describe('CSV', () => {
+    test('quotes fields only when needed', () => {
+      expect(escapeCsvField('plain')).toBe('plain');
+      expect(escapeCsvField('a,b')).toBe('"a,b"');
+      expect(escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvField('two\nlines')).toBe('"two\nlines"');
+      expect(escapeCsvField(null)).toBe('');
+    });
+
+    test('writes a header and one row per entry with labels and task titles', () => {
+      const csv = toCsv(
+        [
+          entryAt('a', 1, 9, { taskId: 't1', minutes: 50, methodKey: 'fiftyTwoSeventeen' }),
+          {
+            ...entryAt('b', 1, 10, { methodKey: 'gone', taskId: 'missing' }),
+            rating: 4,
+            note: 'Drafted intro, outline',
+          },
+        ],
+        { tasks, settings }
+      );
+
+      expect(csv.split('\r\n')).toEqual([
+        'id,method,phase,start,end,duration_minutes,status,skip_reason,task,rating,note',
+        'a,52 / 17,work,2024-03-01T09:00:00.000Z,2024-03-01T09:50:00.000Z,50,completed,,"Write ""report"", part 1",,',
+        'b,gone,work,2024-03-01T10:00:00.000Z,2024-03-01T10:25:00.000Z,25,completed,,,4,"Drafted intro, outline"',
+      ]);
+    });
+
+    test('writes the status of abandoned sessions', () => {
+      const csv = toCsv([{ ...entryAt('a', 1, 9, { minutes: 10 }), status: 'abandoned' }], {
+        settings,
+      });
+
+      expect(csv.split('\r\n')[1]).toBe(
+        'a,Pomodoro,work,2024-03-01T09:00:00.000Z,2024-03-01T09:10:00.000Z,10,abandoned,,,,'
+      );
+    });
+  });
+
+  describe('iCalendar', () => {
+    test('formats UTC date-times and escapes text', () => {
+      expect(formatIcsDate(Date.UTC(2024, 2, 1, 9, 5, 7))).toBe('20240301T090507Z');
+      expect(escapeIcsText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+    });
+
+    test('folds long lines at 75 octets without splitting characters', () => {
+      const folded = foldIcsLine(`SUMMARY:${'é'.repeat(60)}`);
+      const lines = folded.split('\r\n');
+
+      expect(lines.length).toBeGreaterThan(1);
+      lines.forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+      expect(lines.slice(1).every((line) => line.startsWith(' '))).toBe(true);
+      expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+    });
+
+    test('writes one VEVENT per entry', () => {
+      const rated = { ...entryAt('b', 2, 14), rating: 3, note: 'Fixed bug' };
+      const ics = toIcs([entryAt('a', 1, 9, { taskId: 't1' }), rated], {
+        tasks,
+        settings,
+        exportedAt: Date.UTC(2024, 2, 5),
+      });
+      const lines = ics.split('\r\n');
+
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(lines.filter((line) => line === 'BEGIN:VEVENT')).toHaveLength(2);
+      expect(lines).toContain('UID:a@flexifocus');
+      expect(lines).toContain('DTSTAMP:20240305T000000Z');
+      expect(lines).toContain('DTSTART:20240301T090000Z');
+      expect(lines).toContain('DTEND:20240301T092500Z');
+      expect(lines).toContain('SUMMARY:Focus: Write "report"\\, part 1');
+      expect(lines).toContain('SUMMARY:Pomodoro (work)');
+      expect(lines).toContain('DESCRIPTION:Method: Pomodoro\\nPhase: work\\nDuration: 25 min');
+      expect(ics.replace(/\r\n /g, '')).toContain(
+        'DESCRIPTION:Method: Pomodoro\\nPhase: work\\nDuration: 25 min\\nFocus rating: 3/5\\nNote: Fixed bug'
+      );
+    });
+  });
+
+  describe('buildHistoryExport', () => {
+    const context = { tasks, settings, exportedAt: new Date(2024, 2, 10, 12).getTime() };
+
+    test('returns a named file of the requested format', () => {
+      const csv = buildHistoryExport([entryAt('a', 1, 12)], context, { format: 'csv' });
+      expect(csv).toMatchObject({
+        filename: 'flexifocus-history-2024-03-10.csv',
+        mimeType: 'text/csv',
+        count: 1,
+      });
+
+      const ics = buildHistoryExport([entryAt('a', 1, 12)], context, {
+        format: 'ics',
+        from: '2024-03-01',
+      });
+      expect(ics.filename).toBe('flexifocus-history-2024-03-01-to-2024-03-10.ics');
+      expect(ics.mimeType).toBe('text/calendar');
+      expect(ics.content).toContain('BEGIN:VEVENT');
+    });
+
+    test('throws on invalid options', () => {
+      expect(() => buildHistoryExport([], context, { format: 'xml' })).toThrow(
+        'Export validation failed: Export.format must be one of: csv, ics'
+      );
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit tests for goals.js (goal progress, notifications and streak days)
+ */
+
+import {
+  createGoal,
+  validateGoalList,
+  goalAppliesOn,
+  getGoalRange,
+  describeGoal,
+  tallyDays,
+  evaluateGoals,
+  getNewlyMetGoals,
+  getGoalStreakDays,
+} from '../../src/services/goals.js';
+import { historyEntry } from '../fixtures/history.js';
+
+const MINUTE = 60000;
+const NEW_YORK = 'America/New_York';
+
+const weekdayHours = {
+  id: 'daily',
+  period: 'day',
+  metric: 'minutes',
+  target: 240,
+  methodKey: null,
+  weekdays: [1, 2, 3, 4, 5],
+};
+const weeklyPomodoros = {
+  id: 'weekly',
+  period: 'week',
+  metric: 'sessions',
+  target: 12,
+  methodKey: 'pomodoro',
+  weekdays: [],
+};
+
+describe('Goals', () => {
+  test('createGoal normalizes weekdays and methods', () => {
+    const goal = createGoal({ period: 'day', metric: 'minutes', target: 60, weekdays: [5, 1, 5] });
+    expect(goal).toMatchObject({ methodKey: null, weekdays: [1, 5] });
+    expect(goal.id).toEqual(expect.any(String));
+    expect(createGoal({ ...weeklyPomodoros, weekdays: [1] }).weekdays).toEqual([]);
+  });
+
+  test('validateGoalList checks the list, not the fields', () => {
+    expect(validateGoalList([weekdayHours, weeklyPomodoros]).valid).toBe(true);
+    expect(validateGoalList([weekdayHours, weekdayHours]).errors).toEqual([
+      'Goal ids must be unique',
+    ]);
+    expect(validateGoalList('goals').errors).toEqual(['Goals must be an array']);
+    const many = Array.from({ length: 11 }, (_, i) => ({ ...weekdayHours, id: `g${i}` }));
+    expect(validateGoalList(many).errors).toEqual(['Goals are limited to 10']);
+  });
+
+  test('goalAppliesOn and getGoalRange follow weekdays and Monday-first weeks', () => {
+    expect(goalAppliesOn(weekdayHours, '2024-03-08')).toBe(true);
+    expect(goalAppliesOn(weekdayHours, '2024-03-09')).toBe(false);
+    expect(goalAppliesOn({ ...weekdayHours, weekdays: [] }, '2024-03-09')).toBe(true);
+    expect(goalAppliesOn(weeklyPomodoros, '2024-03-09')).toBe(true);
+    expect(getGoalRange(weekdayHours, '2024-03-09')).toEqual({
+      from: '2024-03-09',
+      to: '2024-03-09',
+    });
+    expect(getGoalRange(weeklyPomodoros, '2024-03-09')).toEqual({
+      from: '2024-03-04',
+      to: '2024-03-10',
+    });
+  });
+
+  test('describeGoal reads naturally', () => {
+    expect(describeGoal(weekdayHours)).toBe('4h focus per weekday');
+    expect(describeGoal(weeklyPomodoros)).toBe('12 Pomodoro sessions per week');
+    expect(describeGoal({ ...weekdayHours, target: 90, weekdays: [1, 3], metric: 'minutes' })).toBe(
+      '1h 30m focus per Mon/Wed'
+    );
+    expect(describeGoal({ ...weekdayHours, target: 1, metric: 'sessions', weekdays: [] })).toBe(
+      '1 session per day'
+    );
+  });
+
+  test('tallyDays splits focus time at midnight and counts sessions on their start day', () => {
+    const days = tallyDays(
+      [
+        historyEntry('2024-03-05T23:30:00-05:00', 60),
+        historyEntry('2024-03-06T09:00:00-05:00', 5, { phase: 'break' }),
+        historyEntry('2024-03-06T10:00:00-05:00', 25, { status: 'skipped' }),
+      ],
+      NEW_YORK
+    );
+    expect(days.get('2024-03-05').focusMs.get('*')).toBe(30 * MINUTE);
+    expect(days.get('2024-03-06').focusMs.get('pomodoro')).toBe(30 * MINUTE);
+    expect(days.get('2024-03-05').sessions.get('*')).toBe(1);
+    expect(days.get('2024-03-06').sessions.get('*')).toBeUndefined();
+  });
+
+  test('evaluateGoals reports progress for the current day and week', () => {
+    const history = [
+      historyEntry('2024-03-04T09:00:00-05:00', 25),
+      historyEntry('2024-03-06T09:00:00-05:00', 25),
+      historyEntry('2024-03-06T10:00:00-05:00', 120, { phase: 'flow', methodKey: 'flowtime' }),
+    ];
+    const [daily, weekly] = evaluateGoals([weekdayHours, weeklyPomodoros], history, {
+      timeZone: NEW_YORK,
+      now: Date.parse('2024-03-06T18:00:00-05:00'),
+    });
+
+    expect(daily).toMatchObject({
+      label: '4h focus per weekday',
+      from: '2024-03-06',
+      to: '2024-03-06',
+      applies: true,
+      value: 145,
+      met: false,
+    });
+    expect(daily.progress).toBeCloseTo(145 / 240);
+    expect(weekly).toMatchObject({ from: '2024-03-04', to: '2024-03-10', value: 2, met: false });
+  });
+
+  test('getNewlyMetGoals only reports goals the new session completed', () => {
+    const goal = { ...weekdayHours, target: 50 };
+    const options = { timeZone: NEW_YORK, now: Date.parse('2024-03-06T18:00:00-05:00') };
+    const first = historyEntry('2024-03-06T09:00:00-05:00', 25);
+    const second = historyEntry('2024-03-06T10:00:00-05:00', 25);
+    const third = historyEntry('2024-03-06T11:00:00-05:00', 25);
+
+    expect(getNewlyMetGoals([goal], [first], [second, first], options)).toEqual([
+      expect.objectContaining({ id: 'daily', met: true }),
+    ]);
+    expect(getNewlyMetGoals([goal], [second, first], [third, second, first], options)).toEqual([]);
+    const weekend = { ...options, now: Date.parse('2024-03-09T18:00:00-05:00') };
+    const saturday = [historyEntry('2024-03-09T09:00:00-05:00', 60)];
+    expect(getNewlyMetGoals([goal], [], saturday, weekend)).toEqual([]);
+  });
+
+  test('getGoalStreakDays counts days meeting every applicable daily goal', () => {
+    const history = [
+      historyEntry('2024-03-08T09:00:00-05:00', 240),
+      historyEntry('2024-03-09T09:00:00-05:00', 240),
+      historyEntry('2024-03-11T09:00:00-04:00', 60),
+    ];
+    const result = getGoalStreakDays([weekdayHours, weeklyPomodoros], history, NEW_YORK);
+
+    expect(result.days).toEqual(['2024-03-08']);
+    expect(result.isRestDay('2024-03-09')).toBe(true);
+    expect(result.isRestDay('2024-03-11')).toBe(false);
+    expect(getGoalStreakDays([weeklyPomodoros], history, NEW_YORK)).toBeNull();
+    expect(getGoalStreakDays([], history, NEW_YORK)).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Unit tests for history.js day keys, filters, and cursors
+ */
+
+import {
+  toDayKey,
+  getEntryDay,
+  bucketKey,
+  matchesFilters,
+  selectDays,
+  encodeCursor,
+  decodeCursor,
+} from '../../src/services/history.js';
+
+describe('History Store Helpers', () => {
+  test('toDayKey uses the local calendar day', () => {
+    expect(toDayKey(new Date(2024, 0, 5, 23, 59).getTime())).toBe('2024-01-05');
+    expect(toDayKey(new Date(2024, 11, 31, 0, 1).getTime())).toBe('2024-12-31');
+  });
+
+  test('getEntryDay files entries by start time, falling back to end time', () => {
+    const start = new Date(2024, 2, 1, 23, 50).getTime();
+    const end = new Date(2024, 2, 2, 0, 15).getTime();
+    expect(getEntryDay({ startedAt: start, endedAt: end })).toBe('2024-03-01');
+    expect(getEntryDay({ startedAt: 0, endedAt: end })).toBe('2024-03-02');
+  });
+
+  test('bucketKey prefixes the day', () => {
+    expect(bucketKey('2024-03-01')).toBe('history:2024-03-01');
+  });
+
+  test('matchesFilters checks method, task and phase', () => {
+    const entry = { methodKey: 'pomodoro', taskId: 't1', phase: 'work' };
+    expect(matchesFilters(entry)).toBe(true);
+    expect(matchesFilters(entry, { methodKey: 'pomodoro', taskId: 't1', phase: 'work' })).toBe(
+      true
+    );
+    expect(matchesFilters(entry, { methodKey: 'flowtime' })).toBe(false);
+    expect(matchesFilters(entry, { taskId: 't2' })).toBe(false);
+    expect(matchesFilters(entry, { phase: 'break' })).toBe(false);
+  });
+
+  test('selectDays filters inclusive ranges and sorts newest first', () => {
+    const index = { '2024-01-03': 1, '2024-01-01': 2, '2024-01-02': 4, '2023-12-31': 1 };
+    expect(selectDays(index)).toEqual(['2024-01-03', '2024-01-02', '2024-01-01', '2023-12-31']);
+    expect(selectDays(index, { from: '2024-01-01', to: '2024-01-02' })).toEqual([
+      '2024-01-02',
+      '2024-01-01',
+    ]);
+    expect(selectDays(index, { day: '2024-01-01', from: '2023-01-01' })).toEqual(['2024-01-01']);
+  });
+
+  test('cursors round-trip and reject garbage', () => {
+    expect(decodeCursor(encodeCursor('2024-01-02', 7))).toEqual({ day: '2024-01-02', offset: 7 });
+    expect(decodeCursor(null)).toBeNull();
+    expect(() => decodeCursor('tomorrow')).toThrow('Invalid history cursor: tomorrow');
+  });
+});
@@ -0,0 +1,422 @@
+/**
+ * Unit tests for importer.js CSV and iCalendar parsing
+ */
+
+import {
+  parseCsv,
+  detectDelimiter,
+  resolveCsvMapping,
+  parseTimestamp,
+  parseDuration,
+  resolvePhase,
+  importCsv,
+  parseIcsEvents,
+  parseIcsDate,
+  parseIcsDuration,
+  importIcs,
+  importSessions,
+} from '../../src/services/importer.js';
+import { buildHistoryExport } from '../../src/services/exporter.js';
+import { createHistoryEntry, initializeState } from '../../src/services/state.js';
+import { computeStatistics } from '../../src/services/statistics.js';
+
+const MINUTE = 60000;
+const { settings } = initializeState();
+const tasks = [{ id: 't1', title: 'Write report' }];
+const context = { tasks, settings };
+
+describe('Importer', () => {
+  describe('parseCsv', () => {
+    test('handles quotes, escaped quotes, embedded newlines and blank lines', () => {
+      const rows = parseCsv('a,b\r\n"x, y","say ""hi"""\n\n"multi\nline",z\n');
+
+      expect(rows).toEqual([
+        { line: 1, cells: ['a', 'b'] },
+        { line: 2, cells: ['x, y', 'say "hi"'] },
+        { line: 4, cells: ['multi\nline', 'z'] },
+      ]);
+    });
+
+    test('detects semicolon and tab delimiters and strips a byte order mark', () => {
+      expect(detectDelimiter('start;end;task\n1;2;3')).toBe(';');
+      expect(detectDelimiter('start\tend')).toBe('\t');
+      expect(parseCsv('\uFEFFstart;end\n1;2')[0].cells).toEqual(['start', 'end']);
+    });
+
+    test('rejects an unterminated quoted field', () => {
+      expect(() => parseCsv('a,b\n"open,2\n3,4')).toThrow(
+        'CSV has an unterminated quoted field starting on line 2'
+      );
+    });
+  });
+
+  describe('resolveCsvMapping', () => {
+    test('detects columns from common header names', () => {
+      const result = resolveCsvMapping(['Date', 'Start Time', 'Duration (sec)', 'Type', 'Title']);
+
+      expect(result.valid).toBe(true);
+      expect(result.mapping).toEqual({
+        start: 'Start Time',
+        duration: 'Duration (sec)',
+        phase: 'Type',
+        task: 'Title',
+        durationUnit: 'seconds',
+      });
+    });
+
+    test('applies explicit mappings and reports missing columns', () => {
+      const headers = ['When', 'Mins', 'Notes'];
+      expect(resolveCsvMapping(headers).errors).toEqual(['Mapping.start is required']);
+
+      const mapped = resolveCsvMapping(headers, { start: 'when', task: 'Notes' });
+      expect(mapped.valid).toBe(true);
+      expect(mapped.mapping).toMatchObject({ start: 'When', duration: 'Mins', task: 'Notes' });
+
+      expect(
+        resolveCsvMapping(headers, { start: 'Begin', duration: '', durationUnit: 'days' }).errors
+      ).toEqual([
+        'Mapping.start column not found: Begin',
+        'Mapping needs an end or duration column',
+        'Mapping.durationUnit must be one of: ms, seconds, minutes, hours',
+      ]);
+    });
+  });
+
+  describe('value parsing', () => {
+    test('parses timestamps in common formats', () => {
+      expect(parseTimestamp('2024-03-01T09:00:00Z')).toBe(Date.UTC(2024, 2, 1, 9));
+      expect(parseTimestamp('2024-03-01 09:30')).toBe(new Date(2024, 2, 1, 9, 30).getTime());
+      expect(parseTimestamp('1709283600')).toBe(1709283600000);
+      expect(parseTimestamp('1709283600000')).toBe(1709283600000);
+      expect(parseTimestamp('yesterday')).toBeNaN();
+      expect(parseTimestamp('')).toBeNaN();
+    });
+
+    test('parses durations as numbers or clock values', () => {
+      expect(parseDuration('25')).toBe(25 * MINUTE);
+      expect(parseDuration('1.5', 'hours')).toBe(90 * MINUTE);
+      expect(parseDuration('25:30')).toBe(25 * MINUTE + 30000);
+      expect(parseDuration('1:02:03')).toBe(3723000);
+      expect(parseDuration('twenty')).toBeNaN();
+    });
+
+    test('maps phase names from other apps', () => {
+      expect(resolvePhase('Focus')).toBe('work');
+      expect(resolvePhase('')).toBe('work');
+      expect(resolvePhase('Short Break')).toBe('break');
+      expect(resolvePhase('long_break')).toBe('longBreak');
+      expect(resolvePhase('nap')).toBeNull();
+    });
+
+    test('falls back to the phase ids of the resolved methods', () => {
+      expect(resolvePhase('deep_work', ['work', 'deepWork'])).toBe('deepWork');
+      expect(resolvePhase('Short Break', ['shortBreak'])).toBe('break');
+    });
+  });
+
+  describe('importCsv', () => {
+    test('builds entries and reports accepted, rejected and duplicate rows', () => {
+      const csv = [
+        'Start,End,Type,Project,Timer',
+        '2024-03-01T09:00:00Z,2024-03-01T09:25:00Z,Pomodoro,Write report,52 / 17',
+        '2024-03-01T09:25:00Z,2024-03-01T09:30:00Z,Short break,,',
+        'not a date,2024-03-01T10:00:00Z,Pomodoro,,',
+        '2024-03-01T11:00:00Z,2024-03-01T10:00:00Z,Pomodoro,,',
+        '2024-03-01T12:00:00Z,2024-03-01T12:25:00Z,Nap,,',
+        '2024-03-01T09:00:00Z,2024-03-01T09:25:00Z,Pomodoro,,',
+      ].join('\n');
+
+      const { entries, report } = importCsv(csv, context, { task: 'Project', method: 'Timer' });
+
+      expect(entries).toEqual([
+        createHistoryEntry(
+          `import-work-${Date.UTC(2024, 2, 1, 9)}`,
+          'fiftyTwoSeventeen',
+          'work',
+          25 * MINUTE,
+          Date.UTC(2024, 2, 1, 9),
+          Date.UTC(2024, 2, 1, 9, 25),
+          't1',
+          { kind: 'focus' }
+        ),
+        createHistoryEntry(
+          `import-break-${Date.UTC(2024, 2, 1, 9, 25)}`,
+          'pomodoro',
+          'break',
+          5 * MINUTE,
+          Date.UTC(2024, 2, 1, 9, 25),
+          Date.UTC(2024, 2, 1, 9, 30),
+          null,
+          { kind: 'rest' }
+        ),
+      ]);
+      expect(report).toMatchObject({ total: 6, accepted: 2, rejected: 3, duplicates: 1 });
+      expect(report.problems).toEqual([
+        'Line 4: start is not a date: not a date',
+        'Line 5: ends before it starts',
+        'Line 6: unknown phase: Nap',
+        `Line 7: already imported (import-work-${Date.UTC(2024, 2, 1, 9)})`,
+      ]);
+    });
+
+    test('computes the end from a duration and skips ids already stored', () => {
+      const csv = 'id,start,minutes\nkeep,2024-03-01 09:00,25\nold,2024-03-01 10:00,25';
+      const { entries, report } = importCsv(csv, { ...context, existingIds: ['old'] });
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0].endedAt - entries[0].startedAt).toBe(25 * MINUTE);
+      expect(report.duplicates).toBe(1);
+    });
+
+    test('rejects rows with unreadable cells', () => {
+      const csv =
+        'start,end,duration\n2024-03-01 09:00,soon,\n2024-03-01 09:00,,long\n2024-03-01 09:00,,';
+      const { report } = importCsv(csv, context);
+
+      expect(report.rejected).toBe(3);
+      expect(report.problems).toEqual([
+        'Line 2: end is not a date: soon',
+        'Line 3: duration is not a number: long',
+        'Line 4: needs an end time or a duration',
+      ]);
+    });
+
+    test('reports mapping errors with the columns instead of reading rows', () => {
+      const { entries, report } = importCsv('when,notes\n2024-03-01,hello', context);
+
+      expect(entries).toEqual([]);
+      expect(report.columns).toEqual(['when', 'notes']);
+      expect(report.errors).toEqual([
+        'Mapping.start is required',
+        'Mapping needs an end or duration column',
+      ]);
+    });
+
+    test('rejects empty files', () => {
+      expect(() => importCsv('\n\n', context)).toThrow('CSV is empty');
+    });
+
+    test('round-trips a FlexiFocus CSV export', () => {
+      const start = Date.UTC(2024, 2, 1, 9);
+      const original = [
+        createHistoryEntry(
+          'h1',
+          'ultradian',
+          'work',
+          90 * MINUTE,
+          start,
+          start + 90 * MINUTE,
+          't1',
+          { kind: 'focus' }
+        ),
+      ];
+      const { content } = buildHistoryExport(original, context, { format: 'csv' });
+
+      expect(importCsv(content, context).entries).toEqual(original);
+    });
+
+    test('round-trips statuses, skip reasons and reflections', () => {
+      const start = Date.UTC(2024, 2, 1, 9);
+      const at = (minutes) => start + minutes * MINUTE;
+      const original = [
+        createHistoryEntry('r1', 'pomodoro', 'work', 25 * MINUTE, at(0), at(25), 't1', {
+          kind: 'focus',
+          rating: 4,
+          note: 'Drafted, "mostly"',
+        }),
+        createHistoryEntry('r2', 'pomodoro', 'break', 2 * MINUTE, at(25), at(27), null, {
+          kind: 'rest',
+          status: 'skipped',
+          skipReason: 'Urgent call',
+        }),
+        createHistoryEntry('r3', 'pomodoro', 'work', 10 * MINUTE, at(30), at(40), null, {
+          kind: 'focus',
+          status: 'abandoned',
+        }),
+      ];
+      const { content } = buildHistoryExport(original, context, { format: 'csv' });
+      const { entries } = importCsv(content, context);
+
+      expect(entries).toEqual(original);
+      expect(computeStatistics(entries, { now: at(60) })).toEqual(
+        computeStatistics(original, { now: at(60) })
+      );
+    });
+
+    test('rejects unknown statuses and out-of-range ratings', () => {
+      const csv = [
+        'start,duration,status,rating',
+        '2024-03-01 09:00,25,done,',
+        '2024-03-01 10:00,25,,7',
+        '2024-03-01 11:00,25,Skipped,',
+      ].join('\n');
+      const { entries, report } = importCsv(csv, context);
+
+      expect(entries.map((entry) => entry.status)).toEqual(['skipped']);
+      expect(report.problems).toEqual([
+        'Line 2: unknown status: done',
+        'Line 3: rating must be 1-5: 7',
+      ]);
+    });
+
+    test('round-trips phases declared by a custom method', () => {
+      const studio = {
+        key: 'studio',
+        label: 'Studio',
+        phases: [
+          { id: 'sketch', label: 'Sketch', kind: 'focus', minutes: 40, repeat: 1, end: 'auto' },
+          { id: 'stretch', label: 'Stretch', kind: 'rest', minutes: 10, repeat: 1, end: 'auto' },
+        ],
+      };
+      const custom = { tasks, settings: { ...settings, presets: { studio } } };
+      const start = Date.UTC(2024, 2, 1, 9);
+      const original = [
+        createHistoryEntry(
+          's1',
+          'studio',
+          'sketch',
+          40 * MINUTE,
+          start,
+          start + 40 * MINUTE,
+          null,
+          {
+            kind: 'focus',
+          }
+        ),
+        createHistoryEntry(
+          's2',
+          'studio',
+          'stretch',
+          10 * MINUTE,
+          start + 40 * MINUTE,
+          start + 50 * MINUTE,
+          null,
+          {
+            kind: 'rest',
+          }
+        ),
+      ];
+      const { content } = buildHistoryExport(original, custom, { format: 'csv' });
+      const { entries } = importCsv(content, custom);
+      const now = start + 60 * MINUTE;
+
+      expect(entries).toEqual(original);
+      expect(computeStatistics(entries, { now })).toEqual(computeStatistics(original, { now }));
+      expect(computeStatistics(entries, { now })).toMatchObject({
+        totalSessions: 1,
+        totalFocusTime: 40 * MINUTE,
+        totalBreakTime: 10 * MINUTE,
+      });
+      expect(importCsv(content, context).report.problems).toEqual([
+        'Line 2: unknown phase: sketch',
+        'Line 3: unknown phase: stretch',
+      ]);
+    });
+  });
+
+  describe('iCalendar', () => {
+    test('unfolds lines and reads event properties', () => {
+      const events = parseIcsEvents(
+        'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nSUMMARY:Long\r\n  title\r\nDTSTART;TZID="Europe/Paris":20240301T090000\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n'
+      );
+
+      expect(events).toEqual([
+        {
+          SUMMARY: { params: {}, value: 'Long title' },
+          DTSTART: { params: { TZID: 'Europe/Paris' }, value: '20240301T090000' },
+        },
+      ]);
+      expect(() => parseIcsEvents('hello')).toThrow('Not an iCalendar file');
+    });
+
+    test('parses dates and durations', () => {
+      expect(parseIcsDate({ params: {}, value: '20240301T090000Z' })).toBe(Date.UTC(2024, 2, 1, 9));
+      expect(parseIcsDate({ params: {}, value: '20240301T090000' })).toBe(
+        new Date(2024, 2, 1, 9).getTime()
+      );
+      expect(parseIcsDate({ params: { VALUE: 'DATE' }, value: '20240301' })).toBeNull();
+      expect(parseIcsDate({ params: {}, value: 'tomorrow' })).toBeNaN();
+      expect(parseIcsDuration('PT25M')).toBe(25 * MINUTE);
+      expect(parseIcsDuration('P1DT1H')).toBe(25 * 60 * MINUTE);
+      expect(parseIcsDuration('P')).toBeNaN();
+      expect(parseIcsDuration('25 minutes')).toBeNaN();
+    });
+
+    test('imports timed events and rejects malformed ones', () => {
+      const event = (lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+      const ics = [
+        'BEGIN:VCALENDAR',
+        ...event(['UID:abc', 'DTSTART:20240301T090000Z', 'DURATION:PT50M', 'SUMMARY:Write report']),
+        ...event(['DTSTART;VALUE=DATE:20240301', 'DTEND;VALUE=DATE:20240302']),
+        ...event(['DTSTART:20240301T090000Z']),
+        ...event(['DTSTART:20240301T090000Z', 'DTEND:noon']),
+        ...event(['SUMMARY:No start']),
+        'END:VCALENDAR',
+      ].join('\r\n');
+
+      const { entries, report } = importIcs(ics, context);
+
+      expect(entries).toEqual([
+        createHistoryEntry(
+          'abc',
+          'pomodoro',
+          'work',
+          50 * MINUTE,
+          Date.UTC(2024, 2, 1, 9),
+          Date.UTC(2024, 2, 1, 9, 50),
+          't1',
+          { kind: 'focus' }
+        ),
+      ]);
+      expect(report).toMatchObject({ format: 'ics', total: 5, accepted: 1, rejected: 4 });
+      expect(report.problems).toEqual([
+        'Event 2: all-day events are not sessions',
+        'Event 3: has no DTEND or DURATION',
+        'Event 4: DTEND is not a date-time: noon',
+        'Event 5: has no DTSTART',
+      ]);
+    });
+
+    test('round-trips a FlexiFocus calendar export', () => {
+      const start = Date.UTC(2024, 2, 1, 9);
+      const original = [
+        createHistoryEntry(
+          'h1',
+          'flowtime',
+          'flow',
+          40 * MINUTE,
+          start,
+          start + 40 * MINUTE,
+          null,
+          {
+            kind: 'focus',
+          }
+        ),
+        createHistoryEntry(
+          'h2',
+          'custom',
+          'work',
+          30 * MINUTE,
+          start + 3600000,
+          start + 5400000,
+          't1',
+          { kind: 'focus' }
+        ),
+      ];
+      const { content } = buildHistoryExport(original, context, { format: 'ics' });
+
+      expect(importIcs(content, context).entries).toEqual(original);
+    });
+  });
+
+  describe('importSessions', () => {
+    test('rejects unknown formats and missing content', () => {
+      expect(() => importSessions({ format: 'xml', content: '' }, context)).toThrow(
+        'Import.format must be one of: csv, ics'
+      );
+      expect(() => importSessions({ format: 'csv' }, context)).toThrow(
+        'Import.content must be a string'
+      );
+    });
+  });
+});
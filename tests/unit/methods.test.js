@@ -0,0 +1,90 @@
+/**
+ * Unit tests for methods.js resolution
+ */
+
+import {
+  resolveMethod,
+  resolveMethods,
+  getMethodOrder,
+  resolveMethodsForState,
+  derivePhases,
+  expandTimingShorthand,
+} from '../../src/services/methods.js';
+import { DEFAULT_METHODS } from '../../src/shared/constants.js';
+
+describe('Method Resolution', () => {
+  test('resolveMethod overlays preset fields on the built-in', () => {
+    const settings = { presets: { pomodoro: { label: 'Tomato' } } };
+    const method = resolveMethod('pomodoro', settings);
+    expect(method.label).toBe('Tomato');
+    expect(method.phases).toEqual(DEFAULT_METHODS.pomodoro.phases);
+    expect(method.key).toBe('pomodoro');
+  });
+
+  test('resolveMethod returns user-defined presets', () => {
+    const phases = [
+      { id: 'work', label: 'Focus', kind: 'focus', minutes: 20, repeat: 1, end: 'auto' },
+    ];
+    const settings = { presets: { team: { label: 'Team', phases } } };
+    expect(resolveMethod('team', settings)).toEqual({ label: 'Team', phases, key: 'team' });
+  });
+
+  test('resolveMethod expands the timing shorthand over the built-in phases', () => {
+    const settings = {
+      presets: {
+        pomodoro: {
+          workMinutes: 45,
+          shortBreakMinutes: 10,
+          longBreakMinutes: 30,
+          cyclesBeforeLongBreak: 1,
+        },
+      },
+    };
+    const method = resolveMethod('pomodoro', settings);
+    expect(method.phases.map((phase) => [phase.id, phase.minutes])).toEqual([
+      ['work', 45],
+      ['longBreak', 30],
+    ]);
+    expect(method.workMinutes).toBeUndefined();
+  });
+
+  test('resolveMethod falls back to selected method, then Pomodoro', () => {
+    expect(resolveMethod('missing', { selectedMethod: 'ultradian' }).key).toBe('ultradian');
+    expect(resolveMethod('missing', {})).toEqual(DEFAULT_METHODS.pomodoro);
+  });
+
+  test('getMethodOrder defaults to built-ins plus user presets', () => {
+    const order = getMethodOrder({ presets: { team: { label: 'Team' } } });
+    expect(order[0]).toBe('pomodoro');
+    expect(order.at(-1)).toBe('team');
+  });
+
+  test('resolveMethods follows presetOrder and skips unknown keys', () => {
+    const methods = resolveMethods({ presetOrder: ['custom', 'ghost', 'pomodoro'] });
+    expect(Object.keys(methods)).toEqual(['custom', 'pomodoro']);
+  });
+
+  test('derivePhases turns flexible methods into one open-ended focus phase', () => {
+    expect(derivePhases({ flexible: true })).toEqual([
+      { id: 'flow', label: 'Flowtime', kind: 'focus', minutes: null, repeat: 1, end: 'auto' },
+    ]);
+    expect(derivePhases({ flexible: true })[0]).toEqual(DEFAULT_METHODS.flowtime.phases[0]);
+  });
+
+  test('expandTimingShorthand leaves presets that declare phases alone', () => {
+    const preset = { key: 'flowtime', phases: DEFAULT_METHODS.flowtime.phases, workMinutes: 5 };
+    expect(expandTimingShorthand(preset)).toBe(preset);
+    expect(expandTimingShorthand({ key: 'x', flexible: true })).toEqual({
+      key: 'x',
+      phases: derivePhases({ flexible: true }),
+    });
+  });
+
+  test('resolveMethodsForState includes the running method', () => {
+    const methods = resolveMethodsForState(
+      { timer: { methodKey: 'flowtime' } },
+      { presetOrder: ['pomodoro'] }
+    );
+    expect(Object.keys(methods)).toEqual(['pomodoro', 'flowtime']);
+  });
+});
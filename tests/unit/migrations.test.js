@@ -0,0 +1,225 @@
+/**
+ * Unit tests for migrations.js registry and shape upgrades
+ */
+
+import {
+  MIGRATIONS,
+  runMigrations,
+  normalizeSchemaVersion,
+  needsMigration,
+} from '../../src/services/migrations.js';
+import { SCHEMA_VERSION } from '../../src/shared/constants.js';
+import { validateState, validateSettings, initializeState } from '../../src/services/state.js';
+import { LEGACY_PRE_0_2, RELEASE_0_2_0 } from '../fixtures/storage-shapes.js';
+
+const shapeMigrations = MIGRATIONS.filter((migration) => migration.version <= 2);
+
+describe('Storage Migrations', () => {
+  test('registry is contiguous and ends at SCHEMA_VERSION', () => {
+    expect(MIGRATIONS.map((migration) => migration.version)).toEqual(
+      Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1)
+    );
+    MIGRATIONS.forEach((migration) => expect(migration.description).toBeTruthy());
+  });
+
+  test('normalizeSchemaVersion treats missing or garbage versions as 0', () => {
+    expect(normalizeSchemaVersion(undefined)).toBe(0);
+    expect(normalizeSchemaVersion('2')).toBe(0);
+    expect(normalizeSchemaVersion(-1)).toBe(0);
+    expect(normalizeSchemaVersion(2)).toBe(2);
+    expect(needsMigration(0)).toBe(true);
+    expect(needsMigration(SCHEMA_VERSION)).toBe(false);
+  });
+
+  test('runMigrations applies pending migrations in order', async () => {
+    const calls = [];
+    const registry = [3, 1, 2].map((version) => ({
+      version,
+      migrate: (data) => {
+        calls.push(version);
+        return { ...data, steps: [...(data.steps ?? []), version] };
+      },
+    }));
+
+    const result = await runMigrations({}, 1, registry);
+
+    expect(calls).toEqual([2, 3]);
+    expect(result).toEqual({ data: { steps: [2, 3] }, version: 3, applied: [2, 3] });
+  });
+
+  test('runMigrations rejects gaps and wraps failures', async () => {
+    await expect(runMigrations({}, 0, [{ version: 2, migrate: (d) => d }])).rejects.toThrow(
+      'Missing migration for schemaVersion 1'
+    );
+    const failing = [
+      {
+        version: 1,
+        migrate: () => {
+          throw new Error('boom');
+        },
+      },
+    ];
+    await expect(runMigrations({}, 0, failing)).rejects.toThrow('Migration 1 failed: boom');
+  });
+
+  describe('pre-0.2 fixture', () => {
+    let migrated;
+
+    beforeAll(async () => {
+      ({ data: migrated } = await runMigrations(
+        structuredClone(LEGACY_PRE_0_2),
+        0,
+        shapeMigrations
+      ));
+    });
+
+    test('renames custom.breakMinutes to shortBreakMinutes', () => {
+      expect(migrated.settings.presets.custom.shortBreakMinutes).toBe(7);
+      expect(migrated.settings.presets.custom).not.toHaveProperty('breakMinutes');
+      expect(migrated.settings.presets.pomodoro.shortBreakMinutes).toBe(5);
+    });
+
+    test('upgrades tasks from completed to done', () => {
+      expect(migrated.state.tasks[0]).toMatchObject({
+        id: '123',
+        done: true,
+        completedSessions: 0,
+      });
+      expect(migrated.state.tasks[0]).not.toHaveProperty('completed');
+      expect(migrated.state.tasks[1]).toMatchObject({
+        id: 'legacy-task-1',
+        estimate: 1,
+        done: false,
+      });
+    });
+
+    test('turns daily aggregates into history entries', () => {
+      const [first] = migrated.state.history;
+      expect(first).toMatchObject({
+        id: 'legacy-2024-06-02-pomodoro-0',
+        methodKey: 'pomodoro',
+        phase: 'work',
+        durationMs: 110 * 60000,
+        taskId: null,
+        legacy: { date: '2024-06-02', phasesCompleted: 4, breaksTaken: 3 },
+      });
+      expect(new Date(first.startedAt).getDate()).toBe(2);
+      expect(first.endedAt - first.startedAt).toBe(first.durationMs);
+    });
+
+    test('produces data that validates after merging defaults', () => {
+      const { state, settings } = initializeState(migrated.state, migrated.settings);
+      expect(validateState(state).valid).toBe(true);
+      expect(validateSettings(settings).valid).toBe(true);
+    });
+
+    test('is safe to re-run', async () => {
+      const again = await runMigrations(structuredClone(migrated), 0, shapeMigrations);
+      expect(again.data).toEqual(migrated);
+    });
+  });
+
+  test('0.2.0 fixture passes through the shape migrations unchanged', async () => {
+    const { data } = await runMigrations(structuredClone(RELEASE_0_2_0), 0, shapeMigrations);
+    expect(data).toEqual(RELEASE_0_2_0);
+  });
+
+  test('shape migrations tolerate missing or malformed data', async () => {
+    await expect(runMigrations({}, 0, shapeMigrations)).resolves.toMatchObject({ version: 2 });
+    const { data } = await runMigrations(
+      { state: 'garbage', settings: { presets: [] } },
+      0,
+      shapeMigrations
+    );
+    expect(data).toEqual({ state: 'garbage', settings: { presets: [] } });
+  });
+
+  test('task details migration fills defaults and keeps the list order', async () => {
+    const taskDetails = MIGRATIONS.find((migration) => migration.version === 4);
+    const data = {
+      state: {
+        tasks: [
+          { id: 't1', title: 'Old', estimate: 1, completedSessions: 0, done: true },
+          {
+            id: 't2',
+            title: 'Tagged',
+            estimate: 2,
+            completedSessions: 1,
+            done: false,
+            tags: ['x'],
+          },
+        ],
+      },
+    };
+
+    const migrated = await taskDetails.migrate(structuredClone(data));
+
+    expect(migrated.state.tasks).toEqual([
+      {
+        ...data.state.tasks[0],
+        notes: '',
+        tags: [],
+        project: null,
+        dueDate: null,
+        priority: 'none',
+        order: 0,
+        createdAt: 0,
+        completedAt: null,
+      },
+      expect.objectContaining({ id: 't2', tags: ['x'], order: 1 }),
+    ]);
+    expect(await taskDetails.migrate(structuredClone(migrated))).toEqual(migrated);
+    expect(await taskDetails.migrate({ state: 'garbage' })).toEqual({ state: 'garbage' });
+  });
+
+  test('phase sequence migration keeps default presets and expands customized timing', async () => {
+    const phaseSequences = MIGRATIONS.find((migration) => migration.version === 5);
+    const data = {
+      settings: {
+        presets: {
+          pomodoro: { key: 'pomodoro', label: 'Pomodoro', workMinutes: 25, shortBreakMinutes: 5 },
+          ultradian: { key: 'ultradian', label: 'Ultradian', workMinutes: 75 },
+          flowtime: { key: 'flowtime', flexible: true, suggestedBreakMinutes: 12 },
+          deepWork: {
+            key: 'deepWork',
+            label: 'Deep Work',
+            workMinutes: 50,
+            shortBreakMinutes: 10,
+            longBreakMinutes: 30,
+            cyclesBeforeLongBreak: 2,
+          },
+        },
+      },
+    };
+
+    const migrated = await phaseSequences.migrate(structuredClone(data));
+    const { presets } = migrated.settings;
+
+    expect(presets.pomodoro).toEqual({ key: 'pomodoro', label: 'Pomodoro' });
+    expect(presets.flowtime).toEqual({ key: 'flowtime', suggestedBreakMinutes: 12 });
+    expect(presets.ultradian.phases.map((phase) => phase.minutes)).toEqual([75, 20]);
+    expect(presets.deepWork).not.toHaveProperty('workMinutes');
+    expect(presets.deepWork.phases.map((phase) => [phase.id, phase.minutes, phase.repeat])).toEqual(
+      [
+        ['work', 50, 1],
+        ['break', 10, 1],
+        ['work', 50, 1],
+        ['longBreak', 30, 1],
+      ]
+    );
+    const { settings } = initializeState(undefined, migrated.settings);
+    expect(validateSettings(settings).valid).toBe(true);
+    expect(await phaseSequences.migrate(structuredClone(migrated))).toEqual(migrated);
+  });
+
+  test('progressive method migration adds the method to a stored list once', async () => {
+    const progressive = MIGRATIONS.find((migration) => migration.version === 6);
+    const data = { settings: { presetOrder: ['custom', 'pomodoro'] } };
+
+    const migrated = await progressive.migrate(structuredClone(data));
+
+    expect(migrated.settings.presetOrder).toEqual(['custom', 'pomodoro', 'progressive']);
+    expect(await progressive.migrate(structuredClone(migrated))).toEqual(migrated);
+    expect(await progressive.migrate({ settings: {} })).toEqual({ settings: {} });
+  });
+});
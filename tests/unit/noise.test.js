@@ -0,0 +1,65 @@
+/**
+ * Unit tests for procedural ambient noise generation
+ */
+
+import {
+  generateWhite,
+  generateBrown,
+  normalizePeak,
+  makeLoopable,
+  generateAmbient,
+} from '../../src/offscreen/noise.js';
+
+/**
+ * Deterministic linear congruential generator for reproducible buffers
+ * @param {number} seed - Initial seed
+ * @returns {Function} Random source returning [0, 1)
+ */
+function seeded(seed = 42) {
+  let value = seed;
+  return () => {
+    value = (value * 1664525 + 1013904223) % 4294967296;
+    return value / 4294967296;
+  };
+}
+
+describe('Ambient Noise', () => {
+  test('generateWhite stays within [-1, 1]', () => {
+    const data = generateWhite(1000, seeded());
+    expect(data).toHaveLength(1000);
+    expect(Math.max(...data)).toBeLessThanOrEqual(1);
+    expect(Math.min(...data)).toBeGreaterThanOrEqual(-1);
+  });
+
+  test('brown noise changes more slowly than white noise', () => {
+    const meanStep = (data) =>
+      data.slice(1).reduce((sum, v, i) => sum + Math.abs(v - data[i]), 0) / (data.length - 1);
+    const white = normalizePeak(generateWhite(4000, seeded()));
+    const brown = normalizePeak(generateBrown(4000, seeded()));
+    expect(meanStep(brown)).toBeLessThan(meanStep(white) / 10);
+  });
+
+  test('normalizePeak scales to the target level', () => {
+    const data = normalizePeak(Float32Array.from([0.1, -0.4, 0.2]), 0.8);
+    expect(Math.max(...data.map(Math.abs))).toBeCloseTo(0.8);
+  });
+
+  test('makeLoopable blends the tail into the head', () => {
+    const data = Float32Array.from([0, 0, 0, 0, 1, 1]);
+    const looped = makeLoopable(data, 2);
+    expect(looped).toHaveLength(4);
+    expect(looped[0]).toBe(1);
+    expect(looped[1]).toBe(0.5);
+  });
+
+  test.each(['white', 'pink', 'brown', 'rain'])('generateAmbient builds %s buffers', (kind) => {
+    const data = generateAmbient(kind, 8000, 8000, seeded());
+    expect(data.length).toBe(8000 - 2000);
+    expect(Math.max(...data.map(Math.abs))).toBeLessThanOrEqual(0.8 + 1e-6);
+    expect(data.some((v) => v !== 0)).toBe(true);
+  });
+
+  test('generateAmbient rejects unknown sounds', () => {
+    expect(() => generateAmbient('whale', 100, 100)).toThrow('Unknown ambient sound');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for schema.js validation and repair
+ */
+
+import { validateSchema, describeRule } from '../../src/services/schema.js';
+
+const SCHEMA = {
+  name: { type: 'string', required: true, nonEmpty: true, maxLength: 5 },
+  count: { type: 'number', integer: true, min: 0, max: 10 },
+  mode: { type: 'string', enum: ['a', 'b'] },
+  owner: 'string|null',
+  nested: { flag: 'boolean' },
+  items: { type: 'array', items: { id: { type: 'string', required: true } } },
+  map: { type: 'object', values: 'number' },
+};
+
+describe('Schema Validation', () => {
+  test('describeRule builds readable expectations', () => {
+    expect(describeRule({ type: 'number', integer: true, min: 1, max: 12 })).toBe(
+      'an integer 1-12'
+    );
+    expect(describeRule({ type: 'number', min: 0 })).toBe('a number >= 0');
+    expect(describeRule({ type: 'string|null' })).toBe('a string or null');
+    expect(describeRule({ type: 'string', enum: ['light', 'dark'] })).toBe('one of: light, dark');
+    expect(describeRule({ type: 'boolean' })).toBe('boolean');
+  });
+
+  test('accepts valid values and ignores unknown fields', () => {
+    const value = {
+      name: 'ok',
+      count: 3,
+      mode: 'a',
+      owner: null,
+      nested: { flag: true },
+      items: [{ id: 'x' }],
+      map: { one: 1 },
+      extra: 'kept',
+    };
+    expect(validateSchema(value, SCHEMA)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports every problem with its path', () => {
+    const result = validateSchema(
+      {
+        count: 1.5,
+        mode: 'c',
+        owner: 3,
+        nested: { flag: 'yes' },
+        items: [{ id: 'x' }, {}, 'bad'],
+        map: { one: 1, two: NaN },
+      },
+      SCHEMA,
+      { path: 'Root' }
+    );
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      'Root.name is required',
+      'Root.count must be an integer 0-10',
+      'Root.mode must be one of: a, b',
+      'Root.owner must be a string or null',
+      'Root.nested.flag must be boolean',
+      'Root.items[1].id is required',
+      'Root.items[2] must be an object',
+      'Root.map.two must be a number',
+    ]);
+  });
+
+  test('partial mode skips required checks on top-level fields only', () => {
+    expect(validateSchema({ count: 2 }, SCHEMA, { partial: true }).valid).toBe(true);
+    expect(validateSchema({ items: [{}] }, SCHEMA, { partial: true }).errors).toEqual([
+      'Value.items[0].id is required',
+    ]);
+  });
+
+  test('runs custom checks after the shape passes', () => {
+    const schema = {
+      type: 'object',
+      shape: { min: 'number', max: 'number' },
+      check: (value, path) => (value.min > value.max ? [`${path}.min must not exceed max`] : []),
+    };
+    expect(validateSchema({ min: 5, max: 1 }, schema, { path: 'Range' }).errors).toEqual([
+      'Range.min must not exceed max',
+    ]);
+    expect(validateSchema({ min: 'x', max: 1 }, schema, { path: 'Range' }).errors).toEqual([
+      'Range.min must be a number',
+    ]);
+  });
+
+  describe('repair mode', () => {
+    const defaults = { mode: 'a', nested: { flag: false } };
+
+    test('coerces, clamps, resets, removes and drops', () => {
+      const input = {
+        name: 'too long',
+        count: '42',
+        mode: 'c',
+        owner: {},
+        nested: { flag: 'true' },
+        items: [{ id: 'keep' }, { id: 7 }, { nope: true }],
+        map: { one: 1, two: 'two' },
+      };
+      const result = validateSchema(input, SCHEMA, { repair: true, defaults, path: 'Root' });
+
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
+      expect(result.value).toEqual({
+        name: 'too l',
+        count: 10,
+        mode: 'a',
+        nested: { flag: true },
+        items: [{ id: 'keep' }, { id: '7' }],
+        map: { one: 1 },
+      });
+      expect(result.repairs).toEqual([
+        'Truncated Root.name: Root.name must be at most 5 characters',
+        'Coerced Root.count: Root.count must be an integer 0-10',
+        'Coerced Root.count to 10: Root.count must be an integer 0-10',
+        'Reset Root.mode to default: Root.mode must be one of: a, b',
+        'Removed Root.owner: Root.owner must be a string or null',
+        'Coerced Root.nested.flag: Root.nested.flag must be boolean',
+        'Coerced Root.items[1].id: Root.items[1].id must be a string',
+        'Dropped Root.items[2]: Root.items[2].id is required',
+        'Removed Root.map.two: Root.map.two must be a number',
+      ]);
+    });
+
+    test('does not mutate the input', () => {
+      const input = { name: 'ok', items: [{}], nested: { flag: 'no' } };
+      const snapshot = structuredClone(input);
+      validateSchema(input, SCHEMA, { repair: true, defaults });
+      expect(input).toEqual(snapshot);
+    });
+
+    test('leaves missing required fields and unfixable roots invalid', () => {
+      expect(validateSchema({ count: 1 }, SCHEMA, { repair: true }).errors).toEqual([
+        'Value.name is required',
+      ]);
+      const root = validateSchema('garbage', SCHEMA, { repair: true });
+      expect(root.valid).toBe(false);
+      expect(root.errors).toEqual(['Value must be an object']);
+    });
+  });
+});
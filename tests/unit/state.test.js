@@ -7,13 +7,44 @@ import {
   createTask,
   updateTaskInList,
   removeTaskFromList,
+  prepareTaskUpdates,
+  orderTasks,
+  reorderTasks,
+  getNextTask,
+  filterTasks,
+  getTaskFacets,
   getTaskCompletionPercentage,
+  areSubtasksComplete,
+  addSubtask,
+  updateSubtask,
+  deleteSubtask,
   isTaskComplete,
   trimHistory,
+  createInterruption,
+  countInterruptions,
+  validateInterruption,
+  validateReflection,
+  validateExtension,
   getHistoryStats,
   validateState,
   validateSettings,
+  validateTask,
+  validateTaskUpdates,
+  validateHistoryEntry,
+  validateGoal,
+  initializeState,
+  getOrderedPresets,
+  hasPreset,
+  generatePresetKey,
+  validatePreset,
+  addPreset,
+  updatePreset,
+  clonePreset,
+  renamePreset,
+  reorderPresets,
+  deletePreset,
 } from '../../src/services/state.js';
+import { DEFAULT_METHODS } from '../../src/shared/constants.js';
 
 describe('State Utilities', () => {
   describe('mergeDefaults', () => {
@@ -83,13 +114,200 @@ describe('State Utilities', () => {
       expect(getTaskCompletionPercentage({ estimate: 4, completedSessions: 0 })).toBe(0);
     });
 
+    test('getTaskCompletionPercentage rolls up from subtasks weighted by estimate', () => {
+      const task = {
+        estimate: 4,
+        completedSessions: 0,
+        subtasks: [
+          { id: 'a', title: 'Outline', done: true, estimate: 3 },
+          { id: 'b', title: 'Draft', done: false, estimate: null },
+        ],
+      };
+      expect(getTaskCompletionPercentage(task)).toBe(75);
+      expect(getTaskCompletionPercentage({ ...task, subtasks: [] })).toBe(0);
+      expect(areSubtasksComplete(task)).toBe(false);
+      expect(areSubtasksComplete({ subtasks: [] })).toBe(false);
+    });
+
+    test('subtask helpers add, update and delete checklist steps', () => {
+      const task = createTask('Report');
+      let { tasks, subtask } = addSubtask([task], task.id, { title: ' Outline ', estimate: 2 });
+      expect(subtask).toMatchObject({ title: 'Outline', done: false, estimate: 2 });
+      const second = addSubtask(tasks, task.id, { title: 'Draft' });
+      tasks = second.tasks;
+      expect(tasks[0].subtasks.map((item) => item.title)).toEqual(['Outline', 'Draft']);
+
+      const first = updateSubtask(tasks, task.id, subtask.id, { done: true });
+      expect(first.completesTask).toBe(false);
+      const last = updateSubtask(first.tasks, task.id, second.subtask.id, { done: true });
+      expect(last.completesTask).toBe(true);
+      expect(
+        updateSubtask(last.tasks, task.id, second.subtask.id, { title: 'Write' }).completesTask
+      ).toBe(false);
+
+      tasks = deleteSubtask(last.tasks, task.id, subtask.id);
+      expect(tasks[0].subtasks.map((item) => item.id)).toEqual([second.subtask.id]);
+    });
+
+    test('subtask helpers reject unknown tasks and invalid steps', () => {
+      const task = { ...createTask('Report'), subtasks: [{ id: 's1', title: 'A', done: false }] };
+      expect(() => addSubtask([task], 'missing', { title: 'A' })).toThrow('Unknown task: missing');
+      expect(() => addSubtask([task], task.id, { title: ' ', estimate: 0 })).toThrow(
+        'Subtask validation failed: Subtasks[1].title must be a non-empty string, ' +
+          'Subtasks[1].estimate must be an integer >= 1 or null'
+      );
+      expect(() => updateSubtask([task], task.id, 'nope', { done: true })).toThrow(
+        'Unknown subtask: nope'
+      );
+      expect(() => updateSubtask([task], task.id, 's1', { id: 'x' })).toThrow(
+        'Subtask.id cannot be updated'
+      );
+      expect(() => updateSubtask([task], task.id, 's1', { done: 'yes' })).toThrow(
+        'Subtask validation failed: Subtasks[0].done must be boolean'
+      );
+    });
+
     test('isTaskComplete checks completion', () => {
       expect(isTaskComplete({ estimate: 2, completedSessions: 2 })).toBe(true);
       expect(isTaskComplete({ estimate: 2, completedSessions: 1 })).toBe(false);
     });
+
+    test('createTask fills in details and cleans tags and project', () => {
+      const task = createTask('Write', 2, {
+        tags: [' docs ', 'Docs', '', 'review'],
+        project: '  ',
+        dueDate: '2024-03-08',
+        priority: 'high',
+      });
+      expect(task).toMatchObject({
+        notes: '',
+        tags: ['docs', 'review'],
+        project: null,
+        dueDate: '2024-03-08',
+        priority: 'high',
+        order: 0,
+        completedAt: null,
+      });
+      expect(task.createdAt).toEqual(expect.any(Number));
+      expect(validateTask(task).valid).toBe(true);
+    });
+
+    test('prepareTaskUpdates stamps completedAt only when done changes', () => {
+      const open = { id: '1', done: false, completedAt: null };
+      expect(prepareTaskUpdates(open, { done: true }, 500)).toEqual({
+        done: true,
+        completedAt: 500,
+      });
+      expect(prepareTaskUpdates({ ...open, done: true }, { done: false }, 600)).toEqual({
+        done: false,
+        completedAt: null,
+      });
+      expect(prepareTaskUpdates(open, { done: false, project: ' Site ', dueDate: '' })).toEqual({
+        done: false,
+        project: 'Site',
+        dueDate: null,
+      });
+    });
+
+    test('orderTasks and reorderTasks keep a contiguous manual order', () => {
+      const tasks = [{ id: 'a', order: 2 }, { id: 'b', order: 0 }, { id: 'c' }];
+      expect(orderTasks(tasks)).toEqual([
+        { id: 'b', order: 0 },
+        { id: 'a', order: 1 },
+        { id: 'c', order: 2 },
+      ]);
+      expect(reorderTasks(tasks, ['c', 'a', 'b']).map((task) => [task.id, task.order])).toEqual([
+        ['c', 0],
+        ['a', 1],
+        ['b', 2],
+      ]);
+      expect(() => reorderTasks(tasks, ['a', 'b'])).toThrow(
+        'Task order must list every existing task exactly once'
+      );
+    });
+
+    test('getNextTask follows the manual order, wraps and skips done tasks', () => {
+      const tasks = [
+        { id: 'a', order: 0, done: false },
+        { id: 'b', order: 1, done: true },
+        { id: 'c', order: 2, done: false },
+        { id: 'd', order: 3, done: false },
+      ];
+      expect(getNextTask(tasks, 'a').id).toBe('c');
+      expect(getNextTask(tasks, 'd').id).toBe('a');
+      expect(getNextTask(tasks, null).id).toBe('a');
+      expect(getNextTask(tasks.slice(0, 2), 'a')).toBeNull();
+    });
+
+    test('filterTasks and getTaskFacets work on tags and projects', () => {
+      const tasks = [
+        { id: 'a', tags: ['Docs'], project: 'Site' },
+        { id: 'b', tags: ['docs', 'urgent'], project: null },
+        { id: 'c', project: 'App' },
+      ];
+      expect(filterTasks(tasks, { tag: 'docs' }).map((task) => task.id)).toEqual(['a', 'b']);
+      expect(filterTasks(tasks, { tag: 'docs', project: 'Site' }).map((task) => task.id)).toEqual([
+        'a',
+      ]);
+      expect(filterTasks(tasks, { tag: '', project: '' })).toHaveLength(3);
+      expect(getTaskFacets(tasks)).toEqual({ tags: ['Docs', 'urgent'], projects: ['App', 'Site'] });
+    });
   });
 
   describe('History Management', () => {
+    test('interruption helpers create, count and validate interruptions', () => {
+      expect(createInterruption('external', '  Phone call ', 5)).toEqual({
+        kind: 'external',
+        at: 5,
+        note: 'Phone call',
+      });
+      expect(createInterruption('internal', ' ', 5).note).toBeNull();
+      expect(
+        countInterruptions([
+          createInterruption('internal'),
+          createInterruption('external'),
+          createInterruption('internal'),
+        ])
+      ).toEqual({ internal: 2, external: 1, total: 3 });
+      expect(countInterruptions(undefined)).toEqual({ internal: 0, external: 0, total: 0 });
+      expect(validateInterruption(createInterruption('bored')).errors).toEqual([
+        'Interruption.kind must be one of: internal, external',
+      ]);
+      expect(validateInterruption(createInterruption('internal', 'x'.repeat(201))).errors).toEqual([
+        'Interruption.note must be at most 200 characters',
+      ]);
+      expect(
+        validateHistoryEntry({
+          id: 'h1',
+          methodKey: 'pomodoro',
+          phase: 'work',
+          durationMs: 0,
+          startedAt: 0,
+          endedAt: 0,
+          interruptions: [{ kind: 'internal', at: 1, note: null }],
+        }).valid
+      ).toBe(true);
+    });
+
+    test('validateReflection accepts 1-5 ratings with a short note', () => {
+      expect(validateReflection({ rating: 4, note: 'Wrote the intro' }).valid).toBe(true);
+      expect(validateReflection({ rating: 4, note: null }).valid).toBe(true);
+      expect(validateReflection({ rating: 6, note: 'x'.repeat(281) }).errors).toEqual([
+        'Reflection.rating must be an integer 1-5',
+        'Reflection.note must be at most 280 characters',
+      ]);
+      expect(validateReflection({ note: null }).errors).toEqual(['Reflection.rating is required']);
+    });
+
+    test('validateExtension accepts whole minutes up to the extension limit', () => {
+      expect(validateExtension({ minutes: 5 }).valid).toBe(true);
+      expect(validateExtension({ minutes: 121 }).errors).toEqual([
+        'Extension.minutes must be an integer 1-120',
+      ]);
+      expect(validateExtension({ minutes: 2.5 }).valid).toBe(false);
+      expect(validateExtension({}).errors).toEqual(['Extension.minutes is required']);
+    });
+
     test('trimHistory limits entries', () => {
       const history = Array(300)
         .fill(null)
@@ -148,5 +366,350 @@ describe('State Utilities', () => {
       expect(result.valid).toBe(false);
       expect(result.errors.length).toBeGreaterThan(0);
     });
+
+    test('validateState checks tasks, history and statistics deeply', () => {
+      const { state } = initializeState();
+      const result = validateState({
+        ...state,
+        timer: { ...state.timer, phase: ' ' },
+        tasks: [{ ...createTask('Write', 2), estimate: 0 }, { id: 't2' }],
+        history: [{ id: 'h1', methodKey: 'pomodoro', phase: 'work', durationMs: -1 }],
+        statistics: { ...state.statistics, lastSessionDate: 'yesterday' },
+      });
+
+      expect(result.errors).toEqual([
+        'State.timer.phase must be a non-empty string',
+        'State.tasks[0].estimate must be an integer >= 1',
+        'State.tasks[1].title is required',
+        'State.tasks[1].estimate is required',
+        'State.tasks[1].completedSessions is required',
+        'State.tasks[1].done is required',
+        'State.history[0].durationMs must be a number >= 0',
+        'State.history[0].startedAt is required',
+        'State.history[0].endedAt is required',
+        'State.statistics.lastSessionDate must be a number or null',
+      ]);
+    });
+
+    test('validateState repair drops bad entries and resets bad fields', () => {
+      const { state } = initializeState();
+      const good = createTask('Keep me');
+      const result = validateState(
+        {
+          ...state,
+          timer: { ...state.timer, phase: '', cycleCount: '2' },
+          tasks: [good, { id: 'broken', title: 42 }],
+        },
+        { repair: true }
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.value.timer.phase).toBe('work');
+      expect(result.value.timer.cycleCount).toBe(2);
+      expect(result.value.tasks).toEqual([good]);
+      expect(result.repairs).toContain(
+        'Dropped State.tasks[1]: State.tasks[1].estimate is required, ' +
+          'State.tasks[1].completedSessions is required, State.tasks[1].done is required'
+      );
+    });
+
+    test('validateSettings checks enums and resolved presets', () => {
+      const team = { key: 'team', label: 'Team', flexible: true };
+      const { settings } = initializeState();
+      const result = validateSettings({
+        ...settings,
+        theme: 'neon',
+        sound: 'gong',
+        phaseSounds: { workEnd: 'default', breakEnd: 'gong' },
+        presets: {
+          ...settings.presets,
+          pomodoro: { label: 'Pomodoro 45' },
+          team: { key: 'team', label: 'Team', workMinutes: 0 },
+          teamFlow: team,
+        },
+      });
+
+      expect(result.errors).toEqual([
+        'Settings.presets.team.workMinutes must be a number 1-600',
+        'Settings.presets.teamFlow.suggestedBreakMinutes is required',
+        "Settings.sound must be one of: '', none, chime, softBell, rising, falling, doubleBeep",
+        "Settings.phaseSounds.breakEnd must be one of: default, '', none, chime, softBell, rising, falling, doubleBeep",
+        'Settings.theme must be one of: system, light, dark',
+      ]);
+      expect(validateSettings({ ...settings, sound: '' }).valid).toBe(true);
+    });
+
+    test('validateSettings repair restores built-in presets and drops bad custom ones', () => {
+      const { settings } = initializeState();
+      const result = validateSettings(
+        {
+          ...settings,
+          theme: 'neon',
+          volume: 3,
+          presets: {
+            ...settings.presets,
+            custom: { ...settings.presets.custom, cyclesBeforeLongBreak: 'many' },
+            team: { key: 'team', label: '' },
+          },
+        },
+        { repair: true }
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.value.theme).toBe('system');
+      expect(result.value.volume).toBe(1);
+      expect(result.value.presets.custom).toEqual(settings.presets.custom);
+      expect(result.value.presets).not.toHaveProperty('team');
+    });
+
+    test('validateTask and validateHistoryEntry use their own paths', () => {
+      expect(validateTask(createTask('Ok')).valid).toBe(true);
+      expect(validateTask(createTask('')).errors).toEqual([
+        'Task.title must be a non-empty string',
+      ]);
+      expect(
+        validateHistoryEntry({
+          id: 'h1',
+          methodKey: 'pomodoro',
+          phase: 'work',
+          durationMs: 1000,
+          startedAt: 1,
+          endedAt: 1001,
+          taskId: null,
+          status: 'lost',
+        }).errors
+      ).toEqual(['HistoryEntry.status must be one of: completed, skipped, abandoned']);
+    });
+
+    test('validateTaskUpdates rejects unknown fields, id changes and bad values', () => {
+      expect(validateTaskUpdates({ done: true }).valid).toBe(true);
+      expect(validateTaskUpdates({ id: 'x', color: 'red', estimate: 'lots' }).errors).toEqual([
+        'Task.id cannot be updated',
+        'Task.color cannot be updated',
+        'Task.estimate must be an integer >= 1',
+      ]);
+      expect(validateTaskUpdates(null).errors).toEqual(['Task updates must be an object']);
+    });
+
+    test('validateTaskUpdates checks task details and keeps timestamps read-only', () => {
+      expect(
+        validateTaskUpdates({
+          notes: 'Outline first',
+          tags: ['docs'],
+          project: null,
+          dueDate: '2024-03-08',
+          priority: 'low',
+        }).valid
+      ).toBe(true);
+      expect(
+        validateTaskUpdates({
+          createdAt: 1,
+          order: 2,
+          dueDate: 'tomorrow',
+          priority: 'urgent',
+          tags: Array.from({ length: 11 }, (_, i) => `t${i}`),
+        }).errors
+      ).toEqual([
+        'Task.createdAt cannot be updated',
+        'Task.order cannot be updated',
+        'Task.tags must have at most 10 tags',
+        'Task.dueDate must be a YYYY-MM-DD date or null',
+        'Task.priority must be one of: none, low, medium, high',
+      ]);
+    });
+
+    test('validateGoal checks periods, targets and weekdays', () => {
+      const goal = {
+        id: 'g1',
+        period: 'day',
+        metric: 'minutes',
+        target: 240,
+        methodKey: null,
+        weekdays: [1, 2, 3, 4, 5],
+      };
+      expect(validateGoal(goal).valid).toBe(true);
+      expect(validateGoal({ ...goal, period: 'month', target: 0, weekdays: [7] }).errors).toEqual([
+        'Goal.period must be one of: day, week',
+        'Goal.target must be an integer 1-10000',
+        'Goal.weekdays[0] must be an integer 0-6',
+      ]);
+      expect(validateSettings({ goals: [{ ...goal, metric: 'pages' }] }).errors).toContain(
+        'Settings.goals[0].metric must be one of: minutes, sessions'
+      );
+    });
+  });
+
+  describe('Preset Management', () => {
+    const baseSettings = () => initializeState().settings;
+
+    test('getOrderedPresets follows presetOrder', () => {
+      const settings = { ...baseSettings(), presetOrder: ['custom', 'pomodoro'] };
+      expect(getOrderedPresets(settings).map((p) => p.key)).toEqual(['custom', 'pomodoro']);
+    });
+
+    test('generatePresetKey avoids collisions', () => {
+      expect(generatePresetKey('Deep Work', [])).toBe('deepWork');
+      expect(generatePresetKey('Deep Work', ['deepWork'])).toBe('deepWork2');
+      expect(generatePresetKey('Pomodoro', [])).toBe('pomodoro2');
+      expect(generatePresetKey('!!!', [])).toBe('method');
+    });
+
+    test('validatePreset rejects bad durations', () => {
+      const result = validatePreset({
+        key: 'x',
+        label: 'X',
+        workMinutes: 0,
+        shortBreakMinutes: 5,
+        longBreakMinutes: 15,
+        cyclesBeforeLongBreak: 1.5,
+      });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(2);
+    });
+
+    test('validatePreset only requires suggested break for flexible presets', () => {
+      expect(
+        validatePreset({ key: 'f', label: 'Flow', flexible: true, suggestedBreakMinutes: 10 }).valid
+      ).toBe(true);
+    });
+
+    test('addPreset appends a user-defined method', () => {
+      const { settings, preset } = addPreset(baseSettings(), {
+        label: 'Team Sprint',
+        workMinutes: 40,
+        shortBreakMinutes: 10,
+        longBreakMinutes: 20,
+        cyclesBeforeLongBreak: 3,
+      });
+      expect(preset.key).toBe('teamSprint');
+      expect(settings.presetOrder.at(-1)).toBe('teamSprint');
+      expect(settings.presets.teamSprint.workMinutes).toBeUndefined();
+      expect(settings.presets.teamSprint.phases.map((phase) => phase.minutes)).toEqual([
+        40, 10, 40, 20,
+      ]);
+    });
+
+    test('addPreset stores a declared phase sequence', () => {
+      const phases = [
+        { id: 'warmUp', label: 'Warm-up', kind: 'focus', minutes: 5, repeat: 1, end: 'continue' },
+        { id: 'focus', label: 'Focus', kind: 'focus', minutes: 45, repeat: 1, end: 'auto' },
+        { id: 'review', label: 'Review', kind: 'focus', minutes: 10, repeat: 1, end: 'auto' },
+        { id: 'break', label: 'Break', kind: 'rest', minutes: 15, repeat: 1, end: 'wait' },
+      ];
+      const { preset } = addPreset(baseSettings(), { label: 'Deep Work', phases });
+      expect(preset.phases).toEqual(phases);
+    });
+
+    test('validatePreset checks the phase sequence', () => {
+      const phase = { id: 'rest', label: 'Rest', kind: 'rest', minutes: 5, repeat: 1, end: 'auto' };
+      expect(validatePreset({ key: 'r', label: 'Rest', phases: [phase] }).errors).toEqual([
+        'Preset.phases must include a focus phase',
+      ]);
+      expect(validatePreset({ key: 'e', label: 'Empty', phases: [] }).errors).toEqual([
+        'Preset.phases must have 1-12 phases',
+      ]);
+      const bad = { ...phase, kind: 'nap', minutes: 0, repeat: 0, end: 'never' };
+      expect(validatePreset({ key: 'b', label: 'Bad', phases: [bad] }).errors).toEqual([
+        'Preset.phases[0].kind must be one of: focus, rest',
+        'Preset.phases[0].minutes must be a number 1-600 or null',
+        'Preset.phases[0].repeat must be an integer 1-12',
+        'Preset.phases[0].end must be one of: auto, continue, wait',
+      ]);
+    });
+
+    test('validatePreset checks adaptive focus bounds', () => {
+      const preset = { ...DEFAULT_METHODS.progressive };
+      expect(validatePreset(preset).valid).toBe(true);
+      expect(
+        validatePreset({ ...preset, adaptive: { stepMinutes: 5, minMinutes: 40, maxMinutes: 20 } })
+          .errors
+      ).toEqual(['Preset.adaptive.minMinutes must not exceed Preset.adaptive.maxMinutes']);
+      expect(validatePreset({ ...preset, adaptive: { stepMinutes: 0 } }).errors).toEqual([
+        'Preset.adaptive.stepMinutes must be a number 1-600',
+        'Preset.adaptive.minMinutes is required',
+        'Preset.adaptive.maxMinutes is required',
+      ]);
+    });
+
+    test('validatePreset checks the flow break rule', () => {
+      const preset = { ...DEFAULT_METHODS.flowtime };
+      expect(validatePreset(preset).valid).toBe(true);
+      expect(validatePreset({ ...preset, flowBreak: { ratio: 0.25 } }).valid).toBe(true);
+      expect(validatePreset({ ...preset, flowBreak: {} }).errors).toEqual([
+        'Preset.flowBreak must set either ratio or tiers',
+      ]);
+      expect(validatePreset({ ...preset, flowBreak: { ratio: 2, tiers: [] } }).errors).toEqual([
+        'Preset.flowBreak.ratio must be a number 0.01-1',
+        'Preset.flowBreak.tiers must have 1-8 tiers',
+      ]);
+      expect(
+        validatePreset({ ...preset, flowBreak: { ...preset.flowBreak, ratio: 0.2 } }).errors
+      ).toEqual(['Preset.flowBreak must set either ratio or tiers']);
+    });
+
+    test('addPreset rejects invalid presets', () => {
+      expect(() => addPreset(baseSettings(), { label: '', workMinutes: 10 })).toThrow(
+        'Preset validation failed'
+      );
+    });
+
+    test('updatePreset edits built-in methods', () => {
+      const settings = updatePreset(baseSettings(), 'pomodoro', {
+        workMinutes: 30,
+        shortBreakMinutes: 5,
+        longBreakMinutes: 15,
+        cyclesBeforeLongBreak: 2,
+      });
+      expect(settings.presets.pomodoro.phases.map((phase) => [phase.id, phase.minutes])).toEqual([
+        ['work', 30],
+        ['break', 5],
+        ['work', 30],
+        ['longBreak', 15],
+      ]);
+      expect(settings.presets.pomodoro.key).toBe('pomodoro');
+    });
+
+    test('updatePreset requires the full timing shorthand in place of phases', () => {
+      expect(() => updatePreset(baseSettings(), 'pomodoro', { workMinutes: 30 })).toThrow(
+        'Preset.shortBreakMinutes is required'
+      );
+    });
+
+    test('clonePreset inserts copy after the source', () => {
+      const { settings, preset } = clonePreset(baseSettings(), 'pomodoro');
+      expect(preset.label).toBe('Pomodoro copy');
+      expect(settings.presetOrder[1]).toBe(preset.key);
+      expect(settings.presets[preset.key].phases).toEqual(settings.presets.pomodoro.phases);
+    });
+
+    test('renamePreset keeps the key stable', () => {
+      const settings = renamePreset(baseSettings(), 'custom', '  Writing  ');
+      expect(settings.presets.custom.label).toBe('Writing');
+      expect(hasPreset(settings, 'custom')).toBe(true);
+    });
+
+    test('reorderPresets requires a permutation', () => {
+      const settings = baseSettings();
+      const reversed = [...settings.presetOrder].reverse();
+      expect(reorderPresets(settings, reversed).presetOrder).toEqual(reversed);
+      expect(() => reorderPresets(settings, ['pomodoro'])).toThrow('exactly once');
+    });
+
+    test('deletePreset hides method and moves selection', () => {
+      const settings = deletePreset(baseSettings(), 'pomodoro');
+      expect(hasPreset(settings, 'pomodoro')).toBe(false);
+      expect(settings.selectedMethod).toBe(settings.presetOrder[0]);
+    });
+
+    test('deleted built-ins stay hidden after defaults are merged back', () => {
+      const deleted = deletePreset(baseSettings(), 'ultradian');
+      const reloaded = initializeState({}, deleted).settings;
+      expect(hasPreset(reloaded, 'ultradian')).toBe(false);
+    });
+
+    test('deletePreset keeps at least one method', () => {
+      const settings = { ...baseSettings(), presetOrder: ['custom'] };
+      expect(() => deletePreset(settings, 'custom')).toThrow('At least one method');
+    });
   });
 });
@@ -0,0 +1,295 @@
+/**
+ * Unit tests for statistics.js (history-derived totals and streaks)
+ */
+
+import {
+  getDailyFocus,
+  computeStreaks,
+  computeStatistics,
+  addToStatistics,
+  getInterruptionRates,
+  getFocusQualityAverages,
+} from '../../src/services/statistics.js';
+import { historyEntry } from '../fixtures/history.js';
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const NEW_YORK = 'America/New_York';
+
+describe('Statistics', () => {
+  describe('getDailyFocus', () => {
+    test('sums focus time per day and ignores breaks and skipped sessions', () => {
+      const daily = getDailyFocus(
+        [
+          historyEntry('2024-03-05T09:00:00-05:00', 25),
+          historyEntry('2024-03-05T09:25:00-05:00', 5, { phase: 'break' }),
+          historyEntry('2024-03-05T23:50:00-05:00', 20, { phase: 'flow' }),
+          historyEntry('2024-03-06T10:00:00-05:00', 25, { status: 'skipped' }),
+        ],
+        { timeZone: NEW_YORK }
+      );
+      expect(Object.fromEntries(daily)).toEqual({
+        '2024-03-05': 35 * MINUTE,
+        '2024-03-06': 10 * MINUTE,
+      });
+    });
+  });
+
+  describe('computeStreaks', () => {
+    test('keeps the current streak alive until a full day is missed', () => {
+      const days = ['2024-03-01', '2024-03-02', '2024-03-04', '2024-03-05', '2024-03-06'];
+      expect(computeStreaks(days, '2024-03-06')).toEqual({ currentStreak: 3, longestStreak: 3 });
+      expect(computeStreaks(days, '2024-03-07')).toEqual({ currentStreak: 3, longestStreak: 3 });
+      expect(computeStreaks(days, '2024-03-08')).toEqual({ currentStreak: 0, longestStreak: 3 });
+      expect(computeStreaks([], '2024-03-08')).toEqual({ currentStreak: 0, longestStreak: 0 });
+    });
+
+    test('rest days bridge a run without extending it', () => {
+      const weekend = (day) => day === '2024-03-09' || day === '2024-03-10';
+      const days = ['2024-03-07', '2024-03-08', '2024-03-11'];
+      expect(computeStreaks(days, '2024-03-11', weekend)).toEqual({
+        currentStreak: 3,
+        longestStreak: 3,
+      });
+      expect(computeStreaks(['2024-03-08'], '2024-03-11', weekend)).toEqual({
+        currentStreak: 1,
+        longestStreak: 1,
+      });
+      expect(computeStreaks(['2024-03-08'], '2024-03-12', weekend).currentStreak).toBe(0);
+    });
+  });
+
+  describe('computeStatistics', () => {
+    test('counts focus sessions only and breaks them down by method', () => {
+      const history = [
+        historyEntry('2024-03-05T09:00:00-05:00', 25),
+        historyEntry('2024-03-05T09:25:00-05:00', 5, { phase: 'break' }),
+        historyEntry('2024-03-05T10:00:00-05:00', 50, { phase: 'flow', methodKey: 'flowtime' }),
+        historyEntry('2024-03-05T11:00:00-05:00', 90, { status: 'skipped' }),
+      ];
+
+      const stats = computeStatistics(history, {
+        timeZone: NEW_YORK,
+        now: Date.parse('2024-03-05T12:00:00-05:00'),
+      });
+
+      expect(stats).toEqual({
+        totalSessions: 2,
+        abandonedSessions: 0,
+        totalFocusTime: 75 * MINUTE,
+        totalBreakTime: 5 * MINUTE,
+        longestSession: 50 * MINUTE,
+        currentStreak: 1,
+        longestStreak: 1,
+        lastSessionDate: history[2].endedAt,
+        byMethod: {
+          pomodoro: { sessions: 1, focusMs: 25 * MINUTE },
+          flowtime: { sessions: 1, focusMs: 50 * MINUTE },
+        },
+        interruptions: { internal: 0, external: 0, sessions: 0 },
+        focusQuality: { byMethod: {}, byHour: {} },
+      });
+      expect(computeStatistics([])).toMatchObject({ totalSessions: 0, currentStreak: 0 });
+    });
+
+    test('counts abandoned sessions unless they are excluded', () => {
+      const history = [
+        historyEntry('2024-03-05T09:00:00-05:00', 25),
+        historyEntry('2024-03-05T10:00:00-05:00', 10, { status: 'abandoned' }),
+        historyEntry('2024-03-05T10:10:00-05:00', 2, { phase: 'break', status: 'abandoned' }),
+      ];
+
+      expect(computeStatistics(history, { timeZone: NEW_YORK })).toMatchObject({
+        totalSessions: 2,
+        abandonedSessions: 1,
+        totalFocusTime: 35 * MINUTE,
+        totalBreakTime: 2 * MINUTE,
+      });
+      expect(
+        computeStatistics(history, { timeZone: NEW_YORK, includeAbandoned: false })
+      ).toMatchObject({
+        totalSessions: 1,
+        abandonedSessions: 1,
+        totalFocusTime: 25 * MINUTE,
+        totalBreakTime: 0,
+      });
+    });
+
+    test('totals interruptions and derives their rates', () => {
+      const internal = { kind: 'internal', at: 0, note: null };
+      const external = { kind: 'external', at: 0, note: 'Door' };
+      const history = [
+        historyEntry('2024-03-05T09:00:00-05:00', 30, { interruptions: [internal, external] }),
+        historyEntry('2024-03-05T10:00:00-05:00', 30, { interruptions: [] }),
+        historyEntry('2024-03-05T11:00:00-05:00', 60, { phase: 'flow', interruptions: [internal] }),
+        historyEntry('2024-03-05T12:00:00-05:00', 30),
+        historyEntry('2024-03-05T13:00:00-05:00', 25, {
+          status: 'skipped',
+          interruptions: [internal],
+        }),
+      ];
+
+      const stats = computeStatistics(history, { timeZone: NEW_YORK });
+
+      expect(stats.interruptions).toEqual({ internal: 2, external: 1, sessions: 2 });
+      expect(getInterruptionRates(stats)).toEqual({
+        perSession: 0.75,
+        perHour: 1.2,
+        interruptedShare: 0.5,
+      });
+      expect(getInterruptionRates(computeStatistics([]))).toEqual({
+        perSession: 0,
+        perHour: 0,
+        interruptedShare: 0,
+      });
+    });
+
+    test('averages focus ratings by method and starting hour', () => {
+      const history = [
+        historyEntry('2024-03-05T09:00:00-05:00', 25, { rating: 4 }),
+        historyEntry('2024-03-05T09:40:00-05:00', 25, { rating: 2 }),
+        historyEntry('2024-03-05T14:00:00-05:00', 50, { methodKey: 'fiftyTwo', rating: 5 }),
+        historyEntry('2024-03-05T15:00:00-05:00', 25),
+        historyEntry('2024-03-05T16:00:00-05:00', 25, { status: 'skipped', rating: 1 }),
+      ];
+
+      const stats = computeStatistics(history, { timeZone: NEW_YORK });
+
+      expect(stats.focusQuality).toEqual({
+        byMethod: { pomodoro: { rated: 2, total: 6 }, fiftyTwo: { rated: 1, total: 5 } },
+        byHour: { 9: { rated: 2, total: 6 }, 14: { rated: 1, total: 5 } },
+      });
+      expect(getFocusQualityAverages(stats)).toEqual({
+        overall: 11 / 3,
+        byMethod: [
+          { methodKey: 'pomodoro', average: 3, rated: 2 },
+          { methodKey: 'fiftyTwo', average: 5, rated: 1 },
+        ],
+        byHour: [
+          { hour: 9, average: 3, rated: 2 },
+          { hour: 14, average: 5, rated: 1 },
+        ],
+      });
+      expect(getFocusQualityAverages(computeStatistics([])).overall).toBeNull();
+    });
+
+    test('streaks survive the DST changes', () => {
+      const spring = ['08', '09', '10', '11'].map((day) =>
+        historyEntry(`2024-03-${day}T00:30:00${day > '10' ? '-04:00' : '-05:00'}`, 25)
+      );
+      const fall = ['02', '03', '04'].map((day) =>
+        historyEntry(`2024-11-${day}T23:30:00${day < '03' ? '-04:00' : '-05:00'}`, 25)
+      );
+
+      const options = { timeZone: NEW_YORK, now: Date.parse('2024-11-05T08:00:00-05:00') };
+      const stats = computeStatistics([...spring, ...fall], options);
+
+      expect(stats.longestStreak).toBe(4);
+      expect(stats.currentStreak).toBe(3);
+    });
+
+    test('a session crossing midnight counts for both days', () => {
+      const history = [
+        historyEntry('2024-03-04T09:00:00-05:00', 25),
+        historyEntry('2024-03-05T23:40:00-05:00', 40),
+      ];
+      const now = Date.parse('2024-03-06T12:00:00-05:00');
+
+      expect(computeStatistics(history, { timeZone: NEW_YORK, now })).toMatchObject({
+        currentStreak: 3,
+        longestStreak: 3,
+      });
+    });
+
+    test('day boundaries follow the time zone', () => {
+      // Two days apart in UTC, but consecutive evenings in New York
+      const history = [
+        historyEntry('2024-03-04T23:30:00Z', 25),
+        historyEntry('2024-03-06T00:30:00Z', 25),
+      ];
+      const now = Date.parse('2024-03-06T12:00:00Z');
+
+      expect(computeStatistics(history, { timeZone: 'UTC', now })).toMatchObject({
+        currentStreak: 1,
+        longestStreak: 1,
+      });
+      expect(computeStatistics(history, { timeZone: NEW_YORK, now })).toMatchObject({
+        currentStreak: 2,
+        longestStreak: 2,
+      });
+    });
+
+    test('daily goals decide which days count toward streaks', () => {
+      const goals = [
+        {
+          id: 'g1',
+          period: 'day',
+          metric: 'minutes',
+          target: 60,
+          methodKey: null,
+          weekdays: [1, 2, 3, 4, 5],
+        },
+      ];
+      // Thu and Fri met, weekend off, Mon met, Tue short
+      const history = [
+        historyEntry('2024-03-07T09:00:00-05:00', 60),
+        historyEntry('2024-03-08T09:00:00-05:00', 60),
+        historyEntry('2024-03-11T09:00:00-04:00', 60),
+        historyEntry('2024-03-12T09:00:00-04:00', 25),
+      ];
+      const options = { timeZone: NEW_YORK, goals };
+
+      expect(
+        computeStatistics(history, { ...options, now: Date.parse('2024-03-12T12:00:00-04:00') })
+      ).toMatchObject({ currentStreak: 3, longestStreak: 3 });
+      expect(
+        computeStatistics(history, { ...options, now: Date.parse('2024-03-13T12:00:00-04:00') })
+      ).toMatchObject({ currentStreak: 0, longestStreak: 3 });
+      expect(
+        computeStatistics(history, {
+          timeZone: NEW_YORK,
+          now: Date.parse('2024-03-12T12:00:00-04:00'),
+        })
+      ).toMatchObject({ currentStreak: 2, longestStreak: 2 });
+    });
+  });
+
+  describe('addToStatistics', () => {
+    const options = { timeZone: NEW_YORK, now: Date.parse('2024-03-06T12:00:00-05:00') };
+    // Four days in a row, a day off, then two more days before the new session
+    const older = ['02-28', '02-29', '03-01', '03-02'].map((day) =>
+      historyEntry(`2024-${day}T09:00:00-05:00`, 25)
+    );
+    const recent = [
+      historyEntry('2024-03-04T09:00:00-05:00', 25, { rating: 4 }),
+      historyEntry('2024-03-05T09:00:00-05:00', 5, { phase: 'break' }),
+      historyEntry('2024-03-05T10:00:00-05:00', 25, { status: 'abandoned' }),
+    ];
+    const entry = historyEntry('2024-03-06T09:00:00-05:00', 50, {
+      rating: 5,
+      interruptions: [{ kind: 'internal', at: 0 }],
+    });
+
+    test('matches a full rebuild when folding in a new session', () => {
+      const stats = computeStatistics([...older, ...recent], options);
+      const updated = addToStatistics(stats, entry, [...recent, entry], {
+        ...options,
+        from: '2024-03-03',
+      });
+
+      expect(updated).toEqual(computeStatistics([...older, ...recent, entry], options));
+      expect(updated).toMatchObject({ currentStreak: 3, longestStreak: 4 });
+      expect(stats.totalSessions).toBe(6);
+    });
+
+    test('needs a day that breaks the streak before the session, or the whole history', () => {
+      const stats = computeStatistics([...older, ...recent], options);
+      const window = { ...options, from: '2024-03-04' };
+
+      expect(addToStatistics(stats, entry, [...recent, entry], window)).toBeNull();
+      expect(
+        addToStatistics(stats, entry, [...older, ...recent, entry], { ...options, from: null })
+      ).toEqual(computeStatistics([...older, ...recent, entry], options));
+    });
+  });
+});
@@ -14,10 +14,21 @@ import {
   getFlowReferenceMs,
   isWorkPhase,
   isBreakPhase,
+  isFocusEntry,
+  isOpenEndedPhase,
   canPauseTimer,
   canResumeTimer,
   canStartTimer,
+  stepAdaptiveMinutes,
+  getAdaptiveFocusMinutes,
+  adaptMethod,
+  getNextAdaptiveMinutes,
+  suggestFlowBreakMinutes,
+  getFlowBreakMinutes,
+  getTimerDuration,
+  computeElapsed,
 } from '../../src/services/timer.js';
+import { DEFAULT_METHODS } from '../../src/shared/constants.js';
 
 describe('Timer Utilities', () => {
   describe('Time Conversions', () => {
@@ -75,15 +86,64 @@ describe('Timer Utilities', () => {
     test('nextPhase from work to break', () => {
       const timer = { phase: 'work', cycleCount: 0 };
       const next = nextPhase(timer, pomodoroMethod);
-      expect(next.phase).toBe('break');
-      expect(next.longBreak).toBe(false);
+      expect(next).toEqual({ phase: 'break', phaseIndex: 1, cycleCount: 0, kind: 'rest' });
     });
 
     test('nextPhase from work to long break on cycle boundary', () => {
-      const timer = { phase: 'work', cycleCount: 3 };
+      const timer = { phase: 'work', phaseIndex: 2, cycleCount: 0 };
       const next = nextPhase(timer, pomodoroMethod);
       expect(next.phase).toBe('longBreak');
-      expect(next.longBreak).toBe(true);
+      expect(next.phaseIndex).toBe(3);
+    });
+
+    test('nextPhase runs cyclesBeforeLongBreak focus phases before the long break', () => {
+      let timer = { phase: 'work', phaseIndex: 0, cycleCount: 0 };
+      const phases = [];
+      for (let i = 0; i < 9; i += 1) {
+        timer = nextPhase(timer, pomodoroMethod);
+        phases.push(timer.phase);
+      }
+      expect(phases).toEqual([
+        'break',
+        'work',
+        'break',
+        'work',
+        'break',
+        'work',
+        'longBreak',
+        'work',
+        'break',
+      ]);
+    });
+
+    test('nextPhase follows a declared sequence with a repeating block', () => {
+      const method = {
+        phases: [
+          { id: 'warmUp', label: 'Warm-up', kind: 'focus', minutes: 5, repeat: 1, end: 'auto' },
+          { id: 'focus', label: 'Focus', kind: 'focus', minutes: 45, repeat: 1, end: 'auto' },
+          { id: 'review', label: 'Review', kind: 'focus', minutes: 10, repeat: 1, end: 'auto' },
+          { id: 'rest', label: 'Rest', kind: 'rest', minutes: 5, repeat: 2, end: 'auto' },
+          { id: 'break', label: 'Break', kind: 'rest', minutes: 15, repeat: 1, end: 'auto' },
+        ],
+      };
+      let timer = { phase: 'warmUp', phaseIndex: 0, cycleCount: 0 };
+      const phases = [];
+      for (let i = 0; i < 10; i += 1) {
+        timer = nextPhase(timer, method);
+        phases.push(timer.phase);
+      }
+      expect(phases).toEqual([
+        'focus',
+        'review',
+        'rest',
+        'warmUp',
+        'focus',
+        'review',
+        'rest',
+        'break',
+        'warmUp',
+        'focus',
+      ]);
     });
 
     test('nextPhase from break to work', () => {
@@ -117,6 +177,16 @@ describe('Timer Utilities', () => {
       const method = { flexible: true };
       expect(getPhaseLabel('flow', method)).toBe('Flowtime');
     });
+
+    test('getPhaseLabel uses the declared label, falling back to the phase ID', () => {
+      const method = {
+        phases: [
+          { id: 'warmUp', label: 'Warm-up', kind: 'focus', minutes: 5, repeat: 1, end: 'auto' },
+        ],
+      };
+      expect(getPhaseLabel('warmUp', method)).toBe('Warm-up');
+      expect(getPhaseLabel('stretch', method)).toBe('stretch');
+    });
   });
 
   describe('Phase Classification', () => {
@@ -133,6 +203,33 @@ describe('Timer Utilities', () => {
       expect(isBreakPhase('work')).toBe(false);
       expect(isBreakPhase('flow')).toBe(false);
     });
+
+    test('declared phase kinds classify custom phases and history entries', () => {
+      const method = {
+        phases: [
+          { id: 'review', label: 'Review', kind: 'focus', minutes: 10, repeat: 1, end: 'auto' },
+          { id: 'stretch', label: 'Stretch', kind: 'rest', minutes: 5, repeat: 1, end: 'auto' },
+        ],
+      };
+      expect(isWorkPhase('review', method)).toBe(true);
+      expect(isBreakPhase('stretch', method)).toBe(true);
+      expect(isWorkPhase('review')).toBe(false);
+      expect(isFocusEntry({ phase: 'review', kind: 'focus' })).toBe(true);
+      expect(isFocusEntry({ phase: 'stretch', kind: 'rest' })).toBe(false);
+      expect(isFocusEntry({ phase: 'work' })).toBe(true);
+    });
+
+    test('phases without minutes are open-ended', () => {
+      const method = {
+        phases: [
+          { id: 'flow', label: 'Flow', kind: 'focus', minutes: null, repeat: 1, end: 'wait' },
+          { id: 'break', label: 'Break', kind: 'rest', minutes: 10, repeat: 1, end: 'auto' },
+        ],
+      };
+      expect(isOpenEndedPhase(method, 'flow')).toBe(true);
+      expect(isOpenEndedPhase(method, 'break')).toBe(false);
+      expect(computePhaseDuration(method, 'break')).toBe(600000);
+    });
   });
 
   describe('Timer State Checks', () => {
@@ -172,6 +269,30 @@ describe('Timer Utilities', () => {
     });
   });
 
+  describe('Extended Phases', () => {
+    const method = DEFAULT_METHODS.pomodoro;
+
+    test('getTimerDuration adds the extension to the planned length', () => {
+      const timer = { phase: 'work', phaseIndex: 0, extendedMs: msFromMinutes(5) };
+      expect(getTimerDuration(timer, method)).toBe(msFromMinutes(30));
+      expect(getTimerDuration({ phase: 'work', phaseIndex: 0 }, method)).toBe(msFromMinutes(25));
+      expect(getTimerDuration({ phase: 'flow', phaseIndex: 0 }, DEFAULT_METHODS.flowtime)).toBe(0);
+    });
+
+    test('computeElapsed counts the time spent in the phase', () => {
+      const paused = {
+        phase: 'work',
+        phaseIndex: 0,
+        isRunning: false,
+        remainingMs: msFromMinutes(20),
+        extendedMs: msFromMinutes(5),
+      };
+      expect(computeElapsed(paused, method)).toBe(msFromMinutes(10));
+      const flow = { phase: 'flow', phaseIndex: 0, isRunning: false, remainingMs: 4000 };
+      expect(computeElapsed(flow, DEFAULT_METHODS.flowtime)).toBe(4000);
+    });
+  });
+
   describe('Flow Reference', () => {
     test('getFlowReferenceMs uses suggested break time', () => {
       const method = { suggestedBreakMinutes: 15 };
@@ -188,4 +309,108 @@ describe('Timer Utilities', () => {
       expect(getFlowReferenceMs(method)).toBe(30 * 60 * 1000);
     });
   });
+
+  describe('Adaptive Focus', () => {
+    const method = DEFAULT_METHODS.progressive;
+    const now = new Date(2024, 5, 3, 18).getTime();
+    const at = (hour) => new Date(2024, 5, 3, hour).getTime();
+    const focus = (hour, details = {}) => ({
+      methodKey: 'progressive',
+      phase: 'work',
+      kind: 'focus',
+      startedAt: at(hour),
+      ...details,
+    });
+
+    test('stepAdaptiveMinutes grows, holds and shrinks within the bounds', () => {
+      const { adaptive } = method;
+      expect(stepAdaptiveMinutes(15, { pauses: 0 }, adaptive)).toBe(20);
+      expect(stepAdaptiveMinutes(15, { pauses: 2 }, adaptive)).toBe(15);
+      expect(stepAdaptiveMinutes(15, { status: 'skipped' }, adaptive)).toBe(10);
+      expect(stepAdaptiveMinutes(50, {}, adaptive)).toBe(50);
+      expect(stepAdaptiveMinutes(10, { status: 'skipped' }, adaptive)).toBe(10);
+    });
+
+    test("getAdaptiveFocusMinutes replays today's focus sessions of the method", () => {
+      const history = [
+        focus(12, { status: 'skipped' }),
+        focus(11, { pauses: 1 }),
+        { ...focus(10), kind: 'rest', phase: 'break' },
+        focus(10),
+        focus(9),
+        { ...focus(8), methodKey: 'pomodoro' },
+        { ...focus(9), startedAt: new Date(2024, 5, 2, 9).getTime() },
+      ];
+
+      expect(getAdaptiveFocusMinutes(method, [], now)).toBe(15);
+      expect(getAdaptiveFocusMinutes(method, history.slice(1), now)).toBe(25);
+      expect(getAdaptiveFocusMinutes(method, history, now)).toBe(20);
+      expect(getAdaptiveFocusMinutes(DEFAULT_METHODS.pomodoro, history, now)).toBeNull();
+    });
+
+    test('adaptMethod sets the planned length on timed focus phases only', () => {
+      const adapted = adaptMethod(method, [focus(9), focus(10)], now);
+
+      expect(adapted.phases.map((phase) => phase.minutes)).toEqual([25, 5, 25, 15]);
+      expect(computePhaseDuration(adapted, 'work', 2)).toBe(25 * 60000);
+      expect(adaptMethod(DEFAULT_METHODS.pomodoro, [focus(9)], now)).toBe(DEFAULT_METHODS.pomodoro);
+    });
+
+    test('getNextAdaptiveMinutes projects the block in progress', () => {
+      const adapted = adaptMethod(method, [], now);
+      const idle = { phase: 'work', phaseIndex: 0, isRunning: false, remainingMs: 0 };
+
+      expect(getNextAdaptiveMinutes(idle, adapted)).toBe(15);
+      expect(getNextAdaptiveMinutes({ ...idle, isRunning: true, pauseCount: 0 }, adapted)).toBe(20);
+      expect(getNextAdaptiveMinutes({ ...idle, remainingMs: 60000, pauseCount: 1 }, adapted)).toBe(
+        15
+      );
+      expect(
+        getNextAdaptiveMinutes({ ...idle, phase: 'break', phaseIndex: 1, isRunning: true }, adapted)
+      ).toBe(15);
+      expect(getNextAdaptiveMinutes(idle, DEFAULT_METHODS.pomodoro)).toBeNull();
+    });
+  });
+
+  describe('Flow Breaks', () => {
+    const method = DEFAULT_METHODS.flowtime;
+    const flow = (minutes, endedAt, details = {}) => ({
+      methodKey: 'flowtime',
+      phase: 'flow',
+      kind: 'focus',
+      durationMs: minutes * 60000,
+      endedAt,
+      ...details,
+    });
+
+    test('suggestFlowBreakMinutes picks the tier the flow is shorter than', () => {
+      const rule = method.flowBreak;
+      expect(suggestFlowBreakMinutes(rule, 10 * 60000)).toBe(5);
+      expect(suggestFlowBreakMinutes(rule, 25 * 60000)).toBe(8);
+      expect(suggestFlowBreakMinutes(rule, 60 * 60000)).toBe(10);
+      expect(suggestFlowBreakMinutes(rule, 120 * 60000)).toBe(15);
+      const bounded = { tiers: [{ upToMinutes: 30, breakMinutes: 4 }] };
+      expect(suggestFlowBreakMinutes(bounded, 45 * 60000)).toBe(4);
+    });
+
+    test('suggestFlowBreakMinutes applies a ratio with a one minute floor', () => {
+      expect(suggestFlowBreakMinutes({ ratio: 0.2 }, 50 * 60000)).toBe(10);
+      expect(suggestFlowBreakMinutes({ ratio: 0.2 }, 60000)).toBe(1);
+    });
+
+    test('the break after a flow is planned from the latest flow of the method', () => {
+      const history = [
+        flow(20, 1000),
+        flow(70, 3000),
+        { ...flow(5, 4000), kind: 'rest', phase: 'break' },
+        { ...flow(100, 5000), methodKey: 'pomodoro' },
+      ];
+
+      expect(getFlowBreakMinutes(method, history)).toBe(10);
+      expect(getFlowBreakMinutes(method, [])).toBeNull();
+      expect(getFlowBreakMinutes(DEFAULT_METHODS.pomodoro, history)).toBeNull();
+      expect(adaptMethod(method, history).phases.map((phase) => phase.minutes)).toEqual([null, 10]);
+      expect(computePhaseDuration(adaptMethod(method, []), 'break', 1)).toBe(10 * 60000);
+    });
+  });
 });